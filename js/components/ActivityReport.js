@@ -0,0 +1,456 @@
+import activityService from '../services/ActivityService.js';
+import profileService from '../services/ProfileService.js';
+import imageExportService from '../services/ImageExportService.js';
+import { trapTabKey } from '../utils/focusTrap.js';
+
+/**
+ * Componente Relatório de Atividades
+ * Diálogo para terapeutas e responsáveis: resumo semanal e lista de sessões
+ * de pintura de cada criança, com exportação em CSV ou JSON
+ */
+export class ActivityReport {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {HTMLElement} [options.container] - Container onde o diálogo será anexado (padrão: document.body)
+   * @param {import('../services/ActivityService.js').ActivityService} [options.activityService] - Registros de atividade
+   * @param {import('../services/ProfileService.js').ProfileService} [options.profileService] - Perfis
+   * @param {import('../services/ImageExportService.js').ImageExportService} [options.imageExportService] - Download de arquivos
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.activityService = options.activityService || activityService;
+    this.profileService = options.profileService || profileService;
+    this.imageExportService = options.imageExportService || imageExportService;
+
+    // Estado
+    this.reportElement = null;
+    this.previouslyFocused = null;
+    this.profileId = null;
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+  }
+
+  /**
+   * Abre o relatório
+   * @param {string|null} [profileId] - Perfil exibido (padrão: perfil ativo)
+   */
+  open(profileId = this.profileService.getActiveProfileId()) {
+    if (this.reportElement) {
+      this.removeReportElement();
+    }
+
+    this.profileId = profileId;
+    this.previouslyFocused = document.activeElement;
+
+    this.reportElement = this.createReport();
+    this.container.appendChild(this.reportElement);
+    this.reportElement.addEventListener('keydown', this.keydownHandler);
+    this.reportElement.classList.add('show');
+
+    this.renderBody();
+    this.reportElement.querySelector('.activity-report-close').focus();
+  }
+
+  /**
+   * Cria a estrutura do diálogo
+   * @returns {HTMLElement}
+   * @private
+   */
+  createReport() {
+    const report = document.createElement('div');
+    report.className = 'activity-report';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'activity-report-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+    report.appendChild(backdrop);
+
+    const content = document.createElement('div');
+    content.className = 'activity-report-content';
+    content.setAttribute('role', 'dialog');
+    content.setAttribute('aria-modal', 'true');
+    content.setAttribute('aria-labelledby', 'activity-report-title');
+
+    const header = document.createElement('div');
+    header.className = 'activity-report-header';
+
+    const title = document.createElement('h2');
+    title.className = 'activity-report-title';
+    title.id = 'activity-report-title';
+    title.textContent = 'Relatório de atividades';
+    header.appendChild(title);
+
+    const closeButton = this.createButton('✕', 'activity-report-close', () => this.close());
+    closeButton.setAttribute('aria-label', 'Fechar relatório');
+    header.appendChild(closeButton);
+
+    content.appendChild(header);
+
+    const profiles = this.profileService.getProfiles();
+    if (profiles.length > 0) {
+      content.appendChild(this.createProfileSelect(profiles));
+    }
+
+    const body = document.createElement('div');
+    body.className = 'activity-report-body';
+    content.appendChild(body);
+
+    const footer = document.createElement('div');
+    footer.className = 'activity-report-footer';
+
+    [['csv', 'Exportar CSV'], ['json', 'Exportar JSON']].forEach(([format, label]) => {
+      const button = this.createButton(label, 'activity-export-button', () => this.handleExport(format));
+      button.dataset.format = format;
+      footer.appendChild(button);
+    });
+
+    const message = document.createElement('p');
+    message.className = 'activity-report-message';
+    message.setAttribute('role', 'status');
+    footer.appendChild(message);
+
+    content.appendChild(footer);
+    report.appendChild(content);
+
+    return report;
+  }
+
+  /**
+   * Cria o seletor da criança exibida no relatório
+   * @param {import('../services/ProfileService.js').Profile[]} profiles - Perfis
+   * @returns {HTMLElement}
+   * @private
+   */
+  createProfileSelect(profiles) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'activity-report-profile';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', 'activity-report-profile-select');
+    label.textContent = 'Criança';
+
+    const select = document.createElement('select');
+    select.id = 'activity-report-profile-select';
+    select.style.minHeight = '44px';
+
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = `${profile.avatar} ${profile.name}`;
+      option.selected = profile.id === this.profileId;
+      select.appendChild(option);
+    });
+
+    if (!this.profileId) {
+      this.profileId = profiles[0].id;
+    }
+
+    select.addEventListener('change', () => {
+      this.profileId = select.value;
+      this.renderBody();
+    });
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(select);
+
+    return wrapper;
+  }
+
+  /**
+   * Renderiza o resumo semanal e a lista de sessões do perfil escolhido
+   * @private
+   */
+  renderBody() {
+    const body = this.reportElement.querySelector('.activity-report-body');
+    const sessions = this.activityService.getSessions(this.profileId);
+
+    if (sessions.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = 'Nenhuma atividade registrada ainda.';
+      body.replaceChildren(empty);
+      this.setExportEnabled(false);
+      return;
+    }
+
+    const weeks = this.activityService.getWeeklySummary(sessions);
+    body.replaceChildren(
+      this.createSectionTitle('Resumo por semana'),
+      this.createTable(
+        'activity-weekly',
+        'Resumo por semana',
+        ['Semana de', 'Sessões', 'Tempo total', 'Áreas coloridas', 'Conclusão média', 'Desenhos concluídos', 'Toques fora'],
+        weeks.reverse().map(week => [
+          this.formatDate(week.weekStart),
+          String(week.sessions),
+          this.formatDuration(week.totalDurationMs),
+          String(week.areasColored),
+          this.formatPercent(week.averageCompletion),
+          String(week.drawingsCompleted || 0),
+          this.formatPercent(week.misclickRate)
+        ])
+      ),
+      this.createSectionTitle('Sessões'),
+      this.createTable(
+        'activity-sessions',
+        'Sessões de pintura',
+        ['Data', 'Desenho', 'Duração', 'Áreas', 'Toques fora', 'Cores'],
+        [...sessions].reverse().map(session => [
+          this.formatDateTime(session.startedAt),
+          session.drawingName,
+          this.formatDuration(session.durationMs),
+          session.totalAreas === null
+            ? String(session.areasColored)
+            : `${session.areasColored} de ${session.totalAreas}${session.completedAt ? ' (concluído)' : ''}`,
+          `${session.misclicks} de ${session.clicks}`,
+          this.createColorsCell(session.colorsUsed)
+        ])
+      )
+    );
+    this.setExportEnabled(true);
+  }
+
+  /**
+   * Cria o título de uma seção do relatório
+   * @private
+   */
+  createSectionTitle(text) {
+    const title = document.createElement('h3');
+    title.className = 'activity-report-section-title';
+    title.textContent = text;
+    return title;
+  }
+
+  /**
+   * Cria uma tabela com cabeçalho
+   * @param {string} className - Classe da tabela
+   * @param {string} caption - Legenda (lida por leitores de tela)
+   * @param {string[]} headers - Cabeçalhos das colunas
+   * @param {Array<Array<string|Node>>} rows - Linhas (texto ou nó)
+   * @returns {HTMLTableElement}
+   * @private
+   */
+  createTable(className, caption, headers, rows) {
+    const table = document.createElement('table');
+    table.className = `activity-table ${className}`;
+
+    const captionElement = document.createElement('caption');
+    captionElement.className = 'sr-only';
+    captionElement.textContent = caption;
+    table.appendChild(captionElement);
+
+    const headRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = header;
+      headRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    rows.forEach(row => {
+      const tr = tbody.insertRow();
+      row.forEach(value => {
+        const td = tr.insertCell();
+        td.append(value);
+      });
+    });
+
+    return table;
+  }
+
+  /**
+   * Cria a célula com as amostras das cores usadas
+   * @param {Object<string, number>} colorsUsed - Cor -> aplicações
+   * @returns {HTMLElement}
+   * @private
+   */
+  createColorsCell(colorsUsed) {
+    const colors = Object.keys(colorsUsed);
+    const cell = document.createElement('span');
+    cell.className = 'activity-colors';
+    cell.setAttribute('aria-label', colors.length === 1 ? '1 cor' : `${colors.length} cores`);
+
+    colors.forEach(color => {
+      const swatch = document.createElement('span');
+      swatch.className = 'activity-color-swatch';
+      swatch.style.backgroundColor = color;
+      swatch.title = `${color} (${colorsUsed[color]})`;
+      swatch.setAttribute('aria-hidden', 'true');
+      cell.appendChild(swatch);
+    });
+
+    return cell;
+  }
+
+  /**
+   * Exporta o relatório da criança exibida e inicia o download
+   * @param {'csv'|'json'} format - Formato do arquivo
+   * @returns {Object} Resultado da exportação
+   */
+  handleExport(format) {
+    const result = this.activityService.exportReport(format, this.profileId);
+
+    if (result.success) {
+      this.imageExportService.downloadFile(result);
+    }
+
+    this.showMessage(result.message);
+    return result;
+  }
+
+  /**
+   * Habilita ou desabilita os botões de exportação
+   * @private
+   */
+  setExportEnabled(enabled) {
+    this.reportElement.querySelectorAll('.activity-export-button').forEach(button => {
+      button.disabled = !enabled;
+    });
+  }
+
+  /**
+   * Exibe mensagem no rodapé
+   * @private
+   */
+  showMessage(text) {
+    const message = this.reportElement && this.reportElement.querySelector('.activity-report-message');
+    if (message) {
+      message.textContent = text;
+    }
+  }
+
+  /**
+   * Cria um botão com área de toque mínima de 44x44px
+   * @private
+   */
+  createButton(text, className, handler) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.setAttribute('type', 'button');
+    button.textContent = text;
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', handler);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      handler();
+    });
+
+    return button;
+  }
+
+  /**
+   * Formata duração em minutos e segundos
+   * @param {number} ms - Duração em milissegundos
+   * @returns {string}
+   * @private
+   */
+  formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+
+    if (minutes === 0) {
+      return `${seconds} s`;
+    }
+    return seconds === 0 ? `${minutes} min` : `${minutes} min ${seconds} s`;
+  }
+
+  /**
+   * Formata fração como porcentagem
+   * @param {number|null} ratio - Fração (0-1)
+   * @returns {string}
+   * @private
+   */
+  formatPercent(ratio) {
+    return ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`;
+  }
+
+  /**
+   * Formata data YYYY-MM-DD como DD/MM/AAAA
+   * @private
+   */
+  formatDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Formata data e hora de uma sessão
+   * @private
+   */
+  formatDateTime(isoDateTime) {
+    return new Date(isoDateTime).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  /**
+   * Manipula teclado: Escape fecha e Tab fica preso dentro do diálogo
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    trapTabKey(event, this.reportElement);
+  }
+
+  /**
+   * Verifica se o relatório está aberto
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.reportElement !== null;
+  }
+
+  /**
+   * Fecha o relatório e devolve o foco
+   */
+  close() {
+    if (!this.reportElement) {
+      return;
+    }
+
+    this.removeReportElement();
+
+    if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+      this.previouslyFocused.focus();
+    }
+
+    this.previouslyFocused = null;
+    this.profileId = null;
+  }
+
+  /**
+   * Remove o elemento do diálogo do DOM
+   * @private
+   */
+  removeReportElement() {
+    this.reportElement.removeEventListener('keydown', this.keydownHandler);
+    if (this.reportElement.parentNode) {
+      this.reportElement.remove();
+    }
+    this.reportElement = null;
+  }
+
+  /**
+   * Destrói o componente e limpa recursos
+   */
+  destroy() {
+    if (this.reportElement) {
+      this.removeReportElement();
+    }
+    this.previouslyFocused = null;
+    this.profileId = null;
+  }
+}
+
+export default ActivityReport;
@@ -1,3 +1,7 @@
+import { getColorName } from '../utils/colorNames.js';
+import audioService from '../services/AudioService.js';
+import { PALETTE_PRESETS } from '../models/Palette.js';
+
 /**
  * Componente de paleta de cores para seleção de cores
  */
@@ -5,9 +9,12 @@ export class ColorPalette {
   /**
    * @param {HTMLElement} container - Container onde a paleta será renderizada
    * @param {Object} options - Opções de configuração
-   * @param {Array<string>} options.colors - Array de cores hexadecimais (mínimo 12)
-   * @param {string} options.defaultColor - Cor selecionada por padrão
+   * @param {Array<string>} options.colors - Array de cores hexadecimais (padrão: paleta padrão com 16 cores)
+   * @param {Array<string>} [options.recentColors] - Cores usadas recentemente, exibidas abaixo da paleta
+   * @param {Object<string, number>} [options.colorNumbers] - Número de cada cor na pintura por números (cor -> número)
+   * @param {string} options.defaultColor - Cor selecionada por padrão (ignorada se não estiver na paleta)
    * @param {Function} options.onColorSelect - Callback quando uma cor é selecionada
+   * @param {import('../services/AudioService.js').AudioService} [options.audioService] - Fala o nome da cor escolhida
    */
   constructor(container, options = {}) {
     if (!container) {
@@ -16,14 +23,18 @@ export class ColorPalette {
 
     this.container = container;
     this.colors = options.colors || this.getDefaultColors();
-    this.selectedColor = options.defaultColor || this.colors[0];
+    this.recentColors = options.recentColors || [];
+    this.colorNumbers = options.colorNumbers || {};
     this.onColorSelect = options.onColorSelect || (() => {});
+    this.audioService = options.audioService || audioService;
 
-    // Validar que temos pelo menos 12 cores
-    if (this.colors.length < 12) {
-      throw new Error('A paleta deve ter no mínimo 12 cores');
+    // Paletas reduzidas (ex.: 4 cores para iniciantes) são permitidas; vazias não
+    if (this.colors.length === 0) {
+      throw new Error('A paleta deve ter pelo menos uma cor');
     }
 
+    this.selectedColor = this.isAvailable(options.defaultColor) ? options.defaultColor : this.colors[0];
+
     this.render();
   }
 
@@ -32,24 +43,17 @@ export class ColorPalette {
    * @returns {Array<string>} Array de cores hexadecimais
    */
   getDefaultColors() {
-    return [
-      '#FF0000', // Vermelho
-      '#FF7F00', // Laranja
-      '#FFFF00', // Amarelo
-      '#00FF00', // Verde
-      '#0000FF', // Azul
-      '#4B0082', // Índigo
-      '#9400D3', // Violeta
-      '#FF1493', // Rosa
-      '#8B4513', // Marrom
-      '#000000', // Preto
-      '#808080', // Cinza
-      '#FFFFFF', // Branco
-      '#FFB6C1', // Rosa claro
-      '#87CEEB', // Azul céu
-      '#90EE90', // Verde claro
-      '#FFD700', // Dourado
-    ];
+    return [...PALETTE_PRESETS[0].colors];
+  }
+
+  /**
+   * Verifica se uma cor pode ser selecionada (está na paleta ou nas recentes)
+   * @param {string} color - Cor hexadecimal
+   * @returns {boolean}
+   * @private
+   */
+  isAvailable(color) {
+    return this.colors.includes(color) || this.recentColors.includes(color);
   }
 
   /**
@@ -72,6 +76,80 @@ export class ColorPalette {
     });
 
     this.container.appendChild(paletteElement);
+    this.renderRecentColors();
+  }
+
+  /**
+   * Renderiza a linha de cores recentes (oculta quando não há nenhuma)
+   * @private
+   */
+  renderRecentColors() {
+    const existing = this.container.querySelector('.recent-colors');
+    if (existing) {
+      existing.remove();
+    }
+
+    if (this.recentColors.length === 0) {
+      return;
+    }
+
+    const group = document.createElement('div');
+    group.className = 'recent-colors';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-labelledby', 'recent-colors-title');
+
+    const title = document.createElement('span');
+    title.className = 'recent-colors-title';
+    title.id = 'recent-colors-title';
+    title.textContent = 'Recentes';
+    group.appendChild(title);
+
+    this.recentColors.forEach(color => {
+      const button = document.createElement('button');
+      button.className = 'recent-color-button';
+      button.style.backgroundColor = color;
+      button.setAttribute('type', 'button');
+      button.setAttribute('aria-label', `Cor recente ${getColorName(color)}`);
+      button.setAttribute('aria-pressed', String(color === this.selectedColor));
+      button.setAttribute('data-color', color);
+      button.style.minWidth = '44px';
+      button.style.minHeight = '44px';
+
+      button.addEventListener('click', () => this.selectColor(color));
+
+      // Touch event para dispositivos móveis
+      button.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        this.selectColor(color);
+      });
+
+      group.appendChild(button);
+    });
+
+    this.container.appendChild(group);
+  }
+
+  /**
+   * Substitui as cores da paleta (troca de paleta ou de quantidade de cores)
+   * A cor selecionada é mantida, mesmo que não esteja na nova paleta
+   * @param {Array<string>} colors - Cores hexadecimais
+   */
+  setColors(colors) {
+    if (!colors || colors.length === 0) {
+      throw new Error('A paleta deve ter pelo menos uma cor');
+    }
+
+    this.colors = [...colors];
+    this.render();
+  }
+
+  /**
+   * Atualiza as cores recentes
+   * @param {Array<string>} colors - Cores recentes (a mais recente primeiro)
+   */
+  setRecentColors(colors) {
+    this.recentColors = [...(colors || [])];
+    this.renderRecentColors();
   }
 
   /**
@@ -86,9 +164,24 @@ export class ColorPalette {
     button.style.backgroundColor = color;
     button.setAttribute('type', 'button');
     button.setAttribute('role', 'radio');
-    button.setAttribute('aria-label', `Cor ${color}`);
     button.setAttribute('data-color', color);
-    button.setAttribute('tabindex', color === this.selectedColor ? '0' : '-1');
+
+    // Pintura por números: o número aparece no botão e é lido junto com o nome da cor
+    const number = this.colorNumbers[color];
+    if (number) {
+      const numberElement = document.createElement('span');
+      numberElement.className = 'color-number';
+      numberElement.setAttribute('aria-hidden', 'true');
+      numberElement.textContent = String(number);
+      button.appendChild(numberElement);
+      button.setAttribute('aria-label', `Cor ${getColorName(color)}, número ${number}`);
+    } else {
+      button.setAttribute('aria-label', `Cor ${getColorName(color)}`);
+    }
+
+    // Uma parada de Tab: a cor selecionada ou, se ela não está na paleta, a primeira
+    const isTabStop = color === this.selectedColor || (index === 0 && !this.colors.includes(this.selectedColor));
+    button.setAttribute('tabindex', isTabStop ? '0' : '-1');
 
     // Garantir tamanho mínimo de 44x44px (requisito de acessibilidade)
     button.style.minWidth = '44px';
@@ -126,7 +219,7 @@ export class ColorPalette {
    * @param {string} color - Cor hexadecimal a ser selecionada
    */
   selectColor(color) {
-    if (!this.colors.includes(color)) {
+    if (!this.isAvailable(color)) {
       console.warn('Cor não encontrada na paleta:', color);
       return;
     }
@@ -140,6 +233,9 @@ export class ColorPalette {
 
     // Chamar callback
     this.onColorSelect(color);
+
+    // Falar o nome da cor (crianças que ainda não leem)
+    this.audioService.announceColor(color);
   }
 
   /**
@@ -149,8 +245,13 @@ export class ColorPalette {
    */
   updateSelectedButton(previousColor, newColor) {
     const buttons = this.container.querySelectorAll('.color-button');
+    const inPalette = this.colors.includes(newColor);
+
+    // Escolhas pelas cores recentes mantêm o foco na linha das recentes
+    const focusInRecent = Boolean(document.activeElement && document.activeElement.closest &&
+      document.activeElement.closest('.recent-colors'));
 
-    buttons.forEach(button => {
+    buttons.forEach((button, index) => {
       const buttonColor = button.getAttribute('data-color');
 
       if (buttonColor === previousColor) {
@@ -163,9 +264,18 @@ export class ColorPalette {
         button.classList.add('selected');
         button.setAttribute('aria-checked', 'true');
         button.setAttribute('tabindex', '0');
-        button.focus();
+        if (!focusInRecent) {
+          button.focus();
+        }
+      } else if (index === 0) {
+        // Sem a cor na paleta, a primeira cor continua sendo a parada de Tab
+        button.setAttribute('tabindex', inPalette ? '-1' : '0');
       }
     });
+
+    this.container.querySelectorAll('.recent-color-button').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-color') === newColor));
+    });
   }
 
   /**
@@ -223,6 +333,14 @@ export class ColorPalette {
     return this.selectedColor;
   }
 
+  /**
+   * Retorna os botões de cor na ordem da paleta
+   * @returns {HTMLButtonElement[]}
+   */
+  getColorButtons() {
+    return Array.from(this.container.querySelectorAll('.color-button'));
+  }
+
   /**
    * Define a cor selecionada programaticamente
    * @param {string} color - Cor hexadecimal
@@ -1,5 +1,33 @@
 import { ColorPalette } from './ColorPalette.js';
 import { SVGCanvas } from './SVGCanvas.js';
+import { FloodFillCanvas } from './FloodFillCanvas.js';
+import { SaveLoadModal } from './SaveLoadModal.js';
+import { SwitchScanner, DEFAULT_SCAN_SETTINGS } from './SwitchScanner.js';
+import { ScanSettings } from './ScanSettings.js';
+import { GuidedTask, DEFAULT_GUIDED_SETTINGS } from './GuidedTask.js';
+import { GuidedSettings } from './GuidedSettings.js';
+import { PaletteSettings } from './PaletteSettings.js';
+import { CompletionCelebration } from './CompletionCelebration.js';
+import { CommandHistory } from '../state/CommandHistory.js';
+import imageExportService, { EXPORT_RESOLUTIONS } from '../services/ImageExportService.js';
+import printService, { PAPER_SIZES } from '../services/PrintService.js';
+import profileService from '../services/ProfileService.js';
+import activityService from '../services/ActivityService.js';
+import audioService from '../services/AudioService.js';
+import paletteService from '../services/PaletteService.js';
+import { errorLogger } from '../utils/errorHandling.js';
+import { ASSIST_RADII } from '../utils/hitAssist.js';
+import { getColorName, capitalize } from '../utils/colorNames.js';
+import { buildColorLegend } from '../utils/colorByNumber.js';
+
+/**
+ * Nomes dos níveis da assistência de toque (raio em pixels -> nome)
+ */
+const ASSIST_LEVEL_NAMES = {
+  16: 'pequena',
+  32: 'média',
+  48: 'grande'
+};
 
 /**
  * Componente Tela de Colorir que integra Canvas SVG e Paleta de Cores
@@ -10,6 +38,17 @@ export class ColoringScreen {
    * @param {Object} options - Opções de configuração
    * @param {Object} options.drawing - Objeto Drawing com informações do desenho
    * @param {Function} options.onBack - Callback quando o botão voltar é clicado
+   * @param {CommandHistory} [options.history] - Histórico de desfazer/refazer do desenho
+   * @param {Map<string, string>} [options.savedProgress] - Progresso salvo automaticamente, oferecido para retomar
+   * @param {Function} [options.onColorsChange] - Callback com as áreas coloridas após cada alteração
+   * @param {Function} [options.onCompletionChange] - Callback com a conclusão ({colored, total, percent}) após cada alteração
+   * @param {Function} [options.onNext] - Callback "Próximo desenho" da comemoração (sem ele a ação não aparece)
+   * @param {import('../services/ImageExportService.js').ImageExportService} [options.imageExportService] - Serviço de exportação de imagens
+   * @param {import('../services/PrintService.js').PrintService} [options.printService] - Serviço de impressão
+   * @param {import('../services/ProfileService.js').ProfileService} [options.profileService] - Preferências do perfil ativo
+   * @param {import('../services/ActivityService.js').ActivityService} [options.activityService] - Registro da sessão de pintura
+   * @param {import('../services/AudioService.js').AudioService} [options.audioService] - Sons e fala dos nomes das cores
+   * @param {import('../services/PaletteService.js').PaletteService} [options.paletteService] - Paleta e cores recentes do perfil
    */
   constructor(container, options = {}) {
     if (!container) {
@@ -23,11 +62,62 @@ export class ColoringScreen {
     this.container = container;
     this.drawing = options.drawing;
     this.onBack = options.onBack || (() => {});
+    this.savedProgress = new Map(options.savedProgress || []);
+    this.onColorsChange = options.onColorsChange || (() => {});
+    this.onCompletionChange = options.onCompletionChange || (() => {});
 
     // Estado
     this.selectedColor = null;
     this.colorPalette = null;
-    this.svgCanvas = null;
+    this.svgCanvas = null; // SVGCanvas ou FloodFillCanvas (mesma interface de pintura)
+    this.coloredAreas = new Map(); // Áreas coloridas (areaId -> cor)
+    this.saveLoadModal = new SaveLoadModal();
+    this.history = options.history || new CommandHistory();
+    this.imageExportService = options.imageExportService || imageExportService;
+    this.printService = options.printService || printService;
+    this.profileService = options.profileService || profileService;
+    this.activityService = options.activityService || activityService;
+    this.audioService = options.audioService || audioService;
+    this.paletteService = options.paletteService || paletteService;
+    this.historyListener = () => this.updateHistoryButtons();
+    this.history.addListener(this.historyListener);
+
+    // Pintura por números: a legenda do catálogo substitui a paleta do perfil
+    this.colorLegend = this.usesFloodFill()
+      ? null
+      : buildColorLegend(this.drawing.metadata && this.drawing.metadata.targetColors);
+
+    // Varredura para acionadores (iniciada quando o desenho carrega)
+    this.switchScanner = new SwitchScanner({
+      getItems: () => this.getScanItems(),
+      settings: this.getScanSettings()
+    });
+
+    // Passo a passo (criado quando o desenho carrega, só para desenhos com áreas)
+    this.guidedTask = null;
+    this.guidedMessage = '';
+
+    // Configuração da paleta (terapeuta ou responsável)
+    this.paletteSettings = new PaletteSettings({
+      paletteService: this.paletteService,
+      onChange: () => this.applyPaletteSettings()
+    });
+
+    // Conclusão do desenho e comemoração quando a última área é pintada
+    this.completion = { colored: 0, total: 0, percent: 0 };
+    this.completedAt = null;
+    this.celebration = new CompletionCelebration({
+      audioService: this.audioService,
+      onSave: () => this.handleSave(),
+      onPrint: () => this.printDrawing(),
+      onNext: options.onNext || null
+    });
+
+    // Sessão de pintura (registrada ao sair da tela ou fechar a página)
+    this.sessionStartedAt = new Date();
+    this.activityRecorded = false;
+    this.pageHideHandler = () => this.recordActivity();
+    window.addEventListener('pagehide', this.pageHideHandler);
 
     this.render();
   }
@@ -49,6 +139,29 @@ export class ColoringScreen {
     const header = this.createHeader();
     screen.appendChild(header);
 
+    // Configuração da varredura (visível com a varredura ligada)
+    this.scanSettings = new ScanSettings({
+      settings: this.getScanSettings(),
+      onChange: (changes) => this.handleScanSettingsChange(changes)
+    });
+    this.scanSettings.setVisible(this.getScanSettings().enabled);
+    screen.appendChild(this.scanSettings.element);
+
+    // Configuração do passo a passo (visível com o passo a passo ligado)
+    this.guidedSettings = new GuidedSettings({
+      settings: this.getGuidedSettings(),
+      onChange: (changes) => this.handleGuidedSettingsChange(changes)
+    });
+    this.guidedSettings.setVisible(this.getGuidedSettings().enabled);
+    screen.appendChild(this.guidedSettings.element);
+
+    // Retorno da pintura por números ("Cor certa!"); os leitores de tela ouvem pelo anúncio
+    this.numberFeedback = document.createElement('p');
+    this.numberFeedback.className = 'number-feedback';
+    this.numberFeedback.setAttribute('aria-hidden', 'true');
+    this.numberFeedback.hidden = true;
+    screen.appendChild(this.numberFeedback);
+
     // Container principal com canvas e paleta
     const mainContent = document.createElement('div');
     mainContent.className = 'coloring-main';
@@ -58,6 +171,9 @@ export class ColoringScreen {
     canvasContainer.className = 'canvas-container';
     mainContent.appendChild(canvasContainer);
 
+    // Pergunta de retomada (exibida após o carregamento, se houver progresso salvo)
+    this.resumePrompt = null;
+
     // Paleta de cores
     const paletteContainer = document.createElement('div');
     paletteContainer.className = 'palette-container';
@@ -69,16 +185,29 @@ export class ColoringScreen {
     const footer = this.createFooter();
     screen.appendChild(footer);
 
+    // Região viva para leitores de tela ("Roda pintada de vermelho")
+    this.announcer = document.createElement('div');
+    this.announcer.className = 'coloring-announcer sr-only';
+    this.announcer.setAttribute('role', 'status');
+    this.announcer.setAttribute('aria-live', 'polite');
+    this.announcer.setAttribute('aria-atomic', 'true');
+    screen.appendChild(this.announcer);
+
     this.container.appendChild(screen);
 
     // Adicionar listener global para Escape
     this.escapeHandler = (e) => {
-      if (e.key === 'Escape') {
+      // Escape com um diálogo aberto fecha apenas o diálogo
+      if (e.key === 'Escape' && !this.hasOpenDialog()) {
         this.onBack();
       }
     };
     document.addEventListener('keydown', this.escapeHandler);
 
+    // Atalhos de desfazer (Ctrl+Z) e refazer (Ctrl+Shift+Z)
+    this.shortcutHandler = (e) => this.handleShortcut(e);
+    document.addEventListener('keydown', this.shortcutHandler);
+
     // Inicializar componentes
     this.initializeComponents(canvasContainer, paletteContainer);
   }
@@ -128,18 +257,264 @@ export class ColoringScreen {
 
     header.appendChild(backButton);
     header.appendChild(title);
+    header.appendChild(this.createCompletionIndicator());
+    header.appendChild(this.createHeaderActions());
 
     return header;
   }
 
   /**
-   * Cria o footer com botão limpar
+   * Cria o indicador de conclusão (barra com o percentual de áreas pintadas)
+   * @returns {HTMLElement}
+   * @private
+   */
+  createCompletionIndicator() {
+    this.completionIndicator = document.createElement('div');
+    this.completionIndicator.className = 'completion-progress';
+    this.completionIndicator.setAttribute('role', 'progressbar');
+    this.completionIndicator.setAttribute('aria-label', 'Desenho pintado');
+    this.completionIndicator.setAttribute('aria-valuemin', '0');
+    this.completionIndicator.setAttribute('aria-valuemax', '100');
+    this.completionIndicator.hidden = true; // Exibido quando as áreas do desenho são contadas
+
+    const bar = document.createElement('div');
+    bar.className = 'completion-progress-bar';
+
+    this.completionFill = document.createElement('div');
+    this.completionFill.className = 'completion-progress-fill';
+    bar.appendChild(this.completionFill);
+
+    this.completionText = document.createElement('span');
+    this.completionText.className = 'completion-progress-text';
+
+    this.completionIndicator.appendChild(bar);
+    this.completionIndicator.appendChild(this.completionText);
+
+    return this.completionIndicator;
+  }
+
+  /**
+   * Recalcula a conclusão do desenho e atualiza o indicador
+   * No preenchimento livre não há áreas para contar e o indicador fica oculto
+   * @private
+   */
+  updateCompletion() {
+    const areas = this.svgCanvas && !this.usesFloodFillCanvas() ? this.svgCanvas.getColorableAreas() : [];
+    const colored = areas.filter(area => this.svgCanvas.getAreaColor(area.id)).length;
+    const total = areas.length;
+
+    // Arredondado para baixo: 100% só com todas as áreas pintadas
+    this.completion = { colored, total, percent: total > 0 ? Math.floor((colored / total) * 100) : 0 };
+
+    const { percent } = this.completion;
+    this.completionIndicator.hidden = total === 0;
+    this.completionIndicator.setAttribute('aria-valuenow', String(percent));
+    this.completionIndicator.setAttribute('aria-valuetext', `${percent}%, ${colored} de ${total} áreas pintadas`);
+    this.completionFill.style.width = `${percent}%`;
+    this.completionText.textContent = `${percent}%`;
+
+    this.onCompletionChange({ ...this.completion });
+  }
+
+  /**
+   * Retorna a conclusão do desenho
+   * @returns {{colored: number, total: number, percent: number}} Áreas pintadas, total e percentual (0-100)
+   */
+  getCompletion() {
+    return { ...this.completion };
+  }
+
+  /**
+   * Verifica se todas as áreas do desenho estão pintadas
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.completion.total > 0 && this.completion.colored === this.completion.total;
+  }
+
+  /**
+   * Comemora o desenho concluído; a conclusão entra no registro da sessão
+   * @private
+   */
+  celebrateCompletion() {
+    this.completedAt = new Date();
+    this.celebration.open({ drawingName: this.drawing.name });
+  }
+
+  /**
+   * Imprime o desenho colorido no papel preferido, com a legenda de cores
+   * @returns {Promise<void>}
+   * @private
+   */
+  async printDrawing() {
+    const result = await this.exportDrawing(`print-${this.printService.getPreferredPaper()}`, { legend: true });
+    if (!result.success) {
+      this.showNotification(result.message, 'error');
+    }
+  }
+
+  /**
+   * Cria as ações do header (assistência de toque, varredura, passo a passo, paleta, som, salvar e carregar)
+   * @returns {HTMLElement}
+   */
+  createHeaderActions() {
+    const actions = document.createElement('div');
+    actions.className = 'header-actions';
+
+    this.assistButton = this.createActionButton('assist', '✋', '', '', () => this.cycleTouchAssist());
+    this.updateAssistButton();
+    actions.appendChild(this.assistButton);
+
+    this.scanButton = this.createActionButton('scan', '🔘', 'Varredura', 'Varredura para acionador', () => this.toggleScanning());
+    this.scanButton.setAttribute('aria-pressed', String(this.getScanSettings().enabled));
+    actions.appendChild(this.scanButton);
+
+    this.guideButton = this.createActionButton('guide', '👣', 'Passo a passo', 'Passo a passo: uma área por vez', () => this.toggleGuided());
+    this.guideButton.setAttribute('aria-pressed', String(this.getGuidedSettings().enabled));
+    actions.appendChild(this.guideButton);
+
+    const paletteButton = this.createActionButton('palette', '🎨', 'Paleta', 'Configurar paleta de cores', () => this.paletteSettings.open());
+    // Na pintura por números as cores vêm da legenda do desenho
+    paletteButton.hidden = Boolean(this.colorLegend);
+    actions.appendChild(paletteButton);
+
+    this.soundButton = this.createActionButton('sound', '', '', 'Som', () => this.toggleSound());
+    actions.appendChild(this.soundButton);
+    actions.appendChild(this.createVolumeControl());
+    this.updateSoundControls();
+
+    const saveButton = this.createActionButton('save', '💾', 'Salvar', 'Salvar desenho', () => this.handleSave());
+    const loadButton = this.createActionButton('load', '📂', 'Abrir', 'Abrir desenho salvo', () => this.handleLoad());
+
+    actions.appendChild(saveButton);
+    actions.appendChild(loadButton);
+
+    return actions;
+  }
+
+  /**
+   * Cria o controle deslizante de volume (0 a 100%)
+   * @returns {HTMLElement}
+   * @private
+   */
+  createVolumeControl() {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'sound-volume';
+
+    const labelText = document.createElement('span');
+    labelText.className = 'sr-only';
+    labelText.textContent = 'Volume';
+
+    this.volumeSlider = document.createElement('input');
+    this.volumeSlider.type = 'range';
+    this.volumeSlider.min = '0';
+    this.volumeSlider.max = '100';
+    this.volumeSlider.step = '10';
+    this.volumeSlider.style.minHeight = '44px';
+
+    this.volumeSlider.addEventListener('input', () => {
+      this.audioService.setSettings({ volume: Number(this.volumeSlider.value) / 100 });
+      this.updateSoundControls();
+    });
+
+    // Ao soltar, tocar o som de acerto no novo volume
+    this.volumeSlider.addEventListener('change', () => this.audioService.play('success'));
+
+    wrapper.appendChild(labelText);
+    wrapper.appendChild(this.volumeSlider);
+
+    return wrapper;
+  }
+
+  /**
+   * Liga ou desliga o som do perfil ativo
+   */
+  toggleSound() {
+    this.audioService.toggleMuted();
+    this.updateSoundControls();
+  }
+
+  /**
+   * Atualiza o botão de som e o volume com a configuração do perfil
+   * @private
+   */
+  updateSoundControls() {
+    if (!this.soundButton) {
+      return;
+    }
+
+    const { volume, muted } = this.audioService.getSettings();
+    const percent = Math.round(volume * 100);
+
+    this.soundButton.setAttribute('aria-pressed', String(!muted));
+    this.soundButton.querySelector('.sound-icon').textContent = muted ? '🔇' : '🔊';
+    this.soundButton.querySelector('.sound-text').textContent = muted ? 'Sem som' : 'Som';
+
+    this.volumeSlider.value = String(percent);
+    this.volumeSlider.disabled = muted;
+    this.volumeSlider.setAttribute('aria-valuetext', `${percent}%`);
+  }
+
+  /**
+   * Cria um botão de ação com ícone e texto
+   * @param {string} name - Prefixo das classes CSS (ex: 'save' gera .save-button)
+   * @param {string} icon - Ícone do botão
+   * @param {string} text - Texto do botão (oculto em telas pequenas)
+   * @param {string} ariaLabel - Rótulo acessível
+   * @param {Function} onActivate - Handler de ativação
+   * @returns {HTMLButtonElement}
+   */
+  createActionButton(name, icon, text, ariaLabel, onActivate) {
+    const button = document.createElement('button');
+    button.className = `${name}-button`;
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', ariaLabel);
+
+    const iconSpan = document.createElement('span');
+    iconSpan.className = `${name}-icon`;
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.textContent = icon;
+
+    const textSpan = document.createElement('span');
+    textSpan.className = `${name}-text`;
+    textSpan.textContent = text;
+
+    button.appendChild(iconSpan);
+    button.appendChild(textSpan);
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', onActivate);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      onActivate();
+    });
+
+    return button;
+  }
+
+  /**
+   * Cria o footer com botões desfazer, refazer, imprimir/baixar e limpar
    * @returns {HTMLElement}
    */
   createFooter() {
     const footer = document.createElement('footer');
     footer.className = 'coloring-footer';
 
+    // Botões desfazer e refazer
+    this.undoButton = this.createActionButton('undo', '↶', 'Desfazer', 'Desfazer (Ctrl+Z)', () => this.undo());
+    this.redoButton = this.createActionButton('redo', '↷', 'Refazer', 'Refazer (Ctrl+Shift+Z)', () => this.redo());
+    footer.appendChild(this.undoButton);
+    footer.appendChild(this.redoButton);
+    this.updateHistoryButtons();
+
+    // Botão imprimir/baixar
+    footer.appendChild(this.createActionButton('export', '🖨️', 'Imprimir/Baixar', 'Imprimir ou baixar desenho', () => this.handleExport()));
+
     // Botão limpar
     const clearButton = document.createElement('button');
     clearButton.className = 'clear-button';
@@ -173,7 +548,13 @@ export class ColoringScreen {
    */
   async initializeComponents(canvasContainer, paletteContainer) {
     // Criar paleta de cores
+    // Começar pela última cor usada pelo perfil
     this.colorPalette = new ColorPalette(paletteContainer, {
+      colors: this.colorLegend ? this.colorLegend.colors : this.paletteService.getVisibleColors(),
+      recentColors: this.colorLegend ? [] : this.paletteService.getRecentColors(),
+      colorNumbers: this.colorLegend ? this.colorLegend.numbers : undefined,
+      defaultColor: this.profileService.getPreference('selectedColor'),
+      audioService: this.audioService,
       onColorSelect: (color) => {
         this.handleColorSelect(color);
       }
@@ -182,24 +563,103 @@ export class ColoringScreen {
     // Definir cor inicial
     this.selectedColor = this.colorPalette.getSelectedColor();
 
-    // Criar canvas SVG
-    this.svgCanvas = new SVGCanvas(canvasContainer, {
-      svgUrl: this.drawing.svgUrl,
-      selectedColor: this.selectedColor,
-      onAreaClick: (areaId, color) => {
-        this.handleAreaClick(areaId, color);
+    // Criar canvas (o histórico do desenho é reaplicado pelo canvas)
+    try {
+      if (this.usesFloodFill()) {
+        await this.loadFloodFillCanvas(canvasContainer);
+      } else {
+        // Sem svgUrl: o único carregamento é o aguardado abaixo, que pode trocar o canvas pelo preenchimento livre
+        this.svgCanvas = new SVGCanvas(canvasContainer, {
+          selectedColor: this.selectedColor,
+          history: this.history,
+          audioService: this.audioService,
+          areaLabels: this.drawing.metadata && this.drawing.metadata.areaLabels,
+          targetColors: this.drawing.metadata && this.drawing.metadata.targetColors,
+          touchAssist: this.getTouchAssistRadius() > 0,
+          touchAssistRadius: this.getTouchAssistRadius(),
+          onAreaClick: (areaId, color) => {
+            this.handleAreaClick(areaId, color);
+          }
+        });
+
+        await this.svgCanvas.loadSVG(this.drawing.svgUrl);
+
+        // SVG sem áreas area-N (não passou pelo svg-adapter): pintar por preenchimento livre
+        if (this.svgCanvas.getColorableAreas().length === 0) {
+          this.svgCanvas.destroy();
+          await this.loadFloodFillCanvas(canvasContainer);
+        }
       }
-    });
 
-    // Carregar SVG
-    try {
-      await this.svgCanvas.loadSVG(this.drawing.svgUrl);
+      this.coloredAreas = this.svgCanvas.getAllAppliedColors();
+      this.updateCompletion();
+
+      if (!this.usesFloodFillCanvas()) {
+        this.createGuidedTask();
+        if (this.getGuidedSettings().enabled) {
+          this.guidedTask.start();
+        }
+      }
+
+      this.announceDrawingLoaded();
+
+      if (this.getScanSettings().enabled && !this.usesFloodFillCanvas()) {
+        this.switchScanner.start();
+      }
+
+      // Oferecer retomada quando o desenho abre vazio mas há progresso salvo
+      if (this.coloredAreas.size === 0 && this.savedProgress.size > 0) {
+        this.showResumePrompt();
+      }
     } catch (error) {
       console.error('Erro ao carregar desenho:', error);
       this.showError('Não foi possível carregar o desenho.');
     }
   }
 
+  /**
+   * Verifica se o desenho deve ser pintado por preenchimento livre
+   * (modo explícito no catálogo ou imagem PNG/JPG)
+   * @returns {boolean}
+   */
+  usesFloodFill() {
+    const url = this.drawing.svgUrl || '';
+    return this.drawing.coloringMode === 'floodfill' ||
+      /\.(png|jpe?g)$/i.test(url) ||
+      /^data:image\/(png|jpe?g)/i.test(url);
+  }
+
+  /**
+   * Cria o canvas de preenchimento livre e carrega a imagem do desenho
+   * @param {HTMLElement} canvasContainer - Container do canvas
+   * @returns {Promise<void>}
+   */
+  async loadFloodFillCanvas(canvasContainer) {
+    // A assistência de toque, a varredura e o passo a passo dependem das áreas area-N
+    [this.assistButton, this.scanButton, this.guideButton].forEach(button => {
+      if (button) {
+        button.hidden = true;
+      }
+    });
+    if (this.scanSettings) {
+      this.scanSettings.setVisible(false);
+    }
+    if (this.guidedSettings) {
+      this.guidedSettings.setVisible(false);
+    }
+
+    this.svgCanvas = new FloodFillCanvas(canvasContainer, {
+      selectedColor: this.selectedColor,
+      history: this.history,
+      audioService: this.audioService,
+      onAreaClick: (areaId, color) => {
+        this.handleAreaClick(areaId, color);
+      }
+    });
+
+    await this.svgCanvas.loadImage(this.drawing.svgUrl);
+  }
+
   /**
    * Manipula seleção de cor na paleta
    * @param {string} color - Cor selecionada
@@ -207,6 +667,7 @@ export class ColoringScreen {
   handleColorSelect(color) {
     console.log('[ColoringScreen] Cor selecionada:', color, 'tipo:', typeof color);
     this.selectedColor = color;
+    this.profileService.setPreference('selectedColor', color);
     
     // Atualizar cor no canvas
     if (this.svgCanvas) {
@@ -220,8 +681,235 @@ export class ColoringScreen {
    * @param {string} color - Cor aplicada
    */
   handleAreaClick(areaId, color) {
-    // Callback para extensões futuras
+    // Pintar sem responder à pergunta equivale a começar de novo
+    this.dismissResumePrompt();
+
+    const wasComplete = this.isComplete();
+    this.coloredAreas.set(areaId, color);
     console.log(`Área ${areaId} colorida com ${color}`);
+    this.notifyColorsChange();
+    this.recordRecentColor(color);
+
+    const feedback = this.showNumberFeedback(areaId, color);
+    this.announce(this.joinMessages(
+      `${capitalize(this.getAreaName(areaId))} pintada de ${getColorName(color)}`,
+      feedback,
+      this.takeGuidedMessage()
+    ));
+
+    if (!wasComplete && this.isComplete()) {
+      this.celebrateCompletion();
+    }
+  }
+
+  /**
+   * Mostra se a área recebeu a cor esperada (pintura por números)
+   * @param {string} areaId - ID da área pintada
+   * @param {string} color - Cor aplicada
+   * @returns {string} Mensagem exibida, ou vazia quando a área não tem cor esperada
+   * @private
+   */
+  showNumberFeedback(areaId, color) {
+    const canvas = this.svgCanvas;
+    const match = canvas && typeof canvas.matchesTargetColor === 'function'
+      ? canvas.matchesTargetColor(areaId, color)
+      : null;
+
+    if (match === null) {
+      this.hideNumberFeedback();
+      return '';
+    }
+
+    const message = match
+      ? 'Cor certa!'
+      : `Essa área é a cor ${canvas.getAreaNumber(areaId)}, ${getColorName(canvas.getTargetColor(areaId))}`;
+
+    this.numberFeedback.textContent = `${match ? '✓' : '↺'} ${message}`;
+    this.numberFeedback.classList.toggle('correct', match);
+    this.numberFeedback.classList.toggle('incorrect', !match);
+    this.numberFeedback.hidden = false;
+
+    return message;
+  }
+
+  /**
+   * Esconde o retorno da pintura por números
+   * @private
+   */
+  hideNumberFeedback() {
+    if (this.numberFeedback) {
+      this.numberFeedback.hidden = true;
+    }
+  }
+
+  /**
+   * Guarda a cor usada nas recentes do perfil e atualiza a paleta
+   * @param {string} color - Cor aplicada
+   * @private
+   */
+  recordRecentColor(color) {
+    if (this.paletteService.getRecentColors()[0] === color) {
+      return;
+    }
+
+    const recent = this.paletteService.addRecentColor(color);
+    // Na pintura por números a paleta mostra só a legenda
+    if (this.colorPalette && !this.colorLegend) {
+      this.colorPalette.setRecentColors(recent);
+    }
+  }
+
+  /**
+   * Aplica à paleta exibida a paleta e a quantidade de cores escolhidas
+   * (na pintura por números a paleta é a legenda do desenho e não muda)
+   */
+  applyPaletteSettings() {
+    if (this.colorPalette && !this.colorLegend) {
+      this.colorPalette.setColors(this.paletteService.getVisibleColors());
+    }
+  }
+
+  /**
+   * Nome falado de uma área: o nome semântico ou "área N"
+   * @param {string} areaId - ID da área
+   * @returns {string}
+   * @private
+   */
+  getAreaName(areaId) {
+    const name = this.svgCanvas && typeof this.svgCanvas.getAreaName === 'function'
+      ? this.svgCanvas.getAreaName(areaId)
+      : null;
+    if (name) {
+      return name;
+    }
+
+    const match = /^area-(\d+)$/.exec(areaId);
+    return match ? `área ${match[1]}` : 'área';
+  }
+
+  /**
+   * Anuncia uma mensagem aos leitores de tela pela região viva
+   * @param {string} message - Mensagem
+   */
+  announce(message) {
+    if (!this.announcer) {
+      return;
+    }
+
+    // Mensagem repetida não é lida de novo se o texto não mudar
+    this.announcer.textContent = this.announcer.textContent === message
+      ? `${message}\u00A0`
+      : message;
+  }
+
+  /**
+   * Anuncia o desenho aberto e quantas áreas já estão pintadas
+   * @private
+   */
+  announceDrawingLoaded() {
+    const painted = this.coloredAreas.size;
+    const status = painted === 0
+      ? 'nenhuma área pintada'
+      : `${painted} ${painted === 1 ? 'área pintada' : 'áreas pintadas'}`;
+
+    this.announce(this.joinMessages(`Desenho ${this.drawing.name} carregado, ${status}`, this.takeGuidedMessage()));
+  }
+
+  /**
+   * Junta frases de um anúncio, ignorando as vazias
+   * Frases que já terminam com pontuação (ex.: "Cor certa!") não ganham ponto final
+   * @param {...string} messages - Frases
+   * @returns {string}
+   * @private
+   */
+  joinMessages(...messages) {
+    return messages.filter(Boolean).reduce((text, message) => (
+      text ? `${text}${/[.!?]$/.test(text) ? '' : '.'} ${message}` : message
+    ), '');
+  }
+
+  /**
+   * Notifica as áreas coloridas atuais (salvamento automático) e atualiza a conclusão
+   * e o passo a passo
+   * @private
+   */
+  notifyColorsChange() {
+    this.onColorsChange(new Map(this.coloredAreas));
+    this.updateCompletion();
+    this.refreshGuidedTask();
+  }
+
+  /**
+   * Exibe a pergunta para continuar o desenho de onde parou
+   * @private
+   */
+  showResumePrompt() {
+    const screen = this.container.querySelector('.coloring-screen');
+    const mainContent = this.container.querySelector('.coloring-main');
+    if (!screen || !mainContent) {
+      return;
+    }
+
+    this.dismissResumePrompt();
+
+    const prompt = document.createElement('div');
+    prompt.className = 'resume-prompt';
+    prompt.setAttribute('role', 'alertdialog');
+    prompt.setAttribute('aria-labelledby', 'resume-prompt-message');
+
+    const message = document.createElement('p');
+    message.id = 'resume-prompt-message';
+    message.className = 'resume-prompt-message';
+    message.textContent = 'Você já começou este desenho. Quer continuar de onde parou?';
+    prompt.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.className = 'resume-prompt-actions';
+
+    const resumeButton = this.createActionButton('resume', '▶', 'Continuar', 'Continuar desenho', () => this.resumeProgress());
+    const restartButton = this.createActionButton('restart', '✨', 'Começar de novo', 'Começar desenho de novo', () => this.discardProgress());
+    actions.appendChild(resumeButton);
+    actions.appendChild(restartButton);
+    prompt.appendChild(actions);
+
+    screen.insertBefore(prompt, mainContent);
+    this.resumePrompt = prompt;
+
+    resumeButton.focus();
+  }
+
+  /**
+   * Remove a pergunta de retomada, se visível
+   * @private
+   */
+  dismissResumePrompt() {
+    if (this.resumePrompt) {
+      this.resumePrompt.remove();
+      this.resumePrompt = null;
+    }
+  }
+
+  /**
+   * Reaplica o progresso salvo automaticamente
+   */
+  resumeProgress() {
+    this.dismissResumePrompt();
+
+    if (this.svgCanvas) {
+      this.svgCanvas.loadColors(Object.fromEntries(this.savedProgress));
+    }
+    this.coloredAreas = new Map(this.savedProgress);
+    this.notifyColorsChange();
+    this.announceDrawingLoaded();
+  }
+
+  /**
+   * Descarta o progresso salvo e começa o desenho vazio
+   */
+  discardProgress() {
+    this.dismissResumePrompt();
+    this.savedProgress.clear();
+    this.notifyColorsChange();
   }
 
   /**
@@ -231,11 +919,348 @@ export class ColoringScreen {
     if (this.svgCanvas) {
       this.svgCanvas.clearAllColors();
     }
+    this.coloredAreas.clear();
+    this.notifyColorsChange();
+    this.hideNumberFeedback();
+    this.announce(this.joinMessages('Todas as cores foram apagadas', this.takeGuidedMessage()));
     
     // A cor selecionada deve permanecer a mesma (Propriedade 22)
     // Não fazemos nada com this.selectedColor ou this.colorPalette
   }
 
+  /**
+   * Desfaz a última ação de pintura
+   */
+  undo() {
+    if (this.svgCanvas && this.svgCanvas.undo()) {
+      this.coloredAreas = this.svgCanvas.getAllAppliedColors();
+      this.notifyColorsChange();
+      this.announceGuidedStep();
+    }
+  }
+
+  /**
+   * Refaz a última ação desfeita
+   */
+  redo() {
+    if (this.svgCanvas && this.svgCanvas.redo()) {
+      this.coloredAreas = this.svgCanvas.getAllAppliedColors();
+      this.notifyColorsChange();
+      this.announceGuidedStep();
+    }
+  }
+
+  /**
+   * Raio da assistência de toque do perfil ativo (0 = desligada)
+   * @returns {number}
+   * @private
+   */
+  getTouchAssistRadius() {
+    const radius = this.profileService.getPreference('touchAssistRadius', 0);
+    return ASSIST_RADII.includes(radius) ? radius : 0;
+  }
+
+  /**
+   * Avança a assistência de toque: desligada -> pequena -> média -> grande -> desligada
+   * A escolha fica guardada nas preferências do perfil
+   */
+  cycleTouchAssist() {
+    const levels = [0, ...ASSIST_RADII];
+    const next = levels[(levels.indexOf(this.getTouchAssistRadius()) + 1) % levels.length];
+
+    this.profileService.setPreference('touchAssistRadius', next);
+
+    if (this.svgCanvas && typeof this.svgCanvas.setTouchAssist === 'function') {
+      this.svgCanvas.setTouchAssist(next > 0, next);
+    }
+
+    this.updateAssistButton(next);
+  }
+
+  /**
+   * Atualiza texto e estado do botão de assistência de toque
+   * @param {number} [radius] - Raio atual (padrão: preferência do perfil)
+   * @private
+   */
+  updateAssistButton(radius = this.getTouchAssistRadius()) {
+    if (!this.assistButton) {
+      return;
+    }
+
+    const level = radius > 0 ? ASSIST_LEVEL_NAMES[radius] : 'desligada';
+    this.assistButton.setAttribute('aria-pressed', String(radius > 0));
+    this.assistButton.setAttribute('aria-label', `Assistência de toque: ${level}. Toque para mudar`);
+    this.assistButton.querySelector('.assist-text').textContent = radius > 0 ? `Ajuda ${level}` : 'Ajuda';
+  }
+
+  /**
+   * Verifica se o canvas atual é o de preenchimento livre
+   * @returns {boolean}
+   * @private
+   */
+  usesFloodFillCanvas() {
+    return this.svgCanvas instanceof FloodFillCanvas;
+  }
+
+  /**
+   * Configuração da varredura do perfil ativo
+   * @returns {Object} DEFAULT_SCAN_SETTINGS mais o campo enabled
+   * @private
+   */
+  getScanSettings() {
+    return {
+      enabled: false,
+      ...DEFAULT_SCAN_SETTINGS,
+      ...(this.profileService.getPreference('switchScanning') || {})
+    };
+  }
+
+  /**
+   * Grava alterações da configuração da varredura no perfil
+   * @param {Object} changes - Campos alterados
+   * @returns {Object} Configuração resultante
+   * @private
+   */
+  saveScanSettings(changes) {
+    const settings = { ...this.getScanSettings(), ...changes };
+    this.profileService.setPreference('switchScanning', settings);
+    return settings;
+  }
+
+  /**
+   * Liga ou desliga a varredura para acionadores
+   */
+  toggleScanning() {
+    const { enabled } = this.saveScanSettings({ enabled: !this.getScanSettings().enabled });
+
+    this.scanButton.setAttribute('aria-pressed', String(enabled));
+    this.scanSettings.setVisible(enabled);
+
+    if (enabled && this.svgCanvas && !this.usesFloodFillCanvas()) {
+      this.switchScanner.start();
+    } else {
+      this.switchScanner.stop();
+    }
+  }
+
+  /**
+   * Aplica alterações feitas no painel de configuração da varredura
+   * @param {Object} changes - Campos alterados
+   * @private
+   */
+  handleScanSettingsChange(changes) {
+    this.saveScanSettings(changes);
+    this.switchScanner.configure(changes);
+  }
+
+  /**
+   * Configuração do passo a passo: padrão, depois a do desenho (metadata.guided)
+   * e por fim a que o terapeuta escolheu para o perfil
+   * @returns {Object} DEFAULT_GUIDED_SETTINGS mais o campo enabled
+   * @private
+   */
+  getGuidedSettings() {
+    const { areaOrder, ...drawingSettings } = (this.drawing.metadata && this.drawing.metadata.guided) || {};
+
+    return {
+      enabled: false,
+      ...DEFAULT_GUIDED_SETTINGS,
+      ...drawingSettings,
+      ...(this.profileService.getPreference('guided') || {})
+    };
+  }
+
+  /**
+   * Grava no perfil apenas os campos alterados do passo a passo, para que os
+   * demais continuem vindo do desenho
+   * @param {Object} changes - Campos alterados
+   * @returns {Object} Configuração resultante
+   * @private
+   */
+  saveGuidedSettings(changes) {
+    this.profileService.setPreference('guided', {
+      ...(this.profileService.getPreference('guided') || {}),
+      ...changes
+    });
+    return { ...this.getGuidedSettings(), ...changes };
+  }
+
+  /**
+   * Cria o passo a passo para o canvas carregado
+   * @private
+   */
+  createGuidedTask() {
+    const guided = (this.drawing.metadata && this.drawing.metadata.guided) || {};
+
+    this.guidedTask = new GuidedTask({
+      canvas: this.svgCanvas,
+      settings: this.getGuidedSettings(),
+      drawingOrder: guided.areaOrder,
+      // A conclusão é comemorada pela tela, como fora do passo a passo
+      onStep: (areaId, progress) => this.handleGuidedStep(areaId, progress)
+    });
+  }
+
+  /**
+   * Liga ou desliga o passo a passo
+   */
+  toggleGuided() {
+    const { enabled } = this.saveGuidedSettings({ enabled: !this.getGuidedSettings().enabled });
+
+    this.guideButton.setAttribute('aria-pressed', String(enabled));
+    this.guidedSettings.setVisible(enabled);
+
+    if (!this.guidedTask) {
+      return;
+    }
+
+    if (enabled) {
+      this.guidedMessage = '';
+      this.guidedTask.start();
+      this.announce(this.joinMessages('Passo a passo ligado', this.takeGuidedMessage()));
+    } else {
+      this.guidedTask.stop();
+      this.announce('Passo a passo desligado');
+    }
+  }
+
+  /**
+   * Aplica alterações feitas no painel de configuração do passo a passo
+   * @param {Object} changes - Campos alterados
+   * @private
+   */
+  handleGuidedSettingsChange(changes) {
+    this.saveGuidedSettings(changes);
+
+    if (this.guidedTask) {
+      this.guidedMessage = '';
+      this.guidedTask.configure(changes);
+      this.announceGuidedStep();
+    }
+  }
+
+  /**
+   * Atualiza o passo a passo depois de uma mudança nas cores
+   * A mensagem da nova área da vez fica guardada para o próximo anúncio
+   * @private
+   */
+  refreshGuidedTask() {
+    this.guidedMessage = '';
+    if (this.guidedTask && this.guidedTask.isActive()) {
+      this.guidedTask.refresh();
+    }
+  }
+
+  /**
+   * Nova área da vez: guarda a mensagem "Agora pinte ..."
+   * @param {string} areaId - Área da vez
+   * @param {{done: number, total: number}} progress - Progresso
+   * @private
+   */
+  handleGuidedStep(areaId, { done, total }) {
+    this.guidedMessage = `Agora pinte ${this.getAreaName(areaId)}, passo ${done + 1} de ${total}`;
+  }
+
+  /**
+   * Retorna e descarta a mensagem pendente do passo a passo
+   * @returns {string}
+   * @private
+   */
+  takeGuidedMessage() {
+    const message = this.guidedMessage;
+    this.guidedMessage = '';
+    return message;
+  }
+
+  /**
+   * Anuncia a mensagem pendente do passo a passo, se houver
+   * @private
+   */
+  announceGuidedStep() {
+    const message = this.takeGuidedMessage();
+    if (message) {
+      this.announce(message);
+    }
+  }
+
+  /**
+   * Itens da varredura: áreas do desenho e depois as cores da paleta
+   * @returns {Array<import('./SwitchScanner.js').ScanItem>}
+   * @private
+   */
+  getScanItems() {
+    if (!this.svgCanvas || !this.colorPalette || this.usesFloodFillCanvas()) {
+      return [];
+    }
+
+    // No passo a passo, a varredura passa só pela área da vez
+    const guidedAreaId = this.svgCanvas.getGuidedAreaId();
+    const areas = this.svgCanvas.getColorableAreas()
+      .filter(area => !guidedAreaId || area.id === guidedAreaId)
+      .map(area => ({
+        element: area.element,
+        kind: 'area',
+        select: () => this.svgCanvas.handleAreaClick({ target: area.element }, area.id)
+      }));
+
+    const colors = this.colorPalette.getColorButtons().map(button => ({
+      element: button,
+      kind: 'color',
+      select: () => this.colorPalette.selectColor(button.getAttribute('data-color'))
+    }));
+
+    return [...areas, ...colors];
+  }
+
+  /**
+   * Atualiza o estado habilitado dos botões desfazer/refazer
+   * @private
+   */
+  updateHistoryButtons() {
+    if (this.undoButton) {
+      this.undoButton.disabled = !this.history.canUndo();
+    }
+    if (this.redoButton) {
+      this.redoButton.disabled = !this.history.canRedo();
+    }
+  }
+
+  /**
+   * Manipula atalhos de teclado de desfazer/refazer
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+      return;
+    }
+
+    // Não interferir com campos de texto nem com diálogos abertos (o desenho fica escondido atrás deles)
+    const target = event.target;
+    if (this.hasOpenDialog() || (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA'))) {
+      return;
+    }
+    if (target && typeof target.closest === 'function' && target.closest('[role="dialog"], [role="alertdialog"]')) {
+      return;
+    }
+
+    event.preventDefault();
+    if (event.shiftKey) {
+      this.redo();
+    } else {
+      this.undo();
+    }
+  }
+
+  /**
+   * Verifica se algum diálogo da tela está aberto sobre o desenho
+   * @returns {boolean}
+   * @private
+   */
+  hasOpenDialog() {
+    return this.saveLoadModal.isOpen() || this.paletteSettings.isOpen() || this.celebration.isOpen();
+  }
+
   /**
    * Manipula salvamento do desenho
    * @private
@@ -244,7 +1269,7 @@ export class ColoringScreen {
     try {
       // Verificar se há áreas coloridas
       if (this.coloredAreas.size === 0) {
-        this.showNotification('Colora algumas áreas antes de salvar!', 'warning');
+        this.showNotification('Colore algumas áreas antes de salvar!', 'warning');
         return;
       }
 
@@ -293,6 +1318,88 @@ export class ColoringScreen {
     }
   }
 
+  /**
+   * Abre as opções de impressão e download do desenho
+   * @private
+   */
+  handleExport() {
+    try {
+      // Papel preferido primeiro
+      const preferredPaper = this.printService.getPreferredPaper();
+      const papers = Object.values(PAPER_SIZES)
+        .sort((a, b) => (b.id === preferredPaper) - (a.id === preferredPaper));
+
+      const exportOptions = [
+        ...papers.map(paper => ({
+          id: `print-${paper.id}`,
+          label: `🖨️ Imprimir em ${paper.label}`,
+          description: 'Folha com o desenho e espaço para nome e data'
+        })),
+        { id: 'png-screen', label: `🖼️ Baixar PNG - ${EXPORT_RESOLUTIONS.screen.label}`, description: 'Imagem leve para compartilhar' },
+        { id: 'png-a4', label: `🖼️ Baixar PNG - ${EXPORT_RESOLUTIONS.a4.label}`, description: 'Alta qualidade para imprimir em folha A4' },
+        { id: 'svg', label: '📐 Baixar SVG', description: 'Imagem vetorial, nítida em qualquer tamanho' }
+      ];
+
+      const exportSettings = [
+        { id: 'legend', label: 'Incluir legenda com as cores usadas (impressão)', checked: true }
+      ];
+
+      this.saveLoadModal.openExportMode(
+        exportOptions,
+        (optionId, settings) => this.exportDrawing(optionId, settings),
+        exportSettings
+      );
+    } catch (error) {
+      console.error('Erro ao abrir exportação:', error);
+      errorLogger.log(error, { context: 'coloring-screen-export' });
+      this.showNotification('Erro inesperado ao exportar', 'error');
+    }
+  }
+
+  /**
+   * Exporta ou imprime o desenho no formato escolhido
+   * @param {'print-a4'|'print-letter'|'png-screen'|'png-a4'|'svg'} optionId - Formato escolhido
+   * @param {Object} [settings] - Ajustes escolhidos no modal
+   * @param {boolean} [settings.legend] - Se a impressão inclui a legenda de cores
+   * @returns {Promise<{success: boolean, message: string}>} Resultado para exibir no modal
+   */
+  async exportDrawing(optionId, settings = {}) {
+    const svgContent = this.svgCanvas ? this.svgCanvas.getSVGContent() : null;
+    if (!svgContent) {
+      return { success: false, message: 'Erro ao obter conteúdo do desenho' };
+    }
+
+    const options = { name: this.drawing.name };
+
+    if (optionId.startsWith('print-')) {
+      const paper = optionId.slice('print-'.length);
+      this.printService.setPreferredPaper(paper);
+
+      const printed = this.printService.printColored(svgContent, {
+        title: this.drawing.name,
+        paper,
+        coloredAreas: this.coloredAreas,
+        includeLegend: Boolean(settings.legend)
+      });
+      return printed
+        ? { success: true, message: 'Impressão aberta!' }
+        : { success: false, message: 'Não foi possível abrir a impressão' };
+    }
+
+    const result = optionId === 'svg'
+      ? this.imageExportService.exportSVG(svgContent, options)
+      : await this.imageExportService.exportPNG(svgContent, {
+        ...options,
+        resolution: optionId === 'png-a4' ? 'a4' : 'screen'
+      });
+
+    if (result.success) {
+      this.imageExportService.downloadFile(result);
+    }
+
+    return result;
+  }
+
   /**
    * Carrega um desenho salvo
    * @param {Object} savedData - Dados do desenho salvo
@@ -300,20 +1407,14 @@ export class ColoringScreen {
    */
   loadSavedDrawing(savedData) {
     try {
-      // Limpar desenho atual
+      // Substituir cores atuais pelas salvas (uma única ação no histórico)
       if (this.svgCanvas) {
-        this.svgCanvas.clearAllColors();
-      }
-
-      // Aplicar cores salvas
-      if (savedData.coloredAreas) {
-        Object.entries(savedData.coloredAreas).forEach(([areaId, color]) => {
-          if (this.svgCanvas) {
-            this.svgCanvas.colorArea(areaId, color);
-          }
-          this.coloredAreas.set(areaId, color);
-        });
+        this.svgCanvas.loadColors(savedData.coloredAreas);
       }
+      this.coloredAreas = new Map(Object.entries(savedData.coloredAreas || {}));
+      this.dismissResumePrompt();
+      this.notifyColorsChange();
+      this.announceDrawingLoaded();
 
       this.showNotification('Desenho carregado com sucesso!', 'success');
     } catch (error) {
@@ -381,21 +1482,60 @@ export class ColoringScreen {
    * @returns {boolean}
    */
   hasDrawingAndPalette() {
-    const hasCanvas = this.svgCanvas !== null && this.svgCanvas.svgElement !== null;
+    const hasCanvas = this.svgCanvas !== null && this.svgCanvas.isLoaded();
     const hasPalette = this.colorPalette !== null;
     return hasCanvas && hasPalette;
   }
 
+  /**
+   * Registra a sessão de pintura com os toques feitos no canvas
+   * @returns {import('../services/ActivityService.js').ActivityRecord|null} Registro ou null
+   */
+  recordActivity() {
+    if (this.activityRecorded || !this.svgCanvas || typeof this.svgCanvas.getClickLogs !== 'function') {
+      return null;
+    }
+
+    this.activityRecorded = true;
+    const isFloodFill = this.usesFloodFillCanvas();
+
+    return this.activityService.recordSession({
+      drawing: { ...this.drawing, coloringMode: isFloodFill ? 'floodfill' : 'areas' },
+      startedAt: this.sessionStartedAt,
+      clickLogs: this.svgCanvas.getClickLogs(),
+      coloredAreas: this.svgCanvas.getAllAppliedColors(),
+      totalAreas: isFloodFill ? null : this.svgCanvas.getColorableAreas().length,
+      completedAt: this.completedAt
+    });
+  }
+
   /**
    * Destrói o componente e limpa recursos
    */
   destroy() {
+    this.recordActivity();
+    window.removeEventListener('pagehide', this.pageHideHandler);
+    this.switchScanner.destroy();
+    this.paletteSettings.destroy();
+    this.celebration.destroy();
+    if (this.guidedTask) {
+      this.guidedTask.destroy();
+    }
+
     // Remover listener de Escape
     if (this.escapeHandler) {
       document.removeEventListener('keydown', this.escapeHandler);
       this.escapeHandler = null;
     }
 
+    if (this.shortcutHandler) {
+      document.removeEventListener('keydown', this.shortcutHandler);
+      this.shortcutHandler = null;
+    }
+
+    // O histórico pode sobreviver à tela (mantido por desenho no ApplicationState)
+    this.history.removeListener(this.historyListener);
+
     if (this.colorPalette) {
       this.colorPalette.destroy();
     }
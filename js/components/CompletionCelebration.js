@@ -0,0 +1,245 @@
+import audioService from '../services/AudioService.js';
+import { trapTabKey } from '../utils/focusTrap.js';
+
+/**
+ * Cores dos confetes da comemoração
+ */
+const CONFETTI_COLORS = ['#FF0000', '#FFA500', '#FFFF00', '#00FF00', '#0000FF', '#800080'];
+
+/**
+ * Quantidade de confetes
+ */
+const CONFETTI_COUNT = 18;
+
+/**
+ * Componente Comemoração de Desenho Concluído
+ * Diálogo exibido quando todas as áreas do desenho foram pintadas: confetes (parados
+ * para quem prefere menos movimento), fanfarra e as próximas ações (salvar, imprimir
+ * ou ir para o próximo desenho)
+ */
+export class CompletionCelebration {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {HTMLElement} [options.container] - Container onde o diálogo será anexado (padrão: document.body)
+   * @param {import('../services/AudioService.js').AudioService} [options.audioService] - Som da comemoração
+   * @param {Function} [options.onSave] - Ação "Salvar"
+   * @param {Function} [options.onPrint] - Ação "Imprimir"
+   * @param {Function} [options.onNext] - Ação "Próximo desenho" (sem ela o botão não aparece)
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.audioService = options.audioService || audioService;
+    this.onSave = options.onSave || (() => {});
+    this.onPrint = options.onPrint || (() => {});
+    this.onNext = options.onNext || null;
+
+    // Estado
+    this.dialogElement = null;
+    this.previouslyFocused = null;
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+  }
+
+  /**
+   * Abre a comemoração
+   * @param {Object} [details] - Detalhes do desenho
+   * @param {string} [details.drawingName] - Nome do desenho
+   */
+  open({ drawingName } = {}) {
+    if (this.dialogElement) {
+      this.removeDialogElement();
+    }
+
+    this.previouslyFocused = document.activeElement;
+
+    this.dialogElement = this.createDialog(drawingName);
+    this.container.appendChild(this.dialogElement);
+    this.dialogElement.addEventListener('keydown', this.keydownHandler);
+    this.dialogElement.classList.add('show');
+
+    this.audioService.play('celebration');
+    this.dialogElement.querySelector('.completion-celebration-actions button').focus();
+  }
+
+  /**
+   * Cria a estrutura do diálogo
+   * @param {string} [drawingName] - Nome do desenho
+   * @returns {HTMLElement}
+   * @private
+   */
+  createDialog(drawingName) {
+    const dialog = document.createElement('div');
+    dialog.className = 'completion-celebration';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'completion-celebration-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+    dialog.appendChild(backdrop);
+
+    dialog.appendChild(this.createConfetti());
+
+    const content = document.createElement('div');
+    content.className = 'completion-celebration-content';
+    content.setAttribute('role', 'dialog');
+    content.setAttribute('aria-modal', 'true');
+    content.setAttribute('aria-labelledby', 'completion-celebration-title');
+    content.setAttribute('aria-describedby', 'completion-celebration-message');
+
+    const icon = document.createElement('div');
+    icon.className = 'completion-celebration-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '🎉';
+    content.appendChild(icon);
+
+    const title = document.createElement('h2');
+    title.className = 'completion-celebration-title';
+    title.id = 'completion-celebration-title';
+    title.textContent = 'Parabéns!';
+    content.appendChild(title);
+
+    const message = document.createElement('p');
+    message.className = 'completion-celebration-message';
+    message.id = 'completion-celebration-message';
+    message.textContent = drawingName
+      ? `Você pintou todo o desenho ${drawingName}!`
+      : 'Você pintou todo o desenho!';
+    content.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.className = 'completion-celebration-actions';
+
+    actions.appendChild(this.createButton('💾', 'Salvar', 'completion-save', () => this.onSave()));
+    actions.appendChild(this.createButton('🖨️', 'Imprimir', 'completion-print', () => this.onPrint()));
+    if (this.onNext) {
+      actions.appendChild(this.createButton('➡️', 'Próximo desenho', 'completion-next', () => this.onNext()));
+    }
+    actions.appendChild(this.createButton('🖍️', 'Continuar pintando', 'completion-close', () => {}));
+
+    content.appendChild(actions);
+    dialog.appendChild(content);
+
+    return dialog;
+  }
+
+  /**
+   * Cria os confetes (decorativos)
+   * @returns {HTMLElement}
+   * @private
+   */
+  createConfetti() {
+    const confetti = document.createElement('div');
+    confetti.className = 'completion-confetti';
+    confetti.setAttribute('aria-hidden', 'true');
+
+    for (let i = 0; i < CONFETTI_COUNT; i++) {
+      const piece = document.createElement('span');
+      piece.className = 'completion-confetti-piece';
+      piece.style.left = `${((i + 0.5) / CONFETTI_COUNT) * 100}%`;
+      piece.style.backgroundColor = CONFETTI_COLORS[i % CONFETTI_COLORS.length];
+      piece.style.animationDelay = `${(i % 6) * 0.15}s`;
+      confetti.appendChild(piece);
+    }
+
+    return confetti;
+  }
+
+  /**
+   * Cria um botão de ação: fecha a comemoração e executa a ação
+   * Área de toque mínima de 44x44px
+   * @private
+   */
+  createButton(icon, text, className, action) {
+    const button = document.createElement('button');
+    button.className = `completion-action ${className}`;
+    button.setAttribute('type', 'button');
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    const iconSpan = document.createElement('span');
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.textContent = icon;
+
+    const textSpan = document.createElement('span');
+    textSpan.textContent = text;
+
+    button.appendChild(iconSpan);
+    button.appendChild(textSpan);
+
+    const handler = () => {
+      this.close();
+      action();
+    };
+
+    button.addEventListener('click', handler);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      handler();
+    });
+
+    return button;
+  }
+
+  /**
+   * Manipula teclado: Escape fecha e Tab fica preso dentro do diálogo
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    trapTabKey(event, this.dialogElement);
+  }
+
+  /**
+   * Verifica se a comemoração está aberta
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.dialogElement !== null;
+  }
+
+  /**
+   * Fecha a comemoração e devolve o foco
+   */
+  close() {
+    if (!this.dialogElement) {
+      return;
+    }
+
+    this.removeDialogElement();
+
+    if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+      this.previouslyFocused.focus();
+    }
+    this.previouslyFocused = null;
+  }
+
+  /**
+   * Remove o diálogo do DOM
+   * @private
+   */
+  removeDialogElement() {
+    this.dialogElement.removeEventListener('keydown', this.keydownHandler);
+    this.dialogElement.remove();
+    this.dialogElement = null;
+  }
+
+  /**
+   * Destrói o componente
+   */
+  destroy() {
+    if (this.dialogElement) {
+      this.removeDialogElement();
+    }
+    this.previouslyFocused = null;
+  }
+}
+
+export default CompletionCelebration;
@@ -0,0 +1,720 @@
+import { CommandHistory } from '../state/CommandHistory.js';
+import { createErrorPlaceholder, createLoadingPlaceholder, errorLogger, DrawingLoadError } from '../utils/errorHandling.js';
+import { createInkLayer, floodFillRegion, getLuminance, hexToRgb, paintRegion } from '../utils/floodFill.js';
+import audioService from '../services/AudioService.js';
+
+/**
+ * Maior lado do bitmap de trabalho, em pixels (limita memória e tempo do preenchimento)
+ */
+const MAX_CANVAS_SIDE = 1024;
+
+/**
+ * Pixels mais escuros que isto são traço: tocar neles não inicia preenchimento
+ */
+const INK_LUMINANCE = 80;
+
+/**
+ * Passo do cursor de teclado, em pixels do bitmap
+ */
+const KEYBOARD_STEP = 16;
+
+/**
+ * Prefixo dos IDs de região (o sufixo é o índice do primeiro pixel da região)
+ */
+const REGION_PREFIX = 'region-';
+
+/**
+ * Componente Canvas de preenchimento livre (flood fill)
+ * Alternativa ao SVGCanvas para desenhos sem áreas area-N (PNG, JPG ou SVG não adaptado).
+ * O traço é rasterizado em um bitmap de trabalho; cada toque preenche a região contígua
+ * por tolerância. Cada região pintada é guardada como uma camada (máscara de pixels + cor)
+ * e identificada como "region-N", então histórico, salvamento e progresso funcionam
+ * como nas áreas do SVGCanvas
+ */
+export class FloodFillCanvas {
+  /**
+   * @param {HTMLElement} container - Container onde o canvas será renderizado
+   * @param {Object} options - Opções de configuração
+   * @param {string} options.selectedColor - Cor atualmente selecionada
+   * @param {Function} options.onAreaClick - Callback quando uma região é pintada (regionId, color)
+   * @param {CommandHistory} [options.history] - Histórico de desfazer/refazer (compartilhável entre instâncias)
+   * @param {number} [options.tolerance=48] - Diferença máxima de luminância dentro de uma região (0-255)
+   * @param {import('../services/AudioService.js').AudioService} [options.audioService] - Sons de acerto e de erro
+   */
+  constructor(container, options = {}) {
+    if (!container) {
+      throw new Error('Container é obrigatório');
+    }
+
+    this.container = container;
+    this.imageUrl = null;
+    this.selectedColor = options.selectedColor || '#000000';
+    this.onAreaClick = options.onAreaClick || (() => {});
+    this.history = options.history || new CommandHistory();
+    this.tolerance = options.tolerance ?? 48;
+    this.audioService = options.audioService || audioService;
+
+    // Bitmaps
+    this.width = 0;
+    this.height = 0;
+    this.lineArt = null; // Pixels originais do traço ({data, width, height})
+    this.colorPixels = null; // Camada de cor composta (RGBA)
+    this.colorLayer = null; // <canvas> da camada de cor
+    this.inkLayer = null; // <canvas> do traço, acima da cor
+
+    // Camadas de região: regionId -> Uint32Array de pixels
+    this.regionMasks = new Map();
+    this.appliedColors = new Map(); // regionId -> cor
+    this.clickLogs = []; // Mesmo formato dos logs do SVGCanvas
+
+    this.keyboardCursor = null; // {x, y} em pixels do bitmap
+    this.cursorElement = null;
+  }
+
+  /**
+   * Carrega uma imagem de traço (PNG, JPG ou SVG)
+   * @param {string} url - URL da imagem
+   * @returns {Promise<void>}
+   */
+  async loadImage(url) {
+    try {
+      if (!url || typeof url !== 'string') {
+        throw new Error('URL da imagem inválida');
+      }
+
+      this.imageUrl = url;
+      this.renderLoading();
+
+      const image = await this.fetchImage(url);
+      this.lineArt = this.rasterize(image);
+      this.width = this.lineArt.width;
+      this.height = this.lineArt.height;
+      this.colorPixels = new Uint8ClampedArray(this.width * this.height * 4).fill(255);
+      this.regionMasks.clear();
+      this.appliedColors.clear();
+
+      this.render();
+      this.replayHistory();
+      this.attachEventListeners();
+    } catch (error) {
+      console.error('Erro ao carregar imagem:', error);
+      this.renderError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica se há um desenho carregado
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.lineArt !== null;
+  }
+
+  /**
+   * Carrega a imagem via elemento <img>
+   * @param {string} url - URL da imagem
+   * @returns {Promise<HTMLImageElement>}
+   * @private
+   */
+  fetchImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new DrawingLoadError(url, new Error('Imagem não pôde ser carregada')));
+      image.src = url;
+    });
+  }
+
+  /**
+   * Desenha a imagem sobre fundo branco no tamanho de trabalho e lê os pixels
+   * @param {HTMLImageElement} image - Imagem carregada
+   * @returns {import('../utils/floodFill.js').PixelData}
+   * @private
+   */
+  rasterize(image) {
+    const naturalWidth = image.naturalWidth || image.width || MAX_CANVAS_SIDE;
+    const naturalHeight = image.naturalHeight || image.height || MAX_CANVAS_SIDE;
+    const scale = Math.min(1, MAX_CANVAS_SIDE / Math.max(naturalWidth, naturalHeight));
+    const width = Math.max(1, Math.round(naturalWidth * scale));
+    const height = Math.max(1, Math.round(naturalHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    if (!context) {
+      throw new Error('Canvas 2D não suportado neste navegador');
+    }
+
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+
+    const { data } = context.getImageData(0, 0, width, height);
+    return { data, width, height };
+  }
+
+  /**
+   * Renderiza o estado de loading
+   * @private
+   */
+  renderLoading() {
+    this.container.innerHTML = '';
+    this.container.appendChild(createLoadingPlaceholder('Carregando desenho...'));
+  }
+
+  /**
+   * Renderiza mensagem de erro
+   * @param {Error} error - Erro ocorrido
+   * @private
+   */
+  renderError(error) {
+    this.container.innerHTML = '';
+
+    errorLogger.log(error, {
+      component: 'FloodFillCanvas',
+      imageUrl: this.imageUrl
+    });
+
+    this.container.appendChild(createErrorPlaceholder(
+      error.message || 'Erro ao carregar desenho',
+      {
+        showRetry: false,
+        className: 'svg-canvas-error'
+      }
+    ));
+  }
+
+  /**
+   * Renderiza as camadas (cor embaixo, traço por cima) no container
+   */
+  render() {
+    if (!this.lineArt) {
+      return;
+    }
+
+    this.container.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'flood-fill-canvas';
+    wrapper.setAttribute('role', 'application');
+    wrapper.setAttribute('aria-label', 'Desenho para colorir. Toque em uma parte para pintar, ou use as setas e Enter');
+    wrapper.setAttribute('tabindex', '0');
+
+    const stack = document.createElement('div');
+    stack.className = 'flood-fill-layers';
+    stack.style.aspectRatio = `${this.width} / ${this.height}`;
+
+    this.colorLayer = this.createLayerCanvas('flood-fill-color-layer');
+    this.inkLayer = this.createLayerCanvas('flood-fill-ink-layer');
+
+    const inkContext = this.inkLayer.getContext('2d');
+    if (inkContext) {
+      const inkImage = inkContext.createImageData(this.width, this.height);
+      inkImage.data.set(createInkLayer(this.lineArt));
+      inkContext.putImageData(inkImage, 0, 0);
+    }
+
+    this.cursorElement = document.createElement('div');
+    this.cursorElement.className = 'flood-fill-cursor';
+    this.cursorElement.setAttribute('aria-hidden', 'true');
+    this.cursorElement.hidden = true;
+
+    stack.appendChild(this.colorLayer);
+    stack.appendChild(this.inkLayer);
+    stack.appendChild(this.cursorElement);
+    wrapper.appendChild(stack);
+    this.container.appendChild(wrapper);
+
+    this.drawColorLayer();
+  }
+
+  /**
+   * Cria um <canvas> de camada no tamanho do bitmap de trabalho
+   * @param {string} className - Classe CSS
+   * @returns {HTMLCanvasElement}
+   * @private
+   */
+  createLayerCanvas(className) {
+    const canvas = document.createElement('canvas');
+    canvas.className = className;
+    canvas.width = this.width;
+    canvas.height = this.height;
+    canvas.setAttribute('aria-hidden', 'true');
+    return canvas;
+  }
+
+  /**
+   * Anexa event listeners de clique, toque e teclado
+   * @private
+   */
+  attachEventListeners() {
+    const wrapper = this.container.querySelector('.flood-fill-canvas');
+    if (!wrapper) {
+      return;
+    }
+
+    wrapper.addEventListener('click', (e) => {
+      this.handlePointer(e.clientX, e.clientY);
+    });
+
+    wrapper.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      const touch = e.touches[0];
+      if (touch) {
+        this.handlePointer(touch.clientX, touch.clientY);
+      }
+    });
+
+    wrapper.addEventListener('keydown', (e) => this.handleKeydown(e));
+    wrapper.addEventListener('blur', () => this.hideCursor());
+  }
+
+  /**
+   * Converte coordenadas da tela em pixels do bitmap e pinta
+   * @param {number} clientX - Coordenada X na janela
+   * @param {number} clientY - Coordenada Y na janela
+   * @private
+   */
+  handlePointer(clientX, clientY) {
+    if (!this.inkLayer) {
+      return;
+    }
+
+    const rect = this.inkLayer.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return;
+    }
+
+    const x = (clientX - rect.left) * (this.width / rect.width);
+    const y = (clientY - rect.top) * (this.height / rect.height);
+    this.fillAt(x, y);
+  }
+
+  /**
+   * Move o cursor de teclado com as setas e pinta com Enter/Espaço
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (!this.lineArt) {
+      return;
+    }
+
+    const moves = {
+      ArrowLeft: [-KEYBOARD_STEP, 0],
+      ArrowRight: [KEYBOARD_STEP, 0],
+      ArrowUp: [0, -KEYBOARD_STEP],
+      ArrowDown: [0, KEYBOARD_STEP]
+    };
+
+    if (!this.keyboardCursor) {
+      this.keyboardCursor = { x: Math.floor(this.width / 2), y: Math.floor(this.height / 2) };
+    }
+
+    if (moves[event.key]) {
+      event.preventDefault();
+      const [dx, dy] = moves[event.key];
+      this.keyboardCursor = {
+        x: Math.min(this.width - 1, Math.max(0, this.keyboardCursor.x + dx)),
+        y: Math.min(this.height - 1, Math.max(0, this.keyboardCursor.y + dy))
+      };
+      this.showCursor();
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      this.showCursor();
+      this.fillAt(this.keyboardCursor.x, this.keyboardCursor.y);
+    }
+  }
+
+  /**
+   * Exibe o cursor de teclado na posição atual
+   * @private
+   */
+  showCursor() {
+    if (!this.cursorElement || !this.keyboardCursor) {
+      return;
+    }
+
+    this.cursorElement.hidden = false;
+    this.cursorElement.style.left = `${(this.keyboardCursor.x / this.width) * 100}%`;
+    this.cursorElement.style.top = `${(this.keyboardCursor.y / this.height) * 100}%`;
+  }
+
+  /**
+   * Oculta o cursor de teclado
+   * @private
+   */
+  hideCursor() {
+    if (this.cursorElement) {
+      this.cursorElement.hidden = true;
+    }
+  }
+
+  /**
+   * Pinta a região que contém o ponto com a cor selecionada
+   * Toques sobre o traço são ignorados
+   * @param {number} x - Coordenada X em pixels do bitmap
+   * @param {number} y - Coordenada Y em pixels do bitmap
+   * @returns {string|null} ID da região pintada ou null
+   */
+  fillAt(x, y) {
+    if (!this.lineArt || !this.selectedColor) {
+      return null;
+    }
+
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (px < 0 || py < 0 || px >= this.width || py >= this.height) {
+      return null;
+    }
+
+    if (getLuminance(this.lineArt.data, py * this.width + px) < INK_LUMINANCE) {
+      this.logClick({ success: false, misclick: true, reason: 'Clique sobre o traço' });
+      this.audioService.play('miss');
+      return null;
+    }
+
+    const region = floodFillRegion(this.lineArt, px, py, this.tolerance);
+    if (region.length === 0) {
+      return null;
+    }
+
+    // O primeiro pixel identifica a região de forma estável entre sessões
+    const regionId = `${REGION_PREFIX}${region[0]}`;
+    this.regionMasks.set(regionId, region);
+
+    this.applyColorToArea(regionId, this.selectedColor);
+    this.logClick({ expectedAreaId: regionId, success: true, appliedColor: this.selectedColor });
+    return regionId;
+  }
+
+  /**
+   * Aplica cor a uma região
+   * @param {string} regionId - ID da região (region-N)
+   * @param {string} color - Cor hexadecimal
+   */
+  applyColorToArea(regionId, color) {
+    if (!this.lineArt || !regionId || !color) {
+      return;
+    }
+
+    const previous = this.appliedColors.get(regionId) || null;
+    if (previous === color) {
+      return;
+    }
+
+    this.setRegionColor(regionId, color);
+    this.drawColorLayer();
+
+    this.history.record({
+      type: 'color',
+      changes: [{
+        areaId: regionId,
+        before: { fill: previous, color: previous },
+        after: { fill: color, color }
+      }],
+      timestamp: Date.now()
+    });
+
+    this.audioService.play('success');
+
+    this.onAreaClick(regionId, color);
+  }
+
+  /**
+   * Define a cor selecionada
+   * @param {string} color - Cor hexadecimal
+   */
+  setSelectedColor(color) {
+    this.selectedColor = color;
+  }
+
+  /**
+   * Retorna a cor selecionada
+   * @returns {string} Cor hexadecimal
+   */
+  getSelectedColor() {
+    return this.selectedColor;
+  }
+
+  /**
+   * Limpa todas as cores aplicadas
+   */
+  clearAllColors() {
+    this.replaceAllColors('clear', {});
+  }
+
+  /**
+   * Substitui todas as cores pelas de um desenho salvo
+   * Registrado no histórico como uma única ação
+   * @param {Object<string, string>} coloredAreas - Mapa regionId -> cor
+   */
+  loadColors(coloredAreas) {
+    this.replaceAllColors('load', coloredAreas || {});
+  }
+
+  /**
+   * Substitui o conjunto de cores e registra as diferenças no histórico
+   * @param {'clear'|'load'} type - Tipo da ação
+   * @param {Object<string, string>} coloredAreas - Novas cores
+   * @private
+   */
+  replaceAllColors(type, coloredAreas) {
+    if (!this.lineArt) {
+      return;
+    }
+
+    const regionIds = new Set([...this.appliedColors.keys(), ...Object.keys(coloredAreas)]);
+    const changes = [];
+
+    regionIds.forEach(regionId => {
+      const before = this.appliedColors.get(regionId) || null;
+      const after = coloredAreas[regionId] || null;
+      if (before !== after) {
+        changes.push({
+          areaId: regionId,
+          before: { fill: before, color: before },
+          after: { fill: after, color: after }
+        });
+      }
+    });
+
+    this.applyAreaStates(changes, 'after');
+    this.history.record({ type, changes, timestamp: Date.now() });
+  }
+
+  /**
+   * Aplica um lado ('before' ou 'after') das alterações de uma ação
+   * @param {import('../state/CommandHistory.js').AreaChange[]} changes - Alterações
+   * @param {'before'|'after'} side - Estado a aplicar
+   * @private
+   */
+  applyAreaStates(changes, side) {
+    changes.forEach(change => {
+      this.setRegionColor(change.areaId, change[side].color);
+    });
+    this.drawColorLayer();
+  }
+
+  /**
+   * Atualiza a camada de uma região na camada de cor composta
+   * @param {string} regionId - ID da região
+   * @param {string|null} color - Cor ou null para remover
+   * @private
+   */
+  setRegionColor(regionId, color) {
+    const region = this.getRegionMask(regionId);
+    const rgb = color ? hexToRgb(color) : null;
+
+    if (region) {
+      paintRegion(this.colorPixels, region, rgb || { r: 255, g: 255, b: 255 });
+    }
+
+    if (color) {
+      this.appliedColors.set(regionId, color);
+    } else {
+      this.appliedColors.delete(regionId);
+    }
+  }
+
+  /**
+   * Obtém (ou recalcula a partir do primeiro pixel) a máscara de uma região
+   * @param {string} regionId - ID da região
+   * @returns {Uint32Array|null}
+   * @private
+   */
+  getRegionMask(regionId) {
+    if (this.regionMasks.has(regionId)) {
+      return this.regionMasks.get(regionId);
+    }
+
+    const pixelIndex = Number(String(regionId).slice(REGION_PREFIX.length));
+    if (!String(regionId).startsWith(REGION_PREFIX) || !Number.isInteger(pixelIndex) ||
+        pixelIndex < 0 || pixelIndex >= this.width * this.height) {
+      return null;
+    }
+
+    const region = floodFillRegion(
+      this.lineArt,
+      pixelIndex % this.width,
+      Math.floor(pixelIndex / this.width),
+      this.tolerance
+    );
+    this.regionMasks.set(regionId, region);
+    return region;
+  }
+
+  /**
+   * Copia a camada de cor composta para o <canvas> visível
+   * @private
+   */
+  drawColorLayer() {
+    const context = this.colorLayer?.getContext('2d');
+    if (!context) {
+      return;
+    }
+
+    const image = context.createImageData(this.width, this.height);
+    image.data.set(this.colorPixels);
+    context.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Desfaz a última ação de pintura
+   * @returns {import('../state/CommandHistory.js').HistoryAction|null} Ação desfeita
+   */
+  undo() {
+    if (!this.lineArt) {
+      return null;
+    }
+
+    const action = this.history.undo();
+    if (action) {
+      this.applyAreaStates(action.changes, 'before');
+    }
+    return action;
+  }
+
+  /**
+   * Refaz a última ação desfeita
+   * @returns {import('../state/CommandHistory.js').HistoryAction|null} Ação refeita
+   */
+  redo() {
+    if (!this.lineArt) {
+      return null;
+    }
+
+    const action = this.history.redo();
+    if (action) {
+      this.applyAreaStates(action.changes, 'after');
+    }
+    return action;
+  }
+
+  /**
+   * Reaplica as ações do histórico em uma imagem recém-carregada
+   * @private
+   */
+  replayHistory() {
+    this.history.getActions().forEach(action => {
+      action.changes.forEach(change => this.setRegionColor(change.areaId, change.after.color));
+    });
+    this.drawColorLayer();
+  }
+
+  /**
+   * Retorna o histórico de desfazer/refazer
+   * @returns {CommandHistory}
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Retorna a cor aplicada em uma região
+   * @param {string} regionId - ID da região
+   * @returns {string|null}
+   */
+  getAreaColor(regionId) {
+    return this.appliedColors.get(regionId) || null;
+  }
+
+  /**
+   * Registra um toque no desenho
+   * @param {Object} logData - Dados do toque (ver ClickEventLog no SVGCanvas)
+   * @private
+   */
+  logClick(logData) {
+    this.clickLogs.push({
+      timestamp: Date.now(),
+      expectedAreaId: null,
+      appliedColor: null,
+      misclick: false,
+      ...logData
+    });
+  }
+
+  /**
+   * Retorna uma cópia dos logs de toques
+   * @returns {Array<import('./SVGCanvas.js').ClickEventLog>}
+   */
+  getClickLogs() {
+    return [...this.clickLogs];
+  }
+
+  /**
+   * Limpa os logs de toques
+   */
+  clearClickLogs() {
+    this.clickLogs = [];
+  }
+
+  /**
+   * Retorna todas as cores aplicadas
+   * @returns {Map<string, string>} Mapa de regionId -> cor
+   */
+  getAllAppliedColors() {
+    return new Map(this.appliedColors);
+  }
+
+  /**
+   * Retorna as regiões pintadas (as regiões só existem depois do primeiro toque)
+   * @returns {Array<{id: string}>}
+   */
+  getColorableAreas() {
+    return Array.from(this.appliedColors.keys()).map(id => ({ id }));
+  }
+
+  /**
+   * Obtém o desenho pintado como SVG com a imagem composta embutida
+   * Mantém compatível o salvamento, a exportação e a impressão feitos a partir do SVGCanvas
+   * @returns {string|null} Conteúdo SVG ou null se não disponível
+   */
+  getSVGContent() {
+    if (!this.lineArt || !this.colorLayer || !this.inkLayer) {
+      return null;
+    }
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = this.width;
+      canvas.height = this.height;
+
+      const context = canvas.getContext('2d');
+      if (!context) {
+        return null;
+      }
+
+      context.drawImage(this.colorLayer, 0, 0);
+      context.drawImage(this.inkLayer, 0, 0);
+
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+        `viewBox="0 0 ${this.width} ${this.height}">` +
+        `<image width="${this.width}" height="${this.height}" href="${canvas.toDataURL('image/png')}"/>` +
+        '</svg>';
+    } catch (error) {
+      console.error('Erro ao obter conteúdo do desenho:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Destrói o componente
+   */
+  destroy() {
+    this.container.innerHTML = '';
+    this.lineArt = null;
+    this.colorPixels = null;
+    this.colorLayer = null;
+    this.inkLayer = null;
+    this.cursorElement = null;
+    this.regionMasks.clear();
+    this.appliedColors.clear();
+  }
+}
+
+export default FloodFillCanvas;
@@ -1,4 +1,8 @@
 import LoaderService from '../services/LoaderService.js';
+import AutosaveService from '../services/AutosaveService.js';
+import UserDrawingService from '../services/UserDrawingService.js';
+import ProfileService from '../services/ProfileService.js';
+import OfflineService from '../services/OfflineService.js';
 import { createErrorPlaceholder, createLoadingPlaceholder, errorLogger } from '../utils/errorHandling.js';
 
 /**
@@ -10,8 +14,11 @@ export class Gallery {
    * @param {Object} options - Opções de configuração
    * @param {HTMLElement} options.container - Container onde a galeria será renderizada
    * @param {Function} options.onDrawingSelect - Callback quando um desenho é selecionado
+   * @param {Function} [options.onDrawingPrint] - Callback para imprimir o desenho em branco (exibe o botão de imprimir)
+   * @param {Function} [options.onProfileSwitch] - Callback para trocar de perfil (exibe o seletor de perfil no cabeçalho)
+   * @param {Function} [options.onReportOpen] - Callback para abrir o relatório de atividades (exibe o botão no cabeçalho)
    */
-  constructor({ container, onDrawingSelect }) {
+  constructor({ container, onDrawingSelect, onDrawingPrint = null, onProfileSwitch = null, onReportOpen = null }) {
     if (!container || typeof container.appendChild !== 'function') {
       throw new Error('Container inválido para Gallery');
     }
@@ -22,9 +29,16 @@ export class Gallery {
 
     this.container = container;
     this.onDrawingSelect = onDrawingSelect;
+    this.onDrawingPrint = onDrawingPrint;
+    this.onProfileSwitch = onProfileSwitch;
+    this.onReportOpen = onReportOpen;
     this.categories = [];
     this.lazyLoadObserver = null;
     this.loaderService = LoaderService;
+    this.autosaveService = AutosaveService;
+    this.userDrawingService = UserDrawingService;
+    this.profileService = ProfileService;
+    this.offlineService = OfflineService;
   }
 
   /**
@@ -44,6 +58,12 @@ export class Gallery {
 
       // Configurar lazy loading
       this.setupLazyLoading();
+
+      // Mostrar quais categorias já funcionam sem internet
+      this.refreshOfflineStatus();
+
+      // Voltar para a última categoria usada pelo perfil
+      this.scrollToCategory(this.profileService.getPreference('lastSelectedCategory'));
     } catch (error) {
       console.error('Erro ao inicializar galeria:', error);
       this.renderError(error);
@@ -98,6 +118,17 @@ export class Gallery {
     galleryElement.setAttribute('role', 'main');
     galleryElement.setAttribute('aria-label', 'Galeria de desenhos para colorir');
 
+    // Cabeçalho com o perfil ativo e o relatório de atividades
+    const activeProfile = this.profileService.getActiveProfile();
+    if ((this.onProfileSwitch && activeProfile) || this.onReportOpen) {
+      galleryElement.appendChild(this.renderHeader(activeProfile));
+    }
+
+    // Importação de desenhos próprios (requer IndexedDB)
+    if (this.userDrawingService.isAvailable()) {
+      galleryElement.appendChild(this.renderToolbar());
+    }
+
     // Renderizar cada categoria
     this.categories.forEach(category => {
       if (category.drawings && category.drawings.length > 0) {
@@ -129,6 +160,11 @@ export class Gallery {
     header.textContent = category.name;
     categoryElement.appendChild(header);
 
+    // Baixar a categoria para uso sem internet (requer service worker)
+    if (this.offlineService.isAvailable() && this.offlineService.getDownloadableDrawings(category).length > 0) {
+      categoryElement.appendChild(this.renderOfflineControls(category));
+    }
+
     // Grid de desenhos
     const grid = document.createElement('div');
     grid.className = 'gallery-grid';
@@ -145,6 +181,150 @@ export class Gallery {
     return categoryElement;
   }
 
+  /**
+   * Renderiza o botão "baixar para usar sem internet" de uma categoria
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @returns {HTMLElement} Elemento com o botão e a situação da categoria
+   * @private
+   */
+  renderOfflineControls(category) {
+    const controls = document.createElement('div');
+    controls.className = 'gallery-category-offline';
+
+    const button = document.createElement('button');
+    button.className = 'gallery-category-offline-button';
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', `Baixar ${category.name} para usar sem internet`);
+    button.innerHTML = '<span aria-hidden="true">⬇️</span> Baixar para usar sem internet';
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', () => {
+      this.handleDownloadCategory(category);
+    });
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this.handleDownloadCategory(category);
+    });
+
+    const status = document.createElement('span');
+    status.className = 'gallery-category-offline-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    controls.appendChild(button);
+    controls.appendChild(status);
+
+    return controls;
+  }
+
+  /**
+   * Baixa todos os desenhos de uma categoria, mostrando o progresso
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @returns {Promise<import('../services/OfflineService.js').OfflineStatus|null>} Situação final ou null em caso de erro
+   */
+  async handleDownloadCategory(category) {
+    const button = this.getOfflineElement(category, '.gallery-category-offline-button');
+    if (!button || button.disabled) {
+      return null;
+    }
+
+    if (!this.offlineService.isOnline()) {
+      this.showOfflineStatus(category, 'Conecte-se à internet para baixar.', 'error');
+      return null;
+    }
+
+    button.disabled = true;
+    this.showOfflineStatus(category, 'Baixando...', 'info');
+
+    try {
+      const status = await this.offlineService.downloadCategory(category, ({ done, total }) => {
+        this.showOfflineStatus(category, `Baixando ${done} de ${total}...`, 'info');
+      });
+
+      this.updateOfflineStatus(category, status);
+      if (status.cached < status.total) {
+        this.showOfflineStatus(category, `Só ${status.cached} de ${status.total} desenhos foram baixados. Tente de novo.`, 'error');
+      }
+      return status;
+    } catch (error) {
+      errorLogger.log(error, { component: 'Gallery', phase: 'offline-download', categoryId: category.id });
+      this.showOfflineStatus(category, 'Não foi possível baixar. Tente de novo.', 'error');
+      return null;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Atualiza a situação offline de todas as categorias renderizadas
+   * @returns {Promise<void>}
+   */
+  async refreshOfflineStatus() {
+    if (!this.offlineService.isAvailable()) {
+      return;
+    }
+
+    await Promise.all(this.categories.map(async category => {
+      if (this.getOfflineElement(category, '.gallery-category-offline-button')) {
+        this.updateOfflineStatus(category, await this.offlineService.getCategoryStatus(category));
+      }
+    }));
+  }
+
+  /**
+   * Mostra quantos desenhos da categoria funcionam sem internet
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @param {import('../services/OfflineService.js').OfflineStatus} status - Situação da categoria
+   * @private
+   */
+  updateOfflineStatus(category, { cached, total }) {
+    const controls = this.getOfflineElement(category, '.gallery-category-offline');
+    if (!controls) {
+      return;
+    }
+
+    const complete = total > 0 && cached === total;
+    controls.classList.toggle('offline-ready', complete);
+
+    if (complete) {
+      this.showOfflineStatus(category, '✅ Disponível sem internet', 'success');
+    } else if (cached > 0) {
+      this.showOfflineStatus(category, `${cached} de ${total} desenhos disponíveis sem internet`, 'info');
+    } else {
+      this.showOfflineStatus(category, '', 'info');
+    }
+  }
+
+  /**
+   * Exibe a situação offline de uma categoria
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @param {string} message - Mensagem
+   * @param {'info'|'success'|'error'} type - Tipo da mensagem
+   * @private
+   */
+  showOfflineStatus(category, message, type) {
+    const status = this.getOfflineElement(category, '.gallery-category-offline-status');
+    if (!status) {
+      return;
+    }
+
+    status.textContent = message;
+    status.className = `gallery-category-offline-status gallery-category-offline-status-${type}`;
+  }
+
+  /**
+   * Busca um elemento dos controles offline de uma categoria
+   * @private
+   */
+  getOfflineElement(category, selector) {
+    return this.container.querySelector(`.gallery-category[data-category-id="${category.id}"] ${selector}`);
+  }
+
   /**
    * Renderiza um desenho individual
    * @param {import('../models/Drawing.js').Drawing} drawing - Desenho a renderizar
@@ -161,7 +341,6 @@ export class Gallery {
     const button = document.createElement('button');
     button.className = 'gallery-item-button';
     button.setAttribute('type', 'button');
-    button.setAttribute('aria-label', `Colorir ${drawing.name}`);
     
     // Garantir tamanho mínimo de 44x44px
     button.style.minWidth = '44px';
@@ -188,6 +367,9 @@ export class Gallery {
     name.setAttribute('aria-hidden', 'true'); // Já incluído no aria-label
     button.appendChild(name);
 
+    // Selo de desenho em andamento e aria-label correspondente
+    this.updateProgressBadge(drawingElement, button, drawing);
+
     // Event listener para seleção
     button.addEventListener('click', () => {
       this.handleDrawingClick(drawing);
@@ -209,9 +391,355 @@ export class Gallery {
 
     drawingElement.appendChild(button);
 
+    if (this.onDrawingPrint) {
+      drawingElement.appendChild(this.createPrintButton(drawing));
+    }
+
+    if (this.userDrawingService.isUserDrawing(drawing)) {
+      drawingElement.appendChild(this.createDeleteButton(drawing));
+    }
+
     return drawingElement;
   }
 
+  /**
+   * Renderiza o cabeçalho da galeria com o seletor de perfil e o botão de relatório
+   * @param {import('../services/ProfileService.js').Profile|null} profile - Perfil ativo
+   * @returns {HTMLElement} Elemento do cabeçalho
+   * @private
+   */
+  renderHeader(profile) {
+    const header = document.createElement('div');
+    header.className = 'gallery-header';
+
+    if (this.onProfileSwitch && profile) {
+      const button = this.createHeaderButton('gallery-profile-switcher', () => this.onProfileSwitch());
+      button.setAttribute('aria-label', `Perfil: ${profile.name}. Trocar de perfil`);
+
+      const avatar = document.createElement('span');
+      avatar.className = 'gallery-profile-avatar';
+      avatar.setAttribute('aria-hidden', 'true');
+      avatar.textContent = profile.avatar;
+
+      const name = document.createElement('span');
+      name.className = 'gallery-profile-name';
+      name.setAttribute('aria-hidden', 'true'); // Já incluído no aria-label
+      name.textContent = profile.name;
+
+      const hint = document.createElement('span');
+      hint.className = 'gallery-profile-hint';
+      hint.setAttribute('aria-hidden', 'true');
+      hint.textContent = 'Trocar';
+
+      button.appendChild(avatar);
+      button.appendChild(name);
+      button.appendChild(hint);
+      header.appendChild(button);
+    }
+
+    if (this.onReportOpen) {
+      const button = this.createHeaderButton('gallery-report-button', () => this.onReportOpen());
+      button.setAttribute('aria-label', 'Relatório de atividades');
+      button.textContent = '📊 Relatório';
+      header.appendChild(button);
+    }
+
+    return header;
+  }
+
+  /**
+   * Cria um botão do cabeçalho com área de toque mínima de 44x44px
+   * @param {string} className - Classe do botão
+   * @param {Function} handler - Ação do botão
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  createHeaderButton(className, handler) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.setAttribute('type', 'button');
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', handler);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      handler();
+    });
+
+    return button;
+  }
+
+  /**
+   * Rola a galeria até uma categoria
+   * @param {string|null} categoryId - ID da categoria
+   * @returns {boolean} True se a categoria foi encontrada
+   */
+  scrollToCategory(categoryId) {
+    if (!categoryId) {
+      return false;
+    }
+
+    const categoryElement = this.container.querySelector(
+      `.gallery-category[data-category-id="${categoryId}"]`
+    );
+    if (!categoryElement) {
+      return false;
+    }
+
+    if (typeof categoryElement.scrollIntoView === 'function') {
+      categoryElement.scrollIntoView({ block: 'start' });
+    }
+    return true;
+  }
+
+  /**
+   * Renderiza a barra de ferramentas da galeria
+   * @returns {HTMLElement} Elemento da barra
+   * @private
+   */
+  renderToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'gallery-toolbar';
+
+    // Seletor de arquivo oculto, acionado pelo botão
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.svg,image/svg+xml';
+    fileInput.className = 'gallery-import-input';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = '';
+      if (file) {
+        this.handleImportFile(file);
+      }
+    });
+
+    const button = document.createElement('button');
+    button.className = 'gallery-import-button';
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', 'Adicionar meu desenho a partir de um arquivo SVG');
+    button.innerHTML = '<span aria-hidden="true">➕</span> Adicionar meu desenho';
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      fileInput.click();
+    });
+
+    const status = document.createElement('p');
+    status.className = 'gallery-import-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    toolbar.appendChild(button);
+    toolbar.appendChild(fileInput);
+    toolbar.appendChild(status);
+
+    return toolbar;
+  }
+
+  /**
+   * Importa um arquivo SVG para "Meus Desenhos" e atualiza a galeria
+   * @param {File} file - Arquivo escolhido
+   * @returns {Promise<import('../models/Drawing.js').Drawing|null>} Desenho importado ou null em caso de erro
+   */
+  async handleImportFile(file) {
+    this.showImportStatus('Preparando desenho...', 'info');
+
+    try {
+      const drawing = await this.userDrawingService.importSVGFile(file);
+
+      await this.reloadCategories();
+      this.showImportStatus(`"${drawing.name}" foi adicionado em Meus Desenhos.`, 'success');
+
+      // Levar o foco ao novo desenho
+      const button = this.container.querySelector(
+        `.gallery-item[data-drawing-id="${drawing.id}"] .gallery-item-button`
+      );
+      if (button) {
+        button.focus();
+      }
+
+      return drawing;
+    } catch (error) {
+      errorLogger.log(error, { component: 'Gallery', phase: 'import', fileName: file.name });
+      this.showImportStatus(error.message || 'Não foi possível adicionar o desenho.', 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Cria o botão para remover um desenho importado pelo usuário
+   * @param {Object} drawing - Dados do desenho
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  createDeleteButton(drawing) {
+    const button = document.createElement('button');
+    button.className = 'gallery-item-delete';
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', `Remover ${drawing.name} de Meus Desenhos`);
+    button.setAttribute('title', 'Remover desenho');
+    button.textContent = '🗑️';
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', () => {
+      this.handleDeleteDrawing(drawing);
+    });
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this.handleDeleteDrawing(drawing);
+    });
+
+    return button;
+  }
+
+  /**
+   * Remove um desenho importado após confirmação
+   * @param {Object} drawing - Dados do desenho
+   * @returns {Promise<boolean>} True se o desenho foi removido
+   */
+  async handleDeleteDrawing(drawing) {
+    if (!window.confirm(`Remover "${drawing.name}" de Meus Desenhos?`)) {
+      return false;
+    }
+
+    try {
+      await this.userDrawingService.deleteDrawing(drawing.id);
+      this.autosaveService.clearProgress(drawing.id);
+      await this.reloadCategories();
+      this.showImportStatus(`"${drawing.name}" foi removido.`, 'success');
+      return true;
+    } catch (error) {
+      errorLogger.log(error, { component: 'Gallery', phase: 'delete', drawingId: drawing.id });
+      this.showImportStatus('Não foi possível remover o desenho.', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Recarrega as categorias e renderiza a galeria novamente
+   * @private
+   */
+  async reloadCategories() {
+    this.categories = await this.loaderService.loadDrawingsGroupedByCategory();
+    this.render();
+    this.setupLazyLoading();
+    this.refreshOfflineStatus();
+  }
+
+  /**
+   * Exibe mensagem de status da importação
+   * @param {string} message - Mensagem
+   * @param {'info'|'success'|'error'} type - Tipo da mensagem
+   * @private
+   */
+  showImportStatus(message, type) {
+    const status = this.container.querySelector('.gallery-import-status');
+    if (!status) {
+      return;
+    }
+
+    status.textContent = message;
+    status.className = `gallery-import-status gallery-import-status-${type}`;
+  }
+
+  /**
+   * Cria o botão para imprimir o desenho em branco
+   * @param {Object} drawing - Dados do desenho
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  createPrintButton(drawing) {
+    const button = document.createElement('button');
+    button.className = 'gallery-item-print';
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', `Imprimir ${drawing.name} para colorir no papel`);
+    button.setAttribute('title', 'Imprimir em branco');
+    button.textContent = '🖨️';
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', () => {
+      this.onDrawingPrint(drawing);
+    });
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this.onDrawingPrint(drawing);
+    });
+
+    return button;
+  }
+
+  /**
+   * Atualiza os selos de "continuar" de todos os desenhos renderizados
+   * Deve ser chamado ao voltar para a galeria, pois o progresso pode ter mudado
+   */
+  refreshProgressBadges() {
+    this.categories.forEach(category => {
+      category.drawings.forEach(drawing => {
+        const drawingElement = this.container.querySelector(
+          `.gallery-item[data-drawing-id="${drawing.id}"]`
+        );
+        if (drawingElement) {
+          const button = drawingElement.querySelector('.gallery-item-button');
+          this.updateProgressBadge(drawingElement, button, drawing);
+        }
+      });
+    });
+  }
+
+  /**
+   * Exibe ou remove o selo de progresso salvo de um desenho
+   * @param {HTMLElement} drawingElement - Item da galeria
+   * @param {HTMLButtonElement} button - Botão do item
+   * @param {Object} drawing - Dados do desenho
+   * @private
+   */
+  updateProgressBadge(drawingElement, button, drawing) {
+    const inProgress = this.autosaveService.hasProgress(drawing.id);
+    const existingBadge = button.querySelector('.gallery-item-badge');
+
+    drawingElement.classList.toggle('in-progress', inProgress);
+    button.setAttribute(
+      'aria-label',
+      inProgress ? `Colorir ${drawing.name} - continuar desenho` : `Colorir ${drawing.name}`
+    );
+
+    if (inProgress && !existingBadge) {
+      const badge = document.createElement('span');
+      badge.className = 'gallery-item-badge';
+      badge.textContent = '▶ Continuar';
+      badge.setAttribute('aria-hidden', 'true'); // Já incluído no aria-label
+      button.appendChild(badge);
+    } else if (!inProgress && existingBadge) {
+      existingBadge.remove();
+    }
+  }
+
   /**
    * Manipula clique em um desenho
    * @param {import('../models/Drawing.js').Drawing} drawing - Desenho clicado
@@ -259,6 +787,22 @@ export class Gallery {
     return Array.from(items).map(item => item.dataset.drawingId);
   }
 
+  /**
+   * Retorna o desenho seguinte na ordem da galeria (voltando ao primeiro depois do último)
+   * @param {string} drawingId - ID do desenho atual
+   * @returns {import('../models/Drawing.js').Drawing|null} Próximo desenho ou null se não houver outro
+   */
+  getNextDrawing(drawingId) {
+    const drawings = this.categories.flatMap(category => category.drawings || []);
+    if (drawings.length === 0) {
+      return null;
+    }
+
+    const index = drawings.findIndex(drawing => drawing.id === drawingId);
+    const next = drawings[(index + 1) % drawings.length];
+    return next.id === drawingId ? null : next;
+  }
+
   /**
    * Retorna todas as categorias carregadas
    * @returns {Array<import('../models/Category.js').Category>} Categorias
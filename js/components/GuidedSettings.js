@@ -0,0 +1,139 @@
+/**
+ * Nomes das ordens e dificuldades do passo a passo
+ */
+const ORDER_NAMES = {
+  drawing: 'Ordem do desenho',
+  'largest-first': 'Áreas maiores primeiro'
+};
+
+const DIFFICULTY_NAMES = {
+  facil: 'Fácil (outras áreas bem apagadas)',
+  medio: 'Médio',
+  dificil: 'Difícil (outras áreas pouco apagadas)'
+};
+
+/**
+ * Componente de configuração do passo a passo
+ * Painel usado pelo terapeuta ou responsável para escolher a ordem das áreas, a
+ * dificuldade e se os toques em outras áreas são tolerados
+ */
+export class GuidedSettings {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {Object} options.settings - Configuração atual (ver DEFAULT_GUIDED_SETTINGS)
+   * @param {Function} options.onChange - Callback com os campos alterados
+   */
+  constructor({ settings, onChange }) {
+    this.settings = { ...settings };
+    this.onChange = onChange || (() => {});
+
+    this.element = this.createPanel();
+    this.update();
+  }
+
+  /**
+   * Cria o painel
+   * @returns {HTMLElement}
+   * @private
+   */
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'guided-settings';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', 'Configuração do passo a passo');
+
+    this.orderSelect = this.createSelect('guided-order', 'Ordem', Object.entries(ORDER_NAMES),
+      (value) => this.change({ order: value }));
+
+    this.difficultySelect = this.createSelect('guided-difficulty', 'Dificuldade', Object.entries(DIFFICULTY_NAMES),
+      (value) => this.change({ difficulty: value }));
+
+    const toleranceLabel = document.createElement('label');
+    toleranceLabel.className = 'guided-settings-field guided-tolerance';
+    toleranceLabel.style.minHeight = '44px';
+
+    this.toleranceCheckbox = document.createElement('input');
+    this.toleranceCheckbox.type = 'checkbox';
+    this.toleranceCheckbox.addEventListener('change', () => {
+      this.change({ tolerateMisses: this.toleranceCheckbox.checked });
+    });
+
+    toleranceLabel.appendChild(this.toleranceCheckbox);
+    toleranceLabel.appendChild(document.createTextNode('Ignorar toques em outras áreas'));
+
+    panel.appendChild(this.orderSelect.parentNode);
+    panel.appendChild(this.difficultySelect.parentNode);
+    panel.appendChild(toleranceLabel);
+
+    return panel;
+  }
+
+  /**
+   * Cria um <select> com rótulo
+   * @param {string} id - ID do select
+   * @param {string} labelText - Rótulo
+   * @param {Array<[string, string]>} options - Pares valor/texto
+   * @param {Function} onSelect - Callback com o valor escolhido
+   * @returns {HTMLSelectElement}
+   * @private
+   */
+  createSelect(id, labelText, options, onSelect) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'guided-settings-field';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', id);
+    label.textContent = labelText;
+
+    const select = document.createElement('select');
+    select.id = id;
+    select.style.minHeight = '44px';
+
+    options.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => onSelect(select.value));
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(select);
+
+    return select;
+  }
+
+  /**
+   * Aplica e repassa uma alteração
+   * @param {Object} changes - Campos alterados
+   * @private
+   */
+  change(changes) {
+    this.settings = { ...this.settings, ...changes };
+    this.update();
+    this.onChange(changes);
+  }
+
+  /**
+   * Atualiza os controles com a configuração atual
+   * @private
+   */
+  update() {
+    const { order, difficulty, tolerateMisses } = this.settings;
+
+    this.orderSelect.value = order;
+    this.difficultySelect.value = difficulty;
+    this.toleranceCheckbox.checked = tolerateMisses;
+  }
+
+  /**
+   * Exibe ou oculta o painel
+   * @param {boolean} visible - Se o painel fica visível
+   */
+  setVisible(visible) {
+    this.element.hidden = !visible;
+  }
+}
+
+export default GuidedSettings;
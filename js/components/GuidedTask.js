@@ -0,0 +1,224 @@
+import { SVGElementExtractor } from '../utils/svg-adapter/SVGElementExtractor.js';
+
+/**
+ * Ordens do passo a passo
+ * - 'drawing': a ordem definida no catálogo (metadata.guided.areaOrder) ou a do próprio SVG
+ * - 'largest-first': das áreas maiores (mais fáceis de acertar) para as menores
+ */
+export const GUIDED_ORDERS = ['drawing', 'largest-first'];
+
+/**
+ * Dificuldades do passo a passo: quanto as outras áreas ficam apagadas e
+ * quanto a área da vez é destacada (ver svg-canvas.css)
+ */
+export const GUIDED_DIFFICULTIES = ['facil', 'medio', 'dificil'];
+
+/**
+ * Configuração padrão do passo a passo
+ * Com tolerateMisses, toques em outras áreas são ignorados em silêncio; sem ele,
+ * tocam o som de erro e contam como toque fora no relatório
+ */
+export const DEFAULT_GUIDED_SETTINGS = {
+  order: 'drawing',
+  difficulty: 'facil',
+  tolerateMisses: true
+};
+
+/**
+ * Componente do modo passo a passo
+ * Mostra uma área por vez: o canvas apaga as outras áreas e só a área da vez recebe
+ * cor. A área da vez é sempre a primeira da ordem que ainda não foi pintada (com a cor
+ * esperada, na pintura por números), então desfazer, limpar e abrir um desenho salvo
+ * levam o passo a passo junto
+ */
+export class GuidedTask {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {import('./SVGCanvas.js').SVGCanvas} options.canvas - Canvas do desenho
+   * @param {Object} [options.settings] - Configuração (ver DEFAULT_GUIDED_SETTINGS)
+   * @param {Array<string>} [options.drawingOrder] - Ordem das áreas definida no catálogo
+   * @param {Function} [options.onStep] - Callback com a nova área da vez (areaId, {done, total})
+   * @param {Function} [options.onComplete] - Callback quando todas as áreas foram pintadas
+   */
+  constructor(options = {}) {
+    if (!options.canvas) {
+      throw new Error('Canvas é obrigatório');
+    }
+
+    this.canvas = options.canvas;
+    this.drawingOrder = Array.isArray(options.drawingOrder) ? options.drawingOrder : [];
+    this.onStep = options.onStep || (() => {});
+    this.onComplete = options.onComplete || (() => {});
+    this.settings = { ...DEFAULT_GUIDED_SETTINGS };
+
+    // Estado
+    this.active = false;
+    this.order = []; // IDs das áreas na ordem do passo a passo
+    this.currentAreaId = null;
+    this.completed = false;
+
+    this.configure(options.settings);
+  }
+
+  /**
+   * Atualiza a configuração; reaplica o passo atual se estiver ativo
+   * @param {Object} [settings] - Campos a alterar
+   */
+  configure(settings = {}) {
+    const next = { ...this.settings, ...settings };
+    const orderChanged = next.order !== this.settings.order;
+
+    this.settings = {
+      order: GUIDED_ORDERS.includes(next.order) ? next.order : DEFAULT_GUIDED_SETTINGS.order,
+      difficulty: GUIDED_DIFFICULTIES.includes(next.difficulty) ? next.difficulty : DEFAULT_GUIDED_SETTINGS.difficulty,
+      tolerateMisses: typeof next.tolerateMisses === 'boolean' ? next.tolerateMisses : DEFAULT_GUIDED_SETTINGS.tolerateMisses
+    };
+
+    if (this.active) {
+      if (orderChanged) {
+        this.order = this.computeOrder();
+      }
+      this.currentAreaId = null; // Reanunciar a área da vez com a nova configuração
+      this.refresh();
+    }
+  }
+
+  /**
+   * Retorna a configuração atual
+   * @returns {Object}
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Inicia o passo a passo pela primeira área ainda não pintada
+   */
+  start() {
+    if (this.active) {
+      return;
+    }
+
+    this.active = true;
+    this.order = this.computeOrder();
+    this.currentAreaId = null;
+    this.completed = false;
+    this.refresh();
+  }
+
+  /**
+   * Para o passo a passo e devolve todas as áreas ao normal
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+    this.currentAreaId = null;
+    this.canvas.setGuidedStep(null);
+  }
+
+  /**
+   * Verifica se o passo a passo está ativo
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Área da vez
+   * @returns {string|null}
+   */
+  getCurrentAreaId() {
+    return this.active ? this.currentAreaId : null;
+  }
+
+  /**
+   * Progresso: áreas da ordem já pintadas
+   * @returns {{done: number, total: number}}
+   */
+  getProgress() {
+    return {
+      done: this.order.filter(areaId => this.isAreaDone(areaId)).length,
+      total: this.order.length
+    };
+  }
+
+  /**
+   * Recalcula a área da vez depois de uma mudança nas cores (pintar, desfazer, limpar...)
+   * Chama onStep quando a área da vez muda e onComplete quando a última área é pintada
+   */
+  refresh() {
+    if (!this.active) {
+      return;
+    }
+
+    const nextAreaId = this.order.find(areaId => !this.isAreaDone(areaId)) || null;
+
+    if (!nextAreaId) {
+      this.currentAreaId = null;
+      this.canvas.setGuidedStep(null);
+      if (!this.completed && this.order.length > 0) {
+        this.completed = true;
+        this.onComplete(this.getProgress());
+      }
+      return;
+    }
+
+    this.completed = false;
+    this.canvas.setGuidedStep(nextAreaId, {
+      difficulty: this.settings.difficulty,
+      tolerateMisses: this.settings.tolerateMisses
+    });
+
+    if (nextAreaId !== this.currentAreaId) {
+      this.currentAreaId = nextAreaId;
+      this.onStep(nextAreaId, this.getProgress());
+    }
+  }
+
+  /**
+   * Verifica se uma área já foi pintada (com a cor esperada, quando houver)
+   * @param {string} areaId - ID da área
+   * @returns {boolean}
+   * @private
+   */
+  isAreaDone(areaId) {
+    const color = this.canvas.getAreaColor(areaId);
+    return Boolean(color) && this.canvas.matchesTargetColor(areaId, color) !== false;
+  }
+
+  /**
+   * Calcula a ordem das áreas conforme a configuração
+   * @returns {Array<string>}
+   * @private
+   */
+  computeOrder() {
+    const areas = this.canvas.getColorableAreas()
+      .filter(area => area.element && area.element.getAttribute('pointer-events') !== 'none');
+    const documentOrder = areas.map(area => area.id);
+
+    if (this.settings.order === 'largest-first') {
+      const extractor = new SVGElementExtractor();
+      const sizes = new Map(areas.map(area => [area.id, extractor.calculateBounds(area.element).area]));
+      // sort estável: áreas do mesmo tamanho mantêm a ordem do desenho
+      return [...documentOrder].sort((a, b) => sizes.get(b) - sizes.get(a));
+    }
+
+    // Ordem do catálogo; áreas que ela não cita vêm depois, na ordem do desenho
+    const listed = this.drawingOrder.filter(areaId => documentOrder.includes(areaId));
+    return [...new Set([...listed, ...documentOrder])];
+  }
+
+  /**
+   * Destrói o componente
+   */
+  destroy() {
+    this.stop();
+    this.order = [];
+  }
+}
+
+export default GuidedTask;
@@ -0,0 +1,73 @@
+import offlineService from '../services/OfflineService.js';
+
+/**
+ * Componente Indicador de Conexão
+ * Faixa exibida enquanto o dispositivo está sem internet, lembrando que os desenhos
+ * já baixados continuam funcionando. Anunciada por leitores de tela ao aparecer
+ */
+export class OfflineIndicator {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {HTMLElement} [options.container] - Container onde a faixa será anexada (padrão: document.body)
+   * @param {import('../services/OfflineService.js').OfflineService} [options.offlineService] - Estado da conexão
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.offlineService = options.offlineService || offlineService;
+
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+
+    this.unsubscribe = this.offlineService.subscribe((online) => this.update(online));
+    this.update(this.offlineService.isOnline());
+  }
+
+  /**
+   * Cria a faixa
+   * @returns {HTMLElement}
+   * @private
+   */
+  createElement() {
+    const element = document.createElement('div');
+    element.className = 'offline-indicator';
+    element.setAttribute('role', 'status');
+    element.setAttribute('aria-live', 'polite');
+
+    const icon = document.createElement('span');
+    icon.className = 'offline-indicator-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '📡';
+
+    this.messageElement = document.createElement('span');
+    this.messageElement.className = 'offline-indicator-message';
+
+    element.appendChild(icon);
+    element.appendChild(this.messageElement);
+
+    return element;
+  }
+
+  /**
+   * Mostra ou esconde a faixa conforme a conexão
+   * A mensagem só é preenchida quando offline, para o leitor de tela anunciar a mudança
+   * @param {boolean} online - Se está online
+   * @private
+   */
+  update(online) {
+    this.element.hidden = online;
+    this.element.classList.toggle('show', !online);
+    this.messageElement.textContent = online
+      ? ''
+      : 'Sem internet. Os desenhos baixados continuam funcionando.';
+  }
+
+  /**
+   * Destrói o componente
+   */
+  destroy() {
+    this.unsubscribe();
+    this.element.remove();
+  }
+}
+
+export default OfflineIndicator;
@@ -0,0 +1,480 @@
+import paletteService from '../services/PaletteService.js';
+import { PALETTE_SIZES, MAX_CUSTOM_COLORS, normalizeColor } from '../models/Palette.js';
+import { getColorName } from '../utils/colorNames.js';
+import { trapTabKey } from '../utils/focusTrap.js';
+
+/**
+ * Componente Configuração da Paleta
+ * Diálogo para terapeutas e responsáveis: escolha da paleta (predefinida ou
+ * personalizada), quantidade de cores exibidas e editor de paletas com seletor de cor.
+ * As escolhas ficam no perfil ativo
+ */
+export class PaletteSettings {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {HTMLElement} [options.container] - Container onde o diálogo será anexado (padrão: document.body)
+   * @param {import('../services/PaletteService.js').PaletteService} [options.paletteService] - Paletas do perfil
+   * @param {Function} [options.onChange] - Callback quando a paleta exibida muda
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.paletteService = options.paletteService || paletteService;
+    this.onChange = options.onChange || (() => {});
+
+    // Estado
+    this.dialogElement = null;
+    this.previouslyFocused = null;
+    this.draft = { id: null, name: '', colors: [] }; // Paleta em edição
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+  }
+
+  /**
+   * Abre o diálogo
+   */
+  open() {
+    if (this.dialogElement) {
+      this.removeDialogElement();
+    }
+
+    this.previouslyFocused = document.activeElement;
+    this.draft = { id: null, name: '', colors: [] };
+
+    this.dialogElement = this.createDialog();
+    this.container.appendChild(this.dialogElement);
+    this.dialogElement.addEventListener('keydown', this.keydownHandler);
+    this.dialogElement.classList.add('show');
+
+    this.renderPalettes();
+    this.renderEditor();
+    this.dialogElement.querySelector('.palette-settings-close').focus();
+  }
+
+  /**
+   * Cria a estrutura do diálogo
+   * @returns {HTMLElement}
+   * @private
+   */
+  createDialog() {
+    const dialog = document.createElement('div');
+    dialog.className = 'palette-settings';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'palette-settings-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+    dialog.appendChild(backdrop);
+
+    const content = document.createElement('div');
+    content.className = 'palette-settings-content';
+    content.setAttribute('role', 'dialog');
+    content.setAttribute('aria-modal', 'true');
+    content.setAttribute('aria-labelledby', 'palette-settings-title');
+
+    const header = document.createElement('div');
+    header.className = 'palette-settings-header';
+
+    const title = document.createElement('h2');
+    title.className = 'palette-settings-title';
+    title.id = 'palette-settings-title';
+    title.textContent = 'Paleta de cores';
+    header.appendChild(title);
+
+    const closeButton = this.createButton('✕', 'palette-settings-close', () => this.close());
+    closeButton.setAttribute('aria-label', 'Fechar configuração da paleta');
+    header.appendChild(closeButton);
+    content.appendChild(header);
+
+    // Paletas disponíveis
+    const list = document.createElement('fieldset');
+    list.className = 'palette-list';
+    const legend = document.createElement('legend');
+    legend.textContent = 'Paleta';
+    list.appendChild(legend);
+    content.appendChild(list);
+
+    content.appendChild(this.createSizeSelect());
+
+    // Editor de paleta personalizada
+    const editor = document.createElement('fieldset');
+    editor.className = 'palette-editor';
+    content.appendChild(editor);
+
+    const message = document.createElement('p');
+    message.className = 'palette-settings-message';
+    message.setAttribute('role', 'status');
+    content.appendChild(message);
+
+    dialog.appendChild(content);
+
+    return dialog;
+  }
+
+  /**
+   * Cria o seletor da quantidade de cores exibidas
+   * @returns {HTMLElement}
+   * @private
+   */
+  createSizeSelect() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'palette-size';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', 'palette-size-select');
+    label.textContent = 'Quantidade de cores';
+
+    const select = document.createElement('select');
+    select.id = 'palette-size-select';
+    select.style.minHeight = '44px';
+
+    const currentSize = this.paletteService.getSize();
+    PALETTE_SIZES.forEach(size => {
+      const option = document.createElement('option');
+      option.value = size === null ? '' : String(size);
+      option.textContent = size === null ? 'Todas' : `${size} cores`;
+      option.selected = size === currentSize;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      this.paletteService.setSize(select.value === '' ? null : Number(select.value));
+      this.onChange();
+    });
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(select);
+
+    return wrapper;
+  }
+
+  /**
+   * Renderiza a lista de paletas, com prévia das cores
+   * @private
+   */
+  renderPalettes() {
+    const list = this.dialogElement.querySelector('.palette-list');
+    const legend = list.querySelector('legend');
+    const activeId = this.paletteService.getActivePalette().id;
+
+    const items = this.paletteService.getPalettes().map(palette => {
+      const item = document.createElement('div');
+      item.className = 'palette-option';
+      item.dataset.paletteId = palette.id;
+
+      const label = document.createElement('label');
+      label.style.minHeight = '44px';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'palette-choice';
+      radio.value = palette.id;
+      radio.checked = palette.id === activeId;
+      radio.addEventListener('change', () => this.selectPalette(palette.id));
+
+      const name = document.createElement('span');
+      name.className = 'palette-option-name';
+      name.textContent = `${palette.name} (${palette.colors.length})`;
+
+      label.appendChild(radio);
+      label.appendChild(name);
+      label.appendChild(this.createPreview(palette.colors));
+      item.appendChild(label);
+
+      if (palette.custom) {
+        const editButton = this.createButton('Editar', 'palette-edit-button', () => this.editPalette(palette));
+        editButton.setAttribute('aria-label', `Editar paleta ${palette.name}`);
+        const deleteButton = this.createButton('Excluir', 'palette-delete-button', () => this.deletePalette(palette));
+        deleteButton.setAttribute('aria-label', `Excluir paleta ${palette.name}`);
+        item.appendChild(editButton);
+        item.appendChild(deleteButton);
+      }
+
+      return item;
+    });
+
+    list.replaceChildren(legend, ...items);
+  }
+
+  /**
+   * Cria a prévia das cores de uma paleta
+   * @param {Array<string>} colors - Cores
+   * @returns {HTMLElement}
+   * @private
+   */
+  createPreview(colors) {
+    const preview = document.createElement('span');
+    preview.className = 'palette-preview';
+    preview.setAttribute('aria-hidden', 'true');
+
+    colors.forEach(color => {
+      const swatch = document.createElement('span');
+      swatch.className = 'palette-preview-swatch';
+      swatch.style.backgroundColor = color;
+      preview.appendChild(swatch);
+    });
+
+    return preview;
+  }
+
+  /**
+   * Renderiza o editor com a paleta em edição
+   * @private
+   */
+  renderEditor() {
+    const editor = this.dialogElement.querySelector('.palette-editor');
+    const editing = Boolean(this.draft.id);
+
+    const legend = document.createElement('legend');
+    legend.textContent = editing ? 'Editar paleta' : 'Nova paleta';
+
+    // Nome
+    const nameLabel = document.createElement('label');
+    nameLabel.setAttribute('for', 'palette-editor-name');
+    nameLabel.textContent = 'Nome';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.id = 'palette-editor-name';
+    nameInput.maxLength = 40;
+    nameInput.value = this.draft.name;
+    nameInput.style.minHeight = '44px';
+    nameInput.addEventListener('input', () => {
+      this.draft.name = nameInput.value;
+    });
+
+    // Seletor de cor
+    const pickerLabel = document.createElement('label');
+    pickerLabel.setAttribute('for', 'palette-editor-color');
+    pickerLabel.textContent = 'Cor';
+
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.id = 'palette-editor-color';
+    picker.value = '#ff0000';
+    picker.style.minWidth = '44px';
+    picker.style.minHeight = '44px';
+
+    const addButton = this.createButton('Adicionar cor', 'palette-add-color', () => this.addDraftColor(picker.value));
+    addButton.disabled = this.draft.colors.length >= MAX_CUSTOM_COLORS;
+
+    // Cores da paleta em edição (tocar remove)
+    const colorList = document.createElement('ul');
+    colorList.className = 'palette-editor-colors';
+    colorList.setAttribute('aria-label', 'Cores da nova paleta');
+
+    this.draft.colors.forEach(color => {
+      const item = document.createElement('li');
+      const removeButton = this.createButton('✕', 'palette-remove-color', () => this.removeDraftColor(color));
+      removeButton.style.backgroundColor = color;
+      removeButton.setAttribute('aria-label', `Remover cor ${getColorName(color)} (${color})`);
+      removeButton.dataset.color = color;
+      item.appendChild(removeButton);
+      colorList.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'palette-editor-actions';
+    actions.appendChild(this.createButton('Salvar paleta', 'palette-save-button', () => this.saveDraft()));
+    if (editing) {
+      actions.appendChild(this.createButton('Cancelar edição', 'palette-cancel-button', () => this.resetDraft()));
+    }
+
+    editor.replaceChildren(legend, nameLabel, nameInput, pickerLabel, picker, addButton, colorList, actions);
+  }
+
+  /**
+   * Ativa uma paleta
+   * @param {string} paletteId - ID da paleta
+   */
+  selectPalette(paletteId) {
+    if (this.paletteService.setActivePalette(paletteId)) {
+      this.onChange();
+    } else {
+      this.showMessage('Crie um perfil para escolher a paleta');
+      this.renderPalettes();
+    }
+  }
+
+  /**
+   * Adiciona uma cor à paleta em edição
+   * @param {string} color - Cor hexadecimal
+   */
+  addDraftColor(color) {
+    const normalized = normalizeColor(color);
+    if (!normalized || this.draft.colors.length >= MAX_CUSTOM_COLORS) {
+      return;
+    }
+
+    if (this.draft.colors.includes(normalized)) {
+      this.showMessage('Essa cor já está na paleta');
+      return;
+    }
+
+    this.draft.colors.push(normalized);
+    this.renderEditor();
+    this.showMessage(`Cor ${getColorName(normalized)} adicionada`);
+    this.dialogElement.querySelector('.palette-add-color').focus();
+  }
+
+  /**
+   * Remove uma cor da paleta em edição
+   * @param {string} color - Cor hexadecimal
+   */
+  removeDraftColor(color) {
+    this.draft.colors = this.draft.colors.filter(draftColor => draftColor !== color);
+    this.renderEditor();
+    this.showMessage(`Cor ${getColorName(color)} removida`);
+    this.dialogElement.querySelector('#palette-editor-color').focus();
+  }
+
+  /**
+   * Carrega uma paleta personalizada no editor
+   * @param {import('../models/Palette.js').Palette} palette - Paleta
+   */
+  editPalette(palette) {
+    this.draft = { id: palette.id, name: palette.name, colors: [...palette.colors] };
+    this.renderEditor();
+    this.dialogElement.querySelector('#palette-editor-name').focus();
+  }
+
+  /**
+   * Salva a paleta em edição e a torna ativa
+   * @returns {import('../services/PaletteService.js').SavePaletteResult}
+   */
+  saveDraft() {
+    const result = this.paletteService.saveCustomPalette(this.draft);
+    this.showMessage(result.message);
+
+    if (result.success) {
+      this.paletteService.setActivePalette(result.palette.id);
+      this.resetDraft();
+      this.renderPalettes();
+      this.onChange();
+    }
+
+    return result;
+  }
+
+  /**
+   * Limpa o editor
+   * @private
+   */
+  resetDraft() {
+    this.draft = { id: null, name: '', colors: [] };
+    this.renderEditor();
+  }
+
+  /**
+   * Exclui uma paleta personalizada
+   * @param {import('../models/Palette.js').Palette} palette - Paleta
+   */
+  deletePalette(palette) {
+    if (!this.paletteService.deleteCustomPalette(palette.id)) {
+      return;
+    }
+
+    if (this.draft.id === palette.id) {
+      this.resetDraft();
+    }
+
+    this.renderPalettes();
+    this.showMessage(`Paleta ${palette.name} excluída`);
+    this.dialogElement.querySelector('.palette-settings-close').focus();
+    this.onChange();
+  }
+
+  /**
+   * Exibe mensagem no rodapé
+   * @private
+   */
+  showMessage(text) {
+    const message = this.dialogElement && this.dialogElement.querySelector('.palette-settings-message');
+    if (message) {
+      message.textContent = text;
+    }
+  }
+
+  /**
+   * Cria um botão com área de toque mínima de 44x44px
+   * @private
+   */
+  createButton(text, className, handler) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.setAttribute('type', 'button');
+    button.textContent = text;
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', handler);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      handler();
+    });
+
+    return button;
+  }
+
+  /**
+   * Manipula teclado: Escape fecha e Tab fica preso dentro do diálogo
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    trapTabKey(event, this.dialogElement);
+  }
+
+  /**
+   * Verifica se o diálogo está aberto
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.dialogElement !== null;
+  }
+
+  /**
+   * Fecha o diálogo e devolve o foco
+   */
+  close() {
+    if (!this.dialogElement) {
+      return;
+    }
+
+    this.removeDialogElement();
+
+    if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+      this.previouslyFocused.focus();
+    }
+    this.previouslyFocused = null;
+  }
+
+  /**
+   * Remove o diálogo do DOM
+   * @private
+   */
+  removeDialogElement() {
+    this.dialogElement.removeEventListener('keydown', this.keydownHandler);
+    this.dialogElement.remove();
+    this.dialogElement = null;
+  }
+
+  /**
+   * Destrói o componente
+   */
+  destroy() {
+    if (this.dialogElement) {
+      this.removeDialogElement();
+    }
+    this.previouslyFocused = null;
+  }
+}
+
+export default PaletteSettings;
@@ -0,0 +1,424 @@
+import profileService, { PROFILE_AVATARS, MAX_PROFILE_NAME_LENGTH } from '../services/ProfileService.js';
+import { errorLogger } from '../utils/errorHandling.js';
+import { trapTabKey } from '../utils/focusTrap.js';
+
+/**
+ * Componente Seletor de Perfil
+ * Diálogo exibido ao iniciar (e pelo cabeçalho da galeria) para escolher
+ * quem vai colorir ou criar um perfil novo com nome e avatar
+ */
+export class ProfilePicker {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {HTMLElement} [options.container] - Container onde o diálogo será anexado (padrão: document.body)
+   * @param {import('../services/ProfileService.js').ProfileService} [options.profileService] - Serviço de perfis
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.profileService = options.profileService || profileService;
+
+    // Estado
+    this.pickerElement = null;
+    this.previouslyFocused = null;
+    this.onSelect = null;
+    this.dismissible = false;
+    this.selectedAvatar = PROFILE_AVATARS[0];
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+  }
+
+  /**
+   * Abre o seletor de perfil
+   * @param {Function} onSelect - Callback com o perfil escolhido ou criado
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.dismissible=false] - Permite fechar sem escolher (troca de perfil)
+   */
+  open(onSelect, { dismissible = false } = {}) {
+    if (typeof onSelect !== 'function') {
+      throw new Error('Callback onSelect é obrigatório');
+    }
+
+    if (this.pickerElement) {
+      this.removePickerElement();
+    }
+
+    this.onSelect = onSelect;
+    this.dismissible = dismissible;
+    this.selectedAvatar = PROFILE_AVATARS[0];
+    this.previouslyFocused = document.activeElement;
+
+    this.pickerElement = this.createPicker();
+    this.container.appendChild(this.pickerElement);
+    this.pickerElement.addEventListener('keydown', this.keydownHandler);
+    this.pickerElement.classList.add('show');
+
+    this.focusInitialElement();
+  }
+
+  /**
+   * Cria a estrutura do diálogo
+   * @returns {HTMLElement}
+   * @private
+   */
+  createPicker() {
+    const picker = document.createElement('div');
+    picker.className = 'profile-picker';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'profile-picker-backdrop';
+    if (this.dismissible) {
+      backdrop.addEventListener('click', () => this.close());
+    }
+    picker.appendChild(backdrop);
+
+    const content = document.createElement('div');
+    content.className = 'profile-picker-content';
+    content.setAttribute('role', 'dialog');
+    content.setAttribute('aria-modal', 'true');
+    content.setAttribute('aria-labelledby', 'profile-picker-title');
+
+    const header = document.createElement('div');
+    header.className = 'profile-picker-header';
+
+    const title = document.createElement('h2');
+    title.className = 'profile-picker-title';
+    title.id = 'profile-picker-title';
+    title.textContent = 'Quem vai colorir?';
+    header.appendChild(title);
+
+    if (this.dismissible) {
+      const closeButton = document.createElement('button');
+      closeButton.className = 'profile-picker-close';
+      closeButton.setAttribute('type', 'button');
+      closeButton.setAttribute('aria-label', 'Fechar');
+      closeButton.textContent = '✕';
+      this.setTouchTarget(closeButton);
+      this.addActivationHandler(closeButton, () => this.close());
+      header.appendChild(closeButton);
+    }
+
+    content.appendChild(header);
+
+    const profiles = this.profileService.getProfiles();
+    if (profiles.length > 0) {
+      content.appendChild(this.createProfileList(profiles));
+    }
+
+    content.appendChild(this.createProfileForm(profiles.length === 0));
+
+    const message = document.createElement('p');
+    message.className = 'profile-picker-message';
+    message.setAttribute('role', 'alert');
+    content.appendChild(message);
+
+    picker.appendChild(content);
+
+    return picker;
+  }
+
+  /**
+   * Cria a lista de perfis existentes
+   * @param {import('../services/ProfileService.js').Profile[]} profiles - Perfis
+   * @returns {HTMLElement}
+   * @private
+   */
+  createProfileList(profiles) {
+    const activeId = this.profileService.getActiveProfileId();
+
+    const list = document.createElement('ul');
+    list.className = 'profile-list';
+    list.setAttribute('aria-label', 'Perfis');
+
+    profiles.forEach(profile => {
+      const item = document.createElement('li');
+      item.className = 'profile-list-item';
+
+      const button = document.createElement('button');
+      button.className = 'profile-option';
+      button.setAttribute('type', 'button');
+      button.dataset.profileId = profile.id;
+      button.setAttribute('aria-label', `Entrar como ${profile.name}`);
+      if (profile.id === activeId) {
+        button.setAttribute('aria-current', 'true');
+      }
+
+      const avatar = document.createElement('span');
+      avatar.className = 'profile-option-avatar';
+      avatar.setAttribute('aria-hidden', 'true');
+      avatar.textContent = profile.avatar;
+
+      const name = document.createElement('span');
+      name.className = 'profile-option-name';
+      name.setAttribute('aria-hidden', 'true'); // Já incluído no aria-label
+      name.textContent = profile.name;
+
+      button.appendChild(avatar);
+      button.appendChild(name);
+      this.setTouchTarget(button);
+      this.addActivationHandler(button, () => this.handleSelect(profile.id));
+
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Cria o formulário de novo perfil (nome e avatar)
+   * @param {boolean} isFirstProfile - Ajusta o título quando ainda não há perfis
+   * @returns {HTMLElement}
+   * @private
+   */
+  createProfileForm(isFirstProfile) {
+    const form = document.createElement('form');
+    form.className = 'profile-create-form';
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleCreate();
+    });
+
+    const heading = document.createElement('h3');
+    heading.className = 'profile-create-title';
+    heading.textContent = isFirstProfile ? 'Crie o primeiro perfil' : 'Novo perfil';
+    form.appendChild(heading);
+
+    const label = document.createElement('label');
+    label.className = 'profile-name-label';
+    label.setAttribute('for', 'profile-name-input');
+    label.textContent = 'Nome';
+    form.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'profile-name-input';
+    input.className = 'profile-name-input';
+    input.maxLength = MAX_PROFILE_NAME_LENGTH;
+    input.autocomplete = 'off';
+    input.style.minHeight = '44px';
+    form.appendChild(input);
+
+    const avatars = document.createElement('div');
+    avatars.className = 'profile-avatar-options';
+    avatars.setAttribute('role', 'radiogroup');
+    avatars.setAttribute('aria-label', 'Escolha um avatar');
+
+    PROFILE_AVATARS.forEach(avatar => {
+      const button = document.createElement('button');
+      button.className = 'profile-avatar-option';
+      button.setAttribute('type', 'button');
+      button.setAttribute('role', 'radio');
+      button.setAttribute('aria-label', `Avatar ${avatar}`);
+      button.dataset.avatar = avatar;
+      button.textContent = avatar;
+      this.setTouchTarget(button);
+      this.addActivationHandler(button, () => this.selectAvatar(avatar));
+      avatars.appendChild(button);
+    });
+
+    form.appendChild(avatars);
+
+    const createButton = document.createElement('button');
+    createButton.className = 'profile-create-button';
+    createButton.setAttribute('type', 'submit');
+    createButton.textContent = 'Criar perfil';
+    this.setTouchTarget(createButton);
+    form.appendChild(createButton);
+
+    this.updateAvatarSelection(avatars);
+
+    return form;
+  }
+
+  /**
+   * Marca o avatar escolhido
+   * @param {string} avatar - Avatar
+   * @private
+   */
+  selectAvatar(avatar) {
+    this.selectedAvatar = avatar;
+    if (this.pickerElement) {
+      this.updateAvatarSelection(this.pickerElement.querySelector('.profile-avatar-options'));
+    }
+  }
+
+  /**
+   * Atualiza aria-checked dos avatares
+   * @param {HTMLElement} avatars - Grupo de avatares
+   * @private
+   */
+  updateAvatarSelection(avatars) {
+    avatars.querySelectorAll('.profile-avatar-option').forEach(button => {
+      const checked = button.dataset.avatar === this.selectedAvatar;
+      button.setAttribute('aria-checked', String(checked));
+      button.classList.toggle('selected', checked);
+    });
+  }
+
+  /**
+   * Cria o perfil com os dados do formulário e o seleciona
+   * @returns {import('../services/ProfileService.js').Profile|null} Perfil criado
+   */
+  handleCreate() {
+    const input = this.pickerElement.querySelector('#profile-name-input');
+    const name = input.value.trim();
+
+    if (!name) {
+      this.showMessage('Digite um nome para o perfil.');
+      input.focus();
+      return null;
+    }
+
+    try {
+      const profile = this.profileService.createProfile({ name, avatar: this.selectedAvatar });
+      this.handleSelect(profile.id);
+      return profile;
+    } catch (error) {
+      errorLogger.log(error, { component: 'ProfilePicker', phase: 'create' });
+      this.showMessage('Não foi possível criar o perfil.');
+      return null;
+    }
+  }
+
+  /**
+   * Fecha o diálogo e informa o perfil escolhido
+   * @param {string} profileId - ID do perfil
+   * @private
+   */
+  handleSelect(profileId) {
+    const profile = this.profileService.getProfile(profileId);
+    const onSelect = this.onSelect;
+
+    // Fechar sem devolver o foco: a galeria será renderizada novamente
+    this.removePickerElement();
+    this.resetState();
+
+    if (profile && onSelect) {
+      onSelect(profile);
+    }
+  }
+
+  /**
+   * Exibe mensagem de erro no diálogo
+   * @param {string} text - Mensagem
+   * @private
+   */
+  showMessage(text) {
+    const message = this.pickerElement && this.pickerElement.querySelector('.profile-picker-message');
+    if (message) {
+      message.textContent = text;
+    }
+  }
+
+  /**
+   * Define a área de toque mínima de 44x44px
+   * @private
+   */
+  setTouchTarget(button) {
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+  }
+
+  /**
+   * Adiciona handlers de clique e toque a um botão
+   * @private
+   */
+  addActivationHandler(button, handler) {
+    button.addEventListener('click', handler);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      handler();
+    });
+  }
+
+  /**
+   * Foca o perfil atual, o primeiro perfil ou o campo de nome
+   * @private
+   */
+  focusInitialElement() {
+    const target = this.pickerElement.querySelector('.profile-option[aria-current="true"]') ||
+      this.pickerElement.querySelector('.profile-option') ||
+      this.pickerElement.querySelector('#profile-name-input');
+
+    target?.focus();
+  }
+
+  /**
+   * Manipula teclado: Escape fecha (se permitido) e Tab fica preso no diálogo
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      if (this.dismissible) {
+        this.close();
+      }
+      return;
+    }
+
+    trapTabKey(event, this.pickerElement);
+  }
+
+  /**
+   * Verifica se o seletor está aberto
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.pickerElement !== null;
+  }
+
+  /**
+   * Fecha o seletor sem trocar de perfil e devolve o foco
+   */
+  close() {
+    if (!this.pickerElement) {
+      return;
+    }
+
+    this.removePickerElement();
+
+    if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+      this.previouslyFocused.focus();
+    }
+
+    this.resetState();
+  }
+
+  /**
+   * Remove o elemento do diálogo do DOM
+   * @private
+   */
+  removePickerElement() {
+    this.pickerElement.removeEventListener('keydown', this.keydownHandler);
+    if (this.pickerElement.parentNode) {
+      this.pickerElement.remove();
+    }
+    this.pickerElement = null;
+  }
+
+  /**
+   * Limpa o estado da abertura atual
+   * @private
+   */
+  resetState() {
+    this.previouslyFocused = null;
+    this.onSelect = null;
+    this.dismissible = false;
+  }
+
+  /**
+   * Destrói o componente e limpa recursos
+   */
+  destroy() {
+    if (this.pickerElement) {
+      this.removePickerElement();
+    }
+    this.resetState();
+  }
+}
+
+export default ProfilePicker;
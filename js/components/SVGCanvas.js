@@ -1,6 +1,19 @@
 import { SVGManipulator } from '../services/SVGManipulator.js';
 import { createErrorPlaceholder, createLoadingPlaceholder, errorLogger } from '../utils/errorHandling.js';
 import { debounce, throttle, svgCache } from '../utils/performanceUtils.js';
+import { CommandHistory } from '../state/CommandHistory.js';
+import { findNearestArea, DEFAULT_ASSIST_RADIUS, ASSIST_CONFIRM_DELAY } from '../utils/hitAssist.js';
+import { findNeighbor, ARROW_DIRECTIONS } from '../utils/spatialNavigation.js';
+import { getColorName, capitalize } from '../utils/colorNames.js';
+import { buildColorLegend, getNumberPosition } from '../utils/colorByNumber.js';
+import { SVGElementExtractor } from '../utils/svg-adapter/SVGElementExtractor.js';
+import { TouchEventHandler } from '../utils/TouchEventHandler.js';
+import {
+  parseViewBox, formatViewBox, getZoomScale, zoomViewBox, panViewBox, centerViewBox,
+  containsBounds, clientToViewBox, MIN_ZOOM, MAX_ZOOM, ZOOM_STEP
+} from '../utils/viewBoxZoom.js';
+import { normalizeColor } from '../models/Palette.js';
+import audioService from '../services/AudioService.js';
 
 /**
  * Interface para log de eventos de clique
@@ -13,6 +26,9 @@ import { debounce, throttle, svgCache } from '../utils/performanceUtils.js';
  * @property {string|null} fill - Valor do atributo fill do target
  * @property {boolean} success - Se a cor foi aplicada com sucesso
  * @property {string|null} appliedColor - Cor que foi aplicada (se success=true)
+ * @property {string} [reason] - Motivo da falha (se success=false)
+ * @property {boolean} [misclick] - Toque fora de uma área colorível (ex.: elemento decorativo)
+ * @property {boolean} [assisted] - Cor aplicada pela assistência de toque na área mais próxima
  */
 
 /**
@@ -25,6 +41,14 @@ export class SVGCanvas {
    * @param {string} options.svgUrl - URL do arquivo SVG
    * @param {string} options.selectedColor - Cor atualmente selecionada
    * @param {Function} options.onAreaClick - Callback quando uma área é clicada
+   * @param {CommandHistory} [options.history] - Histórico de desfazer/refazer (compartilhável entre instâncias)
+   * @param {boolean} [options.touchAssist=false] - Assistência de toque: toques fora das áreas pintam a área mais próxima
+   * @param {number} [options.touchAssistRadius] - Raio da assistência em pixels de tela
+   * @param {Object<string, string>} [options.areaLabels] - Nomes das áreas vindos do catálogo (areaId -> nome);
+   *   têm prioridade sobre data-label e <title> do próprio SVG
+   * @param {import('../services/AudioService.js').AudioService} [options.audioService] - Sons de acerto e de erro
+   * @param {Object<string, string>} [options.targetColors] - Cores esperadas por área (pintura por números);
+   *   cada área recebe o número da sua cor, desenhado no centro
    */
   constructor(container, options = {}) {
     if (!container) {
@@ -35,6 +59,7 @@ export class SVGCanvas {
     this.svgUrl = options.svgUrl;
     this.selectedColor = options.selectedColor || '#000000';
     this.onAreaClick = options.onAreaClick || (() => {});
+    this.audioService = options.audioService || audioService;
     
     this.svgManipulator = new SVGManipulator();
     this.svgElement = null;
@@ -42,6 +67,35 @@ export class SVGCanvas {
     this.currentHighlightedArea = null;
     this.appliedColors = new Map(); // Armazena cores aplicadas por área
     this.clickLogs = []; // Armazena logs de eventos de clique
+    this.history = options.history || new CommandHistory();
+
+    // Assistência de toque
+    this.touchAssist = Boolean(options.touchAssist);
+    this.touchAssistRadius = options.touchAssistRadius || DEFAULT_ASSIST_RADIUS;
+    this.pendingAssist = null; // {areaId, timeoutId} enquanto a área escolhida está destacada
+
+    // Foco itinerante: uma única parada de Tab para o desenho
+    this.focusableAreaIds = []; // Áreas com listeners, na ordem do documento
+    this.focusedAreaId = null; // Área que recebe o Tab (tabindex="0")
+
+    // Nomes das áreas para leitores de tela ("roda dianteira")
+    this.areaLabels = options.areaLabels || {};
+    this.areaNames = new Map();
+
+    // Pintura por números (null quando o desenho não tem cores esperadas)
+    this.colorLegend = buildColorLegend(options.targetColors);
+    this.numbersGroup = null;
+
+    // Passo a passo: só a área da vez recebe cor (null quando desligado)
+    this.guidedStep = null; // {areaId, difficulty, tolerateMisses}
+
+    // Zoom e arrasto pelo viewBox (baseViewBox é null quando o SVG não informa o tamanho)
+    this.baseViewBox = null;
+    this.viewBox = null;
+    this.zoomedSvg = null; // SVG ao qual baseViewBox pertence
+    this.moveTool = false; // Ferramenta "mover": arrastar move o desenho em vez de pintar
+    this.zoomControls = null;
+    this.touchHandler = null;
 
     // Criar versões otimizadas dos handlers
     this.debouncedMouseEnter = debounce(this.handleAreaMouseEnter.bind(this), 50);
@@ -58,6 +112,7 @@ export class SVGCanvas {
    * @returns {Promise<void>}
    */
   async loadSVG(url) {
+    this.svgUrl = url;
     try {
       // Validar URL
       if (!url || typeof url !== 'string') {
@@ -70,6 +125,7 @@ export class SVGCanvas {
         console.log('SVG carregado do cache:', url);
         this.svgElement = cachedSVG.cloneNode(true);
         this.colorableAreas = this.svgManipulator.identifyColorableAreas(this.svgElement);
+        this.replayHistory();
         this.render();
         this.attachEventListeners();
         return;
@@ -95,6 +151,7 @@ export class SVGCanvas {
         console.warn('Nenhuma área colorível encontrada no SVG');
       }
       
+      this.replayHistory();
       this.render();
       this.attachEventListeners();
     } catch (error) {
@@ -104,6 +161,14 @@ export class SVGCanvas {
     }
   }
 
+  /**
+   * Verifica se há um SVG carregado
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.svgElement !== null;
+  }
+
   /**
    * Renderiza o estado de loading
    * @private
@@ -154,13 +219,117 @@ export class SVGCanvas {
     // Criar wrapper para o canvas
     const canvasWrapper = document.createElement('div');
     canvasWrapper.className = 'svg-canvas';
-    canvasWrapper.setAttribute('role', 'img');
+    canvasWrapper.setAttribute('role', 'group');
     canvasWrapper.setAttribute('aria-label', 'Desenho para colorir');
+    canvasWrapper.setAttribute('aria-describedby', 'svg-canvas-instructions');
+
+    const instructions = document.createElement('p');
+    instructions.id = 'svg-canvas-instructions';
+    instructions.className = 'sr-only';
+    instructions.textContent = 'Use as setas para mudar de área e Enter para pintar com a cor selecionada.';
+    canvasWrapper.appendChild(instructions);
 
     // Adicionar SVG ao wrapper
     canvasWrapper.appendChild(this.svgElement);
 
+    this.initZoom();
+    this.zoomControls = this.baseViewBox ? this.createZoomControls() : null;
+    if (this.zoomControls) {
+      canvasWrapper.appendChild(this.zoomControls);
+    }
+    canvasWrapper.classList.toggle('move-tool', this.moveTool);
+
     this.container.appendChild(canvasWrapper);
+    this.updateZoomControls();
+  }
+
+  /**
+   * Guarda o viewBox original do SVG atual; um SVG já aproximado mantém o zoom
+   * @private
+   */
+  initZoom() {
+    if (this.zoomedSvg === this.svgElement) {
+      return;
+    }
+
+    this.zoomedSvg = this.svgElement;
+    this.baseViewBox = parseViewBox(this.svgElement);
+    this.viewBox = this.baseViewBox ? { ...this.baseViewBox } : null;
+  }
+
+  /**
+   * Cria os botões de zoom e a ferramenta "mover"
+   * Área de toque mínima de 44x44px
+   * @returns {HTMLElement}
+   * @private
+   */
+  createZoomControls() {
+    const controls = document.createElement('div');
+    controls.className = 'zoom-controls';
+    controls.setAttribute('role', 'toolbar');
+    controls.setAttribute('aria-label', 'Zoom do desenho');
+
+    controls.appendChild(this.createZoomButton('−', 'Afastar', 'zoom-out', () => this.zoomOut()));
+
+    const level = document.createElement('span');
+    level.className = 'zoom-level';
+    level.setAttribute('aria-live', 'polite');
+    controls.appendChild(level);
+
+    controls.appendChild(this.createZoomButton('+', 'Aproximar', 'zoom-in', () => this.zoomIn()));
+    controls.appendChild(this.createZoomButton('⟲', 'Ver o desenho inteiro', 'zoom-reset', () => this.resetZoom()));
+
+    const moveButton = this.createZoomButton('✋', 'Mover o desenho', 'zoom-move', () => this.setMoveTool(!this.moveTool));
+    moveButton.setAttribute('aria-pressed', String(this.moveTool));
+    controls.appendChild(moveButton);
+
+    return controls;
+  }
+
+  /**
+   * Cria um botão dos controles de zoom
+   * @private
+   */
+  createZoomButton(icon, label, className, action) {
+    const button = document.createElement('button');
+    button.className = `zoom-button ${className}`;
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    const iconSpan = document.createElement('span');
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.textContent = icon;
+    button.appendChild(iconSpan);
+
+    button.addEventListener('click', action);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      action();
+    });
+
+    return button;
+  }
+
+  /**
+   * Atualiza o nível de zoom exibido e os botões disponíveis
+   * @private
+   */
+  updateZoomControls() {
+    if (!this.zoomControls) {
+      return;
+    }
+
+    const scale = this.getZoom();
+    this.zoomControls.querySelector('.zoom-level').textContent = `${Math.round(scale * 100)}%`;
+    this.zoomControls.querySelector('.zoom-in').disabled = scale >= MAX_ZOOM;
+    this.zoomControls.querySelector('.zoom-out').disabled = scale <= MIN_ZOOM;
+    this.zoomControls.querySelector('.zoom-reset').disabled = scale <= MIN_ZOOM;
+    this.zoomControls.querySelector('.zoom-move').setAttribute('aria-pressed', String(this.moveTool));
   }
 
   /**
@@ -172,6 +341,29 @@ export class SVGCanvas {
       return;
     }
 
+    // Toques fora das áreas coloríveis (fundo ou elementos decorativos)
+    this.svgElement.addEventListener('click', (e) => {
+      if (!this.moveTool) {
+        this.handleBackgroundClick(e);
+      }
+    });
+
+    // Toque: pinça, toque duplo e arrasto mexem no zoom; só o toque simples pinta
+    if (this.touchHandler) {
+      this.touchHandler.destroy();
+    }
+    this.touchHandler = new TouchEventHandler(this.svgElement, {
+      onTap: (detail) => this.handleTap(detail),
+      onDoubleTap: (detail) => this.handleDoubleTap(detail),
+      onPinch: ({ scale, clientX, clientY }) => this.zoomBy(scale, { x: clientX, y: clientY }),
+      onPan: ({ dx, dy }) => this.panBy(dx, dy)
+    }, {
+      dragToPan: () => this.moveTool
+    });
+
+    this.focusableAreaIds = [];
+    this.collectAreaNames();
+
     this.colorableAreas.forEach(area => {
       const element = this.svgElement.querySelector(`#${area.id}`);
       
@@ -187,8 +379,12 @@ export class SVGCanvas {
         return;
       }
       
-      // Click event - aplicar cor
-      element.addEventListener('click', (e) => this.handleAreaClick(e, area.id));
+      // Click event - aplicar cor (a ferramenta "mover" não pinta)
+      element.addEventListener('click', (e) => {
+        if (!this.moveTool) {
+          this.handleAreaClick(e, area.id);
+        }
+      });
 
       // Mouse enter - destacar área e mudar cursor (com debounce)
       element.addEventListener('mouseenter', () => this.debouncedMouseEnter(area.id));
@@ -197,11 +393,10 @@ export class SVGCanvas {
       element.addEventListener('mouseleave', () => this.debouncedMouseLeave(area.id));
 
       // Touch events para dispositivos móveis
-      // touchstart - equivalente a mouseenter + click
-      element.addEventListener('touchstart', (e) => {
-        e.preventDefault();
+      // touchstart - equivalente a mouseenter; a cor só é aplicada quando o toque
+      // termina como toque simples (ver handleTap), para que zoom e arrasto não pintem
+      element.addEventListener('touchstart', () => {
         this.handleAreaMouseEnter(area.id);
-        this.handleAreaClick(e, area.id);
       });
 
       // touchend - equivalente a mouseleave
@@ -216,18 +411,289 @@ export class SVGCanvas {
         this.handleAreaMouseLeave(area.id);
       });
 
-      // Tornar área focável por teclado
-      element.setAttribute('tabindex', '0');
+      // Tornar área focável por teclado (foco itinerante: só uma área recebe o Tab)
+      element.setAttribute('tabindex', '-1');
       element.setAttribute('role', 'button');
-      element.setAttribute('aria-label', `Área colorível ${area.id}`);
+      this.focusableAreaIds.push(area.id);
 
       // Keyboard event
-      element.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.handleAreaClick(e, area.id);
-        }
-      });
+      element.addEventListener('keydown', (e) => this.handleAreaKeydown(e, area.id));
+      element.addEventListener('focus', () => this.setRovingTabStop(area.id));
+    });
+
+    this.setRovingTabStop(
+      this.focusableAreaIds.includes(this.focusedAreaId) ? this.focusedAreaId : this.focusableAreaIds[0]
+    );
+    this.renderAreaNumbers();
+    this.updateAreaLabels();
+  }
+
+  /**
+   * Desenha o número da cor esperada no centro de cada área (pintura por números)
+   * Os números ficam num grupo por cima do desenho, sem receber toques
+   * @private
+   */
+  renderAreaNumbers() {
+    if (this.numbersGroup) {
+      this.numbersGroup.remove();
+      this.numbersGroup = null;
+    }
+
+    if (!this.colorLegend) {
+      return;
+    }
+
+    // Caixas medidas com o SVG já no documento (getBBox no navegador)
+    const extractor = new SVGElementExtractor();
+    const measured = this.focusableAreaIds
+      .filter(areaId => this.colorLegend.areaNumbers[areaId])
+      .map(areaId => ({
+        areaId,
+        bounds: extractor.calculateBounds(this.svgElement.querySelector(`#${areaId}`))
+      }));
+    const allBounds = measured.map(({ bounds }) => bounds);
+
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'area-numbers');
+    group.setAttribute('pointer-events', 'none');
+    group.setAttribute('aria-hidden', 'true');
+
+    measured.forEach(({ areaId, bounds }) => {
+      const { x, y, fontSize } = getNumberPosition(bounds, allBounds);
+      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      text.setAttribute('class', 'area-number');
+      text.setAttribute('data-area-id', areaId);
+      text.setAttribute('x', String(x));
+      text.setAttribute('y', String(y));
+      text.setAttribute('font-size', String(fontSize));
+      text.setAttribute('font-family', 'sans-serif');
+      text.setAttribute('font-weight', 'bold');
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('dominant-baseline', 'central');
+      // Contorno branco: o número continua legível sobre qualquer cor
+      text.setAttribute('fill', '#333333');
+      text.setAttribute('stroke', '#FFFFFF');
+      text.setAttribute('stroke-width', String(Math.max(fontSize / 8, 1)));
+      text.setAttribute('paint-order', 'stroke');
+      text.textContent = String(this.colorLegend.areaNumbers[areaId]);
+      group.appendChild(text);
+    });
+
+    this.svgElement.appendChild(group);
+    this.numbersGroup = group;
+  }
+
+  /**
+   * Atualiza os números conforme as cores aplicadas: some quando a área recebe a cor
+   * certa e continua visível (marcado como errado) quando recebe outra cor
+   * @private
+   */
+  updateAreaNumbers() {
+    if (!this.numbersGroup) {
+      return;
+    }
+
+    this.numbersGroup.querySelectorAll('.area-number').forEach(text => {
+      const areaId = text.getAttribute('data-area-id');
+      const match = this.matchesTargetColor(areaId, this.appliedColors.get(areaId));
+      const state = match === null ? 'empty' : (match ? 'correct' : 'incorrect');
+
+      text.setAttribute('data-state', state);
+      // Atributo (e não classe CSS) para que o número some também no PNG/SVG exportado
+      if (state === 'correct') {
+        text.setAttribute('visibility', 'hidden');
+      } else {
+        text.removeAttribute('visibility');
+      }
+    });
+  }
+
+  /**
+   * Cor esperada de uma área (pintura por números)
+   * @param {string} areaId - ID da área
+   * @returns {string|null} Cor hexadecimal ou null se a área não tem cor esperada
+   */
+  getTargetColor(areaId) {
+    return (this.colorLegend && this.colorLegend.areaColors[areaId]) || null;
+  }
+
+  /**
+   * Número da cor esperada de uma área
+   * @param {string} areaId - ID da área
+   * @returns {number|null}
+   */
+  getAreaNumber(areaId) {
+    return (this.colorLegend && this.colorLegend.areaNumbers[areaId]) || null;
+  }
+
+  /**
+   * Verifica se uma cor é a esperada para a área
+   * @param {string} areaId - ID da área
+   * @param {string|null} color - Cor hexadecimal
+   * @returns {boolean|null} Null quando a área não tem cor esperada ou a cor está vazia
+   */
+  matchesTargetColor(areaId, color) {
+    const target = this.getTargetColor(areaId);
+    if (!target || !color) {
+      return null;
+    }
+    return normalizeColor(color) === target;
+  }
+
+  /**
+   * Manipula teclas em uma área: Enter/Espaço pintam, setas movem o foco para a
+   * área vizinha na direção e Home/End vão para a primeira/última área
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @param {string} areaId - Área com foco
+   */
+  handleAreaKeydown(event, areaId) {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      this.handleAreaClick(event, areaId);
+      return;
+    }
+
+    let nextAreaId = null;
+
+    if (ARROW_DIRECTIONS[event.key]) {
+      nextAreaId = this.findNeighborArea(areaId, ARROW_DIRECTIONS[event.key]);
+    } else if (event.key === 'Home') {
+      nextAreaId = this.focusableAreaIds[0];
+    } else if (event.key === 'End') {
+      nextAreaId = this.focusableAreaIds[this.focusableAreaIds.length - 1];
+    } else {
+      return;
+    }
+
+    // Setas nunca rolam a página enquanto o foco está no desenho
+    event.preventDefault();
+
+    if (nextAreaId) {
+      this.focusArea(nextAreaId);
+    }
+  }
+
+  /**
+   * Encontra a área vizinha pela geometria das caixas delimitadoras
+   * @param {string} areaId - Área de origem
+   * @param {'left'|'right'|'up'|'down'} direction - Direção
+   * @returns {string|null} ID da área vizinha
+   */
+  findNeighborArea(areaId, direction) {
+    const rects = this.focusableAreaIds.map(id => this.svgElement.querySelector(`#${id}`).getBoundingClientRect());
+    const index = findNeighbor(rects, this.focusableAreaIds.indexOf(areaId), direction);
+    return index === -1 ? null : this.focusableAreaIds[index];
+  }
+
+  /**
+   * Move o foco do teclado para uma área
+   * @param {string} areaId - ID da área
+   */
+  focusArea(areaId) {
+    const element = this.svgElement && this.svgElement.querySelector(`#${areaId}`);
+    if (!element || !this.focusableAreaIds.includes(areaId)) {
+      return;
+    }
+
+    this.setRovingTabStop(areaId);
+    this.revealArea(areaId);
+    element.focus();
+  }
+
+  /**
+   * Define a área que recebe o Tab (tabindex="0"); as demais ficam com "-1"
+   * @param {string|undefined} areaId - ID da área
+   * @private
+   */
+  setRovingTabStop(areaId) {
+    if (!areaId || !this.svgElement) {
+      return;
+    }
+
+    if (this.focusedAreaId && this.focusedAreaId !== areaId) {
+      const previous = this.svgElement.querySelector(`#${this.focusedAreaId}`);
+      if (previous) {
+        previous.setAttribute('tabindex', '-1');
+      }
+    }
+
+    const element = this.svgElement.querySelector(`#${areaId}`);
+    if (element) {
+      element.setAttribute('tabindex', '0');
+    }
+    this.focusedAreaId = areaId;
+  }
+
+  /**
+   * Lê os nomes das áreas: catálogo, depois data-label e por fim o <title> da área
+   * @private
+   */
+  collectAreaNames() {
+    this.areaNames.clear();
+
+    this.colorableAreas.forEach(area => {
+      const element = this.svgElement.querySelector(`#${area.id}`);
+      const title = element
+        ? Array.from(element.children).find(child => child.tagName.toLowerCase() === 'title')
+        : null;
+
+      const name = [
+        this.areaLabels[area.id],
+        element && element.getAttribute('data-label'),
+        title && title.textContent
+      ].find(candidate => typeof candidate === 'string' && candidate.trim());
+
+      if (name) {
+        this.areaNames.set(area.id, name.trim());
+      }
+    });
+  }
+
+  /**
+   * Nome semântico de uma área
+   * @param {string} areaId - ID da área
+   * @returns {string|null} Ex.: "roda dianteira" ou null se a área não tem nome
+   */
+  getAreaName(areaId) {
+    return this.areaNames.get(areaId) || null;
+  }
+
+  /**
+   * Rótulo acessível de uma área, com nome, posição e estado
+   * @param {string} areaId - ID da área
+   * @returns {string} Ex.: "Roda dianteira, área 5 de 15, pintada de vermelho"
+   *   (na pintura por números: "Roda dianteira, área 5 de 15, cor 2, sem cor")
+   */
+  getAreaLabel(areaId) {
+    const position = this.focusableAreaIds.indexOf(areaId) + 1;
+    const color = this.appliedColors.get(areaId);
+    const state = color ? `pintada de ${getColorName(color)}` : 'sem cor';
+    const name = this.getAreaName(areaId);
+    const number = this.getAreaNumber(areaId);
+    const place = `${position} de ${this.focusableAreaIds.length}${number ? `, cor ${number}` : ''}`;
+    const turn = this.guidedStep && this.guidedStep.areaId === areaId ? ', área da vez' : '';
+
+    return name
+      ? `${capitalize(name)}, área ${place}, ${state}${turn}`
+      : `Área ${place}, ${state}${turn}`;
+  }
+
+  /**
+   * Atualiza os rótulos acessíveis e os números das áreas (após pintar, limpar, desfazer ou refazer)
+   * @private
+   */
+  updateAreaLabels() {
+    if (!this.svgElement) {
+      return;
+    }
+
+    this.updateAreaNumbers();
+
+    this.focusableAreaIds.forEach(areaId => {
+      const element = this.svgElement.querySelector(`#${areaId}`);
+      if (element) {
+        element.setAttribute('aria-label', this.getAreaLabel(areaId));
+      }
     });
   }
 
@@ -272,13 +738,18 @@ export class SVGCanvas {
     
     // Early return: verificar se target é um elemento decorativo
     if (this.svgManipulator.isDecorativeElement(target)) {
+      if (this.assistClick(event, { targetId, targetElement, pointerEvents, fill })) {
+        return;
+      }
+
       console.warn('[SVGCanvas] Clique em elemento decorativo - ignorado para preservar estado');
       this.logError('Clique em elemento decorativo', {
         expectedAreaId,
         targetId,
         targetElement,
         pointerEvents,
-        fill
+        fill,
+        misclick: true
       });
       return;
     }
@@ -335,6 +806,12 @@ export class SVGCanvas {
       return;
     }
 
+    // Passo a passo: outras áreas não recebem cor
+    if (this.isAreaBlocked(expectedAreaId)) {
+      this.handleGuidedMiss({ expectedAreaId, targetId, targetElement, pointerEvents, fill });
+      return;
+    }
+
     // Para áreas sobrepostas, o navegador já seleciona automaticamente
     // o elemento mais à frente no z-index através do event.target.
     // Portanto, podemos confiar no targetId/expectedAreaId que já representa
@@ -355,6 +832,347 @@ export class SVGCanvas {
     });
   }
 
+  /**
+   * Registra toques que não atingiram nenhuma área colorível
+   * Cliques dentro de uma área são tratados por handleAreaClick
+   * @param {Event} event - Evento de clique no SVG
+   */
+  handleBackgroundClick(event) {
+    const target = event && event.target;
+    if (!target || typeof target.closest !== 'function') {
+      return;
+    }
+
+    const area = target.closest('[id^="area-"]');
+    if (area && this.colorableAreas.some(colorable => colorable.id === area.id)) {
+      return;
+    }
+
+    const context = {
+      targetId: target.getAttribute('id'),
+      targetElement: target.tagName,
+      pointerEvents: target.getAttribute('pointer-events'),
+      fill: target.getAttribute('fill')
+    };
+
+    if (this.assistClick(event, context)) {
+      return;
+    }
+
+    this.logError('Clique fora das áreas coloríveis', { ...context, misclick: true });
+  }
+
+  /**
+   * Assistência de toque: procura a área colorível mais próxima de um toque que
+   * não atingiu nenhuma área e, se houver uma no raio, destaca e pinta essa área
+   * @param {MouseEvent} event - Evento do toque (precisa de clientX/clientY)
+   * @param {Object} context - Dados do elemento tocado, para o log
+   * @returns {boolean} True se o toque foi atribuído a uma área
+   */
+  assistClick(event, context) {
+    if (!this.touchAssist || !Number.isFinite(event.clientX) || !Number.isFinite(event.clientY)) {
+      return false;
+    }
+
+    // No passo a passo, a assistência só procura a área da vez
+    const candidate = findNearestArea(
+      this.guidedStep
+        ? this.colorableAreas.filter(area => area.id === this.guidedStep.areaId)
+        : this.colorableAreas,
+      { x: event.clientX, y: event.clientY },
+      this.touchAssistRadius
+    );
+
+    if (!candidate) {
+      return false;
+    }
+
+    this.confirmAssistedArea(candidate.areaId, this.selectedColor, context);
+    return true;
+  }
+
+  /**
+   * Destaca a área escolhida pela assistência e aplica a cor após a confirmação visual
+   * Um novo toque durante o destaque substitui a escolha anterior
+   * @param {string} areaId - Área escolhida
+   * @param {string} color - Cor selecionada no momento do toque
+   * @param {Object} context - Dados do elemento tocado, para o log
+   * @private
+   */
+  confirmAssistedArea(areaId, color, context) {
+    this.cancelPendingAssist();
+
+    const element = this.svgElement.querySelector(`#${areaId}`);
+    if (element) {
+      element.classList.add('assist-target');
+    }
+
+    const timeoutId = setTimeout(() => {
+      this.cancelPendingAssist();
+      this.applyColorToArea(areaId, color);
+
+      // O toque continua contando como fora da área no relatório de atividades
+      this.logClickEvent({
+        expectedAreaId: areaId,
+        ...context,
+        success: true,
+        appliedColor: color,
+        misclick: true,
+        assisted: true
+      });
+    }, ASSIST_CONFIRM_DELAY);
+
+    this.pendingAssist = { areaId, timeoutId };
+  }
+
+  /**
+   * Cancela a confirmação pendente da assistência e remove o destaque
+   * @private
+   */
+  cancelPendingAssist() {
+    if (!this.pendingAssist) {
+      return;
+    }
+
+    clearTimeout(this.pendingAssist.timeoutId);
+
+    const element = this.svgElement && this.svgElement.querySelector(`#${this.pendingAssist.areaId}`);
+    if (element) {
+      element.classList.remove('assist-target');
+    }
+
+    this.pendingAssist = null;
+  }
+
+  /**
+   * Ativa ou desativa a assistência de toque
+   * @param {boolean} enabled - Se a assistência está ativa
+   * @param {number} [radius] - Raio em pixels de tela (mantém o atual se omitido)
+   */
+  setTouchAssist(enabled, radius = this.touchAssistRadius) {
+    this.touchAssist = Boolean(enabled);
+    this.touchAssistRadius = radius;
+
+    if (!this.touchAssist) {
+      this.cancelPendingAssist();
+    }
+  }
+
+  /**
+   * Toque simples (já separado de pinça e arrasto pelo TouchEventHandler)
+   * Dentro de uma área pinta como o clique; fora dela vale como toque no fundo
+   * @param {{target: Element, clientX: number, clientY: number}} detail - Dados do toque
+   * @private
+   */
+  handleTap(detail) {
+    if (this.moveTool || !this.svgElement || !detail.target || typeof detail.target.closest !== 'function') {
+      return;
+    }
+
+    const area = detail.target.closest('[id^="area-"]');
+    if (area && this.focusableAreaIds.includes(area.id)) {
+      this.handleAreaClick(detail, area.id);
+      return;
+    }
+
+    this.handleBackgroundClick(detail);
+  }
+
+  /**
+   * Toque duplo: aproxima no ponto tocado; no zoom máximo volta ao desenho inteiro
+   * @param {{clientX: number, clientY: number}} detail - Dados do toque
+   * @private
+   */
+  handleDoubleTap(detail) {
+    if (this.getZoom() >= MAX_ZOOM) {
+      this.resetZoom();
+      return;
+    }
+
+    this.zoomBy(ZOOM_STEP, { x: detail.clientX, y: detail.clientY });
+  }
+
+  /**
+   * Zoom atual (1 = desenho inteiro)
+   * @returns {number}
+   */
+  getZoom() {
+    return this.baseViewBox ? getZoomScale(this.viewBox, this.baseViewBox) : MIN_ZOOM;
+  }
+
+  /**
+   * Aproxima ou afasta mantendo um ponto da tela parado
+   * @param {number} factor - Fator (>1 aproxima, <1 afasta)
+   * @param {{x: number, y: number}} [clientPoint] - Ponto de tela (padrão: centro da visão)
+   */
+  zoomBy(factor, clientPoint) {
+    if (!this.baseViewBox || !(factor > 0)) {
+      return;
+    }
+
+    const point = clientPoint
+      ? clientToViewBox(clientPoint, this.svgElement.getBoundingClientRect(), this.viewBox)
+      : undefined;
+
+    this.setViewBox(zoomViewBox(this.viewBox, this.baseViewBox, factor, point));
+  }
+
+  /**
+   * Aproxima um passo (botão +)
+   */
+  zoomIn() {
+    this.zoomBy(ZOOM_STEP);
+  }
+
+  /**
+   * Afasta um passo (botão -)
+   */
+  zoomOut() {
+    this.zoomBy(1 / ZOOM_STEP);
+  }
+
+  /**
+   * Volta ao desenho inteiro
+   */
+  resetZoom() {
+    if (this.baseViewBox) {
+      this.setViewBox({ ...this.baseViewBox });
+    }
+  }
+
+  /**
+   * Move o desenho acompanhando o dedo ou o mouse
+   * @param {number} dx - Deslocamento em pixels de tela
+   * @param {number} dy - Deslocamento em pixels de tela
+   */
+  panBy(dx, dy) {
+    if (!this.baseViewBox) {
+      return;
+    }
+
+    // Pixels de tela -> unidades do SVG (sem tamanho na tela, 1 para 1)
+    const rect = this.svgElement.getBoundingClientRect();
+    const ratio = rect.width > 0 ? this.viewBox.width / rect.width : 1;
+
+    this.setViewBox(panViewBox(this.viewBox, this.baseViewBox, -dx * ratio, -dy * ratio));
+  }
+
+  /**
+   * Liga ou desliga a ferramenta "mover": arrastar com um dedo ou com o mouse move o
+   * desenho e nenhum toque pinta (o teclado continua pintando)
+   * @param {boolean} enabled - Se a ferramenta está ativa
+   */
+  setMoveTool(enabled) {
+    this.moveTool = Boolean(enabled);
+
+    const wrapper = this.svgElement && this.svgElement.parentNode;
+    if (wrapper && wrapper.classList) {
+      wrapper.classList.toggle('move-tool', this.moveTool);
+    }
+    this.updateZoomControls();
+  }
+
+  /**
+   * Com zoom, traz para a visão uma área que ficou fora dela (ex.: foco pelo teclado)
+   * @param {string} areaId - ID da área
+   */
+  revealArea(areaId) {
+    if (!this.baseViewBox || this.getZoom() <= MIN_ZOOM) {
+      return;
+    }
+
+    const element = this.svgElement.querySelector(`#${areaId}`);
+    if (!element) {
+      return;
+    }
+
+    const bounds = new SVGElementExtractor().calculateBounds(element);
+    if (!containsBounds(this.viewBox, bounds)) {
+      this.setViewBox(centerViewBox(this.viewBox, this.baseViewBox, bounds));
+    }
+  }
+
+  /**
+   * Aplica uma visão ao SVG
+   * @param {import('../utils/viewBoxZoom.js').ViewBox} view - Nova visão
+   * @private
+   */
+  setViewBox(view) {
+    this.viewBox = view;
+    this.svgElement.setAttribute('viewBox', formatViewBox(view));
+    this.updateZoomControls();
+  }
+
+  /**
+   * Liga o passo a passo na área da vez: as outras áreas ficam apagadas e não recebem cor
+   * @param {string|null} areaId - Área da vez (null desliga o passo a passo)
+   * @param {Object} [options] - Opções
+   * @param {'facil'|'medio'|'dificil'} [options.difficulty='facil'] - Quanto as outras áreas ficam apagadas
+   * @param {boolean} [options.tolerateMisses=true] - Toques em outras áreas são ignorados sem som de erro
+   */
+  setGuidedStep(areaId, options = {}) {
+    this.guidedStep = areaId
+      ? { areaId, difficulty: options.difficulty || 'facil', tolerateMisses: options.tolerateMisses !== false }
+      : null;
+
+    if (!this.svgElement) {
+      return;
+    }
+
+    const svgClasses = this.svgElement.classList;
+    svgClasses.remove('guided', 'guided-facil', 'guided-medio', 'guided-dificil');
+    this.svgElement.querySelectorAll('.guided-target').forEach(element => element.classList.remove('guided-target'));
+
+    if (this.guidedStep) {
+      svgClasses.add('guided', `guided-${this.guidedStep.difficulty}`);
+
+      const target = this.svgElement.querySelector(`#${areaId}`);
+      if (target) {
+        target.classList.add('guided-target');
+      }
+
+      // O teclado também começa pela área da vez
+      if (this.focusableAreaIds.includes(areaId)) {
+        this.setRovingTabStop(areaId);
+      }
+    }
+
+    this.updateAreaLabels();
+  }
+
+  /**
+   * Área da vez do passo a passo
+   * @returns {string|null}
+   */
+  getGuidedAreaId() {
+    return this.guidedStep ? this.guidedStep.areaId : null;
+  }
+
+  /**
+   * Verifica se uma área está bloqueada pelo passo a passo
+   * @param {string} areaId - ID da área
+   * @returns {boolean}
+   * @private
+   */
+  isAreaBlocked(areaId) {
+    return Boolean(this.guidedStep) && areaId !== this.guidedStep.areaId;
+  }
+
+  /**
+   * Toque numa área fora da vez: ignorado em silêncio ou registrado como erro,
+   * conforme a configuração do passo a passo
+   * @param {Object} context - Dados do toque, para o log
+   * @private
+   */
+  handleGuidedMiss(context) {
+    if (this.guidedStep.tolerateMisses) {
+      console.log(`[SVGCanvas] Área ${context.expectedAreaId} fora do passo a passo - toque ignorado`);
+      return;
+    }
+
+    this.logError('Área fora do passo a passo', { ...context, misclick: true });
+  }
+
   /**
    * Aplica cor a uma área específica
    * Método separado para isolar a lógica de aplicação de cor
@@ -366,11 +1184,16 @@ export class SVGCanvas {
       return;
     }
 
-    // Aplicar cor à área usando SVGManipulator
-    this.svgManipulator.applyColorToArea(this.svgElement, areaId, color);
-    
-    // Armazenar cor aplicada
-    this.appliedColors.set(areaId, color);
+    this.recordChange('color', () => {
+      // Aplicar cor à área usando SVGManipulator
+      this.svgManipulator.applyColorToArea(this.svgElement, areaId, color);
+      
+      // Armazenar cor aplicada
+      this.appliedColors.set(areaId, color);
+    });
+
+    // Na pintura por números, a cor diferente da esperada tem o som suave de erro
+    this.audioService.play(this.matchesTargetColor(areaId, color) === false ? 'miss' : 'success');
 
     // Chamar callback
     this.onAreaClick(areaId, color);
@@ -386,6 +1209,8 @@ export class SVGCanvas {
    * @param {string|null} logData.fill - Cor de preenchimento
    * @param {boolean} logData.success - Se a cor foi aplicada com sucesso
    * @param {string|null} logData.appliedColor - Cor aplicada
+   * @param {boolean} [logData.misclick] - Se o toque caiu fora da área
+   * @param {boolean} [logData.assisted] - Se a área foi escolhida pela assistência de toque
    */
   logClickEvent(logData) {
     const log = {
@@ -398,6 +1223,11 @@ export class SVGCanvas {
       success: logData.success,
       appliedColor: logData.appliedColor
     };
+
+    if (logData.assisted) {
+      log.misclick = Boolean(logData.misclick);
+      log.assisted = true;
+    }
     
     this.clickLogs.push(log);
     
@@ -414,6 +1244,7 @@ export class SVGCanvas {
    * @param {string|null} [context.targetElement] - Tag do elemento clicado
    * @param {string|null} [context.pointerEvents] - Valor de pointer-events
    * @param {string|null} [context.fill] - Cor de preenchimento
+   * @param {boolean} [context.misclick] - Se o toque caiu fora de uma área colorível
    */
   logError(reason, context = {}) {
     const errorLog = {
@@ -429,11 +1260,15 @@ export class SVGCanvas {
     this.clickLogs.push({
       ...errorLog,
       success: false,
-      appliedColor: null
+      appliedColor: null,
+      misclick: Boolean(context.misclick)
     });
     
     // Log de erro no console
     console.error('[SVGCanvas] Error logged:', errorLog);
+
+    // Som suave de erro (repetições no mesmo toque são ignoradas pelo serviço)
+    this.audioService.play('miss');
   }
 
   /**
@@ -576,8 +1411,153 @@ export class SVGCanvas {
       return;
     }
 
-    this.svgManipulator.clearAllColors(this.svgElement);
-    this.appliedColors.clear();
+    this.recordChange('clear', () => {
+      this.svgManipulator.clearAllColors(this.svgElement);
+      this.appliedColors.clear();
+    });
+  }
+
+  /**
+   * Substitui todas as cores pelas de um desenho salvo
+   * Registrado no histórico como uma única ação
+   * @param {Object<string, string>} coloredAreas - Mapa areaId -> cor
+   */
+  loadColors(coloredAreas) {
+    if (!this.svgElement) {
+      return;
+    }
+
+    this.recordChange('load', () => {
+      this.svgManipulator.clearAllColors(this.svgElement);
+      this.appliedColors.clear();
+
+      Object.entries(coloredAreas || {}).forEach(([areaId, color]) => {
+        this.svgManipulator.applyColorToArea(this.svgElement, areaId, color);
+        this.appliedColors.set(areaId, color);
+      });
+    });
+  }
+
+  /**
+   * Executa uma mutação e registra no histórico as áreas que mudaram
+   * @param {'color'|'clear'|'load'} type - Tipo da ação
+   * @param {Function} mutate - Função que altera o SVG e appliedColors
+   * @private
+   */
+  recordChange(type, mutate) {
+    const before = this.captureAreaStates();
+    mutate();
+    const after = this.captureAreaStates();
+    this.updateAreaLabels();
+
+    const changes = [];
+    after.forEach((afterState, areaId) => {
+      const beforeState = before.get(areaId);
+      if (beforeState.fill !== afterState.fill || beforeState.color !== afterState.color) {
+        changes.push({ areaId, before: beforeState, after: afterState });
+      }
+    });
+
+    this.history.record({ type, changes, timestamp: Date.now() });
+  }
+
+  /**
+   * Captura o estado (fill e cor aplicada) de todas as áreas do SVG
+   * @returns {Map<string, import('../state/CommandHistory.js').AreaState>}
+   * @private
+   */
+  captureAreaStates() {
+    const states = new Map();
+
+    this.svgElement.querySelectorAll('[id^="area-"]').forEach(element => {
+      const areaId = element.getAttribute('id');
+      states.set(areaId, {
+        fill: element.getAttribute('fill'),
+        color: this.appliedColors.get(areaId) || null
+      });
+    });
+
+    return states;
+  }
+
+  /**
+   * Aplica um lado ('before' ou 'after') das alterações de uma ação
+   * @param {import('../state/CommandHistory.js').AreaChange[]} changes - Alterações
+   * @param {'before'|'after'} side - Estado a aplicar
+   * @private
+   */
+  applyAreaStates(changes, side) {
+    changes.forEach(change => {
+      const state = change[side];
+      const element = this.svgElement.querySelector(`[id="${change.areaId}"]`);
+
+      if (element) {
+        if (state.fill === null) {
+          element.removeAttribute('fill');
+        } else {
+          element.setAttribute('fill', state.fill);
+        }
+      }
+
+      if (state.color) {
+        this.appliedColors.set(change.areaId, state.color);
+      } else {
+        this.appliedColors.delete(change.areaId);
+      }
+    });
+
+    this.updateAreaLabels();
+  }
+
+  /**
+   * Desfaz a última ação de pintura
+   * @returns {import('../state/CommandHistory.js').HistoryAction|null} Ação desfeita
+   */
+  undo() {
+    if (!this.svgElement) {
+      return null;
+    }
+
+    const action = this.history.undo();
+    if (action) {
+      this.applyAreaStates(action.changes, 'before');
+    }
+    return action;
+  }
+
+  /**
+   * Refaz a última ação desfeita
+   * @returns {import('../state/CommandHistory.js').HistoryAction|null} Ação refeita
+   */
+  redo() {
+    if (!this.svgElement) {
+      return null;
+    }
+
+    const action = this.history.redo();
+    if (action) {
+      this.applyAreaStates(action.changes, 'after');
+    }
+    return action;
+  }
+
+  /**
+   * Reaplica as ações do histórico em um SVG recém-carregado
+   * Restaura o trabalho quando o mesmo desenho é reaberto na sessão
+   * @private
+   */
+  replayHistory() {
+    this.history.getActions().forEach(action => {
+      this.applyAreaStates(action.changes, 'after');
+    });
+  }
+
+  /**
+   * Retorna o histórico de desfazer/refazer
+   * @returns {CommandHistory}
+   */
+  getHistory() {
+    return this.history;
   }
 
   /**
@@ -617,6 +1597,11 @@ export class SVGCanvas {
     try {
       // Clonar o SVG para não modificar o original
       const svgClone = this.svgElement.cloneNode(true);
+
+      // O desenho salvo e impresso é sempre o inteiro, não a parte aproximada
+      if (this.baseViewBox && svgClone.hasAttribute('viewBox')) {
+        svgClone.setAttribute('viewBox', formatViewBox(this.baseViewBox));
+      }
       
       // Serializar o SVG
       const serializer = new XMLSerializer();
@@ -649,11 +1634,25 @@ export class SVGCanvas {
    * Destrói o componente e remove event listeners
    */
   destroy() {
+    this.cancelPendingAssist();
+    if (this.touchHandler) {
+      this.touchHandler.destroy();
+      this.touchHandler = null;
+    }
     this.container.innerHTML = '';
     this.svgElement = null;
     this.colorableAreas = [];
     this.appliedColors.clear();
     this.currentHighlightedArea = null;
+    this.focusableAreaIds = [];
+    this.focusedAreaId = null;
+    this.areaNames.clear();
+    this.numbersGroup = null;
+    this.guidedStep = null;
+    this.baseViewBox = null;
+    this.viewBox = null;
+    this.zoomedSvg = null;
+    this.zoomControls = null;
   }
 }
 
@@ -0,0 +1,874 @@
+import saveLoadService from '../services/SaveLoadService.js';
+import { errorLogger } from '../utils/errorHandling.js';
+import { getFocusableElements, trapTabKey } from '../utils/focusTrap.js';
+
+/**
+ * Componente Modal de Salvamento e Carregamento
+ * Permite nomear um salvamento, listar, pré-visualizar, carregar e remover
+ * desenhos salvos do desenho atual, e escolher o formato para imprimir ou baixar
+ */
+export class SaveLoadModal {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {HTMLElement} [options.container] - Container onde o modal será anexado (padrão: document.body)
+   * @param {import('../services/SaveLoadService.js').SaveLoadService} [options.saveLoadService] - Serviço de persistência
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.saveLoadService = options.saveLoadService || saveLoadService;
+
+    // Estado
+    this.mode = null; // 'save' | 'load' | 'export' | null
+    this.modalElement = null;
+    this.previouslyFocused = null;
+    this.drawingData = null;
+    this.drawingId = null;
+    this.onComplete = null;
+    this.exportOptions = [];
+    this.exportSettings = [];
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+  }
+
+  /**
+   * Abre o modal em modo de salvamento
+   * @param {Object} drawingData - Dados do desenho a salvar (ver SaveLoadService.saveDrawing)
+   * @param {Function} [onComplete] - Callback com o resultado do salvamento
+   */
+  openSaveMode(drawingData, onComplete) {
+    if (!drawingData || !drawingData.drawingId) {
+      throw new Error('Dados do desenho são obrigatórios para salvar');
+    }
+
+    this.drawingData = drawingData;
+    this.drawingId = drawingData.drawingId;
+    this.onComplete = onComplete || (() => {});
+    this.open('save');
+  }
+
+  /**
+   * Abre o modal em modo de carregamento
+   * @param {string} drawingId - ID do desenho cujos salvamentos serão listados
+   * @param {Function} [onLoad] - Callback com os dados do desenho carregado
+   * @returns {Promise<void>} Resolvida quando a lista de salvamentos é exibida
+   */
+  openLoadMode(drawingId, onLoad) {
+    if (!drawingId) {
+      throw new Error('ID do desenho é obrigatório para carregar');
+    }
+
+    this.drawingData = null;
+    this.drawingId = drawingId;
+    this.onComplete = onLoad || (() => {});
+    this.open('load');
+
+    return this.refreshSavedList();
+  }
+
+  /**
+   * Abre o modal com as opções de impressão e download
+   * @param {Array<{id: string, label: string, description: string}>} exportOptions - Opções de formato
+   * @param {Function} onExport - Callback (optionId, settings) => Promise<{success: boolean, message: string}>
+   * @param {Array<{id: string, label: string, checked: boolean}>} [exportSettings] - Caixas de seleção
+   *   repassadas ao callback como { [id]: boolean }
+   */
+  openExportMode(exportOptions, onExport, exportSettings = []) {
+    if (!Array.isArray(exportOptions) || exportOptions.length === 0) {
+      throw new Error('Opções de exportação são obrigatórias');
+    }
+
+    this.drawingData = null;
+    this.exportOptions = exportOptions;
+    this.exportSettings = exportSettings;
+    this.onComplete = onExport || (() => {});
+    this.open('export');
+  }
+
+  /**
+   * Renderiza e exibe o modal no modo informado
+   * @param {'save'|'load'|'export'} mode - Modo do modal
+   * @private
+   */
+  open(mode) {
+    // Fechar instância anterior sem restaurar foco
+    if (this.modalElement) {
+      this.removeModalElement();
+    }
+
+    this.mode = mode;
+    this.previouslyFocused = document.activeElement;
+
+    this.modalElement = this.createModal();
+    this.container.appendChild(this.modalElement);
+    this.modalElement.addEventListener('keydown', this.keydownHandler);
+
+    // Exibir (classe controla transição no CSS)
+    this.modalElement.classList.add('show');
+
+    this.focusInitialElement();
+  }
+
+  /**
+   * Cria a estrutura do modal
+   * @returns {HTMLElement}
+   * @private
+   */
+  createModal() {
+    const titleId = `save-load-modal-title-${this.mode}`;
+
+    const modal = document.createElement('div');
+    modal.className = 'save-load-modal';
+
+    // Backdrop - clique fecha o modal
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+    modal.appendChild(backdrop);
+
+    // Conteúdo
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+    content.setAttribute('role', 'dialog');
+    content.setAttribute('aria-modal', 'true');
+    content.setAttribute('aria-labelledby', titleId);
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+
+    const title = document.createElement('h2');
+    title.className = 'modal-title';
+    title.id = titleId;
+    title.textContent = {
+      save: '💾 Salvar desenho',
+      load: '📂 Meus desenhos salvos',
+      export: '🖨️ Imprimir ou baixar'
+    }[this.mode];
+    header.appendChild(title);
+
+    const closeButton = this.createButton('✕', 'modal-close', 'Fechar', () => this.close());
+    header.appendChild(closeButton);
+
+    content.appendChild(header);
+
+    // Área de mensagens
+    const message = document.createElement('div');
+    message.className = 'modal-message hidden';
+    message.setAttribute('role', 'status');
+    message.setAttribute('aria-live', 'polite');
+
+    // Body
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    body.appendChild(message);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'modal-footer';
+
+    if (this.mode === 'save') {
+      body.appendChild(this.createSaveForm());
+
+      footer.appendChild(this.createButton('Cancelar', 'modal-button secondary', 'Cancelar', () => this.close()));
+      footer.appendChild(this.createButton('💾 Salvar', 'modal-button modal-button-primary', 'Salvar desenho', () => this.handleSave()));
+    } else if (this.mode === 'export') {
+      if (this.exportSettings.length > 0) {
+        body.appendChild(this.createExportSettings());
+      }
+      body.appendChild(this.createExportList());
+
+      footer.appendChild(this.createButton('Fechar', 'modal-button secondary', 'Fechar', () => this.close()));
+    } else {
+      body.appendChild(this.createSavedListContainer());
+      body.appendChild(this.createStorageUsage());
+
+      footer.appendChild(this.createButton('Fechar', 'modal-button secondary', 'Fechar', () => this.close()));
+    }
+
+    content.appendChild(body);
+    content.appendChild(footer);
+    modal.appendChild(content);
+
+    return modal;
+  }
+
+  /**
+   * Cria um botão com tamanho mínimo de toque
+   * @param {string} text - Texto visível
+   * @param {string} className - Classes CSS
+   * @param {string} ariaLabel - Rótulo acessível
+   * @param {Function} onActivate - Handler de ativação
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  createButton(text, className, ariaLabel, onActivate) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = text;
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', ariaLabel);
+
+    // Garantir tamanho mínimo de 44x44px
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    button.addEventListener('click', onActivate);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      onActivate();
+    });
+
+    return button;
+  }
+
+  /**
+   * Cria o formulário de salvamento com campo de nome e resumo
+   * @returns {HTMLElement}
+   * @private
+   */
+  createSaveForm() {
+    const form = document.createElement('form');
+    form.className = 'save-form';
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSave();
+    });
+
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', 'save-name-input');
+    label.textContent = 'Nome do desenho';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'save-name-input';
+    input.className = 'form-input';
+    input.maxLength = 50;
+    input.value = `${this.drawingData.drawingName || 'Desenho'} - ${new Date().toLocaleDateString()}`;
+    input.setAttribute('aria-describedby', 'save-name-help');
+    input.style.minHeight = '44px';
+
+    const help = document.createElement('small');
+    help.id = 'save-name-help';
+    help.className = 'form-help';
+    help.textContent = 'Usar um nome já existente substitui o salvamento anterior.';
+
+    group.appendChild(label);
+    group.appendChild(input);
+    group.appendChild(help);
+    form.appendChild(group);
+
+    // Resumo do que será salvo
+    const coloredAreas = this.drawingData.coloredAreas || {};
+    form.appendChild(this.createPreview({
+      coloredAreas: Object.keys(coloredAreas).length,
+      uniqueColors: new Set(Object.values(coloredAreas)).size,
+      primaryColors: [...new Set(Object.values(coloredAreas))].slice(0, 3)
+    }));
+
+    return form;
+  }
+
+  /**
+   * Cria o bloco de pré-visualização de um salvamento
+   * @param {Object} preview - Preview gerado pelo SaveLoadService
+   * @param {number} preview.coloredAreas - Número de áreas coloridas
+   * @param {number} preview.uniqueColors - Número de cores diferentes
+   * @param {string[]} preview.primaryColors - Principais cores usadas
+   * @returns {HTMLElement}
+   * @private
+   */
+  createPreview(preview) {
+    const container = document.createElement('div');
+    container.className = 'save-preview';
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Resumo';
+    container.appendChild(heading);
+
+    const info = document.createElement('div');
+    info.className = 'preview-info';
+    info.appendChild(this.createInfoItem('Áreas pintadas', String(preview.coloredAreas)));
+    info.appendChild(this.createInfoItem('Cores usadas', String(preview.uniqueColors)));
+    container.appendChild(info);
+
+    if (preview.primaryColors.length > 0) {
+      container.appendChild(this.createColorSwatches(preview.primaryColors));
+    }
+
+    return container;
+  }
+
+  /**
+   * Cria uma linha rótulo/valor do resumo
+   * @param {string} label - Rótulo
+   * @param {string} value - Valor
+   * @returns {HTMLElement}
+   * @private
+   */
+  createInfoItem(label, value) {
+    const item = document.createElement('div');
+    item.className = 'info-item';
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'info-label';
+    labelElement.textContent = label;
+
+    const valueElement = document.createElement('span');
+    valueElement.className = 'info-value';
+    valueElement.textContent = value;
+
+    item.appendChild(labelElement);
+    item.appendChild(valueElement);
+
+    return item;
+  }
+
+  /**
+   * Cria amostras das cores principais de um salvamento
+   * @param {string[]} colors - Cores hexadecimais
+   * @returns {HTMLElement}
+   * @private
+   */
+  createColorSwatches(colors) {
+    const swatches = document.createElement('div');
+    swatches.className = 'saved-drawing-colors';
+    swatches.setAttribute('aria-label', `Cores principais: ${colors.join(', ')}`);
+
+    colors.forEach(color => {
+      const swatch = document.createElement('span');
+      swatch.className = 'color-swatch';
+      swatch.style.backgroundColor = color;
+      swatch.setAttribute('aria-hidden', 'true');
+      swatches.appendChild(swatch);
+    });
+
+    return swatches;
+  }
+
+  /**
+   * Cria o container da lista de salvamentos (preenchido por refreshSavedList)
+   * @returns {HTMLElement}
+   * @private
+   */
+  createSavedListContainer() {
+    const container = document.createElement('div');
+    container.className = 'saved-drawings';
+    container.setAttribute('aria-busy', 'true');
+
+    const loading = document.createElement('p');
+    loading.className = 'empty-state';
+    loading.textContent = 'Carregando desenhos salvos...';
+    container.appendChild(loading);
+
+    return container;
+  }
+
+  /**
+   * Cria a linha com o espaço de armazenamento usado
+   * @returns {HTMLElement}
+   * @private
+   */
+  createStorageUsage() {
+    const usage = document.createElement('p');
+    usage.className = 'storage-usage';
+    usage.hidden = true;
+    return usage;
+  }
+
+  /**
+   * Busca os salvamentos e o uso do armazenamento e atualiza o modal
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refreshSavedList() {
+    const modalElement = this.modalElement;
+    const [savedDrawings, stats] = await Promise.all([
+      this.saveLoadService.getSavedDrawingsList(this.drawingId),
+      this.saveLoadService.getStorageStats()
+    ]);
+
+    // O modal pode ter sido fechado ou reaberto durante a busca
+    if (!this.modalElement || this.modalElement !== modalElement || this.mode !== 'load') {
+      return;
+    }
+
+    const container = this.modalElement.querySelector('.saved-drawings');
+    container.replaceChildren(this.createSavedList(savedDrawings));
+    container.removeAttribute('aria-busy');
+
+    this.updateStorageUsage(stats);
+    this.focusInitialElement();
+  }
+
+  /**
+   * Exibe o espaço usado e avisa quando o armazenamento está quase cheio
+   * @param {import('../services/SaveLoadService.js').StorageStats} stats - Estatísticas do serviço
+   * @private
+   */
+  updateStorageUsage(stats) {
+    const usage = this.modalElement?.querySelector('.storage-usage');
+    if (!usage || !stats) {
+      return;
+    }
+
+    const used = this.formatBytes(stats.storageUsed);
+    usage.textContent = stats.storageQuota
+      ? `Espaço usado: ${used} de ${this.formatBytes(stats.storageQuota)}`
+      : `Espaço usado: ${used}`;
+
+    if (stats.nearQuota) {
+      usage.textContent += ' - quase cheio! Apague desenhos antigos para continuar salvando.';
+    }
+
+    usage.classList.toggle('storage-usage-warning', stats.nearQuota);
+    usage.hidden = false;
+  }
+
+  /**
+   * Formata tamanho em bytes para exibição
+   * @param {number} bytes - Tamanho em bytes
+   * @returns {string}
+   * @private
+   */
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+      return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  /**
+   * Cria a lista de desenhos salvos do desenho atual
+   * @param {Array} savedDrawings - Itens retornados por getSavedDrawingsList
+   * @returns {HTMLElement}
+   * @private
+   */
+  createSavedList(savedDrawings) {
+    if (savedDrawings.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = 'Nenhum desenho salvo ainda. Pinte e toque em "Salvar"!';
+      return empty;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'saved-drawings-list';
+    list.setAttribute('aria-label', 'Desenhos salvos');
+
+    savedDrawings.forEach(saved => {
+      list.appendChild(this.createSavedItem(saved));
+    });
+
+    return list;
+  }
+
+  /**
+   * Cria um item da lista de desenhos salvos
+   * @param {Object} saved - Item retornado por getSavedDrawingsList
+   * @returns {HTMLElement}
+   * @private
+   */
+  createSavedItem(saved) {
+    const item = document.createElement('li');
+    item.className = 'saved-drawing-item';
+    item.dataset.saveId = saved.id;
+
+    const info = document.createElement('div');
+    info.className = 'saved-drawing-info';
+
+    const name = document.createElement('span');
+    name.className = 'saved-drawing-name';
+    name.textContent = saved.customName;
+    info.appendChild(name);
+
+    const details = document.createElement('span');
+    details.className = 'saved-drawing-date';
+    details.textContent = `${this.formatDate(saved.savedAt)} · ${saved.preview.coloredAreas} áreas pintadas`;
+    info.appendChild(details);
+
+    if (saved.preview.primaryColors.length > 0) {
+      info.appendChild(this.createColorSwatches(saved.preview.primaryColors));
+    }
+
+    item.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'saved-drawing-actions';
+    actions.appendChild(this.createButton(
+      '📂 Abrir',
+      'load-item-button',
+      `Abrir ${saved.customName}`,
+      () => this.handleLoad(saved.id)
+    ));
+    actions.appendChild(this.createButton(
+      '🗑️',
+      'delete-item-button danger',
+      `Remover ${saved.customName}`,
+      () => this.handleDelete(saved.id)
+    ));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Cria a lista de formatos de impressão e download
+   * @returns {HTMLElement}
+   * @private
+   */
+  createExportList() {
+    const list = document.createElement('ul');
+    list.className = 'export-options-list';
+    list.setAttribute('aria-label', 'Formatos disponíveis');
+
+    this.exportOptions.forEach(option => {
+      const item = document.createElement('li');
+      item.className = 'export-option-item';
+
+      const button = this.createButton(
+        option.label,
+        'export-option-button',
+        option.label,
+        () => this.handleExport(option.id, button)
+      );
+      button.dataset.exportId = option.id;
+
+      if (option.description) {
+        const descriptionId = `export-option-${option.id}-description`;
+        const description = document.createElement('span');
+        description.id = descriptionId;
+        description.className = 'export-option-description';
+        description.textContent = option.description;
+        button.setAttribute('aria-describedby', descriptionId);
+        item.appendChild(button);
+        item.appendChild(description);
+      } else {
+        item.appendChild(button);
+      }
+
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Cria as caixas de seleção de ajustes da exportação
+   * @returns {HTMLElement}
+   * @private
+   */
+  createExportSettings() {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'export-settings';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Ajustes';
+    fieldset.appendChild(legend);
+
+    this.exportSettings.forEach(setting => {
+      const label = document.createElement('label');
+      label.className = 'export-setting';
+      label.style.minHeight = '44px';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = setting.id;
+      checkbox.checked = Boolean(setting.checked);
+      checkbox.dataset.settingId = setting.id;
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${setting.label}`));
+      fieldset.appendChild(label);
+    });
+
+    return fieldset;
+  }
+
+  /**
+   * Lê os valores atuais dos ajustes da exportação
+   * @returns {Object<string, boolean>}
+   * @private
+   */
+  getExportSettingValues() {
+    const values = {};
+    this.modalElement?.querySelectorAll('[data-setting-id]').forEach(checkbox => {
+      values[checkbox.dataset.settingId] = checkbox.checked;
+    });
+    return values;
+  }
+
+  /**
+   * Executa a exportação escolhida e exibe o resultado
+   * O modal continua aberto para permitir baixar outros formatos
+   * @param {string} optionId - ID da opção escolhida
+   * @param {HTMLButtonElement} button - Botão acionado (desabilitado durante a geração)
+   * @private
+   */
+  async handleExport(optionId, button) {
+    if (button.disabled) {
+      return;
+    }
+
+    button.disabled = true;
+    this.showMessage('Preparando imagem...', 'info');
+
+    try {
+      const result = await this.onComplete(optionId, this.getExportSettingValues());
+      if (result) {
+        this.showMessage(result.message, result.success ? 'success' : 'error');
+      }
+    } catch (error) {
+      console.error('Erro ao exportar desenho:', error);
+      errorLogger.log(error, { context: 'save-load-modal-export', optionId });
+      this.showMessage('Erro ao exportar imagem', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Formata data ISO para exibição
+   * @param {string} isoDate - Data em formato ISO
+   * @returns {string}
+   * @private
+   */
+  formatDate(isoDate) {
+    const date = new Date(isoDate);
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  /**
+   * Salva o desenho com o nome informado
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleSave() {
+    const input = this.modalElement?.querySelector('#save-name-input');
+    const customName = input ? input.value.trim() : '';
+
+    if (!customName) {
+      this.showMessage('Digite um nome para o desenho.', 'error');
+      input?.focus();
+      return;
+    }
+
+    // Evitar salvamento duplicado enquanto a gravação está em andamento
+    const saveButton = this.modalElement.querySelector('.modal-button-primary');
+    if (saveButton?.disabled) {
+      return;
+    }
+    if (saveButton) {
+      saveButton.disabled = true;
+    }
+
+    // O modal pode ser fechado (Esc, fundo, ✕, Cancelar) enquanto a gravação não termina
+    const modal = this.modalElement;
+    const onComplete = this.onComplete;
+    const result = await this.saveLoadService.saveDrawing(this.drawingData, customName);
+    const stillOpen = this.modalElement === modal;
+
+    if (saveButton) {
+      saveButton.disabled = false;
+    }
+
+    if (!result.success) {
+      errorLogger.log(new Error(result.error || result.message), { component: 'SaveLoadModal', action: 'save' });
+      if (stillOpen) {
+        this.showMessage(result.message, 'error');
+      }
+      return;
+    }
+
+    // O desenho já foi gravado: a tela de colorir é avisada mesmo com o modal fechado
+    if (stillOpen) {
+      this.close();
+    }
+    if (typeof onComplete === 'function') {
+      onComplete(result);
+    }
+  }
+
+  /**
+   * Carrega um desenho salvo e repassa os dados ao callback
+   * @param {string} saveId - ID do salvamento
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleLoad(saveId) {
+    const modal = this.modalElement;
+    const onLoad = this.onComplete;
+    const result = await this.saveLoadService.loadDrawing(saveId);
+
+    // Fechar o modal antes de o desenho chegar cancela a abertura
+    if (this.modalElement !== modal) {
+      return;
+    }
+
+    if (!result.success) {
+      this.showMessage(result.error || 'Não foi possível abrir o desenho.', 'error');
+      return;
+    }
+
+    this.close();
+    onLoad(result.data);
+  }
+
+  /**
+   * Remove um desenho salvo
+   * O primeiro toque pede confirmação no próprio botão; o segundo remove
+   * @param {string} saveId - ID do salvamento
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleDelete(saveId) {
+    const item = this.modalElement?.querySelector(`[data-save-id="${saveId}"]`);
+    const deleteButton = item?.querySelector('.delete-item-button');
+
+    if (deleteButton && deleteButton.dataset.confirming !== 'true') {
+      const name = item.querySelector('.saved-drawing-name').textContent;
+      deleteButton.dataset.confirming = 'true';
+      deleteButton.textContent = 'Remover?';
+      deleteButton.setAttribute('aria-label', `Toque novamente para remover ${name}`);
+      return;
+    }
+
+    const result = await this.saveLoadService.deleteDrawing(saveId);
+
+    if (!result.success) {
+      this.showMessage(result.message, 'error');
+      return;
+    }
+
+    // Re-renderizar lista mantendo a mensagem visível
+    this.showMessage(result.message, 'success');
+    await this.refreshSavedList();
+  }
+
+  /**
+   * Exibe mensagem dentro do modal
+   * @param {string} text - Texto da mensagem
+   * @param {'success'|'error'|'info'} type - Tipo da mensagem
+   * @private
+   */
+  showMessage(text, type) {
+    const message = this.modalElement?.querySelector('.modal-message');
+    if (!message) {
+      return;
+    }
+
+    message.textContent = text;
+    message.className = `modal-message modal-message-${type}`;
+  }
+
+  /**
+   * Foca o primeiro elemento relevante do modal
+   * @private
+   */
+  focusInitialElement() {
+    const target = this.modalElement.querySelector('#save-name-input') ||
+      this.modalElement.querySelector('.load-item-button') ||
+      this.modalElement.querySelector('.export-option-button') ||
+      this.modalElement.querySelector('.modal-close');
+
+    target?.focus();
+    if (target && typeof target.select === 'function') {
+      target.select();
+    }
+  }
+
+  /**
+   * Retorna os elementos focáveis do modal
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  getFocusableElements() {
+    return getFocusableElements(this.modalElement);
+  }
+
+  /**
+   * Manipula teclado: Escape fecha e Tab fica preso dentro do modal
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      // Evitar que o Escape também feche a tela de colorir
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    trapTabKey(event, this.modalElement);
+  }
+
+  /**
+   * Verifica se o modal está aberto
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.modalElement !== null;
+  }
+
+  /**
+   * Fecha o modal e devolve o foco ao elemento anterior
+   */
+  close() {
+    if (!this.modalElement) {
+      return;
+    }
+
+    this.removeModalElement();
+
+    if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+      this.previouslyFocused.focus();
+    }
+
+    this.previouslyFocused = null;
+    this.mode = null;
+    this.drawingData = null;
+    this.onComplete = null;
+    this.exportOptions = [];
+    this.exportSettings = [];
+  }
+
+  /**
+   * Remove o elemento do modal do DOM
+   * @private
+   */
+  removeModalElement() {
+    this.modalElement.removeEventListener('keydown', this.keydownHandler);
+    if (this.modalElement.parentNode) {
+      this.modalElement.remove();
+    }
+    this.modalElement = null;
+  }
+
+  /**
+   * Destrói o componente e limpa recursos
+   */
+  destroy() {
+    if (this.modalElement) {
+      this.removeModalElement();
+    }
+    this.previouslyFocused = null;
+    this.mode = null;
+    this.drawingData = null;
+    this.onComplete = null;
+    this.exportOptions = [];
+    this.exportSettings = [];
+  }
+}
+
+export default SaveLoadModal;
@@ -0,0 +1,221 @@
+import { SCAN_INTERVALS } from './SwitchScanner.js';
+
+/**
+ * Nomes legíveis das teclas mais comuns dos acionadores
+ */
+const KEY_NAMES = {
+  ' ': 'Espaço',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  ArrowRight: 'Seta para a direita',
+  ArrowLeft: 'Seta para a esquerda',
+  ArrowUp: 'Seta para cima',
+  ArrowDown: 'Seta para baixo'
+};
+
+/**
+ * Retorna o nome legível de uma tecla
+ * @param {string} key - event.key
+ * @returns {string}
+ */
+export function formatKey(key) {
+  return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+/**
+ * Componente de configuração da varredura
+ * Painel usado pelo terapeuta ou responsável para escolher um ou dois acionadores,
+ * o intervalo do avanço automático e as teclas mapeadas dos acionadores
+ */
+export class ScanSettings {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {Object} options.settings - Configuração atual (ver DEFAULT_SCAN_SETTINGS)
+   * @param {Function} options.onChange - Callback com os campos alterados
+   */
+  constructor({ settings, onChange }) {
+    this.settings = { ...settings };
+    this.onChange = onChange || (() => {});
+    this.capturing = null; // 'selectKey' | 'stepKey' enquanto espera uma tecla
+
+    this.element = this.createPanel();
+    this.update();
+  }
+
+  /**
+   * Cria o painel
+   * @returns {HTMLElement}
+   * @private
+   */
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'scan-settings';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', 'Configuração da varredura');
+
+    this.modeSelect = this.createSelect('scan-mode', 'Acionadores', [
+      ['single', 'Um acionador (avanço automático)'],
+      ['two', 'Dois acionadores (avançar e selecionar)']
+    ], (value) => this.change({ mode: value }));
+
+    this.intervalSelect = this.createSelect(
+      'scan-interval',
+      'Intervalo',
+      SCAN_INTERVALS.map(ms => [String(ms), `${(ms / 1000).toLocaleString('pt-BR')} s`]),
+      (value) => this.change({ interval: Number(value) })
+    );
+
+    this.selectKeyButton = this.createKeyButton('selectKey');
+    this.stepKeyButton = this.createKeyButton('stepKey');
+
+    panel.appendChild(this.modeSelect.parentNode);
+    panel.appendChild(this.intervalSelect.parentNode);
+    panel.appendChild(this.selectKeyButton);
+    panel.appendChild(this.stepKeyButton);
+
+    return panel;
+  }
+
+  /**
+   * Cria um <select> com rótulo
+   * @param {string} id - ID do select
+   * @param {string} labelText - Rótulo
+   * @param {Array<[string, string]>} options - Pares valor/texto
+   * @param {Function} onSelect - Callback com o valor escolhido
+   * @returns {HTMLSelectElement}
+   * @private
+   */
+  createSelect(id, labelText, options, onSelect) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'scan-settings-field';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', id);
+    label.textContent = labelText;
+
+    const select = document.createElement('select');
+    select.id = id;
+    select.style.minHeight = '44px';
+
+    options.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => onSelect(select.value));
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(select);
+
+    return select;
+  }
+
+  /**
+   * Cria o botão que mapeia a tecla de um acionador
+   * Ao ativar, a próxima tecla pressionada no botão passa a ser a tecla do acionador
+   * @param {'selectKey'|'stepKey'} field - Campo da configuração
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  createKeyButton(field) {
+    const button = document.createElement('button');
+    button.className = 'scan-key-button';
+    button.setAttribute('type', 'button');
+    button.dataset.field = field;
+    button.style.minWidth = '44px';
+    button.style.minHeight = '44px';
+
+    const startCapture = () => {
+      this.capturing = field;
+      this.update();
+    };
+
+    button.addEventListener('click', startCapture);
+
+    // Touch event para dispositivos móveis
+    button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      startCapture();
+    });
+
+    button.addEventListener('keydown', (e) => this.handleCaptureKey(e, field));
+    button.addEventListener('blur', () => {
+      if (this.capturing === field) {
+        this.capturing = null;
+        this.update();
+      }
+    });
+
+    return button;
+  }
+
+  /**
+   * Grava a tecla pressionada enquanto o botão espera uma tecla
+   * Escape cancela e Tab continua navegando
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @param {'selectKey'|'stepKey'} field - Campo da configuração
+   * @private
+   */
+  handleCaptureKey(event, field) {
+    if (this.capturing !== field || event.key === 'Tab') {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.capturing = null;
+
+    if (event.key === 'Escape') {
+      this.update();
+      return;
+    }
+
+    this.change({ [field]: event.key });
+  }
+
+  /**
+   * Aplica e repassa uma alteração
+   * @param {Object} changes - Campos alterados
+   * @private
+   */
+  change(changes) {
+    this.settings = { ...this.settings, ...changes };
+    this.update();
+    this.onChange(changes);
+  }
+
+  /**
+   * Atualiza os controles com a configuração atual
+   * @private
+   */
+  update() {
+    const { mode, interval, selectKey, stepKey } = this.settings;
+    const twoSwitches = mode === 'two';
+
+    this.modeSelect.value = mode;
+    this.intervalSelect.value = String(interval);
+    this.intervalSelect.disabled = twoSwitches; // Sem avanço automático
+
+    const defaultSelect = twoSwitches ? 'Enter' : 'Espaço ou Enter';
+    this.selectKeyButton.textContent = this.capturing === 'selectKey'
+      ? 'Pressione a tecla do acionador…'
+      : `Tecla de selecionar: ${selectKey ? formatKey(selectKey) : defaultSelect}`;
+
+    this.stepKeyButton.hidden = !twoSwitches;
+    this.stepKeyButton.textContent = this.capturing === 'stepKey'
+      ? 'Pressione a tecla do acionador…'
+      : `Tecla de avançar: ${formatKey(stepKey)}`;
+  }
+
+  /**
+   * Exibe ou oculta o painel
+   * @param {boolean} visible - Se o painel fica visível
+   */
+  setVisible(visible) {
+    this.element.hidden = !visible;
+  }
+}
+
+export default ScanSettings;
@@ -0,0 +1,319 @@
+/**
+ * Modos de varredura
+ * - 'single': um acionador; o destaque avança sozinho e o acionador seleciona
+ * - 'two': dois acionadores; um avança o destaque e o outro seleciona
+ */
+export const SCAN_MODES = ['single', 'two'];
+
+/**
+ * Intervalos de varredura oferecidos na configuração (ms)
+ */
+export const SCAN_INTERVALS = [1000, 1500, 2000, 3000, 5000];
+
+/**
+ * Configuração padrão da varredura
+ * A tecla de seleção (selectKey) é a tecla mapeada do acionador, além de Espaço/Enter
+ */
+export const DEFAULT_SCAN_SETTINGS = {
+  mode: 'single',
+  interval: 2000,
+  selectKey: null,
+  stepKey: ' '
+};
+
+/**
+ * @typedef {Object} ScanItem
+ * @property {Element} element - Elemento destacado
+ * @property {'area'|'color'} kind - Tipo do item
+ * @property {Function} select - Ação executada ao selecionar
+ */
+
+/**
+ * Componente de varredura para acionadores (switch access)
+ * Percorre com um destaque visível os itens fornecidos (áreas do desenho e cores da
+ * paleta) e seleciona o item destacado com um único toque no acionador
+ */
+export class SwitchScanner {
+  /**
+   * @param {Object} options - Opções de configuração
+   * @param {Function} options.getItems - Função que retorna os itens na ordem da varredura (ScanItem[])
+   * @param {Object} [options.settings] - Configuração (ver DEFAULT_SCAN_SETTINGS)
+   * @param {EventTarget} [options.keyTarget] - Onde as teclas são escutadas (padrão: document)
+   */
+  constructor(options = {}) {
+    if (!options.getItems || typeof options.getItems !== 'function') {
+      throw new Error('Função getItems é obrigatória');
+    }
+
+    this.getItems = options.getItems;
+    this.keyTarget = options.keyTarget || document;
+    this.settings = { ...DEFAULT_SCAN_SETTINGS };
+
+    // Estado
+    this.active = false;
+    this.index = -1;
+    this.highlighted = null;
+    this.timerId = null;
+
+    this.keydownHandler = (e) => this.handleKeydown(e);
+    this.keyupHandler = (e) => this.handleKeyup(e);
+
+    this.configure(options.settings);
+  }
+
+  /**
+   * Atualiza a configuração; reinicia o temporizador se a varredura estiver ativa
+   * @param {Object} [settings] - Campos a alterar
+   */
+  configure(settings = {}) {
+    const next = { ...this.settings, ...settings };
+
+    this.settings = {
+      mode: SCAN_MODES.includes(next.mode) ? next.mode : DEFAULT_SCAN_SETTINGS.mode,
+      interval: Number.isFinite(next.interval) && next.interval > 0 ? next.interval : DEFAULT_SCAN_SETTINGS.interval,
+      selectKey: next.selectKey || null,
+      stepKey: next.stepKey || DEFAULT_SCAN_SETTINGS.stepKey
+    };
+
+    if (this.active) {
+      this.scheduleStep();
+    }
+  }
+
+  /**
+   * Retorna a configuração atual
+   * @returns {Object}
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Inicia a varredura pelo primeiro item
+   */
+  start() {
+    if (this.active) {
+      return;
+    }
+
+    this.active = true;
+    this.keyTarget.addEventListener('keydown', this.keydownHandler, true);
+    this.keyTarget.addEventListener('keyup', this.keyupHandler, true);
+    this.moveTo(0);
+    this.scheduleStep();
+  }
+
+  /**
+   * Para a varredura e remove o destaque
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+    this.keyTarget.removeEventListener('keydown', this.keydownHandler, true);
+    this.keyTarget.removeEventListener('keyup', this.keyupHandler, true);
+    clearTimeout(this.timerId);
+    this.timerId = null;
+    this.setHighlight(null);
+    this.index = -1;
+  }
+
+  /**
+   * Verifica se a varredura está ativa
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Avança o destaque para o próximo item (volta ao início depois do último)
+   */
+  step() {
+    if (!this.active) {
+      return;
+    }
+
+    this.moveTo(this.index + 1);
+    this.scheduleStep();
+  }
+
+  /**
+   * Seleciona o item destacado
+   * Depois de escolher uma cor, a varredura recomeça pelas áreas do desenho
+   * @returns {ScanItem|null} Item selecionado
+   */
+  select() {
+    if (!this.active) {
+      return null;
+    }
+
+    const items = this.getItems();
+    const item = items[this.index];
+    if (!item) {
+      return null;
+    }
+
+    item.select();
+
+    if (item.kind === 'color') {
+      this.moveTo(0);
+    } else {
+      // A seleção pode ter recriado elementos: manter o destaque no item atual
+      this.moveTo(this.index);
+    }
+    this.scheduleStep();
+
+    return item;
+  }
+
+  /**
+   * Retorna o item destacado
+   * @returns {ScanItem|null}
+   */
+  getHighlightedItem() {
+    return this.active ? this.getItems()[this.index] || null : null;
+  }
+
+  /**
+   * Destaca o item de um índice
+   * @param {number} index - Índice (circular)
+   * @private
+   */
+  moveTo(index) {
+    const items = this.getItems();
+
+    if (items.length === 0) {
+      this.index = -1;
+      this.setHighlight(null);
+      return;
+    }
+
+    this.index = ((index % items.length) + items.length) % items.length;
+    this.setHighlight(items[this.index].element);
+  }
+
+  /**
+   * Troca o elemento destacado
+   * @param {Element|null} element - Novo elemento destacado
+   * @private
+   */
+  setHighlight(element) {
+    if (this.highlighted) {
+      this.highlighted.classList.remove('scan-highlight');
+    }
+
+    this.highlighted = element;
+
+    if (element) {
+      element.classList.add('scan-highlight');
+      if (typeof element.scrollIntoView === 'function') {
+        element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      }
+    }
+  }
+
+  /**
+   * Agenda o próximo avanço automático (apenas no modo de um acionador)
+   * Cada seleção ou avanço manual reinicia a contagem
+   * @private
+   */
+  scheduleStep() {
+    clearTimeout(this.timerId);
+    this.timerId = null;
+
+    if (!this.active || this.settings.mode !== 'single') {
+      return;
+    }
+
+    this.timerId = setTimeout(() => this.step(), this.settings.interval);
+  }
+
+  /**
+   * Manipula as teclas dos acionadores
+   * Teclas mantidas pressionadas (repeat) são ignoradas para evitar seleções por tremor
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeydown(event) {
+    if (this.shouldIgnore(event)) {
+      return;
+    }
+
+    const action = this.getKeyAction(event.key);
+    if (!action) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.repeat) {
+      return;
+    }
+
+    if (action === 'step') {
+      this.step();
+    } else {
+      this.select();
+    }
+  }
+
+  /**
+   * Bloqueia o keyup das teclas da varredura
+   * Evita que Espaço ative o botão que estiver com foco ao soltar a tecla
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @private
+   */
+  handleKeyup(event) {
+    if (!this.shouldIgnore(event) && this.getKeyAction(event.key)) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }
+
+  /**
+   * Ação de uma tecla na configuração atual
+   * A tecla de avanço mapeada tem prioridade sobre Enter no modo de dois acionadores
+   * @param {string} key - event.key
+   * @returns {'step'|'select'|null}
+   * @private
+   */
+  getKeyAction(key) {
+    const { mode, selectKey, stepKey } = this.settings;
+
+    if (mode === 'two' && key === stepKey && key !== selectKey) {
+      return 'step';
+    }
+    if (key === 'Enter' || key === selectKey || (mode === 'single' && key === ' ')) {
+      return 'select';
+    }
+    return null;
+  }
+
+  /**
+   * Teclas digitadas em campos ou em diálogos abertos não pertencem à varredura
+   * @param {KeyboardEvent} event - Evento de teclado
+   * @returns {boolean}
+   * @private
+   */
+  shouldIgnore(event) {
+    const target = event.target;
+    if (!target || typeof target.closest !== 'function') {
+      return false;
+    }
+
+    return Boolean(target.closest('input, select, textarea, [role="dialog"], [role="alertdialog"], .scan-settings'));
+  }
+
+  /**
+   * Destrói o componente e limpa recursos
+   */
+  destroy() {
+    this.stop();
+  }
+}
+
+export default SwitchScanner;
@@ -0,0 +1,163 @@
+/**
+ * Testes para o ActivityReport e o botão de relatório da galeria
+ */
+
+import { jest } from '@jest/globals';
+import { ActivityReport } from '../ActivityReport.js';
+import { Gallery } from '../Gallery.js';
+import { ActivityService } from '../../services/ActivityService.js';
+import { ProfileService } from '../../services/ProfileService.js';
+
+const LOGS = [
+  { timestamp: 1000, success: true, appliedColor: '#FF0000', misclick: false },
+  { timestamp: 2000, success: false, appliedColor: null, misclick: true }
+];
+
+describe('ActivityReport', () => {
+  let profiles;
+  let activity;
+  let imageExportService;
+  let report;
+  let ana;
+  let beto;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    activity = new ActivityService(profiles);
+    imageExportService = { downloadFile: jest.fn() };
+    report = new ActivityReport({ profileService: profiles, activityService: activity, imageExportService });
+
+    ana = profiles.createProfile({ name: 'Ana' });
+    beto = profiles.createProfile({ name: 'Beto' });
+    profiles.setActiveProfile(ana.id);
+    activity.recordSession({
+      drawing: { id: 'gato', name: 'Gato' },
+      startedAt: Date.now() - 65000,
+      clickLogs: LOGS,
+      coloredAreas: { 'area-1': '#FF0000' },
+      totalAreas: 4
+    });
+  });
+
+  afterEach(() => {
+    report.destroy();
+    localStorage.clear();
+  });
+
+  test('deve abrir como diálogo com o perfil ativo selecionado', () => {
+    report.open();
+
+    const dialog = document.querySelector('.activity-report [role="dialog"]');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.querySelector('#activity-report-profile-select').value).toBe(ana.id);
+    expect(document.activeElement.classList.contains('activity-report-close')).toBe(true);
+  });
+
+  test('deve exibir o resumo semanal e as sessões', () => {
+    report.open();
+
+    const weekly = document.querySelectorAll('.activity-weekly tbody tr');
+    expect(weekly).toHaveLength(1);
+    expect(weekly[0].cells[1].textContent).toBe('1');
+    expect(weekly[0].cells[2].textContent).toBe('1 min 5 s');
+    expect(weekly[0].cells[4].textContent).toBe('25%');
+    expect(weekly[0].cells[5].textContent).toBe('0');
+    expect(weekly[0].cells[6].textContent).toBe('50%');
+
+    const session = document.querySelector('.activity-sessions tbody tr');
+    expect(session.cells[1].textContent).toBe('Gato');
+    expect(session.cells[3].textContent).toBe('1 de 4');
+    expect(session.cells[4].textContent).toBe('1 de 2');
+    expect(session.querySelectorAll('.activity-color-swatch')).toHaveLength(1);
+  });
+
+  test('deve trocar de criança pelo seletor', () => {
+    report.open();
+
+    const select = document.querySelector('#activity-report-profile-select');
+    select.value = beto.id;
+    select.dispatchEvent(new Event('change'));
+
+    expect(document.querySelector('.activity-sessions')).toBeNull();
+    expect(document.querySelector('.activity-report .empty-state').textContent).toContain('Nenhuma atividade');
+    document.querySelectorAll('.activity-export-button').forEach(button => {
+      expect(button.disabled).toBe(true);
+    });
+  });
+
+  test('deve exportar o relatório da criança exibida', () => {
+    const result = { success: true, url: 'blob:x', filename: 'relatorio.csv', message: 'Relatório exportado com sucesso!' };
+    jest.spyOn(activity, 'exportReport').mockReturnValue(result);
+    report.open();
+
+    document.querySelector('.activity-export-button[data-format="csv"]').click();
+
+    expect(activity.exportReport).toHaveBeenCalledWith('csv', ana.id);
+    expect(imageExportService.downloadFile).toHaveBeenCalledWith(result);
+    expect(document.querySelector('.activity-report-message').textContent).toBe(result.message);
+  });
+
+  test('não deve iniciar download quando a exportação falha', () => {
+    jest.spyOn(activity, 'exportReport').mockReturnValue({ success: false, message: 'Erro ao exportar relatório' });
+    report.open();
+
+    document.querySelector('.activity-export-button[data-format="json"]').click();
+
+    expect(imageExportService.downloadFile).not.toHaveBeenCalled();
+    expect(document.querySelector('.activity-report-message').textContent).toBe('Erro ao exportar relatório');
+  });
+
+  test('Escape deve fechar e devolver o foco', () => {
+    const opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    report.open();
+    document.querySelector('.activity-report').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+    );
+
+    expect(report.isOpen()).toBe(false);
+    expect(document.activeElement).toBe(opener);
+    opener.remove();
+  });
+
+  test('todos os botões devem ter área de toque mínima de 44px', () => {
+    report.open();
+
+    document.querySelectorAll('.activity-report button').forEach(button => {
+      expect(button.style.minWidth).toBe('44px');
+      expect(button.style.minHeight).toBe('44px');
+    });
+  });
+});
+
+describe('Gallery - botão de relatório', () => {
+  let container;
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+    localStorage.clear();
+  });
+
+  test('deve exibir o botão de relatório mesmo sem perfil ativo', async () => {
+    const onReportOpen = jest.fn();
+    const gallery = new Gallery({ container, onDrawingSelect: jest.fn(), onReportOpen });
+    gallery.profileService = new ProfileService();
+    gallery.userDrawingService = { isAvailable: () => false, isUserDrawing: () => false };
+    gallery.loaderService = { loadDrawingsGroupedByCategory: async () => [], setupLazyLoading: () => null };
+    await gallery.init();
+
+    expect(container.querySelector('.gallery-profile-switcher')).toBeNull();
+    const button = container.querySelector('.gallery-header .gallery-report-button');
+    button.click();
+    expect(onReportOpen).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Testes unitários para a retomada de progresso salvo automaticamente na ColoringScreen
+ */
+
+import { ColoringScreen } from '../ColoringScreen.js';
+
+describe('ColoringScreen - Progresso salvo automaticamente', () => {
+  let container;
+  let screen;
+  let changes;
+
+  beforeEach(async () => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    changes = [];
+
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'gato', name: 'Gato', svgUrl: '/test.svg' },
+      savedProgress: new Map([['area-1', '#FF0000'], ['area-2', '#00FF00']]),
+      onColorsChange: (coloredAreas) => changes.push(coloredAreas),
+      onBack: () => {}
+    });
+
+    // Aguardar o carregamento do SVG, que exibe a pergunta de retomada
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+  });
+
+  test('deve perguntar se a criança quer continuar, com foco em Continuar', () => {
+    const prompt = container.querySelector('.resume-prompt');
+
+    expect(prompt).not.toBeNull();
+    expect(prompt.getAttribute('role')).toBe('alertdialog');
+    expect(document.getElementById(prompt.getAttribute('aria-labelledby'))).not.toBeNull();
+    expect(document.activeElement).toBe(prompt.querySelector('.resume-button'));
+  });
+
+  test('Continuar deve reaplicar as cores salvas', () => {
+    container.querySelector('.resume-button').click();
+
+    const svg = screen.svgCanvas.svgElement;
+    expect(svg.querySelector('#area-1').getAttribute('fill')).toBe('#FF0000');
+    expect(svg.querySelector('#area-2').getAttribute('fill')).toBe('#00FF00');
+    expect(screen.coloredAreas.size).toBe(2);
+    expect(changes[changes.length - 1].get('area-2')).toBe('#00FF00');
+    expect(container.querySelector('.resume-prompt')).toBeNull();
+  });
+
+  test('Começar de novo deve descartar o progresso salvo', () => {
+    container.querySelector('.restart-button').click();
+
+    expect(screen.coloredAreas.size).toBe(0);
+    expect(changes).toHaveLength(1);
+    expect(changes[0].size).toBe(0);
+    expect(container.querySelector('.resume-prompt')).toBeNull();
+  });
+
+  test('pintar uma área deve dispensar a pergunta', () => {
+    screen.handleAreaClick('area-1', '#0000FF');
+
+    expect(container.querySelector('.resume-prompt')).toBeNull();
+    expect(changes[0]).toEqual(new Map([['area-1', '#0000FF']]));
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Testes para a conclusão do desenho: indicador de progresso, comemoração e registro
+ */
+
+import { jest } from '@jest/globals';
+import { CompletionCelebration } from '../CompletionCelebration.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+import { PaletteService } from '../../services/PaletteService.js';
+import { AudioService } from '../../services/AudioService.js';
+import { ActivityService } from '../../services/ActivityService.js';
+import { ProfileService } from '../../services/ProfileService.js';
+
+describe('CompletionCelebration', () => {
+  let celebration;
+  let audio;
+  let actions;
+
+  function createCelebration(options = {}) {
+    celebration = new CompletionCelebration({ audioService: audio, ...actions, ...options });
+    return celebration;
+  }
+
+  function dialog() {
+    return document.querySelector('.completion-celebration-content');
+  }
+
+  beforeEach(() => {
+    audio = { play: jest.fn(async () => true) };
+    actions = { onSave: jest.fn(), onPrint: jest.fn(), onNext: jest.fn() };
+  });
+
+  afterEach(() => {
+    celebration.destroy();
+  });
+
+  test('deve abrir um diálogo acessível, tocar a fanfarra e focar a primeira ação', () => {
+    createCelebration().open({ drawingName: 'Carro' });
+
+    expect(dialog().getAttribute('role')).toBe('dialog');
+    expect(dialog().getAttribute('aria-modal')).toBe('true');
+    expect(document.getElementById(dialog().getAttribute('aria-labelledby')).textContent).toBe('Parabéns!');
+    expect(document.getElementById(dialog().getAttribute('aria-describedby')).textContent)
+      .toBe('Você pintou todo o desenho Carro!');
+    expect(document.querySelector('.completion-confetti').getAttribute('aria-hidden')).toBe('true');
+    expect(audio.play).toHaveBeenCalledWith('celebration');
+    expect(document.activeElement.classList.contains('completion-save')).toBe(true);
+  });
+
+  test('cada ação deve fechar a comemoração e chamar o callback', () => {
+    createCelebration();
+
+    [['.completion-save', 'onSave'], ['.completion-print', 'onPrint'], ['.completion-next', 'onNext']]
+      .forEach(([selector, callback]) => {
+        celebration.open();
+        document.querySelector(selector).click();
+
+        expect(actions[callback]).toHaveBeenCalledTimes(1);
+        expect(celebration.isOpen()).toBe(false);
+      });
+  });
+
+  test('sem "Próximo desenho" o botão não deve aparecer', () => {
+    createCelebration({ onNext: null }).open();
+
+    expect(document.querySelector('.completion-next')).toBeNull();
+    expect(document.querySelector('.completion-close')).not.toBeNull();
+  });
+
+  test('Escape deve fechar e devolver o foco', () => {
+    const trigger = document.createElement('button');
+    document.body.appendChild(trigger);
+    trigger.focus();
+
+    createCelebration().open();
+    dialog().dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(celebration.isOpen()).toBe(false);
+    expect(document.activeElement).toBe(trigger);
+    trigger.remove();
+  });
+
+  test('os botões devem ter área de toque mínima de 44px', () => {
+    createCelebration().open();
+
+    document.querySelectorAll('.completion-action').forEach(button => {
+      expect(button.style.minWidth).toBe('44px');
+      expect(button.style.minHeight).toBe('44px');
+    });
+  });
+});
+
+describe('ColoringScreen - Conclusão do desenho', () => {
+  let container;
+  let screen;
+  let profiles;
+  let activity;
+  let onCompletionChange;
+
+  function createScreen(options = {}) {
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'carro', name: 'Carro', svgUrl: '/test-conclusao.svg', metadata: { width: 200, height: 200, areaCount: 2 } },
+      profileService: profiles,
+      paletteService: new PaletteService(profiles),
+      audioService: new AudioService({ profileService: profiles, AudioContext: null, speechSynthesis: null }),
+      activityService: activity,
+      onCompletionChange,
+      onBack: () => {},
+      ...options
+    });
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  function paint(areaId) {
+    screen.svgCanvas.handleAreaClick({ target: container.querySelector(`#${areaId}`) }, areaId);
+  }
+
+  function indicator() {
+    return container.querySelector('.completion-progress');
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+    activity = new ActivityService(profiles);
+    onCompletionChange = jest.fn();
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('o header deve mostrar o percentual de áreas pintadas', async () => {
+    await createScreen();
+
+    expect(indicator().hidden).toBe(false);
+    expect(indicator().getAttribute('role')).toBe('progressbar');
+    expect(indicator().getAttribute('aria-valuenow')).toBe('0');
+
+    paint('area-1');
+
+    expect(indicator().getAttribute('aria-valuenow')).toBe('50');
+    expect(indicator().getAttribute('aria-valuetext')).toBe('50%, 1 de 2 áreas pintadas');
+    expect(container.querySelector('.completion-progress-text').textContent).toBe('50%');
+    expect(container.querySelector('.completion-progress-fill').style.width).toBe('50%');
+    expect(onCompletionChange).toHaveBeenLastCalledWith({ colored: 1, total: 2, percent: 50 });
+
+    screen.undo();
+    expect(screen.getCompletion().percent).toBe(0);
+  });
+
+  test('a última área deve abrir a comemoração uma única vez', async () => {
+    await createScreen();
+
+    paint('area-1');
+    expect(screen.celebration.isOpen()).toBe(false);
+
+    paint('area-2');
+    expect(screen.isComplete()).toBe(true);
+    expect(screen.celebration.isOpen()).toBe(true);
+
+    screen.celebration.close();
+    paint('area-2'); // Repintar uma área de um desenho pronto não comemora de novo
+    expect(screen.celebration.isOpen()).toBe(false);
+  });
+
+  test('Ctrl+Z com a comemoração aberta não deve desfazer a última área', async () => {
+    await createScreen();
+    paint('area-1');
+    paint('area-2');
+    onCompletionChange.mockClear();
+
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+
+    expect(screen.celebration.isOpen()).toBe(true);
+    expect(screen.getCompletion().percent).toBe(100);
+    expect(onCompletionChange).not.toHaveBeenCalled();
+
+    screen.celebration.close();
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    expect(screen.getCompletion().percent).toBe(50);
+  });
+
+  test('Escape com a comemoração aberta não deve sair da tela', async () => {
+    const onBack = jest.fn();
+    await createScreen({ onBack });
+    paint('area-1');
+    paint('area-2');
+
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(screen.celebration.isOpen()).toBe(true);
+    expect(onBack).not.toHaveBeenCalled();
+
+    screen.celebration.close();
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(onBack).toHaveBeenCalledTimes(1);
+  });
+
+  test('abrir um desenho já pronto não deve comemorar', async () => {
+    await createScreen();
+    screen.loadSavedDrawing({ coloredAreas: { 'area-1': '#FF0000', 'area-2': '#00FF00' } });
+
+    expect(screen.getCompletion().percent).toBe(100);
+    expect(screen.celebration.isOpen()).toBe(false);
+  });
+
+  test('a conclusão deve entrar no histórico da criança', async () => {
+    await createScreen();
+    paint('area-1');
+    paint('area-2');
+
+    screen.recordActivity();
+
+    const [session] = activity.getSessions();
+    expect(session.completion).toBe(1);
+    expect(session.completedAt).toEqual(expect.any(String));
+    expect(activity.getWeeklySummary([session])[0].drawingsCompleted).toBe(1);
+  });
+
+  test('"Próximo desenho" só deve aparecer com o callback', async () => {
+    const onNext = jest.fn();
+    await createScreen({ onNext });
+    paint('area-1');
+    paint('area-2');
+
+    document.querySelector('.completion-next').click();
+
+    expect(onNext).toHaveBeenCalledTimes(1);
+  });
+});
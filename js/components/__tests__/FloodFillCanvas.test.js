@@ -0,0 +1,263 @@
+/**
+ * Testes unitários para FloodFillCanvas
+ * jsdom não implementa canvas nem carregamento de imagens: ambos são simulados
+ */
+
+import { jest } from '@jest/globals';
+import { FloodFillCanvas } from '../FloodFillCanvas.js';
+import { CommandHistory } from '../../state/CommandHistory.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+
+const WIDTH = 10;
+const HEIGHT = 4;
+
+/**
+ * Traço 10x4: papel branco com uma linha preta na coluna 5
+ * Região esquerda = region-0, região direita = region-6
+ */
+function createLineArtData() {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(255);
+  for (let y = 0; y < HEIGHT; y++) {
+    data.fill(0, (y * WIDTH + 5) * 4, (y * WIDTH + 5) * 4 + 3);
+  }
+  return data;
+}
+
+function createMockContext() {
+  return {
+    fillRect: jest.fn(),
+    drawImage: jest.fn(),
+    getImageData: jest.fn(() => ({ data: createLineArtData() })),
+    createImageData: jest.fn((width, height) => ({ data: new Uint8ClampedArray(width * height * 4) })),
+    putImageData: jest.fn()
+  };
+}
+
+class MockImage {
+  constructor() {
+    this.naturalWidth = WIDTH;
+    this.naturalHeight = HEIGHT;
+  }
+
+  set src(value) {
+    this._src = value;
+    setTimeout(() => (value.includes('quebrada') ? this.onerror() : this.onload()), 0);
+  }
+
+  get src() {
+    return this._src;
+  }
+}
+
+/**
+ * Lê a cor de um pixel da camada de cor composta
+ */
+function pixelAt(canvas, x, y) {
+  const offset = (y * WIDTH + x) * 4;
+  return Array.from(canvas.colorPixels.slice(offset, offset + 3));
+}
+
+describe('FloodFillCanvas', () => {
+  let container;
+  let canvas;
+  let originalImage;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    originalImage = global.Image;
+    global.Image = MockImage;
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => createMockContext());
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(() => 'data:image/png;base64,AAAA');
+
+    canvas = new FloodFillCanvas(container, { selectedColor: '#FF0000' });
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    global.Image = originalImage;
+    jest.restoreAllMocks();
+  });
+
+  test('deve renderizar camadas de cor e traço após carregar a imagem', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+
+    expect(canvas.isLoaded()).toBe(true);
+    expect(container.querySelector('.flood-fill-canvas')).not.toBeNull();
+    expect(container.querySelector('.flood-fill-color-layer')).not.toBeNull();
+    expect(container.querySelector('.flood-fill-ink-layer')).not.toBeNull();
+  });
+
+  test('deve pintar apenas a região tocada', async () => {
+    const onAreaClick = jest.fn();
+    canvas.onAreaClick = onAreaClick;
+    await canvas.loadImage('/desenhos/gato.png');
+
+    const regionId = canvas.fillAt(1, 1);
+
+    expect(regionId).toBe('region-0');
+    expect(onAreaClick).toHaveBeenCalledWith('region-0', '#FF0000');
+    expect(pixelAt(canvas, 0, 3)).toEqual([255, 0, 0]);
+    expect(pixelAt(canvas, 8, 0)).toEqual([255, 255, 255]);
+    expect(canvas.getAllAppliedColors()).toEqual(new Map([['region-0', '#FF0000']]));
+  });
+
+  test('deve ignorar toques sobre o traço', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+
+    expect(canvas.fillAt(5, 2)).toBeNull();
+    expect(canvas.getAllAppliedColors().size).toBe(0);
+  });
+
+  test('deve registrar toques certos e toques sobre o traço nos logs', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+
+    canvas.fillAt(1, 1);
+    canvas.fillAt(5, 2);
+    const logs = canvas.getClickLogs();
+
+    expect(logs).toHaveLength(2);
+    expect(logs[0]).toMatchObject({ expectedAreaId: 'region-0', success: true, appliedColor: '#FF0000', misclick: false });
+    expect(logs[1]).toMatchObject({ success: false, misclick: true });
+
+    canvas.clearClickLogs();
+    expect(canvas.getClickLogs()).toHaveLength(0);
+  });
+
+  test('deve converter coordenadas de clique em pixels do bitmap', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+    jest.spyOn(canvas.inkLayer, 'getBoundingClientRect').mockReturnValue({
+      left: 0, top: 0, width: WIDTH * 10, height: HEIGHT * 10
+    });
+
+    container.querySelector('.flood-fill-canvas').dispatchEvent(
+      new MouseEvent('click', { clientX: 85, clientY: 15, bubbles: true })
+    );
+
+    expect(canvas.getAreaColor('region-6')).toBe('#FF0000');
+  });
+
+  test('deve pintar com o teclado na posição do cursor', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+    const wrapper = container.querySelector('.flood-fill-canvas');
+
+    wrapper.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+    wrapper.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+    expect(canvas.getAreaColor('region-0')).toBe('#FF0000');
+    expect(container.querySelector('.flood-fill-cursor').hidden).toBe(false);
+  });
+
+  test('deve desfazer e refazer pinturas', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+
+    canvas.fillAt(1, 1);
+    canvas.setSelectedColor('#0000FF');
+    canvas.fillAt(1, 1);
+
+    canvas.undo();
+    expect(canvas.getAreaColor('region-0')).toBe('#FF0000');
+    expect(pixelAt(canvas, 2, 2)).toEqual([255, 0, 0]);
+
+    canvas.undo();
+    expect(canvas.getAreaColor('region-0')).toBeNull();
+    expect(pixelAt(canvas, 2, 2)).toEqual([255, 255, 255]);
+
+    canvas.redo();
+    expect(canvas.getAreaColor('region-0')).toBe('#FF0000');
+  });
+
+  test('deve restaurar cores salvas recalculando as regiões pelo ID', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+
+    canvas.loadColors({ 'region-6': '#00FF00', 'region-999': '#000000' });
+
+    expect(pixelAt(canvas, 9, 3)).toEqual([0, 255, 0]);
+    expect(pixelAt(canvas, 0, 0)).toEqual([255, 255, 255]);
+
+    canvas.clearAllColors();
+    expect(canvas.getAllAppliedColors().size).toBe(0);
+    expect(pixelAt(canvas, 9, 3)).toEqual([255, 255, 255]);
+  });
+
+  test('deve reaplicar o histórico compartilhado ao carregar', async () => {
+    const history = new CommandHistory();
+    history.record({
+      type: 'color',
+      changes: [{ areaId: 'region-6', before: { fill: null, color: null }, after: { fill: '#00FF00', color: '#00FF00' } }],
+      timestamp: Date.now()
+    });
+
+    const restored = new FloodFillCanvas(document.createElement('div'), { history });
+    await restored.loadImage('/desenhos/gato.png');
+
+    expect(restored.getAreaColor('region-6')).toBe('#00FF00');
+    expect(pixelAt(restored, 7, 1)).toEqual([0, 255, 0]);
+  });
+
+  test('deve exportar o desenho pintado como SVG com imagem embutida', async () => {
+    await canvas.loadImage('/desenhos/gato.png');
+
+    const svgContent = canvas.getSVGContent();
+
+    expect(svgContent).toContain('viewBox="0 0 10 4"');
+    expect(svgContent).toContain('href="data:image/png;base64,AAAA"');
+  });
+
+  test('deve exibir erro quando a imagem não carrega', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(canvas.loadImage('/desenhos/quebrada.png')).rejects.toThrow();
+
+    expect(canvas.isLoaded()).toBe(false);
+    expect(container.querySelector('.svg-canvas-error')).not.toBeNull();
+    consoleError.mockRestore();
+  });
+});
+
+describe('ColoringScreen - SVG sem áreas area-N', () => {
+  let container;
+  let screen;
+  let originalImage;
+  let originalFetch;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    originalImage = global.Image;
+    originalFetch = global.fetch;
+    global.Image = MockImage;
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      text: async () => '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 4"><path d="M5 0 V4" stroke="black"/></svg>'
+    }));
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => createMockContext());
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    global.Image = originalImage;
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('o preenchimento livre não deve ser sobrescrito por outro carregamento do SVG', async () => {
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'rabisco', name: 'Rabisco', svgUrl: '/desenhos/rabisco-sem-areas.svg' },
+      onBack: () => {}
+    });
+
+    for (let i = 0; i < 5; i++) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(screen.svgCanvas).toBeInstanceOf(FloodFillCanvas);
+    expect(container.querySelector('.flood-fill-canvas')).not.toBeNull();
+    expect(container.querySelector('.svg-canvas')).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Testes para o download de categorias para uso sem internet na galeria
+ */
+
+import { jest } from '@jest/globals';
+import { Gallery } from '../Gallery.js';
+
+const CATEGORIES = [
+  {
+    id: 'animais',
+    name: 'Animais',
+    drawings: [
+      { id: 'gato', name: 'Gato', category: 'animais', svgUrl: '/assets/drawings/animais/gato.svg', thumbnailUrl: '/assets/thumbnails/animais/gato.svg' },
+      { id: 'peixe', name: 'Peixe', category: 'animais', svgUrl: '/assets/drawings/animais/peixe.svg', thumbnailUrl: '/assets/thumbnails/animais/peixe.svg' }
+    ]
+  },
+  {
+    id: 'meus-desenhos',
+    name: 'Meus Desenhos',
+    drawings: [
+      { id: 'meu', name: 'Meu', category: 'meus-desenhos', svgUrl: 'data:image/svg+xml,%3Csvg%2F%3E', thumbnailUrl: 'data:image/svg+xml,%3Csvg%2F%3E' }
+    ]
+  }
+];
+
+describe('Gallery - Uso sem internet', () => {
+  let container;
+  let gallery;
+  let offlineService;
+
+  function offlineElement(selector) {
+    return container.querySelector(`.gallery-category[data-category-id="animais"] ${selector}`);
+  }
+
+  async function createGallery() {
+    gallery = new Gallery({ container, onDrawingSelect: jest.fn() });
+    gallery.loaderService = {
+      loadDrawingsGroupedByCategory: async () => CATEGORIES,
+      setupLazyLoading: () => ({ disconnect: () => {} })
+    };
+    gallery.offlineService = offlineService;
+    await gallery.init();
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    offlineService = {
+      isAvailable: () => true,
+      isOnline: jest.fn(() => true),
+      getDownloadableDrawings: (category) => category.drawings.filter(drawing => drawing.svgUrl.startsWith('/')),
+      getCategoryStatus: jest.fn(async (category) => ({ cached: 0, total: category.drawings.length })),
+      downloadCategory: jest.fn(async (category, onProgress) => {
+        onProgress({ done: 1, total: 2 });
+        onProgress({ done: 2, total: 2 });
+        return { cached: 2, total: 2 };
+      })
+    };
+  });
+
+  afterEach(() => {
+    gallery.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('só categorias do site devem ter o botão de baixar, com área de toque mínima de 44px', async () => {
+    await createGallery();
+
+    const button = offlineElement('.gallery-category-offline-button');
+    expect(button.getAttribute('aria-label')).toBe('Baixar Animais para usar sem internet');
+    expect(button.style.minWidth).toBe('44px');
+    expect(button.style.minHeight).toBe('44px');
+    expect(container.querySelector('.gallery-category[data-category-id="meus-desenhos"] .gallery-category-offline')).toBeNull();
+  });
+
+  test('sem service worker não deve haver botão de baixar', async () => {
+    offlineService.isAvailable = () => false;
+    await createGallery();
+
+    expect(container.querySelector('.gallery-category-offline')).toBeNull();
+  });
+
+  test('deve baixar a categoria mostrando o progresso e marcar como disponível', async () => {
+    await createGallery();
+    const messages = [];
+    const status = offlineElement('.gallery-category-offline-status');
+    const original = gallery.showOfflineStatus.bind(gallery);
+    jest.spyOn(gallery, 'showOfflineStatus').mockImplementation((category, message, type) => {
+      messages.push(message);
+      original(category, message, type);
+    });
+
+    const result = await gallery.handleDownloadCategory(CATEGORIES[0]);
+
+    expect(result).toEqual({ cached: 2, total: 2 });
+    expect(messages).toEqual(expect.arrayContaining(['Baixando 1 de 2...', 'Baixando 2 de 2...']));
+    expect(status.textContent).toBe('✅ Disponível sem internet');
+    expect(offlineElement('.gallery-category-offline').classList.contains('offline-ready')).toBe(true);
+    expect(offlineElement('.gallery-category-offline-button').disabled).toBe(false);
+  });
+
+  test('categoria já baixada deve aparecer como disponível ao abrir a galeria', async () => {
+    offlineService.getCategoryStatus = jest.fn(async () => ({ cached: 1, total: 2 }));
+    await createGallery();
+
+    expect(offlineElement('.gallery-category-offline-status').textContent)
+      .toBe('1 de 2 desenhos disponíveis sem internet');
+  });
+
+  test('sem internet deve avisar em vez de baixar', async () => {
+    offlineService.isOnline.mockReturnValue(false);
+    await createGallery();
+
+    expect(await gallery.handleDownloadCategory(CATEGORIES[0])).toBeNull();
+    expect(offlineService.downloadCategory).not.toHaveBeenCalled();
+    expect(offlineElement('.gallery-category-offline-status').textContent).toBe('Conecte-se à internet para baixar.');
+  });
+
+  test('falha no download deve ir para o log e permitir tentar de novo', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    offlineService.downloadCategory.mockRejectedValue(new Error('Falha de rede'));
+    await createGallery();
+
+    expect(await gallery.handleDownloadCategory(CATEGORIES[0])).toBeNull();
+    expect(offlineElement('.gallery-category-offline-status').textContent).toBe('Não foi possível baixar. Tente de novo.');
+    expect(offlineElement('.gallery-category-offline-button').disabled).toBe(false);
+  });
+});
@@ -270,4 +270,27 @@ describe('Gallery - Property-Based Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  test('Próximo desenho deve seguir a ordem da galeria e voltar ao primeiro', () => {
+    fc.assert(
+      fc.property(
+        fc.array(arbitraryCategory(), { minLength: 1, maxLength: 5 }),
+        (categories) => {
+          const gallery = new Gallery({ container: document.createElement('div'), onDrawingSelect: () => {} });
+          gallery.categories = categories;
+
+          const drawings = categories.flatMap(category => category.drawings);
+
+          return drawings.every((drawing, index) => {
+            const next = gallery.getNextDrawing(drawing.id);
+            // Com um único desenho não há outro para abrir
+            return drawings.length === 1
+              ? next === null
+              : next.id === drawings[(index + 1) % drawings.length].id;
+          });
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
 });
@@ -0,0 +1,322 @@
+/**
+ * Testes para o passo a passo: ordem das áreas, bloqueio das outras áreas e conclusão
+ */
+
+import { jest } from '@jest/globals';
+import { SVGCanvas } from '../SVGCanvas.js';
+import { GuidedTask, DEFAULT_GUIDED_SETTINGS } from '../GuidedTask.js';
+import { GuidedSettings } from '../GuidedSettings.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+import { PaletteService } from '../../services/PaletteService.js';
+import { AudioService } from '../../services/AudioService.js';
+import { ProfileService } from '../../services/ProfileService.js';
+
+describe('GuidedTask', () => {
+  let container;
+  let canvas;
+  let svg;
+  let audio;
+
+  function createCanvas(options = {}) {
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000', audioService: audio, ...options });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = ['area-1', 'area-2', 'area-3'].map(id => ({
+      id,
+      element: svg.querySelector(`#${id}`)
+    }));
+    canvas.render();
+    canvas.attachEventListeners();
+  }
+
+  function click(areaId) {
+    canvas.handleAreaClick({ target: svg.querySelector(`#${areaId}`) }, areaId);
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    audio = { play: jest.fn(async () => true) };
+
+    // Em jsdom as caixas vêm dos atributos: area-2 é a maior, area-3 a menor
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = `
+      <rect id="area-1" x="0" y="0" width="40" height="40" fill="none" />
+      <rect id="area-2" x="50" y="0" width="100" height="100" fill="none" />
+      <rect id="area-3" x="0" y="50" width="10" height="10" fill="none" />
+    `;
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('deve exigir o canvas', () => {
+    createCanvas();
+    expect(() => new GuidedTask({})).toThrow('Canvas é obrigatório');
+  });
+
+  test('deve começar pela primeira área do desenho e apagar as outras', () => {
+    createCanvas();
+    const onStep = jest.fn();
+    const task = new GuidedTask({ canvas, onStep });
+
+    task.start();
+
+    expect(task.getCurrentAreaId()).toBe('area-1');
+    expect(onStep).toHaveBeenCalledWith('area-1', { done: 0, total: 3 });
+    expect(svg.classList.contains('guided')).toBe(true);
+    expect(svg.classList.contains('guided-facil')).toBe(true);
+    expect(svg.querySelector('#area-1').classList.contains('guided-target')).toBe(true);
+    expect(svg.querySelector('#area-1').getAttribute('aria-label')).toContain('área da vez');
+  });
+
+  test('deve seguir a ordem do catálogo e depois as áreas que ela não cita', () => {
+    createCanvas();
+    const task = new GuidedTask({ canvas, drawingOrder: ['area-3', 'area-9', 'area-1'] });
+
+    task.start();
+
+    expect(task.order).toEqual(['area-3', 'area-1', 'area-2']);
+  });
+
+  test('deve ordenar das áreas maiores para as menores', () => {
+    createCanvas();
+    const task = new GuidedTask({ canvas, settings: { order: 'largest-first' } });
+
+    task.start();
+
+    expect(task.order).toEqual(['area-2', 'area-1', 'area-3']);
+    expect(task.getCurrentAreaId()).toBe('area-2');
+  });
+
+  test('configuração inválida deve voltar ao padrão', () => {
+    createCanvas();
+    const task = new GuidedTask({ canvas, settings: { order: 'aleatoria', difficulty: 'extremo', tolerateMisses: 'sim' } });
+
+    expect(task.getSettings()).toEqual(DEFAULT_GUIDED_SETTINGS);
+  });
+
+  test('só a área da vez deve receber cor e pintar deve avançar o passo', () => {
+    createCanvas();
+    const onStep = jest.fn();
+    const task = new GuidedTask({ canvas, onStep });
+    task.start();
+
+    click('area-2');
+    expect(canvas.getAreaColor('area-2')).toBeNull();
+
+    click('area-1');
+    task.refresh();
+
+    expect(canvas.getAreaColor('area-1')).toBe('#FF0000');
+    expect(task.getCurrentAreaId()).toBe('area-2');
+    expect(onStep).toHaveBeenLastCalledWith('area-2', { done: 1, total: 3 });
+  });
+
+  test('toques fora da vez tolerados devem ser ignorados em silêncio', () => {
+    createCanvas();
+    new GuidedTask({ canvas }).start();
+
+    click('area-3');
+
+    expect(audio.play).not.toHaveBeenCalled();
+    expect(canvas.getClickLogs()).toHaveLength(0);
+  });
+
+  test('sem tolerância, toques fora da vez devem contar como erro', () => {
+    createCanvas();
+    new GuidedTask({ canvas, settings: { tolerateMisses: false } }).start();
+
+    click('area-3');
+
+    expect(audio.play).toHaveBeenCalledWith('miss');
+    const [log] = canvas.getClickLogs();
+    expect(log.success).toBe(false);
+    expect(log.misclick).toBe(true);
+    expect(log.expectedAreaId).toBe('area-3');
+  });
+
+  test('deve avisar uma vez ao terminar e voltar ao passo ao desfazer', () => {
+    createCanvas();
+    const onComplete = jest.fn();
+    const task = new GuidedTask({ canvas, onComplete });
+    task.start();
+
+    ['area-1', 'area-2', 'area-3'].forEach(areaId => {
+      click(areaId);
+      task.refresh();
+    });
+    task.refresh();
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete).toHaveBeenCalledWith({ done: 3, total: 3 });
+    expect(task.getCurrentAreaId()).toBeNull();
+    expect(svg.classList.contains('guided')).toBe(false);
+
+    canvas.undo();
+    task.refresh();
+
+    expect(task.getCurrentAreaId()).toBe('area-3');
+  });
+
+  test('na pintura por números, a área só conta com a cor esperada', () => {
+    createCanvas({ targetColors: { 'area-1': '#0000FF' } });
+    const task = new GuidedTask({ canvas });
+    task.start();
+
+    click('area-1');
+    task.refresh();
+
+    expect(task.getCurrentAreaId()).toBe('area-1');
+  });
+
+  test('mudar a dificuldade deve trocar o destaque sem mudar a área', () => {
+    createCanvas();
+    const task = new GuidedTask({ canvas });
+    task.start();
+
+    task.configure({ difficulty: 'dificil' });
+
+    expect(svg.classList.contains('guided-dificil')).toBe(true);
+    expect(svg.classList.contains('guided-facil')).toBe(false);
+    expect(task.getCurrentAreaId()).toBe('area-1');
+  });
+
+  test('parar deve devolver todas as áreas ao normal', () => {
+    createCanvas();
+    const task = new GuidedTask({ canvas });
+    task.start();
+
+    task.stop();
+    click('area-3');
+
+    expect(task.isActive()).toBe(false);
+    expect(svg.classList.contains('guided')).toBe(false);
+    expect(svg.querySelector('.guided-target')).toBeNull();
+    expect(canvas.getAreaColor('area-3')).toBe('#FF0000');
+  });
+});
+
+describe('GuidedSettings', () => {
+  test('deve mostrar a configuração e repassar as alterações', () => {
+    const onChange = jest.fn();
+    const panel = new GuidedSettings({ settings: DEFAULT_GUIDED_SETTINGS, onChange });
+
+    const order = panel.element.querySelector('#guided-order');
+    const difficulty = panel.element.querySelector('#guided-difficulty');
+    const tolerance = panel.element.querySelector('input[type="checkbox"]');
+
+    expect(order.value).toBe('drawing');
+    expect(difficulty.value).toBe('facil');
+    expect(tolerance.checked).toBe(true);
+
+    difficulty.value = 'medio';
+    difficulty.dispatchEvent(new Event('change'));
+    tolerance.checked = false;
+    tolerance.dispatchEvent(new Event('change'));
+
+    expect(onChange).toHaveBeenNthCalledWith(1, { difficulty: 'medio' });
+    expect(onChange).toHaveBeenNthCalledWith(2, { tolerateMisses: false });
+
+    panel.setVisible(false);
+    expect(panel.element.hidden).toBe(true);
+  });
+});
+
+describe('ColoringScreen - Passo a passo', () => {
+  let container;
+  let screen;
+  let profiles;
+
+  function createScreen(metadata = { width: 200, height: 200, areaCount: 2 }) {
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'carro', name: 'Carro', svgUrl: '/test-passo.svg', metadata },
+      profileService: profiles,
+      paletteService: new PaletteService(profiles),
+      audioService: new AudioService({ profileService: profiles, AudioContext: null, speechSynthesis: null }),
+      onBack: () => {}
+    });
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  function announcer() {
+    return container.querySelector('.coloring-announcer').textContent;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('o botão deve ligar o passo a passo e guardar no perfil', async () => {
+    await createScreen();
+
+    const button = container.querySelector('.guide-button');
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+    expect(container.querySelector('.guided-settings').hidden).toBe(true);
+
+    button.click();
+
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(container.querySelector('.guided-settings').hidden).toBe(false);
+    expect(container.querySelector('.guided-target').id).toBe('area-1');
+    expect(announcer()).toBe('Passo a passo ligado. Agora pinte área 1, passo 1 de 2');
+    expect(profiles.getPreference('guided')).toEqual({ enabled: true });
+
+    button.click();
+
+    expect(container.querySelector('.guided-target')).toBeNull();
+    expect(announcer()).toBe('Passo a passo desligado');
+  });
+
+  test('deve anunciar a próxima área e comemorar ao terminar', async () => {
+    profiles.setPreference('guided', { enabled: true });
+    await createScreen();
+
+    expect(announcer()).toContain('Agora pinte área 1, passo 1 de 2');
+
+    screen.svgCanvas.handleAreaClick({ target: container.querySelector('#area-1') }, 'area-1');
+    expect(announcer()).toBe('Área 1 pintada de vermelho. Agora pinte área 2, passo 2 de 2');
+    expect(screen.getScanItems().filter(item => item.kind === 'area').map(item => item.element.id)).toEqual(['area-2']);
+
+    screen.svgCanvas.handleAreaClick({ target: container.querySelector('#area-2') }, 'area-2');
+    expect(announcer()).toBe('Área 2 pintada de vermelho');
+    expect(screen.celebration.isOpen()).toBe(true);
+
+    screen.celebration.close();
+    screen.clearDrawing();
+    expect(announcer()).toBe('Todas as cores foram apagadas. Agora pinte área 1, passo 1 de 2');
+  });
+
+  test('o desenho pode definir a ordem e a dificuldade padrão', async () => {
+    profiles.setPreference('guided', { enabled: true });
+    await createScreen({
+      width: 200,
+      height: 200,
+      areaCount: 2,
+      guided: { areaOrder: ['area-2', 'area-1'], difficulty: 'medio' }
+    });
+
+    expect(container.querySelector('.guided-target').id).toBe('area-2');
+    expect(container.querySelector('svg').classList.contains('guided-medio')).toBe(true);
+    expect(container.querySelector('#guided-difficulty').value).toBe('medio');
+  });
+});
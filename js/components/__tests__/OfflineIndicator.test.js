@@ -0,0 +1,58 @@
+/**
+ * Testes para o indicador de conexão
+ */
+
+import { OfflineIndicator } from '../OfflineIndicator.js';
+import { OfflineService } from '../../services/OfflineService.js';
+
+describe('OfflineIndicator', () => {
+  let fakeWindow;
+  let service;
+  let indicator;
+
+  function element() {
+    return document.querySelector('.offline-indicator');
+  }
+
+  beforeEach(() => {
+    fakeWindow = new EventTarget();
+    service = new OfflineService({ navigator: { onLine: true }, window: fakeWindow, caches: null });
+  });
+
+  afterEach(() => {
+    indicator.destroy();
+  });
+
+  test('deve ficar escondido enquanto há internet', () => {
+    indicator = new OfflineIndicator({ offlineService: service });
+
+    expect(element().hidden).toBe(true);
+    expect(element().getAttribute('role')).toBe('status');
+    expect(element().getAttribute('aria-live')).toBe('polite');
+    expect(element().textContent).not.toContain('Sem internet');
+  });
+
+  test('deve aparecer ao perder a conexão e sumir quando ela volta', () => {
+    indicator = new OfflineIndicator({ offlineService: service });
+
+    fakeWindow.dispatchEvent(new Event('offline'));
+
+    expect(element().hidden).toBe(false);
+    expect(element().classList.contains('show')).toBe(true);
+    expect(element().querySelector('.offline-indicator-message').textContent)
+      .toBe('Sem internet. Os desenhos baixados continuam funcionando.');
+
+    fakeWindow.dispatchEvent(new Event('online'));
+
+    expect(element().hidden).toBe(true);
+    expect(element().querySelector('.offline-indicator-message').textContent).toBe('');
+  });
+
+  test('destroy deve remover a faixa e parar de acompanhar a conexão', () => {
+    indicator = new OfflineIndicator({ offlineService: service });
+    indicator.destroy();
+
+    expect(element()).toBeNull();
+    expect(service.listeners.size).toBe(0);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Testes para PaletteSettings, as cores recentes da ColorPalette e o botão de paleta
+ */
+
+import { jest } from '@jest/globals';
+import { PaletteSettings } from '../PaletteSettings.js';
+import { ColorPalette } from '../ColorPalette.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+import { PaletteService } from '../../services/PaletteService.js';
+import { ProfileService } from '../../services/ProfileService.js';
+
+describe('PaletteSettings', () => {
+  let profiles;
+  let service;
+  let onChange;
+  let settings;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+    service = new PaletteService(profiles);
+    onChange = jest.fn();
+    settings = new PaletteSettings({ paletteService: service, onChange });
+  });
+
+  afterEach(() => {
+    settings.destroy();
+    localStorage.clear();
+  });
+
+  test('deve abrir como diálogo com a paleta ativa marcada', () => {
+    settings.open();
+
+    const dialog = document.querySelector('.palette-settings [role="dialog"]');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.querySelector('input[name="palette-choice"]:checked').value).toBe('padrao');
+    expect(document.querySelectorAll('.palette-option')).toHaveLength(5);
+    expect(document.activeElement.classList.contains('palette-settings-close')).toBe(true);
+  });
+
+  test('escolher uma paleta deve ativá-la e avisar a tela', () => {
+    settings.open();
+
+    const radio = document.querySelector('input[value="iniciante"]');
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change'));
+
+    expect(service.getVisibleColors()).toEqual(['#FF0000', '#FFFF00', '#0000FF', '#00FF00']);
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  test('a quantidade de cores deve ser guardada no perfil', () => {
+    settings.open();
+
+    const select = document.querySelector('#palette-size-select');
+    select.value = '8';
+    select.dispatchEvent(new Event('change'));
+
+    expect(service.getSize()).toBe(8);
+    expect(onChange).toHaveBeenCalled();
+
+    select.value = '';
+    select.dispatchEvent(new Event('change'));
+    expect(service.getSize()).toBeNull();
+  });
+
+  test('o editor deve criar uma paleta com as cores escolhidas e ativá-la', () => {
+    settings.open();
+
+    const name = document.querySelector('#palette-editor-name');
+    name.value = 'Favoritas';
+    name.dispatchEvent(new Event('input'));
+
+    const picker = document.querySelector('#palette-editor-color');
+    picker.value = '#00ff00';
+    document.querySelector('.palette-add-color').click();
+    document.querySelector('#palette-editor-color').value = '#0000ff';
+    document.querySelector('.palette-add-color').click();
+
+    expect(document.querySelectorAll('.palette-remove-color')).toHaveLength(2);
+
+    document.querySelector('.palette-save-button').click();
+
+    const active = service.getActivePalette();
+    expect(active.name).toBe('Favoritas');
+    expect(active.colors).toEqual(['#00FF00', '#0000FF']);
+    expect(document.querySelector('.palette-settings-message').textContent).toBe('Paleta salva!');
+    expect(document.querySelector(`.palette-option[data-palette-id="${active.id}"] .palette-delete-button`)).not.toBeNull();
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  test('cores repetidas não devem ser adicionadas e tocar numa cor deve removê-la', () => {
+    settings.open();
+
+    settings.addDraftColor('#FF0000');
+    settings.addDraftColor('#f00');
+    expect(document.querySelector('.palette-settings-message').textContent).toBe('Essa cor já está na paleta');
+
+    document.querySelector('.palette-remove-color[data-color="#FF0000"]').click();
+    expect(document.querySelectorAll('.palette-remove-color')).toHaveLength(0);
+  });
+
+  test('salvar sem nome deve exibir a mensagem de erro', () => {
+    settings.open();
+    settings.addDraftColor('#FF0000');
+
+    expect(settings.saveDraft().success).toBe(false);
+    expect(document.querySelector('.palette-settings-message').textContent).toBe('Dê um nome para a paleta');
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('deve editar e excluir paletas personalizadas', () => {
+    const { palette } = service.saveCustomPalette({ name: 'Mar', colors: ['#0000FF'] });
+    settings.open();
+
+    document.querySelector('.palette-edit-button').click();
+    expect(document.querySelector('.palette-editor legend').textContent).toBe('Editar paleta');
+    expect(document.querySelector('#palette-editor-name').value).toBe('Mar');
+
+    document.querySelector('.palette-delete-button').click();
+    expect(service.getPalette(palette.id)).toBeNull();
+    expect(document.querySelector('.palette-editor legend').textContent).toBe('Nova paleta');
+    expect(document.querySelectorAll('.palette-option')).toHaveLength(5);
+  });
+
+  test('Escape deve fechar e devolver o foco', () => {
+    const trigger = document.createElement('button');
+    document.body.appendChild(trigger);
+    trigger.focus();
+
+    settings.open();
+    document.querySelector('.palette-settings-content').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+    );
+
+    expect(settings.isOpen()).toBe(false);
+    expect(document.querySelector('.palette-settings')).toBeNull();
+    expect(document.activeElement).toBe(trigger);
+    trigger.remove();
+  });
+});
+
+describe('ColorPalette - Paletas reduzidas e cores recentes', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  test('deve aceitar uma paleta de 4 cores e recusar uma vazia', () => {
+    const palette = new ColorPalette(container, { colors: ['#FF0000', '#FFFF00', '#0000FF', '#00FF00'] });
+    expect(palette.getColorButtons()).toHaveLength(4);
+
+    expect(() => new ColorPalette(document.createElement('div'), { colors: [] }))
+      .toThrow('A paleta deve ter pelo menos uma cor');
+  });
+
+  test('setColors() deve trocar as cores mantendo a cor escolhida', () => {
+    const palette = new ColorPalette(container, { defaultColor: '#FFD700', recentColors: ['#FFD700'] });
+
+    palette.setColors(['#FF0000', '#0000FF']);
+
+    expect(palette.getColorButtons()).toHaveLength(2);
+    expect(palette.getSelectedColor()).toBe('#FFD700');
+    // Sem a cor escolhida na paleta, a primeira cor recebe o foco do Tab
+    expect(palette.getColorButtons()[0].getAttribute('tabindex')).toBe('0');
+  });
+
+  test('as cores recentes devem aparecer e poder ser escolhidas', () => {
+    const onColorSelect = jest.fn();
+    const palette = new ColorPalette(container, { colors: ['#FF0000', '#0000FF'], onColorSelect });
+
+    expect(container.querySelector('.recent-colors')).toBeNull();
+
+    palette.setRecentColors(['#87CEEB']);
+    const recent = container.querySelector('.recent-color-button');
+    expect(recent.getAttribute('aria-label')).toBe('Cor recente azul céu');
+    expect(recent.style.minHeight).toBe('44px');
+
+    recent.click();
+
+    expect(onColorSelect).toHaveBeenCalledWith('#87CEEB');
+    expect(recent.getAttribute('aria-pressed')).toBe('true');
+  });
+});
+
+describe('ColoringScreen - Paleta configurável', () => {
+  let container;
+  let screen;
+  let profiles;
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+    service = new PaletteService(profiles);
+    service.setActivePalette('iniciante');
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'gato', name: 'Gato', svgUrl: '/test.svg' },
+      profileService: profiles,
+      paletteService: service,
+      onBack: () => {}
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('deve exibir a paleta do perfil', () => {
+    expect(container.querySelectorAll('.color-button')).toHaveLength(4);
+  });
+
+  test('o botão de paleta deve abrir a configuração', () => {
+    const button = container.querySelector('.palette-button');
+    expect(button.style.minHeight).toBe('44px');
+
+    button.click();
+
+    expect(screen.paletteSettings.isOpen()).toBe(true);
+  });
+
+  test('Ctrl+Z não deve desfazer com a configuração de paleta aberta', () => {
+    const undo = jest.spyOn(screen, 'undo').mockImplementation(() => {});
+    const ctrlZ = () => new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true });
+    container.querySelector('.palette-button').click();
+
+    document.dispatchEvent(ctrlZ());
+    expect(undo).not.toHaveBeenCalled();
+
+    // Nem quando o foco está em outro diálogo qualquer
+    screen.paletteSettings.close();
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    const button = document.createElement('button');
+    dialog.appendChild(button);
+    document.body.appendChild(dialog);
+    button.dispatchEvent(ctrlZ());
+    document.body.removeChild(dialog);
+    expect(undo).not.toHaveBeenCalled();
+
+    document.dispatchEvent(ctrlZ());
+    expect(undo).toHaveBeenCalledTimes(1);
+  });
+
+  test('Escape com a configuração de paleta aberta não deve sair da tela', () => {
+    screen.onBack = jest.fn();
+    container.querySelector('.palette-button').click();
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(screen.onBack).not.toHaveBeenCalled();
+
+    screen.paletteSettings.close();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(screen.onBack).toHaveBeenCalledTimes(1);
+  });
+
+  test('mudar a quantidade de cores deve atualizar a paleta exibida', () => {
+    service.setActivePalette('padrao');
+    service.setSize(6);
+
+    screen.applyPaletteSettings();
+
+    expect(container.querySelectorAll('.color-button')).toHaveLength(6);
+  });
+
+  test('pintar deve guardar a cor nas recentes do perfil', () => {
+    screen.handleAreaClick('area-1', '#FF0000');
+    screen.handleAreaClick('area-2', '#0000FF');
+
+    expect(service.getRecentColors()).toEqual(['#0000FF', '#FF0000']);
+    const recent = Array.from(container.querySelectorAll('.recent-color-button'))
+      .map(button => button.getAttribute('data-color'));
+    expect(recent).toEqual(['#0000FF', '#FF0000']);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Testes para o ProfilePicker e o seletor de perfil da galeria
+ */
+
+import { jest } from '@jest/globals';
+import { ProfilePicker } from '../ProfilePicker.js';
+import { Gallery } from '../Gallery.js';
+import { ProfileService, PROFILE_AVATARS } from '../../services/ProfileService.js';
+import { groupDrawingsByCategory } from '../../models/Category.js';
+
+describe('ProfilePicker', () => {
+  let profiles;
+  let picker;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    picker = new ProfilePicker({ profileService: profiles });
+  });
+
+  afterEach(() => {
+    picker.destroy();
+    localStorage.clear();
+  });
+
+  test('deve pedir o primeiro perfil quando não há perfis', () => {
+    picker.open(jest.fn());
+
+    const dialog = document.querySelector('.profile-picker [role="dialog"]');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.querySelector('.profile-list')).toBeNull();
+    expect(document.querySelector('.profile-create-title').textContent).toBe('Crie o primeiro perfil');
+    expect(document.activeElement.id).toBe('profile-name-input');
+  });
+
+  test('deve criar perfil com o avatar escolhido e repassá-lo', () => {
+    const onSelect = jest.fn();
+    picker.open(onSelect);
+
+    document.querySelector('#profile-name-input').value = 'Ana';
+    document.querySelector(`.profile-avatar-option[data-avatar="${PROFILE_AVATARS[3]}"]`).click();
+    document.querySelector('.profile-create-button').click();
+
+    expect(onSelect).toHaveBeenCalledTimes(1);
+    expect(onSelect.mock.calls[0][0]).toMatchObject({ name: 'Ana', avatar: PROFILE_AVATARS[3] });
+    expect(picker.isOpen()).toBe(false);
+  });
+
+  test('não deve criar perfil sem nome', () => {
+    const onSelect = jest.fn();
+    picker.open(onSelect);
+
+    document.querySelector('.profile-create-button').click();
+
+    expect(onSelect).not.toHaveBeenCalled();
+    expect(document.querySelector('.profile-picker-message').textContent).toContain('nome');
+  });
+
+  test('deve listar perfis e selecionar um deles', () => {
+    profiles.createProfile({ name: 'Ana' });
+    const beto = profiles.createProfile({ name: 'Beto' });
+    profiles.setActiveProfile(beto.id);
+    const onSelect = jest.fn();
+
+    picker.open(onSelect);
+    const options = document.querySelectorAll('.profile-option');
+
+    expect(options).toHaveLength(2);
+    expect(document.activeElement).toBe(options[1]);
+    expect(options[1].getAttribute('aria-current')).toBe('true');
+
+    options[0].click();
+    expect(onSelect.mock.calls[0][0].name).toBe('Ana');
+  });
+
+  test('Escape só fecha quando o seletor pode ser dispensado', () => {
+    picker.open(jest.fn());
+    document.querySelector('.profile-picker').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+    );
+    expect(picker.isOpen()).toBe(true);
+
+    picker.open(jest.fn(), { dismissible: true });
+    document.querySelector('.profile-picker').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+    );
+    expect(picker.isOpen()).toBe(false);
+  });
+
+  test('todos os botões devem ter área de toque mínima de 44px', () => {
+    profiles.createProfile({ name: 'Ana' });
+    picker.open(jest.fn(), { dismissible: true });
+
+    document.querySelectorAll('.profile-picker button').forEach(button => {
+      expect(button.style.minWidth).toBe('44px');
+      expect(button.style.minHeight).toBe('44px');
+    });
+  });
+});
+
+describe('Gallery - seletor de perfil', () => {
+  let container;
+  let profiles;
+
+  function createGallery(options = {}) {
+    const gallery = new Gallery({ container, onDrawingSelect: jest.fn(), ...options });
+    gallery.profileService = profiles;
+    gallery.userDrawingService = { isAvailable: () => false, isUserDrawing: () => false };
+    gallery.loaderService = {
+      loadDrawingsGroupedByCategory: async () => groupDrawingsByCategory([
+        { id: 'gato', name: 'Gato', category: 'animais', thumbnailUrl: 'gato.svg', svgUrl: 'gato.svg' },
+        { id: 'carro', name: 'Carro', category: 'carros', thumbnailUrl: 'carro.svg', svgUrl: 'carro.svg' }
+      ]),
+      setupLazyLoading: () => null
+    };
+    return gallery;
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    profiles = new ProfileService();
+    const ana = profiles.createProfile({ name: 'Ana', avatar: PROFILE_AVATARS[1] });
+    profiles.setActiveProfile(ana.id);
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+    localStorage.clear();
+  });
+
+  test('deve exibir o perfil ativo no cabeçalho e chamar a troca', async () => {
+    const onProfileSwitch = jest.fn();
+    const gallery = createGallery({ onProfileSwitch });
+    await gallery.init();
+
+    const switcher = container.querySelector('.gallery-header .gallery-profile-switcher');
+    expect(switcher.getAttribute('aria-label')).toContain('Ana');
+    expect(switcher.querySelector('.gallery-profile-avatar').textContent).toBe(PROFILE_AVATARS[1]);
+
+    switcher.click();
+    expect(onProfileSwitch).toHaveBeenCalledTimes(1);
+  });
+
+  test('não deve exibir o cabeçalho sem callback de troca', async () => {
+    const gallery = createGallery();
+    await gallery.init();
+
+    expect(container.querySelector('.gallery-header')).toBeNull();
+  });
+
+  test('deve rolar até a última categoria do perfil', async () => {
+    profiles.setPreference('lastSelectedCategory', 'carros');
+    const scrollIntoView = jest.fn();
+    Element.prototype.scrollIntoView = scrollIntoView;
+
+    const gallery = createGallery();
+    await gallery.init();
+
+    expect(scrollIntoView).toHaveBeenCalledTimes(1);
+    expect(scrollIntoView.mock.contexts[0].dataset.categoryId).toBe('carros');
+    delete Element.prototype.scrollIntoView;
+  });
+});
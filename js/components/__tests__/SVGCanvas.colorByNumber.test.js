@@ -0,0 +1,231 @@
+/**
+ * Testes para a pintura por números: números nas áreas, paleta numerada e retorno de acerto
+ */
+
+import { jest } from '@jest/globals';
+import { SVGCanvas } from '../SVGCanvas.js';
+import { ColorPalette } from '../ColorPalette.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+import { PaletteService } from '../../services/PaletteService.js';
+import { AudioService } from '../../services/AudioService.js';
+import { ProfileService } from '../../services/ProfileService.js';
+import { isValidDrawing } from '../../models/Drawing.js';
+
+const TARGET_COLORS = {
+  'area-1': '#FF0000',
+  'area-2': '#0000FF',
+  'area-3': '#FF0000'
+};
+
+/**
+ * Entrada completa do catálogo para a pintura por números: todas as áreas do SVG
+ * do jest.setup.js (area-1 e area-2) têm cor esperada
+ */
+const COLOR_BY_NUMBER_DRAWING = {
+  id: 'carro-numeros',
+  name: 'Carro por números',
+  category: 'carros',
+  svgUrl: '/test-numeros.svg',
+  thumbnailUrl: '/test-numeros-thumb.svg',
+  metadata: {
+    width: 200,
+    height: 200,
+    areaCount: 2,
+    targetColors: { 'area-1': '#00FF00', 'area-2': '#FF0000' }
+  }
+};
+
+test('o exemplo do catálogo deve ser válido e cobrir todas as áreas', () => {
+  const { areaCount, targetColors } = COLOR_BY_NUMBER_DRAWING.metadata;
+
+  expect(isValidDrawing(COLOR_BY_NUMBER_DRAWING)).toBe(true);
+  expect(Object.keys(targetColors)).toEqual(Array.from({ length: areaCount }, (_, i) => `area-${i + 1}`));
+});
+
+describe('SVGCanvas - Pintura por números', () => {
+  let container;
+  let canvas;
+  let svg;
+  let audio;
+
+  function createCanvas(options = {}) {
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000', audioService: audio, ...options });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = ['area-1', 'area-2', 'area-3'].map(id => ({
+      id,
+      element: svg.querySelector(`#${id}`)
+    }));
+    canvas.render();
+    canvas.attachEventListeners();
+  }
+
+  function numberOf(areaId) {
+    return svg.querySelector(`.area-number[data-area-id="${areaId}"]`);
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    audio = { play: jest.fn(async () => true) };
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = `
+      <rect id="area-1" x="0" y="0" width="100" height="60" fill="none" />
+      <circle id="area-2" cx="150" cy="50" r="20" fill="none" />
+      <rect id="area-3" x="20" y="10" width="20" height="20" fill="none" />
+    `;
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('deve desenhar o número da cor no centro de cada área, sem receber toques', () => {
+    createCanvas({ targetColors: TARGET_COLORS });
+
+    const group = svg.querySelector('.area-numbers');
+    expect(group.getAttribute('pointer-events')).toBe('none');
+    expect(group.getAttribute('aria-hidden')).toBe('true');
+
+    expect(numberOf('area-1').textContent).toBe('1');
+    expect(numberOf('area-2').textContent).toBe('2');
+    expect(numberOf('area-3').textContent).toBe('1');
+
+    expect(numberOf('area-2').getAttribute('x')).toBe('150');
+    expect(numberOf('area-2').getAttribute('y')).toBe('50');
+    // O centro do retângulo 1 não está coberto pelo retângulo 3
+    expect(numberOf('area-1').getAttribute('y')).toBe('30');
+  });
+
+  test('sem cores esperadas não deve haver números', () => {
+    createCanvas();
+
+    expect(svg.querySelector('.area-numbers')).toBeNull();
+    expect(canvas.getTargetColor('area-1')).toBeNull();
+    expect(canvas.matchesTargetColor('area-1', '#FF0000')).toBeNull();
+  });
+
+  test('o número deve sumir com a cor certa e continuar com a cor errada', () => {
+    createCanvas({ targetColors: TARGET_COLORS });
+
+    canvas.applyColorToArea('area-1', '#FF0000');
+    expect(numberOf('area-1').getAttribute('visibility')).toBe('hidden');
+    expect(numberOf('area-1').getAttribute('data-state')).toBe('correct');
+    expect(audio.play).toHaveBeenLastCalledWith('success');
+
+    canvas.applyColorToArea('area-2', '#FF0000');
+    expect(numberOf('area-2').hasAttribute('visibility')).toBe(false);
+    expect(numberOf('area-2').getAttribute('data-state')).toBe('incorrect');
+    expect(audio.play).toHaveBeenLastCalledWith('miss');
+
+    // Desfazer devolve o número
+    canvas.undo();
+    canvas.undo();
+    expect(numberOf('area-1').getAttribute('data-state')).toBe('empty');
+    expect(numberOf('area-1').hasAttribute('visibility')).toBe(false);
+  });
+
+  test('o rótulo da área deve dizer o número da cor', () => {
+    createCanvas({ targetColors: TARGET_COLORS });
+
+    expect(svg.querySelector('#area-2').getAttribute('aria-label')).toBe('Área 2 de 3, cor 2, sem cor');
+  });
+});
+
+describe('ColorPalette - Cores numeradas', () => {
+  test('deve mostrar o número no botão e no nome acessível', () => {
+    const container = document.createElement('div');
+    const palette = new ColorPalette(container, {
+      colors: ['#FF0000', '#0000FF'],
+      colorNumbers: { '#FF0000': 1, '#0000FF': 2 }
+    });
+
+    const [red, blue] = palette.getColorButtons();
+    expect(red.querySelector('.color-number').textContent).toBe('1');
+    expect(red.querySelector('.color-number').getAttribute('aria-hidden')).toBe('true');
+    expect(blue.getAttribute('aria-label')).toBe('Cor azul, número 2');
+  });
+});
+
+describe('ColoringScreen - Pintura por números', () => {
+  let container;
+  let screen;
+  let profiles;
+  let palettes;
+
+  function createScreen(metadata = COLOR_BY_NUMBER_DRAWING.metadata) {
+    screen = new ColoringScreen(container, {
+      drawing: { ...COLOR_BY_NUMBER_DRAWING, metadata },
+      profileService: profiles,
+      paletteService: palettes,
+      audioService: new AudioService({ profileService: profiles, AudioContext: null, speechSynthesis: null }),
+      onBack: () => {}
+    });
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  function feedback() {
+    return container.querySelector('.number-feedback');
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+    palettes = new PaletteService(profiles);
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('a paleta deve ser a legenda numerada do desenho', async () => {
+    await createScreen();
+
+    const buttons = Array.from(container.querySelectorAll('.color-button'));
+    expect(buttons.map(button => button.getAttribute('data-color'))).toEqual(['#00FF00', '#FF0000']);
+    expect(buttons.map(button => button.querySelector('.color-number').textContent)).toEqual(['1', '2']);
+    expect(container.querySelector('.palette-button').hidden).toBe(true);
+    expect(container.querySelectorAll('.area-number')).toHaveLength(2);
+  });
+
+  test('deve mostrar e anunciar se a cor está certa', async () => {
+    await createScreen();
+
+    screen.handleAreaClick('area-1', '#00FF00');
+    expect(feedback().hidden).toBe(false);
+    expect(feedback().classList.contains('correct')).toBe(true);
+    expect(container.querySelector('.coloring-announcer').textContent).toBe('Área 1 pintada de verde. Cor certa!');
+
+    screen.handleAreaClick('area-2', '#00FF00');
+    expect(feedback().classList.contains('incorrect')).toBe(true);
+    expect(feedback().textContent).toBe('↺ Essa área é a cor 2, vermelho');
+
+    screen.clearDrawing();
+    expect(feedback().hidden).toBe(true);
+  });
+
+  test('sem cores esperadas a tela deve funcionar como antes', async () => {
+    const { targetColors, ...metadata } = COLOR_BY_NUMBER_DRAWING.metadata;
+    await createScreen(metadata);
+
+    expect(container.querySelectorAll('.color-button')).toHaveLength(16);
+    expect(container.querySelector('.palette-button').hidden).toBe(false);
+
+    screen.handleAreaClick('area-1', '#00FF00');
+    expect(feedback().hidden).toBe(true);
+    expect(container.querySelector('.coloring-announcer').textContent).toBe('Área 1 pintada de verde');
+  });
+});
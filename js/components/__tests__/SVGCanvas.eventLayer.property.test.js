@@ -115,8 +115,8 @@ describe('Property 12: Camada de resposta a eventos', () => {
               }
               
               // Verificar que o elemento tem atributos de acessibilidade
-              // (indicando que listeners foram anexados)
-              if (element.getAttribute('tabindex') !== '0' || 
+              // (indicando que listeners foram anexados; foco itinerante usa "0" ou "-1")
+              if (!['0', '-1'].includes(element.getAttribute('tabindex')) || 
                   element.getAttribute('role') !== 'button') {
                 allColorableAreasHaveListeners = false;
               }
@@ -0,0 +1,110 @@
+/**
+ * Testes unitários para desfazer/refazer do SVGCanvas
+ */
+
+import { SVGCanvas } from '../SVGCanvas.js';
+import { CommandHistory } from '../../state/CommandHistory.js';
+
+function createSVG() {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.innerHTML = `
+    <rect id="area-1" fill="none" />
+    <rect id="area-2" fill="none" />
+    <rect id="area-3" fill="none" />
+  `;
+  return svg;
+}
+
+describe('SVGCanvas - Histórico de desfazer/refazer', () => {
+  let container;
+  let canvas;
+  let svg;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    svg = createSVG();
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000' });
+    canvas.svgElement = svg;
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  test('deve desfazer a aplicação de cor restaurando o fill original', () => {
+    canvas.applyColorToArea('area-1', '#FF0000');
+    canvas.applyColorToArea('area-1', '#00FF00');
+
+    canvas.undo();
+    expect(svg.querySelector('#area-1').getAttribute('fill')).toBe('#FF0000');
+    expect(canvas.getAreaColor('area-1')).toBe('#FF0000');
+
+    canvas.undo();
+    expect(svg.querySelector('#area-1').getAttribute('fill')).toBe('none');
+    expect(canvas.getAreaColor('area-1')).toBeNull();
+  });
+
+  test('deve refazer a aplicação de cor', () => {
+    canvas.applyColorToArea('area-2', '#0000FF');
+    canvas.undo();
+    canvas.redo();
+
+    expect(svg.querySelector('#area-2').getAttribute('fill')).toBe('#0000FF');
+    expect(canvas.getAreaColor('area-2')).toBe('#0000FF');
+  });
+
+  test('deve desfazer limpar tudo em uma única ação', () => {
+    canvas.applyColorToArea('area-1', '#FF0000');
+    canvas.applyColorToArea('area-2', '#00FF00');
+    canvas.clearAllColors();
+
+    expect(canvas.getAllAppliedColors().size).toBe(0);
+
+    canvas.undo();
+    expect(canvas.getAreaColor('area-1')).toBe('#FF0000');
+    expect(canvas.getAreaColor('area-2')).toBe('#00FF00');
+    expect(svg.querySelector('#area-3').getAttribute('fill')).toBe('none');
+  });
+
+  test('carregar cores salvas deve ser uma única ação reversível', () => {
+    canvas.applyColorToArea('area-1', '#FF0000');
+    canvas.loadColors({ 'area-2': '#00FF00', 'area-3': '#0000FF' });
+
+    expect(canvas.getAreaColor('area-1')).toBeNull();
+    expect(canvas.getAreaColor('area-3')).toBe('#0000FF');
+
+    const action = canvas.undo();
+    expect(action.type).toBe('load');
+    expect(canvas.getAreaColor('area-1')).toBe('#FF0000');
+    expect(canvas.getAreaColor('area-2')).toBeNull();
+  });
+
+  test('não deve registrar ação quando a cor não muda', () => {
+    canvas.applyColorToArea('area-1', '#FF0000');
+    canvas.applyColorToArea('area-1', '#FF0000');
+
+    expect(canvas.getHistory().getActions()).toHaveLength(1);
+  });
+
+  test('deve reaplicar histórico compartilhado em um novo canvas', () => {
+    const history = new CommandHistory();
+    const first = new SVGCanvas(container, { history });
+    first.svgElement = createSVG();
+    first.applyColorToArea('area-1', '#FF0000');
+    first.applyColorToArea('area-2', '#00FF00');
+    first.undo();
+
+    const second = new SVGCanvas(container, { history });
+    second.svgElement = createSVG();
+    second.replayHistory();
+
+    expect(second.getAreaColor('area-1')).toBe('#FF0000');
+    expect(second.getAreaColor('area-2')).toBeNull();
+    expect(second.svgElement.querySelector('#area-1').getAttribute('fill')).toBe('#FF0000');
+
+    second.redo();
+    expect(second.getAreaColor('area-2')).toBe('#00FF00');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Testes unitários para a navegação por teclado (foco itinerante) do SVGCanvas
+ */
+
+import { jest } from '@jest/globals';
+import { SVGCanvas } from '../SVGCanvas.js';
+
+// Três áreas lado a lado e uma embaixo da primeira
+const RECTS = {
+  'area-1': { left: 0, top: 0, width: 50, height: 50 },
+  'area-2': { left: 60, top: 0, width: 50, height: 50 },
+  'area-3': { left: 120, top: 0, width: 50, height: 50 },
+  'area-4': { left: 0, top: 60, width: 50, height: 50 }
+};
+
+function press(element, key) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+  element.dispatchEvent(event);
+  return event;
+}
+
+describe('SVGCanvas - Navegação por teclado', () => {
+  let container;
+  let canvas;
+  let svg;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = Object.keys(RECTS).map(id => `<rect id="${id}" fill="none" />`).join('');
+    Object.entries(RECTS).forEach(([id, rect]) => {
+      svg.querySelector(`#${id}`).getBoundingClientRect = () => rect;
+    });
+
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000' });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = Object.keys(RECTS).map(id => ({ id, element: svg.querySelector(`#${id}`) }));
+    canvas.render();
+    canvas.attachEventListeners();
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  function tabStops() {
+    return Array.from(svg.querySelectorAll('[tabindex="0"]')).map(element => element.id);
+  }
+
+  test('deve ter uma única parada de Tab, na primeira área', () => {
+    expect(tabStops()).toEqual(['area-1']);
+    expect(svg.querySelectorAll('[tabindex="-1"]')).toHaveLength(3);
+  });
+
+  test('setas devem mover o foco para a área vizinha', () => {
+    const first = svg.querySelector('#area-1');
+    first.focus();
+
+    const event = press(first, 'ArrowRight');
+    expect(event.defaultPrevented).toBe(true);
+    expect(document.activeElement.id).toBe('area-2');
+    expect(tabStops()).toEqual(['area-2']);
+
+    press(document.activeElement, 'ArrowLeft');
+    press(document.activeElement, 'ArrowDown');
+    expect(document.activeElement.id).toBe('area-4');
+  });
+
+  test('deve manter o foco quando não há vizinho na direção', () => {
+    const first = svg.querySelector('#area-1');
+    first.focus();
+
+    press(first, 'ArrowUp');
+
+    expect(document.activeElement).toBe(first);
+  });
+
+  test('Home e End devem ir para a primeira e a última área', () => {
+    const first = svg.querySelector('#area-1');
+    first.focus();
+
+    press(first, 'End');
+    expect(document.activeElement.id).toBe('area-4');
+
+    press(document.activeElement, 'Home');
+    expect(document.activeElement.id).toBe('area-1');
+  });
+
+  test('Enter deve pintar a área com foco', () => {
+    const second = svg.querySelector('#area-2');
+    second.focus();
+
+    press(second, 'Enter');
+
+    expect(canvas.getAreaColor('area-2')).toBe('#FF0000');
+  });
+
+  test('rótulos devem indicar posição e estado', () => {
+    expect(svg.querySelector('#area-2').getAttribute('aria-label')).toBe('Área 2 de 4, sem cor');
+
+    canvas.applyColorToArea('area-2', '#00FF00');
+    expect(svg.querySelector('#area-2').getAttribute('aria-label')).toBe('Área 2 de 4, pintada de verde');
+
+    canvas.undo();
+    expect(svg.querySelector('#area-2').getAttribute('aria-label')).toBe('Área 2 de 4, sem cor');
+  });
+
+  test('o desenho deve ser um grupo com instruções de teclado', () => {
+    const wrapper = container.querySelector('.svg-canvas');
+
+    expect(wrapper.getAttribute('role')).toBe('group');
+    expect(document.getElementById(wrapper.getAttribute('aria-describedby')).textContent).toContain('setas');
+  });
+});
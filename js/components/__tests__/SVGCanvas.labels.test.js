@@ -0,0 +1,146 @@
+/**
+ * Testes unitários para os nomes das áreas e os anúncios para leitores de tela
+ */
+
+import { jest } from '@jest/globals';
+import { SVGCanvas } from '../SVGCanvas.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+
+describe('SVGCanvas - Nomes das áreas', () => {
+  let container;
+  let canvas;
+  let svg;
+
+  function createCanvas(options = {}) {
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000', ...options });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = ['area-1', 'area-2', 'area-3', 'area-4'].map(id => ({
+      id,
+      element: svg.querySelector(`#${id}`)
+    }));
+    canvas.render();
+    canvas.attachEventListeners();
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = `
+      <rect id="area-1" fill="none" data-label="roda dianteira" />
+      <path id="area-2" fill="none"><title>Janela</title></path>
+      <circle id="area-3" fill="none" data-label="farol"><title>Luz</title></circle>
+      <rect id="area-4" fill="none" />
+    `;
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('deve ler os nomes de data-label e de <title>', () => {
+    createCanvas();
+
+    expect(canvas.getAreaName('area-1')).toBe('roda dianteira');
+    expect(canvas.getAreaName('area-2')).toBe('Janela');
+    expect(canvas.getAreaName('area-3')).toBe('farol'); // data-label antes de <title>
+    expect(canvas.getAreaName('area-4')).toBeNull();
+  });
+
+  test('nomes do catálogo devem ter prioridade sobre os do SVG', () => {
+    createCanvas({ areaLabels: { 'area-1': 'pneu', 'area-4': 'porta' } });
+
+    expect(canvas.getAreaName('area-1')).toBe('pneu');
+    expect(canvas.getAreaName('area-2')).toBe('Janela');
+    expect(canvas.getAreaName('area-4')).toBe('porta');
+  });
+
+  test('rótulos devem incluir o nome e a cor aplicada', () => {
+    createCanvas();
+    const wheel = svg.querySelector('#area-1');
+
+    expect(wheel.getAttribute('aria-label')).toBe('Roda dianteira, área 1 de 4, sem cor');
+    expect(svg.querySelector('#area-4').getAttribute('aria-label')).toBe('Área 4 de 4, sem cor');
+
+    canvas.applyColorToArea('area-1', '#FF0000');
+    expect(wheel.getAttribute('aria-label')).toBe('Roda dianteira, área 1 de 4, pintada de vermelho');
+  });
+});
+
+describe('ColoringScreen - Anúncios para leitores de tela', () => {
+  let container;
+  let screen;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    screen = new ColoringScreen(container, {
+      drawing: {
+        id: 'carro',
+        name: 'Carro',
+        svgUrl: '/test.svg',
+        metadata: { width: 100, height: 100, areaCount: 2, areaLabels: { 'area-1': 'roda dianteira' } }
+      },
+      onBack: () => {}
+    });
+
+    // Aguardar o carregamento do SVG
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  function announcement() {
+    return container.querySelector('.coloring-announcer').textContent;
+  }
+
+  test('deve ter uma região viva discreta', () => {
+    const announcer = container.querySelector('.coloring-announcer');
+
+    expect(announcer.getAttribute('aria-live')).toBe('polite');
+    expect(announcer.getAttribute('role')).toBe('status');
+    expect(announcer.classList.contains('sr-only')).toBe(true);
+  });
+
+  test('deve anunciar o desenho carregado', () => {
+    expect(announcement()).toBe('Desenho Carro carregado, nenhuma área pintada');
+  });
+
+  test('deve anunciar cada cor aplicada pelo nome da área', () => {
+    screen.handleColorSelect('#FF0000');
+    screen.svgCanvas.svgElement.querySelector('#area-1').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(announcement()).toBe('Roda dianteira pintada de vermelho');
+
+    screen.handleAreaClick('area-2', '#87CEEB');
+    expect(announcement()).toBe('Área 2 pintada de azul céu');
+  });
+
+  test('anúncios repetidos devem mudar o texto para serem lidos de novo', () => {
+    screen.handleAreaClick('area-2', '#FF0000');
+    const first = announcement();
+    screen.handleAreaClick('area-2', '#FF0000');
+
+    expect(announcement()).not.toBe(first);
+    expect(announcement().trim()).toBe(first);
+  });
+
+  test('deve anunciar ao limpar e ao carregar um desenho salvo', () => {
+    screen.clearDrawing();
+    expect(announcement()).toBe('Todas as cores foram apagadas');
+
+    screen.loadSavedDrawing({ coloredAreas: { 'area-1': '#FF0000', 'area-2': '#0000FF' } });
+    expect(announcement()).toBe('Desenho Carro carregado, 2 áreas pintadas');
+  });
+});
@@ -431,4 +431,24 @@ describe('SVGCanvas - Logging Methods', () => {
       expect(logs[2].timestamp).toBeGreaterThanOrEqual(logs[1].timestamp);
     });
   });
+
+  describe('handleBackgroundClick()', () => {
+    it('deve registrar toque fora das áreas como misclick', () => {
+      const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      background.setAttribute('id', 'fundo');
+      mockSVGElement.appendChild(background);
+
+      canvas.handleBackgroundClick({ target: background });
+      const logs = canvas.getClickLogs();
+
+      expect(logs).toHaveLength(1);
+      expect(logs[0]).toMatchObject({ targetId: 'fundo', success: false, misclick: true });
+    });
+
+    it('não deve registrar toques em áreas coloríveis', () => {
+      canvas.handleBackgroundClick({ target: mockSVGElement.querySelector('#area-1') });
+
+      expect(canvas.getClickLogs()).toHaveLength(0);
+    });
+  });
 });
@@ -0,0 +1,162 @@
+/**
+ * Testes unitários para a assistência de toque do SVGCanvas e seu botão na ColoringScreen
+ */
+
+import { jest } from '@jest/globals';
+import { SVGCanvas } from '../SVGCanvas.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+import { ASSIST_CONFIRM_DELAY, ASSIST_RADII } from '../../utils/hitAssist.js';
+
+function setRect(element, left, top, width, height) {
+  element.getBoundingClientRect = () => ({
+    left, top, width, height, right: left + width, bottom: top + height
+  });
+}
+
+describe('SVGCanvas - Assistência de toque', () => {
+  let container;
+  let canvas;
+  let svg;
+  let outline;
+  let onAreaClick;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = `
+      <rect id="area-1" fill="none" />
+      <rect id="area-2" fill="none" />
+      <path id="contorno" fill="none" pointer-events="none" />
+    `;
+    setRect(svg.querySelector('#area-1'), 0, 0, 100, 100);
+    setRect(svg.querySelector('#area-2'), 150, 0, 100, 100);
+    outline = svg.querySelector('#contorno');
+
+    onAreaClick = jest.fn();
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000', onAreaClick, touchAssist: true });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = [
+      { id: 'area-1', element: svg.querySelector('#area-1') },
+      { id: 'area-2', element: svg.querySelector('#area-2') }
+    ];
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('deve destacar e depois pintar a área mais próxima de um toque no fundo', () => {
+    canvas.handleBackgroundClick({ target: svg, clientX: 110, clientY: 50 });
+
+    expect(svg.querySelector('#area-1').classList.contains('assist-target')).toBe(true);
+    expect(onAreaClick).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(ASSIST_CONFIRM_DELAY);
+
+    expect(svg.querySelector('#area-1').classList.contains('assist-target')).toBe(false);
+    expect(onAreaClick).toHaveBeenCalledWith('area-1', '#FF0000');
+    expect(canvas.getClickLogs()[0]).toMatchObject({
+      expectedAreaId: 'area-1', success: true, assisted: true, misclick: true
+    });
+  });
+
+  test('deve pintar a área mais próxima de um toque em elemento decorativo', () => {
+    canvas.handleAreaClick({ target: outline, clientX: 140, clientY: 50 }, 'area-1');
+    jest.advanceTimersByTime(ASSIST_CONFIRM_DELAY);
+
+    expect(canvas.getAreaColor('area-2')).toBe('#FF0000');
+  });
+
+  test('um novo toque durante o destaque deve substituir a escolha', () => {
+    canvas.handleBackgroundClick({ target: svg, clientX: 110, clientY: 50 });
+    canvas.handleBackgroundClick({ target: svg, clientX: 140, clientY: 50 });
+    jest.advanceTimersByTime(ASSIST_CONFIRM_DELAY);
+
+    expect(onAreaClick).toHaveBeenCalledTimes(1);
+    expect(onAreaClick).toHaveBeenCalledWith('area-2', '#FF0000');
+  });
+
+  test('deve registrar o toque fora quando nenhuma área está no raio', () => {
+    canvas.handleBackgroundClick({ target: svg, clientX: 500, clientY: 500 });
+    jest.advanceTimersByTime(ASSIST_CONFIRM_DELAY);
+
+    expect(onAreaClick).not.toHaveBeenCalled();
+    expect(canvas.getClickLogs()[0]).toMatchObject({ success: false, misclick: true });
+  });
+
+  test('não deve ajudar quando a assistência está desligada', () => {
+    canvas.setTouchAssist(false);
+    canvas.handleBackgroundClick({ target: svg, clientX: 110, clientY: 50 });
+    jest.advanceTimersByTime(ASSIST_CONFIRM_DELAY);
+
+    expect(onAreaClick).not.toHaveBeenCalled();
+  });
+
+  test('deve usar o raio configurado', () => {
+    canvas.setTouchAssist(true, 16);
+    canvas.handleBackgroundClick({ target: svg, clientX: 120, clientY: 50 });
+    jest.advanceTimersByTime(ASSIST_CONFIRM_DELAY);
+
+    expect(onAreaClick).not.toHaveBeenCalled();
+  });
+});
+
+describe('ColoringScreen - botão de assistência de toque', () => {
+  let container;
+  let screen;
+  let preferences;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    preferences = {};
+
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'gato', name: 'Gato' },
+      profileService: {
+        getPreference: (key, defaultValue = null) => (key in preferences ? preferences[key] : defaultValue),
+        setPreference: (key, value) => {
+          preferences[key] = value;
+          return true;
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+  });
+
+  test('deve alternar os níveis e guardar a escolha no perfil', () => {
+    const button = container.querySelector('.assist-button');
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+
+    button.click();
+    expect(preferences.touchAssistRadius).toBe(ASSIST_RADII[0]);
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(button.getAttribute('aria-label')).toContain('pequena');
+
+    ASSIST_RADII.forEach(() => button.click());
+    expect(preferences.touchAssistRadius).toBe(0);
+    expect(button.getAttribute('aria-label')).toContain('desligada');
+  });
+
+  test('deve repassar o nível ao canvas', () => {
+    screen.svgCanvas = { setTouchAssist: jest.fn(), destroy: () => {} };
+
+    container.querySelector('.assist-button').click();
+
+    expect(screen.svgCanvas.setTouchAssist).toHaveBeenCalledWith(true, ASSIST_RADII[0]);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Testes unitários para o zoom e o arrasto do SVGCanvas
+ */
+
+import { jest } from '@jest/globals';
+import { SVGCanvas } from '../SVGCanvas.js';
+import { DOUBLE_TAP_DELAY } from '../../utils/TouchEventHandler.js';
+import { MAX_ZOOM } from '../../utils/viewBoxZoom.js';
+
+function touch(element, type, touches, changedTouches = touches) {
+  element.dispatchEvent(new TouchEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    touches: touches.map(([clientX, clientY]) => ({ clientX, clientY })),
+    changedTouches: changedTouches.map(([clientX, clientY]) => ({ clientX, clientY }))
+  }));
+}
+
+function tap(element, x = 50, y = 50) {
+  touch(element, 'touchstart', [[x, y]]);
+  touch(element, 'touchend', [], [[x, y]]);
+}
+
+describe('SVGCanvas - Zoom e arrasto', () => {
+  let container;
+  let canvas;
+  let svg;
+
+  function button(className) {
+    return container.querySelector(`.${className}`);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', '0 0 400 200');
+    svg.innerHTML = `
+      <rect id="area-1" x="0" y="0" width="20" height="20" fill="none" />
+      <rect id="area-2" x="360" y="160" width="20" height="20" fill="none" />
+    `;
+    // Em jsdom o SVG não tem tamanho: 1 pixel de tela = 1 unidade do desenho
+    svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200, right: 400, bottom: 200 });
+
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000', audioService: { play: jest.fn(async () => true) } });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = [
+      { id: 'area-1', element: svg.querySelector('#area-1') },
+      { id: 'area-2', element: svg.querySelector('#area-2') }
+    ];
+    canvas.render();
+    canvas.attachEventListeners();
+  });
+
+  afterEach(() => {
+    canvas.destroy();
+    document.body.removeChild(container);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('os botões +/- devem mudar o viewBox e mostrar o nível de zoom', () => {
+    expect(button('zoom-level').textContent).toBe('100%');
+    expect(button('zoom-out').disabled).toBe(true);
+
+    button('zoom-in').click();
+
+    expect(canvas.getZoom()).toBe(1.5);
+    expect(svg.getAttribute('viewBox')).toBe('66.667 33.333 266.667 133.333');
+    expect(button('zoom-level').textContent).toBe('150%');
+    expect(button('zoom-out').disabled).toBe(false);
+
+    button('zoom-out').click();
+    expect(svg.getAttribute('viewBox')).toBe('0 0 400 200');
+  });
+
+  test('os controles devem ter nome acessível e área de toque mínima de 44px', () => {
+    expect(button('zoom-controls').getAttribute('role')).toBe('toolbar');
+
+    container.querySelectorAll('.zoom-button').forEach(zoomButton => {
+      expect(zoomButton.getAttribute('aria-label')).toBeTruthy();
+      expect(zoomButton.style.minWidth).toBe('44px');
+      expect(zoomButton.style.minHeight).toBe('44px');
+    });
+  });
+
+  test('o zoom deve parar no máximo e o reset deve voltar ao desenho inteiro', () => {
+    for (let i = 0; i < 10; i++) {
+      canvas.zoomIn();
+    }
+
+    expect(canvas.getZoom()).toBe(MAX_ZOOM);
+    expect(button('zoom-in').disabled).toBe(true);
+
+    button('zoom-reset').click();
+
+    expect(canvas.getZoom()).toBe(1);
+    expect(svg.getAttribute('viewBox')).toBe('0 0 400 200');
+  });
+
+  test('a pinça deve aproximar sem pintar', () => {
+    const area = svg.querySelector('#area-1');
+
+    touch(area, 'touchstart', [[10, 10]]);
+    touch(area, 'touchstart', [[10, 10], [60, 10]]);
+    touch(area, 'touchmove', [[10, 10], [110, 10]]);
+    touch(area, 'touchend', [[10, 10]], [[110, 10]]);
+    touch(area, 'touchend', [], [[10, 10]]);
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    expect(canvas.getZoom()).toBe(2);
+    expect(canvas.getAreaColor('area-1')).toBeNull();
+    expect(canvas.getClickLogs()).toHaveLength(0);
+  });
+
+  test('o toque simples deve pintar e o toque duplo deve aproximar sem pintar', () => {
+    tap(svg.querySelector('#area-1'), 10, 10);
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    expect(canvas.getAreaColor('area-1')).toBe('#FF0000');
+
+    tap(svg.querySelector('#area-2'), 370, 170);
+    tap(svg.querySelector('#area-2'), 370, 170);
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    expect(canvas.getAreaColor('area-2')).toBeNull();
+    expect(canvas.getZoom()).toBe(1.5);
+  });
+
+  test('a ferramenta "mover" deve arrastar o desenho e não pintar', () => {
+    canvas.zoomBy(2);
+    button('zoom-move').click();
+
+    expect(button('zoom-move').getAttribute('aria-pressed')).toBe('true');
+    expect(container.querySelector('.svg-canvas').classList.contains('move-tool')).toBe(true);
+
+    const area = svg.querySelector('#area-1');
+    touch(area, 'touchstart', [[100, 100]]);
+    touch(area, 'touchmove', [[60, 80]]);
+    touch(area, 'touchend', [], [[60, 80]]);
+    area.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    // Com zoom 2 a visão tem metade do tamanho: 40px de tela = 20 unidades do desenho
+    expect(svg.getAttribute('viewBox')).toBe('120 60 200 100');
+    expect(canvas.getAreaColor('area-1')).toBeNull();
+
+    button('zoom-move').click();
+    area.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(canvas.getAreaColor('area-1')).toBe('#FF0000');
+  });
+
+  test('o foco pelo teclado deve trazer a área para a visão', () => {
+    canvas.zoomBy(4);
+    expect(svg.getAttribute('viewBox')).toBe('150 75 100 50');
+
+    canvas.focusArea('area-2');
+
+    expect(svg.getAttribute('viewBox')).toBe('300 145 100 50');
+  });
+
+  test('o desenho salvo deve ser sempre o inteiro', () => {
+    canvas.zoomIn();
+
+    expect(canvas.getSVGContent()).toContain('viewBox="0 0 400 200"');
+    expect(svg.getAttribute('viewBox')).not.toBe('0 0 400 200');
+  });
+
+  test('sem tamanho no SVG não deve haver controles de zoom', () => {
+    canvas.destroy();
+    svg.removeAttribute('viewBox');
+
+    canvas = new SVGCanvas(container, { selectedColor: '#FF0000' });
+    canvas.svgElement = svg;
+    canvas.colorableAreas = [];
+    canvas.render();
+
+    expect(container.querySelector('.zoom-controls')).toBeNull();
+    canvas.zoomIn();
+    expect(canvas.getZoom()).toBe(1);
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Testes unitários para o componente SaveLoadModal
+ */
+
+import { SaveLoadModal } from '../SaveLoadModal.js';
+import { SaveLoadService } from '../../services/SaveLoadService.js';
+
+// Aguarda as operações assíncronas disparadas por cliques
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('SaveLoadModal', () => {
+  let service;
+  let modal;
+  let drawingData;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new SaveLoadService();
+    modal = new SaveLoadModal({ saveLoadService: service });
+
+    drawingData = {
+      drawingId: 'gato',
+      drawingName: 'Gato',
+      coloredAreas: { 'area-1': '#FF0000', 'area-2': '#00FF00' },
+      svgContent: '<svg><rect id="area-1" /></svg>'
+    };
+  });
+
+  afterEach(() => {
+    modal.destroy();
+    localStorage.clear();
+  });
+
+  describe('openSaveMode', () => {
+    test('deve renderizar diálogo acessível com campo de nome', () => {
+      modal.openSaveMode(drawingData, () => {});
+
+      const dialog = document.querySelector('.save-load-modal [role="dialog"]');
+      expect(dialog).not.toBeNull();
+      expect(dialog.getAttribute('aria-modal')).toBe('true');
+      expect(document.getElementById(dialog.getAttribute('aria-labelledby'))).not.toBeNull();
+
+      const input = document.querySelector('#save-name-input');
+      expect(input.value).toContain('Gato');
+      expect(document.activeElement).toBe(input);
+    });
+
+    test('deve salvar com o nome informado e chamar callback', async () => {
+      const results = [];
+      modal.openSaveMode(drawingData, (result) => results.push(result));
+
+      document.querySelector('#save-name-input').value = 'Meu gato';
+      document.querySelector('.modal-button-primary').click();
+      await flushPromises();
+
+      expect(results).toHaveLength(1);
+      expect(results[0].success).toBe(true);
+      expect((await service.getSavedDrawingsList('gato'))[0].customName).toBe('Meu gato');
+      expect(modal.isOpen()).toBe(false);
+    });
+
+    test('fechar o modal durante a gravação ainda deve entregar o resultado', async () => {
+      const results = [];
+      let finishSave;
+      const saveDrawing = service.saveDrawing.bind(service);
+      service.saveDrawing = (...args) => new Promise(resolve => {
+        finishSave = () => resolve(saveDrawing(...args));
+      });
+      modal.openSaveMode(drawingData, (result) => results.push(result));
+
+      document.querySelector('#save-name-input').value = 'Meu gato';
+      document.querySelector('.modal-button-primary').click();
+      const event = new KeyboardEvent('keydown', { key: 'Escape', bubbles: true });
+      document.activeElement.dispatchEvent(event);
+      expect(modal.isOpen()).toBe(false);
+
+      finishSave();
+      await flushPromises();
+
+      expect(results).toHaveLength(1);
+      expect(results[0].success).toBe(true);
+      expect(modal.isOpen()).toBe(false);
+    });
+
+    test('não deve salvar com nome vazio', async () => {
+      const results = [];
+      modal.openSaveMode(drawingData, (result) => results.push(result));
+
+      document.querySelector('#save-name-input').value = '   ';
+      document.querySelector('.modal-button-primary').click();
+      await flushPromises();
+
+      expect(results).toHaveLength(0);
+      expect(modal.isOpen()).toBe(true);
+      expect(document.querySelector('.modal-message-error')).not.toBeNull();
+    });
+
+    test('deve lançar erro sem dados do desenho', () => {
+      expect(() => modal.openSaveMode(null)).toThrow();
+    });
+  });
+
+  describe('openLoadMode', () => {
+    test('deve exibir estado vazio quando não há salvamentos', async () => {
+      await modal.openLoadMode('gato', () => {});
+
+      expect(document.querySelector('.empty-state')).not.toBeNull();
+    });
+
+    test('deve listar apenas salvamentos do desenho atual', async () => {
+      await service.saveDrawing(drawingData, 'Gato 1');
+      await service.saveDrawing({ ...drawingData, drawingId: 'peixe' }, 'Peixe 1');
+
+      await modal.openLoadMode('gato', () => {});
+
+      const items = document.querySelectorAll('.saved-drawing-item');
+      expect(items).toHaveLength(1);
+      expect(items[0].textContent).toContain('Gato 1');
+      expect(items[0].querySelectorAll('.color-swatch')).toHaveLength(2);
+    });
+
+    test('deve carregar salvamento e repassar dados', async () => {
+      await service.saveDrawing(drawingData, 'Gato 1');
+      const loaded = [];
+
+      await modal.openLoadMode('gato', (data) => loaded.push(data));
+      document.querySelector('.load-item-button').click();
+      await flushPromises();
+
+      expect(loaded).toHaveLength(1);
+      expect(loaded[0].coloredAreas).toEqual(drawingData.coloredAreas);
+      expect(modal.isOpen()).toBe(false);
+    });
+
+    test('fechar o modal antes de o desenho carregar deve cancelar a abertura', async () => {
+      await service.saveDrawing(drawingData, 'Gato 1');
+      const loaded = [];
+      let finishLoad;
+      const loadDrawing = service.loadDrawing.bind(service);
+      service.loadDrawing = (...args) => new Promise(resolve => {
+        finishLoad = () => resolve(loadDrawing(...args));
+      });
+
+      await modal.openLoadMode('gato', (data) => loaded.push(data));
+      document.querySelector('.load-item-button').click();
+      modal.close();
+
+      finishLoad();
+      await flushPromises();
+
+      expect(loaded).toHaveLength(0);
+      expect(modal.isOpen()).toBe(false);
+    });
+
+    test('deve remover salvamento somente após confirmação', async () => {
+      await service.saveDrawing(drawingData, 'Gato 1');
+      await modal.openLoadMode('gato', () => {});
+
+      const deleteButton = document.querySelector('.delete-item-button');
+      deleteButton.click();
+      await flushPromises();
+      expect(await service.getSavedDrawingsList('gato')).toHaveLength(1);
+      expect(deleteButton.dataset.confirming).toBe('true');
+
+      deleteButton.click();
+      await flushPromises();
+      expect(await service.getSavedDrawingsList('gato')).toHaveLength(0);
+      expect(document.querySelector('.empty-state')).not.toBeNull();
+      expect(document.querySelector('.modal-message-success')).not.toBeNull();
+    });
+
+    test('deve exibir o espaço usado e avisar quando está quase cheio', async () => {
+      service.getStorageStats = async () => ({ storageUsed: 4.5 * 1024 * 1024, storageQuota: 5 * 1024 * 1024, nearQuota: true });
+
+      await modal.openLoadMode('gato', () => {});
+
+      const usage = document.querySelector('.storage-usage');
+      expect(usage.hidden).toBe(false);
+      expect(usage.textContent).toContain('4.5 MB de 5.0 MB');
+      expect(usage.classList.contains('storage-usage-warning')).toBe(true);
+    });
+
+    test('deve exibir mensagem quando não há espaço para salvar', async () => {
+      service.saveDrawing = async () => ({ success: false, error: 'QUOTA_EXCEEDED', message: 'Não há mais espaço para salvar.' });
+      modal.openSaveMode(drawingData, () => {});
+
+      document.querySelector('.modal-button-primary').click();
+      await flushPromises();
+
+      expect(modal.isOpen()).toBe(true);
+      expect(document.querySelector('.modal-message-error').textContent).toContain('espaço');
+    });
+  });
+
+  describe('openExportMode', () => {
+    const exportOptions = [
+      { id: 'png-screen', label: 'Baixar PNG', description: 'Imagem leve' },
+      { id: 'svg', label: 'Baixar SVG', description: 'Imagem vetorial' }
+    ];
+
+    test('deve listar os formatos com descrição acessível', () => {
+      modal.openExportMode(exportOptions, async () => ({ success: true, message: 'ok' }));
+
+      const buttons = document.querySelectorAll('.export-option-button');
+      expect(buttons).toHaveLength(2);
+      expect(document.getElementById(buttons[1].getAttribute('aria-describedby')).textContent).toBe('Imagem vetorial');
+      expect(document.activeElement).toBe(buttons[0]);
+    });
+
+    test('deve exportar o formato escolhido e manter o modal aberto', async () => {
+      const chosen = [];
+      modal.openExportMode(exportOptions, async (optionId) => {
+        chosen.push(optionId);
+        return { success: true, message: 'Imagem SVG pronta!' };
+      });
+
+      document.querySelector('[data-export-id="svg"]').click();
+      await Promise.resolve();
+
+      expect(chosen).toEqual(['svg']);
+      expect(modal.isOpen()).toBe(true);
+      expect(document.querySelector('.modal-message-success').textContent).toBe('Imagem SVG pronta!');
+    });
+
+    test('deve repassar os ajustes marcados ao callback', async () => {
+      const received = [];
+      modal.openExportMode(exportOptions, async (optionId, settings) => {
+        received.push(settings);
+        return { success: true, message: 'ok' };
+      }, [{ id: 'legend', label: 'Incluir legenda', checked: true }]);
+
+      document.querySelector('[data-setting-id="legend"]').click();
+      document.querySelector('[data-export-id="svg"]').click();
+      await Promise.resolve();
+
+      expect(received).toEqual([{ legend: false }]);
+    });
+
+    test('deve exibir erro quando a exportação falha', async () => {
+      modal.openExportMode(exportOptions, async () => ({ success: false, message: 'Erro ao exportar imagem' }));
+
+      document.querySelector('[data-export-id="png-screen"]').click();
+      await Promise.resolve();
+
+      expect(document.querySelector('.modal-message-error')).not.toBeNull();
+    });
+
+    test('deve lançar erro sem opções', () => {
+      expect(() => modal.openExportMode([])).toThrow();
+    });
+  });
+
+  describe('teclado e foco', () => {
+    test('Escape deve fechar o modal sem propagar para o documento', async () => {
+      let documentReceived = false;
+      const documentListener = () => { documentReceived = true; };
+      document.addEventListener('keydown', documentListener);
+
+      await modal.openLoadMode('gato', () => {});
+      const event = new KeyboardEvent('keydown', { key: 'Escape', bubbles: true });
+      document.activeElement.dispatchEvent(event);
+
+      document.removeEventListener('keydown', documentListener);
+      expect(modal.isOpen()).toBe(false);
+      expect(documentReceived).toBe(false);
+    });
+
+    test('Tab deve ficar preso dentro do modal', () => {
+      modal.openSaveMode(drawingData, () => {});
+
+      const focusable = modal.getFocusableElements();
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      last.focus();
+      last.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+      expect(document.activeElement).toBe(first);
+
+      first.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', shiftKey: true, bubbles: true }));
+      expect(document.activeElement).toBe(last);
+    });
+
+    test('deve devolver o foco ao elemento anterior ao fechar', () => {
+      const trigger = document.createElement('button');
+      document.body.appendChild(trigger);
+      trigger.focus();
+
+      modal.openLoadMode('gato', () => {});
+      modal.close();
+
+      expect(document.activeElement).toBe(trigger);
+      trigger.remove();
+    });
+
+    test('todos os botões devem ter área de toque mínima de 44px', async () => {
+      await service.saveDrawing(drawingData, 'Gato 1');
+      await modal.openLoadMode('gato', () => {});
+
+      document.querySelectorAll('.save-load-modal button').forEach(button => {
+        expect(button.style.minWidth).toBe('44px');
+        expect(button.style.minHeight).toBe('44px');
+      });
+    });
+  });
+});
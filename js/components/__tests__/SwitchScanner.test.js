@@ -0,0 +1,244 @@
+/**
+ * Testes para a varredura de acionadores (SwitchScanner, ScanSettings e ColoringScreen)
+ */
+
+import { jest } from '@jest/globals';
+import { SwitchScanner } from '../SwitchScanner.js';
+import { ScanSettings, formatKey } from '../ScanSettings.js';
+import { ColoringScreen } from '../ColoringScreen.js';
+
+function press(key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  (options.target || document.body).dispatchEvent(event);
+  return event;
+}
+
+describe('SwitchScanner', () => {
+  let items;
+  let scanner;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    items = ['area', 'area', 'color'].map(kind => {
+      const element = document.createElement('button');
+      document.body.appendChild(element);
+      return { element, kind, select: jest.fn() };
+    });
+    scanner = new SwitchScanner({ getItems: () => items, settings: { interval: 1000 } });
+  });
+
+  afterEach(() => {
+    scanner.destroy();
+    items.forEach(item => item.element.remove());
+    jest.useRealTimers();
+  });
+
+  test('deve destacar o primeiro item e avançar no intervalo configurado', () => {
+    scanner.start();
+    expect(items[0].element.classList.contains('scan-highlight')).toBe(true);
+
+    jest.advanceTimersByTime(1000);
+    expect(items[0].element.classList.contains('scan-highlight')).toBe(false);
+    expect(items[1].element.classList.contains('scan-highlight')).toBe(true);
+
+    jest.advanceTimersByTime(2000);
+    expect(scanner.getHighlightedItem()).toBe(items[0]);
+  });
+
+  test('Espaço ou Enter deve selecionar o item destacado', () => {
+    scanner.start();
+    jest.advanceTimersByTime(1000);
+
+    const event = press(' ');
+    expect(items[1].select).toHaveBeenCalledTimes(1);
+    expect(event.defaultPrevented).toBe(true);
+
+    press('Enter');
+    expect(items[1].select).toHaveBeenCalledTimes(2);
+  });
+
+  test('depois de escolher uma cor deve recomeçar pelas áreas', () => {
+    scanner.start();
+    jest.advanceTimersByTime(2000);
+
+    press('Enter');
+
+    expect(items[2].select).toHaveBeenCalled();
+    expect(scanner.getHighlightedItem()).toBe(items[0]);
+  });
+
+  test('deve ignorar tecla mantida pressionada', () => {
+    scanner.start();
+    press(' ', { repeat: true });
+
+    expect(items[0].select).not.toHaveBeenCalled();
+  });
+
+  test('deve aceitar a tecla mapeada do acionador', () => {
+    scanner.configure({ selectKey: 'F2' });
+    scanner.start();
+    press('F2');
+
+    expect(items[0].select).toHaveBeenCalled();
+  });
+
+  test('modo de dois acionadores: Espaço avança e Enter seleciona, sem avanço automático', () => {
+    scanner.configure({ mode: 'two' });
+    scanner.start();
+
+    jest.advanceTimersByTime(5000);
+    expect(scanner.getHighlightedItem()).toBe(items[0]);
+
+    press(' ');
+    expect(scanner.getHighlightedItem()).toBe(items[1]);
+    expect(items[1].select).not.toHaveBeenCalled();
+
+    press('Enter');
+    expect(items[1].select).toHaveBeenCalled();
+  });
+
+  test('deve ignorar teclas digitadas em campos e diálogos', () => {
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    const button = document.createElement('button');
+    dialog.appendChild(button);
+    document.body.appendChild(dialog);
+
+    scanner.start();
+    press('Enter', { target: button });
+
+    expect(items[0].select).not.toHaveBeenCalled();
+    dialog.remove();
+  });
+
+  test('parar deve remover o destaque e as teclas', () => {
+    scanner.start();
+    scanner.stop();
+    press('Enter');
+
+    expect(items[0].element.classList.contains('scan-highlight')).toBe(false);
+    expect(items[0].select).not.toHaveBeenCalled();
+  });
+});
+
+describe('ScanSettings', () => {
+  let settings;
+  let onChange;
+
+  beforeEach(() => {
+    onChange = jest.fn();
+    settings = new ScanSettings({
+      settings: { mode: 'single', interval: 2000, selectKey: null, stepKey: ' ' },
+      onChange
+    });
+    document.body.appendChild(settings.element);
+  });
+
+  afterEach(() => {
+    settings.element.remove();
+  });
+
+  test('deve exibir a configuração atual', () => {
+    expect(settings.element.querySelector('#scan-mode').value).toBe('single');
+    expect(settings.element.querySelector('#scan-interval').value).toBe('2000');
+    expect(settings.element.querySelector('[data-field="stepKey"]').hidden).toBe(true);
+  });
+
+  test('deve repassar o intervalo escolhido', () => {
+    const select = settings.element.querySelector('#scan-interval');
+    select.value = '3000';
+    select.dispatchEvent(new Event('change'));
+
+    expect(onChange).toHaveBeenCalledWith({ interval: 3000 });
+  });
+
+  test('deve mapear a próxima tecla pressionada no botão', () => {
+    const button = settings.element.querySelector('[data-field="selectKey"]');
+    button.click();
+    expect(button.textContent).toContain('Pressione');
+
+    button.dispatchEvent(new KeyboardEvent('keydown', { key: 'F2', bubbles: true }));
+
+    expect(onChange).toHaveBeenCalledWith({ selectKey: 'F2' });
+    expect(button.textContent).toBe('Tecla de selecionar: F2');
+  });
+
+  test('modo de dois acionadores deve exibir a tecla de avançar', () => {
+    const select = settings.element.querySelector('#scan-mode');
+    select.value = 'two';
+    select.dispatchEvent(new Event('change'));
+
+    expect(settings.element.querySelector('[data-field="stepKey"]').hidden).toBe(false);
+    expect(settings.element.querySelector('#scan-interval').disabled).toBe(true);
+  });
+
+  test('deve nomear as teclas comuns', () => {
+    expect(formatKey(' ')).toBe('Espaço');
+    expect(formatKey('a')).toBe('A');
+  });
+});
+
+describe('ColoringScreen - varredura', () => {
+  let container;
+  let screen;
+  let preferences;
+
+  async function createScreen() {
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'gato', name: 'Gato', svgUrl: '/scan-test.svg' },
+      profileService: {
+        getPreference: (key, defaultValue = null) => (key in preferences ? preferences[key] : defaultValue),
+        setPreference: (key, value) => {
+          preferences[key] = value;
+          return true;
+        }
+      }
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    preferences = {};
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('deve percorrer áreas e depois cores, pintando com o acionador', async () => {
+    preferences.switchScanning = { enabled: true, mode: 'two' };
+    await createScreen();
+
+    const items = screen.getScanItems();
+    expect(items.map(item => item.kind)).toEqual(['area', 'area', ...screen.colorPalette.colors.map(() => 'color')]);
+
+    // Avançar até a segunda cor, escolhê-la e pintar a primeira área
+    press(' ');
+    press(' ');
+    press(' ');
+    press('Enter');
+    expect(screen.selectedColor).toBe(screen.colorPalette.colors[1]);
+
+    press('Enter');
+    expect(screen.svgCanvas.getAreaColor('area-1')).toBe(screen.colorPalette.colors[1]);
+  });
+
+  test('o botão deve ligar a varredura e guardar a escolha no perfil', async () => {
+    await createScreen();
+    const button = container.querySelector('.scan-button');
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+    expect(container.querySelector('.scan-settings').hidden).toBe(true);
+
+    button.click();
+
+    expect(preferences.switchScanning.enabled).toBe(true);
+    expect(container.querySelector('.scan-settings').hidden).toBe(false);
+    expect(screen.switchScanner.isActive()).toBe(true);
+    expect(container.querySelector('#area-1').classList.contains('scan-highlight')).toBe(true);
+  });
+});
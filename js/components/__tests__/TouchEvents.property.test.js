@@ -10,6 +10,7 @@ import { SVGCanvas } from '../SVGCanvas.js';
 import { ColorPalette } from '../ColorPalette.js';
 import { ColoringScreen } from '../ColoringScreen.js';
 import { Gallery } from '../Gallery.js';
+import { DOUBLE_TAP_DELAY } from '../../utils/TouchEventHandler.js';
 
 describe('Touch Events - Property-Based Tests', () => {
   let container;
@@ -76,7 +77,7 @@ describe('Touch Events - Property-Based Tests', () => {
       );
     });
 
-    it('SVGCanvas: touchstart deve colorir área igual a click', async () => {
+    it('SVGCanvas: toque simples deve colorir área igual a click', async () => {
       await fc.assert(
         fc.asyncProperty(
           fc.hexaString({ minLength: 6, maxLength: 6 }).map(hex => `#${hex}`), // Cor aleatória
@@ -123,13 +124,22 @@ describe('Touch Events - Property-Based Tests', () => {
             });
             await canvas2.loadSVG('test.svg');
 
+            // Toque simples: a cor entra quando o dedo sai da tela, passado o intervalo do toque duplo
+            jest.useFakeTimers();
             const element2 = canvas2.svgElement.querySelector(`#${areaId}`);
-            const touchEvent = new TouchEvent('touchstart', {
+            element2.dispatchEvent(new TouchEvent('touchstart', {
               bubbles: true,
               cancelable: true,
               touches: [{ clientX: 0, clientY: 0 }]
-            });
-            element2.dispatchEvent(touchEvent);
+            }));
+            element2.dispatchEvent(new TouchEvent('touchend', {
+              bubbles: true,
+              cancelable: true,
+              touches: [],
+              changedTouches: [{ clientX: 0, clientY: 0 }]
+            }));
+            jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+            jest.useRealTimers();
             const colorAfterTouch = canvas2.getAreaColor(areaId);
 
             canvas2.destroy();
@@ -4,7 +4,14 @@
  */
 import { Gallery } from './components/Gallery.js';
 import { ColoringScreen } from './components/ColoringScreen.js';
+import { ProfilePicker } from './components/ProfilePicker.js';
+import { ActivityReport } from './components/ActivityReport.js';
+import { OfflineIndicator } from './components/OfflineIndicator.js';
 import { ApplicationState } from './state/ApplicationState.js';
+import autosaveService from './services/AutosaveService.js';
+import profileService from './services/ProfileService.js';
+import printService from './services/PrintService.js';
+import offlineService from './services/OfflineService.js';
 import { initCompatibilityCheck } from './utils/BrowserCompatibility.js';
 import { errorLogger } from './utils/errorHandling.js';
 
@@ -19,6 +26,9 @@ class App {
     this.gallery = null;
     this.coloringScreen = null;
     this.applicationState = null;
+    this.profilePicker = null;
+    this.activityReport = null;
+    this.offlineIndicator = null;
   }
 
   /**
@@ -48,13 +58,18 @@ class App {
 
       console.log('✓ Navegador compatível - inicializando aplicação');
 
+      // Uso sem internet: service worker e aviso de conexão
+      this.initOffline();
+
       // Criar containers para galeria e tela de colorir
       this.createContainers();
 
       // Inicializar gerenciador de estado
       this.applicationState = new ApplicationState({
         galleryContainer: this.galleryContainer,
-        coloringContainer: this.coloringContainer
+        coloringContainer: this.coloringContainer,
+        autosaveService,
+        profileService
       });
 
       // Inicializar galeria
@@ -63,6 +78,13 @@ class App {
       // Configurar view inicial
       this.applicationState.transitionToGallery(false);
 
+      // Escolher quem vai colorir
+      this.profilePicker = new ProfilePicker({ profileService });
+      this.openProfilePicker(false);
+
+      // Relatório de atividades para terapeutas e responsáveis
+      this.activityReport = new ActivityReport({ profileService });
+
       console.log('✓ Aplicação inicializada com sucesso');
     } catch (error) {
       console.error('Erro ao inicializar aplicação:', error);
@@ -71,6 +93,21 @@ class App {
     }
   }
 
+  /**
+   * Registra o service worker (fora do servidor de desenvolvimento do Vite, onde o
+   * cache atrapalharia o recarregamento dos módulos) e exibe o aviso de conexão
+   * @private
+   */
+  initOffline() {
+    const isDevServer = Boolean(import.meta.env && import.meta.env.DEV);
+
+    if (!isDevServer) {
+      offlineService.register();
+    }
+
+    this.offlineIndicator = new OfflineIndicator({ offlineService });
+  }
+
   /**
    * Cria os containers para galeria e tela de colorir
    * @private
@@ -97,12 +134,45 @@ class App {
   async initGallery() {
     this.gallery = new Gallery({
       container: this.galleryContainer,
-      onDrawingSelect: (drawing) => this.handleDrawingSelect(drawing)
+      onDrawingSelect: (drawing) => this.handleDrawingSelect(drawing),
+      onDrawingPrint: (drawing) => this.handleDrawingPrint(drawing),
+      onProfileSwitch: () => this.openProfilePicker(true),
+      onReportOpen: () => this.activityReport.open()
     });
 
     await this.gallery.init();
   }
 
+  /**
+   * Abre o seletor de perfil
+   * @param {boolean} dismissible - Se pode ser fechado sem escolher (troca pelo cabeçalho)
+   * @private
+   */
+  openProfilePicker(dismissible) {
+    this.profilePicker.open(
+      (profile) => this.handleProfileSelect(profile),
+      { dismissible }
+    );
+  }
+
+  /**
+   * Ativa o perfil escolhido e recarrega a galeria com os dados dele
+   * @param {Object} profile - Perfil escolhido
+   * @private
+   */
+  async handleProfileSelect(profile) {
+    console.log('Perfil selecionado:', profile.name);
+
+    this.applicationState.switchProfile(profile.id);
+    await this.gallery.init();
+
+    // Levar o foco ao seletor de perfil no cabeçalho
+    const switcher = this.galleryContainer.querySelector('.gallery-profile-switcher');
+    if (switcher) {
+      switcher.focus();
+    }
+  }
+
   /**
    * Manipula seleção de desenho na galeria
    * @param {Object} drawing - Desenho selecionado
@@ -111,6 +181,9 @@ class App {
   handleDrawingSelect(drawing) {
     console.log('Desenho selecionado:', drawing.name);
 
+    // Lembrar a categoria para o próximo acesso do perfil
+    this.applicationState.setLastSelectedCategory(drawing.category);
+
     // Transicionar para tela de colorir
     this.applicationState.transitionToColoring(drawing);
 
@@ -122,10 +195,43 @@ class App {
     // Criar nova tela de colorir
     this.coloringScreen = new ColoringScreen(this.coloringContainer, {
       drawing: drawing,
+      history: this.applicationState.getHistory(drawing.id),
+      savedProgress: this.applicationState.getColoredAreas(),
+      onColorsChange: (coloredAreas) => this.applicationState.setColoredAreas(coloredAreas),
+      onCompletionChange: (completion) => this.applicationState.setCompletion(completion),
+      onNext: () => this.handleNextDrawing(drawing),
       onBack: () => this.handleBackToGallery()
     });
   }
 
+  /**
+   * Abre o desenho seguinte da galeria (ação "Próximo desenho" da comemoração)
+   * @param {Object} drawing - Desenho concluído
+   * @private
+   */
+  handleNextDrawing(drawing) {
+    const next = this.gallery ? this.gallery.getNextDrawing(drawing.id) : null;
+
+    if (next) {
+      this.handleDrawingSelect(next);
+    } else {
+      this.handleBackToGallery();
+    }
+  }
+
+  /**
+   * Imprime um desenho da galeria em branco, para colorir no papel
+   * @param {Object} drawing - Desenho escolhido
+   * @private
+   */
+  async handleDrawingPrint(drawing) {
+    const printed = await printService.printBlank(drawing);
+
+    if (!printed) {
+      errorLogger.log(new Error('Falha ao imprimir desenho em branco'), { drawingId: drawing.id });
+    }
+  }
+
   /**
    * Manipula retorno para galeria
    * @private
@@ -141,6 +247,11 @@ class App {
 
     // Transicionar para galeria preservando estado
     this.applicationState.transitionToGallery(true);
+
+    // Atualizar selos de "continuar" com o progresso salvo
+    if (this.gallery) {
+      this.gallery.refreshProgressBadges();
+    }
   }
 
   /**
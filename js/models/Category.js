@@ -5,6 +5,18 @@
  * @property {import('./Drawing.js').Drawing[]} drawings - Desenhos da categoria
  */
 
+/**
+ * ID da categoria com os desenhos enviados pelo usuário
+ */
+export const USER_CATEGORY_ID = 'meus-desenhos';
+
+/**
+ * Nomes de exibição das categorias que não seguem a regra de capitalização
+ */
+const CATEGORY_NAMES = {
+  [USER_CATEGORY_ID]: 'Meus Desenhos'
+};
+
 /**
  * Cria um objeto Category
  * @param {string} id - ID da categoria
@@ -34,7 +46,7 @@ export function groupDrawingsByCategory(drawings) {
     if (!categoryMap.has(categoryId)) {
       categoryMap.set(categoryId, createCategory(
         categoryId,
-        capitalizeCategory(categoryId),
+        CATEGORY_NAMES[categoryId] || capitalizeCategory(categoryId),
         []
       ));
     }
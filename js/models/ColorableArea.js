@@ -6,13 +6,25 @@
  * @property {string|null} currentColor - Cor atual (null se não colorida)
  */
 
+/**
+ * Verifica se é um elemento SVG usando a janela do próprio documento
+ * (no Node, as ferramentas do svg-adapter usam JSDOM e não há SVGElement global)
+ * @param {*} element - Valor a verificar
+ * @returns {boolean}
+ */
+export function isSVGElement(element) {
+  const view = element && element.ownerDocument && element.ownerDocument.defaultView;
+  const SVGElementClass = (view && view.SVGElement) || (typeof SVGElement !== 'undefined' ? SVGElement : null);
+  return Boolean(SVGElementClass) && element instanceof SVGElementClass;
+}
+
 /**
  * Cria um objeto ColorableArea a partir de um elemento SVG
  * @param {SVGElement} element - Elemento SVG
  * @returns {ColorableArea|null} Objeto ColorableArea ou null se inválido
  */
 export function createColorableArea(element) {
-  if (!element || !(element instanceof SVGElement)) {
+  if (!isSVGElement(element)) {
     return null;
   }
 
@@ -1,8 +1,18 @@
+import { normalizeColor } from './Palette.js';
+
 /**
  * @typedef {Object} DrawingMetadata
  * @property {number} width - Largura original do desenho
  * @property {number} height - Altura original do desenho
  * @property {number} areaCount - Número de áreas coloríveis
+ * @property {Object<string, string>} [areaLabels] - Nomes das áreas para leitores de tela
+ *   (ex.: {"area-3": "roda dianteira"}); têm prioridade sobre data-label e <title> do SVG
+ * @property {Object<string, string>} [targetColors] - Cor esperada de cada área para a pintura por números
+ *   (ex.: {"area-1": "#FF0000"}); cada cor diferente vira um número da legenda
+ * @property {Object} [guided] - Padrões do passo a passo para este desenho
+ * @property {Array<string>} [guided.areaOrder] - Ordem das áreas (ex.: ["area-2", "area-1"])
+ * @property {string} [guided.difficulty] - 'facil', 'medio' ou 'dificil'
+ * @property {boolean} [guided.tolerateMisses] - Ignorar toques em outras áreas
  */
 
 /**
@@ -13,6 +23,8 @@
  * @property {string} thumbnailUrl - URL da miniatura
  * @property {string} svgUrl - URL do arquivo SVG
  * @property {DrawingMetadata} metadata - Metadados do desenho
+ * @property {'areas'|'floodfill'} [coloringMode] - Modo de pintura (padrão: 'areas' para SVGs com area-N;
+ *   'floodfill' pinta por preenchimento livre, para imagens sem áreas identificadas)
  */
 
 /**
@@ -72,6 +84,57 @@ export function isValidDrawing(drawing) {
     return false;
   }
 
+  // Validar nomes das áreas (opcional)
+  const { areaLabels } = drawing.metadata;
+  if (areaLabels !== undefined) {
+    if (!areaLabels || typeof areaLabels !== 'object' || Array.isArray(areaLabels)) {
+      return false;
+    }
+    const validLabels = Object.entries(areaLabels).every(
+      ([areaId, label]) => /^area-\d+$/.test(areaId) && typeof label === 'string'
+    );
+    if (!validLabels) {
+      return false;
+    }
+  }
+
+  // Validar cores esperadas da pintura por números (opcional)
+  const { targetColors } = drawing.metadata;
+  if (targetColors !== undefined) {
+    if (!targetColors || typeof targetColors !== 'object' || Array.isArray(targetColors)) {
+      return false;
+    }
+    const validTargets = Object.entries(targetColors).every(
+      ([areaId, color]) => /^area-\d+$/.test(areaId) && normalizeColor(color) !== null
+    );
+    if (!validTargets) {
+      return false;
+    }
+  }
+
+  // Validar padrões do passo a passo (opcional)
+  const { guided } = drawing.metadata;
+  if (guided !== undefined) {
+    if (!guided || typeof guided !== 'object' || Array.isArray(guided)) {
+      return false;
+    }
+    if (guided.areaOrder !== undefined &&
+        (!Array.isArray(guided.areaOrder) || !guided.areaOrder.every(areaId => /^area-\d+$/.test(areaId)))) {
+      return false;
+    }
+    if (guided.difficulty !== undefined && !['facil', 'medio', 'dificil'].includes(guided.difficulty)) {
+      return false;
+    }
+    if (guided.tolerateMisses !== undefined && typeof guided.tolerateMisses !== 'boolean') {
+      return false;
+    }
+  }
+
+  // Validar modo de pintura (opcional)
+  if ('coloringMode' in drawing && !['areas', 'floodfill'].includes(drawing.coloringMode)) {
+    return false;
+  }
+
   return true;
 }
 
@@ -0,0 +1,115 @@
+/**
+ * @typedef {Object} Palette
+ * @property {string} id - Identificador da paleta
+ * @property {string} name - Nome exibido
+ * @property {Array<string>} colors - Cores hexadecimais (#RRGGBB, maiúsculas)
+ * @property {boolean} [custom] - Paleta criada no editor (guardada no perfil)
+ */
+
+/**
+ * Paletas predefinidas
+ * A primeira é a paleta padrão do site
+ * @type {Palette[]}
+ */
+export const PALETTE_PRESETS = [
+  {
+    id: 'padrao',
+    name: 'Padrão',
+    colors: [
+      '#FF0000', // Vermelho
+      '#FF7F00', // Laranja
+      '#FFFF00', // Amarelo
+      '#00FF00', // Verde
+      '#0000FF', // Azul
+      '#4B0082', // Índigo
+      '#9400D3', // Violeta
+      '#FF1493', // Rosa
+      '#8B4513', // Marrom
+      '#000000', // Preto
+      '#808080', // Cinza
+      '#FFFFFF', // Branco
+      '#FFB6C1', // Rosa claro
+      '#87CEEB', // Azul céu
+      '#90EE90', // Verde claro
+      '#FFD700' // Dourado
+    ]
+  },
+  {
+    // Poucas cores bem diferentes para quem está começando
+    id: 'iniciante',
+    name: 'Iniciante (4 cores)',
+    colors: ['#FF0000', '#FFFF00', '#0000FF', '#00FF00']
+  },
+  {
+    // Cores saturadas que se distinguem também com baixa visão
+    id: 'alto-contraste',
+    name: 'Alto contraste',
+    colors: ['#000000', '#FFFFFF', '#FFFF00', '#0000FF', '#FF0000', '#00A000', '#FF00FF', '#00FFFF']
+  },
+  {
+    id: 'pastel',
+    name: 'Tons pastel',
+    colors: [
+      '#FFB3BA', '#FFDFBA', '#FFFFBA', '#BAFFC9', '#BAE1FF', '#D7BAFF',
+      '#FFC8DD', '#CDEAC0', '#FDE2B8', '#C9E4DE', '#E2CFEA', '#F1F1F1'
+    ]
+  },
+  {
+    id: 'tons-de-pele',
+    name: 'Tons de pele',
+    colors: ['#FDE7D6', '#F6D2B6', '#EBC09C', '#D9A57E', '#C68A5E', '#A66D46', '#7F4F2F', '#5A3621']
+  }
+];
+
+/**
+ * Quantidades de cores oferecidas para reduzir a carga cognitiva (null = todas)
+ */
+export const PALETTE_SIZES = [4, 6, 8, 12, null];
+
+/**
+ * Limite de cores de uma paleta personalizada
+ */
+export const MAX_CUSTOM_COLORS = 24;
+
+/**
+ * Normaliza uma cor hexadecimal para #RRGGBB em maiúsculas
+ * @param {string} color - Cor (#RGB ou #RRGGBB)
+ * @returns {string|null} Cor normalizada ou null se inválida
+ */
+export function normalizeColor(color) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(d => d + d).join('')
+    : match[1];
+
+  return `#${digits.toUpperCase()}`;
+}
+
+/**
+ * Valida uma paleta
+ * @param {any} palette - Objeto a validar
+ * @returns {boolean} True se tem id, nome e entre 1 e MAX_CUSTOM_COLORS cores válidas
+ */
+export function isValidPalette(palette) {
+  if (!palette || typeof palette !== 'object') {
+    return false;
+  }
+
+  if (typeof palette.id !== 'string' || !palette.id.trim()) {
+    return false;
+  }
+
+  if (typeof palette.name !== 'string' || !palette.name.trim()) {
+    return false;
+  }
+
+  if (!Array.isArray(palette.colors) || palette.colors.length === 0 || palette.colors.length > MAX_CUSTOM_COLORS) {
+    return false;
+  }
+
+  return palette.colors.every(color => normalizeColor(color) !== null);
+}
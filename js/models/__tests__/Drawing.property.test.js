@@ -98,6 +98,64 @@ describe('Drawing Property Tests', () => {
     );
   });
 
+  test('Nomes de áreas em texto devem ser aceitos', () => {
+    fc.assert(
+      fc.property(
+        arbitraryDrawing(),
+        fc.dictionary(fc.integer({ min: 1, max: 30 }).map(n => `area-${n}`), fc.string()),
+        (drawing, areaLabels) => {
+          const labeledDrawing = {
+            ...drawing,
+            metadata: { ...drawing.metadata, areaLabels }
+          };
+          return isValidDrawing(labeledDrawing) === true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('Nomes de áreas inválidos devem ser rejeitados', () => {
+    const drawing = fc.sample(arbitraryDrawing(), 1)[0];
+    const withLabels = (areaLabels) => ({
+      ...drawing,
+      metadata: { ...drawing.metadata, areaLabels }
+    });
+
+    expect(isValidDrawing(withLabels(['roda']))).toBe(false);
+    expect(isValidDrawing(withLabels(null))).toBe(false);
+    expect(isValidDrawing(withLabels({ 'area-1': 3 }))).toBe(false);
+    expect(isValidDrawing(withLabels({ roda: 'roda dianteira' }))).toBe(false);
+  });
+
+  test('Cores esperadas da pintura por números devem ser validadas', () => {
+    const drawing = fc.sample(arbitraryDrawing(), 1)[0];
+    const withTargets = (targetColors) => ({
+      ...drawing,
+      metadata: { ...drawing.metadata, targetColors }
+    });
+
+    expect(isValidDrawing(withTargets({ 'area-1': '#FF0000', 'area-2': '#0f0' }))).toBe(true);
+    expect(isValidDrawing(withTargets(['#FF0000']))).toBe(false);
+    expect(isValidDrawing(withTargets({ 'area-1': 'vermelho' }))).toBe(false);
+    expect(isValidDrawing(withTargets({ roda: '#FF0000' }))).toBe(false);
+  });
+
+  test('Padrões do passo a passo devem ser validados', () => {
+    const drawing = fc.sample(arbitraryDrawing(), 1)[0];
+    const withGuided = (guided) => ({
+      ...drawing,
+      metadata: { ...drawing.metadata, guided }
+    });
+
+    expect(isValidDrawing(withGuided({ areaOrder: ['area-2', 'area-1'], difficulty: 'medio', tolerateMisses: false }))).toBe(true);
+    expect(isValidDrawing(withGuided({}))).toBe(true);
+    expect(isValidDrawing(withGuided(['area-1']))).toBe(false);
+    expect(isValidDrawing(withGuided({ areaOrder: ['roda'] }))).toBe(false);
+    expect(isValidDrawing(withGuided({ difficulty: 'impossivel' }))).toBe(false);
+    expect(isValidDrawing(withGuided({ tolerateMisses: 'sim' }))).toBe(false);
+  });
+
   test('Categorias válidas devem ser reconhecidas', () => {
     const validCategories = [
       'carros', 'esportes', 'paisagens', 'locais', 'comidas',
@@ -1,3 +1,3 @@
 export { isValidDrawing, isValidCategory } from './Drawing.js';
-export { createColorableArea, isValidAreaId } from './ColorableArea.js';
-export { createCategory, groupDrawingsByCategory } from './Category.js';
+export { createColorableArea, isValidAreaId, isSVGElement } from './ColorableArea.js';
+export { createCategory, groupDrawingsByCategory, USER_CATEGORY_ID } from './Category.js';
@@ -0,0 +1,320 @@
+import defaultProfileService from './ProfileService.js';
+
+/**
+ * Serviço de registro de atividades
+ * Transforma os logs de toques de cada sessão de pintura em um registro persistido
+ * (tempo, áreas coloridas, toques fora das áreas e cores usadas) e monta relatórios
+ * semanais para acompanhar a evolução da coordenação motora fina.
+ * Os registros são separados por perfil
+ */
+
+/**
+ * Quantidade máxima de sessões guardadas por perfil (as mais antigas são descartadas)
+ */
+export const MAX_SESSIONS_PER_PROFILE = 1000;
+
+/**
+ * Colunas do CSV exportado
+ * O separador é ";" para abrir corretamente em planilhas configuradas em português
+ */
+const CSV_COLUMNS = [
+  ['inicio', record => record.startedAt],
+  ['fim', record => record.endedAt],
+  ['desenho', record => record.drawingName],
+  ['modo', record => record.coloringMode],
+  ['duracao_segundos', record => Math.round(record.durationMs / 1000)],
+  ['tempo_ativo_segundos', record => Math.round(record.activeDurationMs / 1000)],
+  ['areas_coloridas', record => record.areasColored],
+  ['areas_total', record => record.totalAreas ?? ''],
+  ['conclusao_percentual', record => (record.completion === null ? '' : Math.round(record.completion * 100))],
+  ['toques', record => record.clicks],
+  ['toques_certos', record => record.successfulClicks],
+  ['toques_fora', record => record.misclicks],
+  ['concluido_em', record => record.completedAt || ''],
+  ['cores_usadas', record => Object.entries(record.colorsUsed).map(([color, count]) => `${color} (${count})`).join(' ')]
+];
+
+class ActivityService {
+  /**
+   * @param {import('./ProfileService.js').ProfileService} [profileService] - Perfil ativo
+   */
+  constructor(profileService = defaultProfileService) {
+    this.storageKey = 'colorir-activity';
+    this.profileService = profileService;
+  }
+
+  /**
+   * Cria o registro de uma sessão de pintura a partir dos logs de toques
+   * @param {Object} session - Dados da sessão
+   * @param {Object} session.drawing - Desenho pintado
+   * @param {Date|string|number} session.startedAt - Início da sessão
+   * @param {Date|string|number} [session.endedAt] - Fim da sessão (padrão: agora)
+   * @param {Array<import('../components/SVGCanvas.js').ClickEventLog>} session.clickLogs - Logs do canvas
+   * @param {Map<string, string>|Object} session.coloredAreas - Áreas coloridas ao fim da sessão
+   * @param {number|null} [session.totalAreas] - Total de áreas coloríveis (null no preenchimento livre)
+   * @param {Date|string|number|null} [session.completedAt] - Quando todas as áreas ficaram pintadas
+   * @returns {ActivityRecord}
+   */
+  createRecord({ drawing, startedAt, endedAt = new Date(), clickLogs = [], coloredAreas = {}, totalAreas = null, completedAt = null }) {
+    const start = new Date(startedAt);
+    const end = new Date(endedAt);
+    const areas = coloredAreas instanceof Map ? coloredAreas : new Map(Object.entries(coloredAreas || {}));
+
+    const successful = clickLogs.filter(log => log.success);
+    const timestamps = clickLogs.map(log => log.timestamp).filter(Number.isFinite);
+    const colorsUsed = {};
+    successful.forEach(log => {
+      if (log.appliedColor) {
+        colorsUsed[log.appliedColor] = (colorsUsed[log.appliedColor] || 0) + 1;
+      }
+    });
+
+    const areasColored = areas.size;
+    const hasTotal = Number.isFinite(totalAreas) && totalAreas > 0;
+
+    return {
+      id: this.generateId(),
+      profileId: this.profileService.getActiveProfileId(),
+      drawingId: drawing.id,
+      drawingName: drawing.name,
+      coloringMode: drawing.coloringMode || 'areas',
+      startedAt: start.toISOString(),
+      endedAt: end.toISOString(),
+      durationMs: Math.max(0, end - start),
+      activeDurationMs: timestamps.length > 1 ? Math.max(...timestamps) - Math.min(...timestamps) : 0,
+      totalAreas: hasTotal ? totalAreas : null,
+      areasColored,
+      completion: hasTotal ? Math.min(1, areasColored / totalAreas) : null,
+      completedAt: completedAt ? new Date(completedAt).toISOString() : null,
+      clicks: clickLogs.length,
+      successfulClicks: successful.length,
+      misclicks: clickLogs.filter(log => log.misclick).length,
+      colorsUsed
+    };
+  }
+
+  /**
+   * Registra uma sessão de pintura do perfil ativo
+   * Sessões sem nenhum toque (desenho aberto e fechado) não são guardadas
+   * @param {Object} session - Dados da sessão (ver createRecord)
+   * @returns {ActivityRecord|null} Registro guardado ou null
+   */
+  recordSession(session) {
+    if (!session || !session.drawing || !session.clickLogs || session.clickLogs.length === 0) {
+      return null;
+    }
+
+    const record = this.createRecord(session);
+
+    try {
+      const key = this.profileService.getScopedKey(this.storageKey);
+      const sessions = [...this.readSessions(key), record].slice(-MAX_SESSIONS_PER_PROFILE);
+      localStorage.setItem(key, JSON.stringify(sessions));
+      return record;
+    } catch (error) {
+      // Registro de atividade é melhor esforço - não interromper a pintura
+      console.error('Erro ao registrar atividade:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Obtém as sessões de um perfil, da mais antiga para a mais recente
+   * @param {string|null} [profileId] - Perfil (padrão: perfil ativo)
+   * @returns {ActivityRecord[]}
+   */
+  getSessions(profileId = this.profileService.getActiveProfileId()) {
+    return this.readSessions(this.profileService.getScopedKey(this.storageKey, profileId));
+  }
+
+  /**
+   * Remove as sessões de um perfil
+   * @param {string|null} [profileId] - Perfil (padrão: perfil ativo)
+   */
+  clearSessions(profileId = this.profileService.getActiveProfileId()) {
+    localStorage.removeItem(this.profileService.getScopedKey(this.storageKey, profileId));
+  }
+
+  /**
+   * Agrupa sessões por semana (segunda a domingo)
+   * @param {ActivityRecord[]} sessions - Sessões
+   * @returns {WeeklySummary[]} Semanas em ordem cronológica
+   */
+  getWeeklySummary(sessions) {
+    const weeks = new Map();
+
+    sessions.forEach(session => {
+      const weekStart = this.getWeekStart(new Date(session.startedAt));
+      if (!weeks.has(weekStart)) {
+        weeks.set(weekStart, []);
+      }
+      weeks.get(weekStart).push(session);
+    });
+
+    return Array.from(weeks.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([weekStart, weekSessions]) => {
+        const clicks = weekSessions.reduce((sum, session) => sum + session.clicks, 0);
+        const misclicks = weekSessions.reduce((sum, session) => sum + session.misclicks, 0);
+        const completions = weekSessions
+          .map(session => session.completion)
+          .filter(completion => completion !== null);
+
+        return {
+          weekStart,
+          sessions: weekSessions.length,
+          totalDurationMs: weekSessions.reduce((sum, session) => sum + session.durationMs, 0),
+          areasColored: weekSessions.reduce((sum, session) => sum + session.areasColored, 0),
+          averageCompletion: completions.length > 0
+            ? completions.reduce((sum, completion) => sum + completion, 0) / completions.length
+            : null,
+          drawingsCompleted: weekSessions.filter(session => session.completedAt).length,
+          misclickRate: clicks > 0 ? misclicks / clicks : 0
+        };
+      });
+  }
+
+  /**
+   * Converte sessões em CSV (uma linha por sessão)
+   * @param {ActivityRecord[]} sessions - Sessões
+   * @returns {string}
+   */
+  toCSV(sessions) {
+    const rows = [
+      CSV_COLUMNS.map(([name]) => name),
+      ...sessions.map(session => CSV_COLUMNS.map(([, getValue]) => getValue(session)))
+    ];
+
+    return rows.map(row => row.map(value => this.escapeCSV(value)).join(';')).join('\r\n');
+  }
+
+  /**
+   * Exporta o relatório de um perfil como arquivo
+   * @param {'csv'|'json'} format - Formato do arquivo
+   * @param {string|null} [profileId] - Perfil (padrão: perfil ativo)
+   * @returns {Object} Resultado com blob, url e filename
+   */
+  exportReport(format, profileId = this.profileService.getActiveProfileId()) {
+    try {
+      const sessions = this.getSessions(profileId);
+      const profile = profileId ? this.profileService.getProfile(profileId) : null;
+      const baseName = `relatorio-${(profile ? profile.name : 'atividades').replace(/[^a-z0-9]/gi, '_')}`;
+      const date = new Date().toISOString().slice(0, 10);
+
+      let blob;
+      if (format === 'csv') {
+        // BOM para que planilhas reconheçam UTF-8 (acentos nos nomes dos desenhos)
+        blob = new Blob(['\uFEFF' + this.toCSV(sessions)], { type: 'text/csv;charset=utf-8' });
+      } else if (format === 'json') {
+        const report = {
+          profile: profile ? { id: profile.id, name: profile.name } : null,
+          generatedAt: new Date().toISOString(),
+          weeks: this.getWeeklySummary(sessions),
+          sessions
+        };
+        blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+      } else {
+        throw new Error(`Formato de relatório desconhecido: ${format}`);
+      }
+
+      return {
+        success: true,
+        blob,
+        url: URL.createObjectURL(blob),
+        filename: `${baseName}-${date}.${format}`,
+        message: 'Relatório exportado com sucesso!'
+      };
+    } catch (error) {
+      console.error('Erro ao exportar relatório:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Erro ao exportar relatório'
+      };
+    }
+  }
+
+  // Métodos privados
+
+  /**
+   * Lê as sessões guardadas em uma chave
+   * @private
+   */
+  readSessions(key) {
+    try {
+      const data = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      console.error('Erro ao ler atividades:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Retorna a segunda-feira da semana de uma data (YYYY-MM-DD, horário local)
+   * @private
+   */
+  getWeekStart(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    const month = String(monday.getMonth() + 1).padStart(2, '0');
+    const day = String(monday.getDate()).padStart(2, '0');
+    return `${monday.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Escapa um valor para CSV
+   * @private
+   */
+  escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Gera ID único para a sessão
+   * @private
+   */
+  generateId() {
+    return `session_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+  }
+}
+
+/**
+ * @typedef {Object} ActivityRecord
+ * @property {string} id - Identificador da sessão
+ * @property {string|null} profileId - Perfil que pintou
+ * @property {string} drawingId - ID do desenho
+ * @property {string} drawingName - Nome do desenho
+ * @property {'areas'|'floodfill'} coloringMode - Modo de pintura
+ * @property {string} startedAt - Início (ISO)
+ * @property {string} endedAt - Fim (ISO)
+ * @property {number} durationMs - Tempo com o desenho aberto
+ * @property {number} activeDurationMs - Tempo entre o primeiro e o último toque
+ * @property {number|null} totalAreas - Total de áreas coloríveis
+ * @property {number} areasColored - Áreas coloridas ao fim da sessão
+ * @property {number|null} completion - Fração colorida (0-1)
+ * @property {string|null} completedAt - Quando o desenho foi concluído (ISO), se foi na sessão
+ * @property {number} clicks - Total de toques
+ * @property {number} successfulClicks - Toques que aplicaram cor
+ * @property {number} misclicks - Toques fora das áreas (decorativos, fundo ou traço)
+ * @property {Object<string, number>} colorsUsed - Cor -> quantidade de aplicações
+ */
+
+/**
+ * @typedef {Object} WeeklySummary
+ * @property {string} weekStart - Segunda-feira da semana (YYYY-MM-DD)
+ * @property {number} sessions - Quantidade de sessões
+ * @property {number} totalDurationMs - Tempo total
+ * @property {number} areasColored - Soma das áreas coloridas
+ * @property {number|null} averageCompletion - Conclusão média (0-1)
+ * @property {number} drawingsCompleted - Sessões em que o desenho foi concluído
+ * @property {number} misclickRate - Fração de toques fora das áreas (0-1)
+ */
+
+// Instância singleton
+const activityService = new ActivityService();
+
+export default activityService;
+export { ActivityService };
@@ -0,0 +1,237 @@
+import defaultProfileService from './ProfileService.js';
+import { errorLogger } from '../utils/errorHandling.js';
+import { getColorName, capitalize } from '../utils/colorNames.js';
+
+/**
+ * Serviço de áudio
+ * Retorno sonoro para crianças que ainda não leem: fala o nome da cor escolhida,
+ * toca um som agradável quando uma área é pintada, um som suave e diferente quando
+ * o toque erra e uma pequena fanfarra quando o desenho fica pronto. Os sons são clipes
+ * curtos distribuídos com o site (funcionam offline); a fala usa speechSynthesis quando
+ * o navegador oferece, e sem voz a escolha da cor toca o clipe de seleção. Volume e
+ * mudo são preferências do perfil ativo
+ */
+
+/**
+ * Clipes distribuídos com o site
+ */
+export const AUDIO_CLIPS = {
+  success: '/assets/audio/success.wav',
+  miss: '/assets/audio/miss.wav',
+  select: '/assets/audio/select.wav',
+  celebration: '/assets/audio/celebration.wav'
+};
+
+/**
+ * Configuração padrão do áudio
+ */
+export const DEFAULT_AUDIO_SETTINGS = {
+  volume: 0.8,
+  muted: false
+};
+
+/**
+ * Intervalo mínimo entre repetições do mesmo som (ms)
+ * Um único toque pode registrar mais de um erro; a criança ouve só um
+ */
+export const MIN_REPEAT_INTERVAL = 150;
+
+class AudioService {
+  /**
+   * @param {Object} [options] - Opções (usadas nos testes)
+   * @param {import('./ProfileService.js').ProfileService} [options.profileService] - Perfil ativo
+   * @param {Object<string, string>} [options.clips] - URLs dos clipes por nome
+   * @param {Function} [options.AudioContext] - Construtor do AudioContext (padrão: o do navegador)
+   * @param {SpeechSynthesis} [options.speechSynthesis] - Síntese de voz (padrão: a do navegador)
+   */
+  constructor(options = {}) {
+    this.profileService = options.profileService || defaultProfileService;
+    this.clips = options.clips || AUDIO_CLIPS;
+    this.AudioContextClass = options.AudioContext !== undefined
+      ? options.AudioContext
+      : (typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext)) || null;
+    this.speechSynthesis = options.speechSynthesis !== undefined
+      ? options.speechSynthesis
+      : (typeof window !== 'undefined' && window.speechSynthesis) || null;
+
+    this.context = null; // Criado no primeiro som (depois de um gesto do usuário)
+    this.buffers = new Map(); // nome -> Promise<AudioBuffer|null>
+    this.lastPlayed = new Map(); // nome -> timestamp
+  }
+
+  /**
+   * Retorna a configuração de áudio do perfil ativo
+   * @returns {{volume: number, muted: boolean}}
+   */
+  getSettings() {
+    const saved = this.profileService.getPreference('audio', {}) || {};
+    const volume = Number(saved.volume);
+
+    return {
+      volume: Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : DEFAULT_AUDIO_SETTINGS.volume,
+      muted: typeof saved.muted === 'boolean' ? saved.muted : DEFAULT_AUDIO_SETTINGS.muted
+    };
+  }
+
+  /**
+   * Altera a configuração de áudio do perfil ativo
+   * @param {Object} changes - Campos alterados (volume entre 0 e 1, muted)
+   * @returns {{volume: number, muted: boolean}} Configuração resultante
+   */
+  setSettings(changes) {
+    this.profileService.setPreference('audio', { ...this.getSettings(), ...changes });
+    const settings = this.getSettings();
+
+    if (settings.muted && this.speechSynthesis) {
+      this.speechSynthesis.cancel();
+    }
+
+    return settings;
+  }
+
+  /**
+   * Liga ou desliga o som
+   * @returns {boolean} True se o som ficou mudo
+   */
+  toggleMuted() {
+    return this.setSettings({ muted: !this.getSettings().muted }).muted;
+  }
+
+  /**
+   * Verifica se há som a tocar (não está mudo e o volume é maior que zero)
+   * @returns {boolean}
+   */
+  isAudible() {
+    const { volume, muted } = this.getSettings();
+    return !muted && volume > 0;
+  }
+
+  /**
+   * Toca um clipe
+   * @param {'success'|'miss'|'select'|'celebration'} name - Nome do clipe
+   * @returns {Promise<boolean>} True se o clipe foi tocado
+   */
+  async play(name) {
+    if (!this.isAudible() || !this.clips[name]) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (this.lastPlayed.has(name) && now - this.lastPlayed.get(name) < MIN_REPEAT_INTERVAL) {
+      return false;
+    }
+    this.lastPlayed.set(name, now);
+
+    const context = this.getContext();
+    if (!context) {
+      return false;
+    }
+
+    try {
+      // Navegadores suspendem o contexto até um gesto do usuário
+      if (context.state === 'suspended') {
+        await context.resume();
+      }
+
+      const buffer = await this.loadClip(name);
+      if (!buffer) {
+        return false;
+      }
+
+      const source = context.createBufferSource();
+      const gain = context.createGain();
+      source.buffer = buffer;
+      gain.gain.value = this.getSettings().volume;
+      source.connect(gain);
+      gain.connect(context.destination);
+      source.start();
+      return true;
+    } catch (error) {
+      errorLogger.log(error, { context: 'audio-play', clip: name });
+      return false;
+    }
+  }
+
+  /**
+   * Fala um texto em português
+   * @param {string} text - Texto
+   * @returns {boolean} True se a fala foi iniciada
+   */
+  speak(text) {
+    if (!this.isAudible() || !this.speechSynthesis || typeof SpeechSynthesisUtterance === 'undefined') {
+      return false;
+    }
+
+    // Trocas rápidas de cor: só a última é falada
+    this.speechSynthesis.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = 'pt-BR';
+    utterance.volume = this.getSettings().volume;
+    this.speechSynthesis.speak(utterance);
+    return true;
+  }
+
+  /**
+   * Anuncia uma cor escolhida: fala o nome ou, sem voz disponível, toca o clipe de seleção
+   * @param {string} color - Cor hexadecimal
+   * @returns {Promise<boolean>} True se algum som foi emitido
+   */
+  async announceColor(color) {
+    if (this.speak(capitalize(getColorName(color)))) {
+      return true;
+    }
+    return this.play('select');
+  }
+
+  /**
+   * Retorna o contexto de áudio, criando-o no primeiro uso
+   * @returns {AudioContext|null} Null quando o navegador não suporta Web Audio
+   * @private
+   */
+  getContext() {
+    if (!this.context && this.AudioContextClass) {
+      try {
+        this.context = new this.AudioContextClass();
+      } catch (error) {
+        errorLogger.log(error, { context: 'audio-context' });
+        this.AudioContextClass = null;
+      }
+    }
+    return this.context;
+  }
+
+  /**
+   * Carrega e decodifica um clipe (uma vez por clipe)
+   * @param {string} name - Nome do clipe
+   * @returns {Promise<AudioBuffer|null>}
+   * @private
+   */
+  loadClip(name) {
+    if (!this.buffers.has(name)) {
+      const loading = fetch(this.clips[name])
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Clipe de áudio não encontrado: ${this.clips[name]}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(data => this.context.decodeAudioData(data))
+        .catch(error => {
+          errorLogger.log(error, { context: 'audio-load', clip: name });
+          this.buffers.delete(name); // Tentar de novo no próximo som
+          return null;
+        });
+
+      this.buffers.set(name, loading);
+    }
+
+    return this.buffers.get(name);
+  }
+}
+
+// Instância singleton
+const audioService = new AudioService();
+
+export default audioService;
+export { AudioService };
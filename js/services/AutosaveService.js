@@ -0,0 +1,121 @@
+import defaultProfileService from './ProfileService.js';
+
+/**
+ * Serviço de salvamento automático
+ * Persiste no localStorage o progresso de pintura em andamento de cada desenho,
+ * para que o trabalho possa ser retomado ao reabrir o desenho.
+ * O progresso é separado por perfil
+ */
+
+class AutosaveService {
+  /**
+   * @param {import('./ProfileService.js').ProfileService} [profileService] - Perfil ativo
+   */
+  constructor(profileService = defaultProfileService) {
+    this.storageKey = 'colorir-autosave';
+    this.profileService = profileService;
+  }
+
+  /**
+   * Salva o progresso de um desenho
+   * Progresso vazio remove o registro do desenho
+   * @param {string} drawingId - ID do desenho
+   * @param {Map<string, string>|Object} coloredAreas - Áreas coloridas (areaId -> cor)
+   * @returns {boolean} True se a operação foi concluída
+   */
+  saveProgress(drawingId, coloredAreas) {
+    if (!drawingId) {
+      return false;
+    }
+
+    const areas = coloredAreas instanceof Map
+      ? Object.fromEntries(coloredAreas)
+      : { ...(coloredAreas || {}) };
+
+    try {
+      const progress = this.getAllProgress();
+
+      if (Object.keys(areas).length === 0) {
+        delete progress[drawingId];
+      } else {
+        progress[drawingId] = {
+          coloredAreas: areas,
+          updatedAt: new Date().toISOString()
+        };
+      }
+
+      localStorage.setItem(this.getStorageKey(), JSON.stringify(progress));
+      return true;
+    } catch (error) {
+      // Salvamento automático é melhor esforço - não interromper a pintura
+      console.error('Erro ao salvar progresso automaticamente:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtém o progresso salvo de um desenho
+   * @param {string} drawingId - ID do desenho
+   * @returns {{coloredAreas: Object<string, string>, updatedAt: string}|null} Progresso ou null
+   */
+  getProgress(drawingId) {
+    const progress = this.getAllProgress()[drawingId];
+    return progress ? { ...progress, coloredAreas: { ...progress.coloredAreas } } : null;
+  }
+
+  /**
+   * Verifica se um desenho tem progresso não finalizado
+   * @param {string} drawingId - ID do desenho
+   * @returns {boolean}
+   */
+  hasProgress(drawingId) {
+    return Boolean(this.getAllProgress()[drawingId]);
+  }
+
+  /**
+   * Retorna os IDs de todos os desenhos com progresso salvo
+   * @returns {string[]}
+   */
+  getDrawingIdsWithProgress() {
+    return Object.keys(this.getAllProgress());
+  }
+
+  /**
+   * Remove o progresso salvo de um desenho
+   * @param {string} drawingId - ID do desenho
+   * @returns {boolean} True se a operação foi concluída
+   */
+  clearProgress(drawingId) {
+    return this.saveProgress(drawingId, {});
+  }
+
+  // Métodos privados
+
+  /**
+   * Chave do localStorage do perfil ativo
+   * @private
+   */
+  getStorageKey() {
+    return this.profileService.getScopedKey(this.storageKey);
+  }
+
+  /**
+   * Obtém todo o progresso salvo do localStorage
+   * @private
+   */
+  getAllProgress() {
+    try {
+      const data = localStorage.getItem(this.getStorageKey());
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Erro ao ler progresso salvo:', error);
+      return {};
+    }
+  }
+}
+
+// Instância singleton
+const autosaveService = new AutosaveService();
+
+export default autosaveService;
+export { AutosaveService };
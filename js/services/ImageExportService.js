@@ -0,0 +1,348 @@
+import { SVGParseError } from '../utils/errorHandling.js';
+
+/**
+ * Serviço de exportação de imagens
+ * Gera arquivos SVG autocontidos e PNG rasterizados a partir do desenho colorido,
+ * para que pais e terapeutas possam compartilhar o resultado
+ * (a impressão fica a cargo do PrintService)
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Resoluções disponíveis para exportação em PNG
+ * - screen: maior lado limitado a maxSide pixels, no formato do desenho
+ * - a4: folha A4 a 300 dpi (210 x 297 mm), desenho centralizado com margem
+ */
+export const EXPORT_RESOLUTIONS = {
+  screen: {
+    id: 'screen',
+    label: 'Tela',
+    maxSide: 1024
+  },
+  a4: {
+    id: 'a4',
+    label: 'A4 (300 dpi)',
+    pageWidth: 2480,
+    pageHeight: 3508,
+    margin: 150
+  }
+};
+
+/**
+ * Atributos adicionados pela tela de colorir que não fazem parte do desenho
+ */
+const INTERACTIVE_ATTRIBUTES = ['tabindex', 'role', 'aria-label'];
+
+/**
+ * Classes que o canvas coloca nas áreas durante a interação (destaque, assistência de toque, passo a passo)
+ */
+const INTERACTIVE_CLASSES = ['highlighted', 'assist-target', 'guided-target'];
+
+/**
+ * Propriedades de estilo inline que o canvas coloca junto com o destaque
+ */
+const HIGHLIGHT_STYLES = ['cursor', 'opacity'];
+
+class ImageExportService {
+  constructor() {
+    this.defaultSize = { width: 800, height: 800 };
+  }
+
+  /**
+   * Cria um SVG autocontido com as cores aplicadas como atributos fill
+   * Remove marcações de interação (foco, destaque, cursor) e scripts
+   * @param {string} svgContent - SVG serializado (ver SVGCanvas.getSVGContent)
+   * @param {Object} [options] - Opções
+   * @param {string} [options.title] - Título incluído no arquivo
+   * @returns {string} SVG serializado pronto para salvar
+   * @throws {SVGParseError} Se o conteúdo não for um SVG válido
+   */
+  createStandaloneSVG(svgContent, options = {}) {
+    const svg = this.parseSVG(svgContent);
+    const { width, height } = this.getDimensions(svg);
+
+    // Dimensões explícitas para que visualizadores externos usem o tamanho correto
+    svg.setAttribute('xmlns', SVG_NAMESPACE);
+    svg.setAttribute('width', String(width));
+    svg.setAttribute('height', String(height));
+    if (!svg.getAttribute('viewBox')) {
+      svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+
+    svg.querySelectorAll('script').forEach(script => script.remove());
+
+    [svg, ...svg.querySelectorAll('*')].forEach(element => {
+      this.removeInteractiveMarkup(element);
+    });
+
+    if (options.title) {
+      svg.querySelectorAll(':scope > title').forEach(title => title.remove());
+      const title = svg.ownerDocument.createElementNS(SVG_NAMESPACE, 'title');
+      title.textContent = options.title;
+      svg.insertBefore(title, svg.firstChild);
+    }
+
+    return new XMLSerializer().serializeToString(svg);
+  }
+
+  /**
+   * Exporta o desenho como arquivo SVG
+   * @param {string} svgContent - SVG serializado
+   * @param {Object} [options] - Opções
+   * @param {string} [options.name] - Nome do desenho (usado no título e no arquivo)
+   * @returns {{success: boolean, blob?: Blob, url?: string, filename?: string, message: string, error?: string}}
+   */
+  exportSVG(svgContent, options = {}) {
+    try {
+      const standalone = this.createStandaloneSVG(svgContent, { title: options.name });
+      const blob = new Blob([standalone], { type: 'image/svg+xml' });
+
+      return {
+        success: true,
+        blob,
+        url: URL.createObjectURL(blob),
+        filename: `${this.sanitizeFileName(options.name)}.svg`,
+        message: 'Imagem SVG pronta!'
+      };
+    } catch (error) {
+      console.error('Erro ao exportar SVG:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Erro ao exportar imagem'
+      };
+    }
+  }
+
+  /**
+   * Exporta o desenho como imagem PNG
+   * @param {string} svgContent - SVG serializado
+   * @param {Object} [options] - Opções
+   * @param {string} [options.name] - Nome do desenho (usado no arquivo)
+   * @param {'screen'|'a4'} [options.resolution='screen'] - Resolução (ver EXPORT_RESOLUTIONS)
+   * @returns {Promise<{success: boolean, blob?: Blob, url?: string, filename?: string, message: string, error?: string}>}
+   */
+  async exportPNG(svgContent, options = {}) {
+    try {
+      const resolution = EXPORT_RESOLUTIONS[options.resolution || 'screen'];
+      if (!resolution) {
+        throw new Error(`Resolução desconhecida: ${options.resolution}`);
+      }
+
+      const standalone = this.createStandaloneSVG(svgContent, { title: options.name });
+      const size = this.getDimensions(this.parseSVG(standalone));
+      const layout = this.computeRasterLayout(size, resolution);
+
+      const image = await this.loadImage(standalone);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = layout.canvasWidth;
+      canvas.height = layout.canvasHeight;
+
+      const context = canvas.getContext('2d');
+      if (!context) {
+        throw new Error('Canvas 2D não suportado neste navegador');
+      }
+
+      // Fundo branco: áreas sem cor ficam brancas como na tela, e não transparentes
+      context.fillStyle = '#FFFFFF';
+      context.fillRect(0, 0, layout.canvasWidth, layout.canvasHeight);
+      context.drawImage(image, layout.drawX, layout.drawY, layout.drawWidth, layout.drawHeight);
+
+      const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => {
+          if (result) {
+            resolve(result);
+          } else {
+            reject(new Error('Falha ao gerar PNG'));
+          }
+        }, 'image/png');
+      });
+
+      const suffix = resolution.id === 'screen' ? '' : `_${resolution.id}`;
+
+      return {
+        success: true,
+        blob,
+        url: URL.createObjectURL(blob),
+        filename: `${this.sanitizeFileName(options.name)}${suffix}.png`,
+        message: 'Imagem PNG pronta!'
+      };
+    } catch (error) {
+      console.error('Erro ao exportar PNG:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Erro ao exportar imagem'
+      };
+    }
+  }
+
+  /**
+   * Calcula tamanho do canvas e posição do desenho para uma resolução
+   * O desenho mantém a proporção; em A4 a folha gira para paisagem
+   * quando o desenho é mais largo que alto
+   * @param {{width: number, height: number}} size - Tamanho do desenho
+   * @param {Object} resolution - Entrada de EXPORT_RESOLUTIONS
+   * @returns {{canvasWidth: number, canvasHeight: number, drawX: number, drawY: number, drawWidth: number, drawHeight: number}}
+   */
+  computeRasterLayout(size, resolution) {
+    if (resolution.maxSide) {
+      const scale = resolution.maxSide / Math.max(size.width, size.height);
+      const width = Math.round(size.width * scale);
+      const height = Math.round(size.height * scale);
+
+      return {
+        canvasWidth: width,
+        canvasHeight: height,
+        drawX: 0,
+        drawY: 0,
+        drawWidth: width,
+        drawHeight: height
+      };
+    }
+
+    const landscape = size.width > size.height;
+    const canvasWidth = landscape ? resolution.pageHeight : resolution.pageWidth;
+    const canvasHeight = landscape ? resolution.pageWidth : resolution.pageHeight;
+
+    const availableWidth = canvasWidth - resolution.margin * 2;
+    const availableHeight = canvasHeight - resolution.margin * 2;
+    const scale = Math.min(availableWidth / size.width, availableHeight / size.height);
+    const drawWidth = Math.round(size.width * scale);
+    const drawHeight = Math.round(size.height * scale);
+
+    return {
+      canvasWidth,
+      canvasHeight,
+      drawX: Math.round((canvasWidth - drawWidth) / 2),
+      drawY: Math.round((canvasHeight - drawHeight) / 2),
+      drawWidth,
+      drawHeight
+    };
+  }
+
+  /**
+   * Inicia o download de um arquivo exportado
+   * @param {{url: string, filename: string}} result - Resultado de exportSVG/exportPNG
+   */
+  downloadFile(result) {
+    const link = document.createElement('a');
+    link.href = result.url;
+    link.download = result.filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Liberar a URL depois que o navegador iniciar o download
+    setTimeout(() => URL.revokeObjectURL(result.url), 1000);
+  }
+
+  /**
+   * Obtém largura e altura do desenho (viewBox, atributos ou padrão)
+   * @param {SVGSVGElement} svg - Elemento SVG
+   * @returns {{width: number, height: number}}
+   */
+  getDimensions(svg) {
+    const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      return { width: viewBox[2], height: viewBox[3] };
+    }
+
+    const width = parseFloat(svg.getAttribute('width'));
+    const height = parseFloat(svg.getAttribute('height'));
+    if (width > 0 && height > 0) {
+      return { width, height };
+    }
+
+    return { ...this.defaultSize };
+  }
+
+  // Métodos privados
+
+  /**
+   * Converte texto em elemento SVG
+   * @private
+   */
+  parseSVG(svgContent) {
+    if (!svgContent || typeof svgContent !== 'string') {
+      throw new SVGParseError('conteúdo vazio');
+    }
+
+    const doc = new DOMParser().parseFromString(svgContent, 'image/svg+xml');
+    const svg = doc.documentElement;
+
+    if (!svg || svg.tagName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+      throw new SVGParseError('documento inválido');
+    }
+
+    return svg;
+  }
+
+  /**
+   * Remove atributos e estilos de interação de um elemento
+   * @private
+   */
+  removeInteractiveMarkup(element) {
+    INTERACTIVE_ATTRIBUTES.forEach(attribute => element.removeAttribute(attribute));
+
+    // Classes e estilos do próprio desenho podem ser usados pela arte; remover só o que o canvas colocou
+    const highlighted = element.classList && element.classList.contains('highlighted');
+    if (element.classList && INTERACTIVE_CLASSES.some(name => element.classList.contains(name))) {
+      element.classList.remove(...INTERACTIVE_CLASSES);
+      if (!element.getAttribute('class')) {
+        element.removeAttribute('class');
+      }
+    }
+
+    Array.from(element.attributes)
+      .filter(attribute => attribute.name.startsWith('on'))
+      .forEach(attribute => element.removeAttribute(attribute.name));
+
+    if (highlighted && element.style) {
+      HIGHLIGHT_STYLES.forEach(property => element.style.removeProperty(property));
+      if (!element.getAttribute('style')) {
+        element.removeAttribute('style');
+      }
+    }
+  }
+
+  /**
+   * Carrega o SVG como imagem para desenhar no canvas
+   * @private
+   */
+  loadImage(svgContent) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgContent], { type: 'image/svg+xml' }));
+      const image = new Image();
+
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Falha ao carregar imagem SVG'));
+      };
+
+      image.src = url;
+    });
+  }
+
+  /**
+   * Gera um nome de arquivo seguro
+   * @private
+   */
+  sanitizeFileName(name) {
+    return (name || 'desenho').replace(/[^a-z0-9]/gi, '_');
+  }
+}
+
+// Instância singleton
+const imageExportService = new ImageExportService();
+
+export default imageExportService;
+export { ImageExportService };
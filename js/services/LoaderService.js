@@ -1,6 +1,7 @@
 import { isValidDrawing } from '../models/Drawing.js';
 import { groupDrawingsByCategory } from '../models/Category.js';
 import { AppError, errorLogger } from '../utils/errorHandling.js';
+import userDrawingService from './UserDrawingService.js';
 
 /**
  * Serviço para carregamento de recursos (desenhos, catálogo)
@@ -9,6 +10,7 @@ export class LoaderService {
   constructor() {
     this.catalogCache = null;
     this.preloadedDrawings = new Map();
+    this.userDrawingService = userDrawingService;
   }
 
   /**
@@ -135,14 +137,32 @@ export class LoaderService {
     }
   }
 
+  /**
+   * Carrega os desenhos importados pelo usuário ("Meus Desenhos")
+   * Falhas do armazenamento local não impedem o uso do catálogo
+   * @returns {Promise<Array<import('../models/Drawing.js').Drawing>>} Array de desenhos do usuário
+   */
+  async loadUserDrawings() {
+    try {
+      return await this.userDrawingService.getDrawings();
+    } catch (error) {
+      errorLogger.log(
+        new AppError('Erro ao carregar desenhos do usuário', 'USER_DRAWINGS_LOAD_ERROR', error)
+      );
+      return [];
+    }
+  }
+
   /**
    * Carrega desenhos agrupados por categoria
+   * Inclui os desenhos importados pelo usuário na categoria "Meus Desenhos"
    * @returns {Promise<Array<import('../models/Category.js').Category>>} Array de categorias com desenhos
    */
   async loadDrawingsGroupedByCategory() {
     try {
       const allDrawings = await this.loadDrawings();
-      return groupDrawingsByCategory(allDrawings);
+      const userDrawings = await this.loadUserDrawings();
+      return groupDrawingsByCategory([...allDrawings, ...userDrawings]);
     } catch (error) {
       console.error('Erro ao carregar desenhos agrupados:', error);
       throw error;
@@ -0,0 +1,259 @@
+import { errorLogger } from '../utils/errorHandling.js';
+
+/**
+ * Serviço de uso sem internet
+ * Registra o service worker (sw.js), acompanha se o dispositivo está online e baixa
+ * categorias inteiras para uso offline. Quem guarda os arquivos é o service worker:
+ * a página só pede, por mensagem, as URLs a guardar e consulta o Cache Storage
+ */
+
+/**
+ * Caminho do service worker (na raiz, para controlar o site inteiro)
+ */
+export const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Tempo máximo de espera pela resposta do service worker (ms)
+ */
+export const PRECACHE_TIMEOUT = 30000;
+
+/**
+ * @typedef {Object} OfflineStatus
+ * @property {number} cached - Desenhos da categoria já disponíveis sem internet
+ * @property {number} total - Desenhos da categoria que podem ser baixados
+ */
+
+class OfflineService {
+  /**
+   * @param {Object} [options] - Opções (usadas nos testes)
+   * @param {Navigator} [options.navigator] - Navegador (padrão: o global)
+   * @param {Window} [options.window] - Janela para os eventos online/offline (padrão: a global)
+   * @param {CacheStorage|null} [options.caches] - Cache Storage (padrão: o do navegador)
+   * @param {Function} [options.MessageChannel] - Construtor do MessageChannel (padrão: o do navegador)
+   */
+  constructor(options = {}) {
+    this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
+    this.window = options.window || (typeof window !== 'undefined' ? window : null);
+    this.caches = options.caches !== undefined
+      ? options.caches
+      : (typeof caches !== 'undefined' ? caches : null);
+    this.MessageChannelClass = options.MessageChannel ||
+      (typeof MessageChannel !== 'undefined' ? MessageChannel : null);
+
+    this.listeners = new Set();
+    this.registration = null; // Promise do registro; sem ela não há a quem pedir o download
+    this.online = !this.navigator || this.navigator.onLine !== false;
+
+    this.handleOnline = () => this.setOnline(true);
+    this.handleOffline = () => this.setOnline(false);
+
+    if (this.window) {
+      this.window.addEventListener('online', this.handleOnline);
+      this.window.addEventListener('offline', this.handleOffline);
+    }
+  }
+
+  /**
+   * Verifica se o navegador oferece service worker e Cache Storage
+   * @returns {boolean}
+   */
+  isSupported() {
+    return Boolean(this.navigator && this.navigator.serviceWorker && this.caches);
+  }
+
+  /**
+   * Registra o service worker e pede a ele para guardar o que a página já carregou
+   * (na primeira visita os módulos JS chegam antes do service worker existir)
+   * @param {string} [url=SERVICE_WORKER_URL] - Caminho do service worker
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registro ou null se indisponível
+   */
+  async register(url = SERVICE_WORKER_URL) {
+    if (!this.isSupported()) {
+      return null;
+    }
+
+    let registration;
+    try {
+      this.registration = this.navigator.serviceWorker.register(url);
+      registration = await this.registration;
+    } catch (error) {
+      this.registration = null;
+      errorLogger.log(error, { component: 'OfflineService', phase: 'register' });
+      return null;
+    }
+
+    try {
+      await this.precache(this.getLoadedResources());
+    } catch (error) {
+      errorLogger.log(error, { component: 'OfflineService', phase: 'precache' });
+    }
+
+    return registration;
+  }
+
+  /**
+   * URLs do próprio site já carregadas pela página (documento, scripts, estilos, imagens)
+   * @returns {Array<string>}
+   * @private
+   */
+  getLoadedResources() {
+    const origin = this.window && this.window.location ? this.window.location.origin : null;
+    const performance = this.window && this.window.performance;
+    if (!origin || !performance || typeof performance.getEntriesByType !== 'function') {
+      return [];
+    }
+
+    const urls = performance.getEntriesByType('resource')
+      .map(entry => entry.name)
+      .filter(name => name.startsWith(`${origin}/`));
+
+    return [this.window.location.href, ...urls];
+  }
+
+  /**
+   * Verifica se há um service worker registrado para guardar os arquivos
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.isSupported() && Boolean(this.MessageChannelClass) && this.registration !== null;
+  }
+
+  /**
+   * Pede ao service worker para guardar uma lista de URLs
+   * @param {Array<string>} urls - URLs do próprio site
+   * @returns {Promise<Array<string>>} URLs guardadas
+   */
+  async precache(urls) {
+    if (!this.isAvailable() || urls.length === 0) {
+      return [];
+    }
+
+    // ready só resolve quando o service worker instalado assume a página
+    await this.registration;
+    const registration = await this.navigator.serviceWorker.ready;
+    const worker = registration && registration.active;
+    if (!worker) {
+      return [];
+    }
+
+    return new Promise((resolve) => {
+      const channel = new this.MessageChannelClass();
+      const timeoutId = setTimeout(() => {
+        channel.port1.close();
+        resolve([]);
+      }, PRECACHE_TIMEOUT);
+
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timeoutId);
+        channel.port1.close();
+        resolve((event.data && event.data.cached) || []);
+      };
+
+      worker.postMessage({ type: 'precache', urls }, [channel.port2]);
+    });
+  }
+
+  /**
+   * Verifica se uma URL já está guardada
+   * @param {string} url - URL
+   * @returns {Promise<boolean>}
+   */
+  async isCached(url) {
+    if (!this.caches || !url) {
+      return false;
+    }
+
+    return Boolean(await this.caches.match(url));
+  }
+
+  /**
+   * Arquivos de um desenho que precisam estar guardados
+   * @param {import('../models/Drawing.js').Drawing} drawing - Desenho
+   * @returns {Array<string>}
+   * @private
+   */
+  getDrawingUrls(drawing) {
+    return [drawing.svgUrl, drawing.thumbnailUrl].filter(url => typeof url === 'string' && url.startsWith('/'));
+  }
+
+  /**
+   * Desenhos de uma categoria que vêm do site (os de "Meus Desenhos" já ficam no navegador)
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @returns {Array<import('../models/Drawing.js').Drawing>}
+   */
+  getDownloadableDrawings(category) {
+    return (category.drawings || []).filter(drawing => typeof drawing.svgUrl === 'string' && drawing.svgUrl.startsWith('/'));
+  }
+
+  /**
+   * Quantos desenhos da categoria já funcionam sem internet
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @returns {Promise<OfflineStatus>}
+   */
+  async getCategoryStatus(category) {
+    const drawings = this.getDownloadableDrawings(category);
+    const available = await Promise.all(drawings.map(async drawing => {
+      const cached = await Promise.all(this.getDrawingUrls(drawing).map(url => this.isCached(url)));
+      return cached.every(Boolean);
+    }));
+
+    return { cached: available.filter(Boolean).length, total: drawings.length };
+  }
+
+  /**
+   * Baixa todos os desenhos de uma categoria para uso sem internet
+   * @param {import('../models/Category.js').Category} category - Categoria
+   * @param {Function} [onProgress] - Callback ({done, total}) a cada desenho
+   * @returns {Promise<OfflineStatus>} Situação da categoria ao final
+   */
+  async downloadCategory(category, onProgress = () => {}) {
+    const drawings = this.getDownloadableDrawings(category);
+    let done = 0;
+
+    for (const drawing of drawings) {
+      await this.precache(this.getDrawingUrls(drawing));
+      done++;
+      onProgress({ done, total: drawings.length });
+    }
+
+    return this.getCategoryStatus(category);
+  }
+
+  /**
+   * Verifica se o dispositivo está online
+   * @returns {boolean}
+   */
+  isOnline() {
+    return this.online;
+  }
+
+  /**
+   * Atualiza o estado da conexão e avisa os interessados
+   * @param {boolean} online - Se está online
+   * @private
+   */
+  setOnline(online) {
+    if (this.online === online) {
+      return;
+    }
+
+    this.online = online;
+    this.listeners.forEach(listener => listener(online));
+  }
+
+  /**
+   * Acompanha mudanças na conexão
+   * @param {Function} listener - Callback (online: boolean)
+   * @returns {Function} Função para cancelar
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Instância singleton
+const offlineService = new OfflineService();
+
+export default offlineService;
+export { OfflineService };
@@ -0,0 +1,261 @@
+import defaultProfileService from './ProfileService.js';
+import { PALETTE_PRESETS, PALETTE_SIZES, MAX_CUSTOM_COLORS, normalizeColor } from '../models/Palette.js';
+
+/**
+ * Serviço de paletas
+ * Paleta ativa, quantidade de cores exibidas, paletas personalizadas e cores recentes
+ * de cada criança. Tudo fica nas preferências do perfil ativo, então o terapeuta
+ * configura uma vez e a paleta acompanha a criança em qualquer desenho
+ */
+
+/**
+ * Quantidade de cores recentes guardadas
+ */
+export const MAX_RECENT_COLORS = 6;
+
+/**
+ * Quantidade máxima de paletas personalizadas por perfil
+ */
+export const MAX_CUSTOM_PALETTES = 10;
+
+class PaletteService {
+  /**
+   * @param {import('./ProfileService.js').ProfileService} [profileService] - Perfil ativo
+   */
+  constructor(profileService = defaultProfileService) {
+    this.profileService = profileService;
+  }
+
+  /**
+   * Retorna as paletas disponíveis: predefinidas e personalizadas do perfil
+   * @returns {import('../models/Palette.js').Palette[]}
+   */
+  getPalettes() {
+    return [
+      ...PALETTE_PRESETS.map(preset => ({ ...preset, colors: [...preset.colors] })),
+      ...this.getCustomPalettes()
+    ];
+  }
+
+  /**
+   * Retorna uma paleta pelo ID
+   * @param {string} paletteId - ID da paleta
+   * @returns {import('../models/Palette.js').Palette|null}
+   */
+  getPalette(paletteId) {
+    return this.getPalettes().find(palette => palette.id === paletteId) || null;
+  }
+
+  /**
+   * Retorna a paleta ativa (a padrão se a escolhida não existe mais)
+   * @returns {import('../models/Palette.js').Palette}
+   */
+  getActivePalette() {
+    const { paletteId } = this.getSettings();
+    return this.getPalette(paletteId) || this.getPalette(PALETTE_PRESETS[0].id);
+  }
+
+  /**
+   * Define a paleta ativa
+   * @param {string} paletteId - ID da paleta
+   * @returns {boolean} True se a paleta existe e foi ativada
+   */
+  setActivePalette(paletteId) {
+    if (!this.getPalette(paletteId)) {
+      return false;
+    }
+    return this.saveSettings({ paletteId });
+  }
+
+  /**
+   * Quantidade de cores exibidas (null = todas)
+   * @returns {number|null}
+   */
+  getSize() {
+    return this.getSettings().size;
+  }
+
+  /**
+   * Define a quantidade de cores exibidas
+   * @param {number|null} size - Um de PALETTE_SIZES
+   * @returns {boolean} True se o valor é válido e foi gravado
+   */
+  setSize(size) {
+    if (!PALETTE_SIZES.includes(size)) {
+      return false;
+    }
+    return this.saveSettings({ size });
+  }
+
+  /**
+   * Cores exibidas na paleta: as primeiras da paleta ativa, limitadas pela quantidade escolhida
+   * @returns {Array<string>}
+   */
+  getVisibleColors() {
+    const { colors } = this.getActivePalette();
+    const size = this.getSize();
+    return size ? colors.slice(0, size) : colors;
+  }
+
+  /**
+   * Retorna as paletas personalizadas do perfil ativo
+   * @returns {import('../models/Palette.js').Palette[]}
+   */
+  getCustomPalettes() {
+    const saved = this.profileService.getPreference('customPalettes', []);
+    if (!Array.isArray(saved)) {
+      return [];
+    }
+
+    return saved
+      .filter(palette => palette && typeof palette.id === 'string' && Array.isArray(palette.colors))
+      .map(palette => ({
+        id: palette.id,
+        name: palette.name,
+        colors: palette.colors.map(normalizeColor).filter(Boolean),
+        custom: true
+      }))
+      .filter(palette => palette.colors.length > 0);
+  }
+
+  /**
+   * Cria ou atualiza uma paleta personalizada do perfil ativo
+   * Cores repetidas ou inválidas são descartadas
+   * @param {Object} palette - Paleta
+   * @param {string} [palette.id] - ID (ausente para criar uma nova)
+   * @param {string} palette.name - Nome
+   * @param {Array<string>} palette.colors - Cores hexadecimais
+   * @returns {SavePaletteResult}
+   */
+  saveCustomPalette({ id, name, colors }) {
+    const trimmedName = (name || '').trim().slice(0, 40);
+    if (!trimmedName) {
+      return { success: false, message: 'Dê um nome para a paleta' };
+    }
+
+    const uniqueColors = [...new Set((colors || []).map(normalizeColor).filter(Boolean))];
+    if (uniqueColors.length === 0) {
+      return { success: false, message: 'Adicione pelo menos uma cor' };
+    }
+    if (uniqueColors.length > MAX_CUSTOM_COLORS) {
+      return { success: false, message: `A paleta pode ter no máximo ${MAX_CUSTOM_COLORS} cores` };
+    }
+
+    const palettes = this.getCustomPalettes().map(({ custom, ...palette }) => palette);
+    const existingIndex = id ? palettes.findIndex(palette => palette.id === id) : -1;
+
+    if (existingIndex === -1 && palettes.length >= MAX_CUSTOM_PALETTES) {
+      return { success: false, message: `Limite de ${MAX_CUSTOM_PALETTES} paletas personalizadas` };
+    }
+
+    const saved = {
+      id: existingIndex === -1 ? this.generateId() : id,
+      name: trimmedName,
+      colors: uniqueColors
+    };
+
+    if (existingIndex === -1) {
+      palettes.push(saved);
+    } else {
+      palettes[existingIndex] = saved;
+    }
+
+    if (!this.profileService.setPreference('customPalettes', palettes)) {
+      return { success: false, message: 'Crie um perfil para guardar paletas' };
+    }
+
+    return { success: true, message: 'Paleta salva!', palette: { ...saved, custom: true } };
+  }
+
+  /**
+   * Remove uma paleta personalizada; se era a ativa, volta para a padrão
+   * @param {string} paletteId - ID da paleta
+   * @returns {boolean} True se a paleta foi removida
+   */
+  deleteCustomPalette(paletteId) {
+    const palettes = this.getCustomPalettes().map(({ custom, ...palette }) => palette);
+    const remaining = palettes.filter(palette => palette.id !== paletteId);
+
+    if (remaining.length === palettes.length) {
+      return false;
+    }
+
+    this.profileService.setPreference('customPalettes', remaining);
+    if (this.getSettings().paletteId === paletteId) {
+      this.saveSettings({ paletteId: PALETTE_PRESETS[0].id });
+    }
+    return true;
+  }
+
+  /**
+   * Cores usadas recentemente pelo perfil ativo (a mais recente primeiro)
+   * @returns {Array<string>}
+   */
+  getRecentColors() {
+    const saved = this.profileService.getPreference('recentColors', []);
+    return Array.isArray(saved) ? saved.map(normalizeColor).filter(Boolean).slice(0, MAX_RECENT_COLORS) : [];
+  }
+
+  /**
+   * Registra uma cor usada
+   * @param {string} color - Cor hexadecimal
+   * @returns {Array<string>} Cores recentes atualizadas
+   */
+  addRecentColor(color) {
+    const normalized = normalizeColor(color);
+    if (!normalized) {
+      return this.getRecentColors();
+    }
+
+    const recent = [normalized, ...this.getRecentColors().filter(saved => saved !== normalized)]
+      .slice(0, MAX_RECENT_COLORS);
+
+    this.profileService.setPreference('recentColors', recent);
+    return recent;
+  }
+
+  /**
+   * Configuração da paleta do perfil ativo
+   * @returns {{paletteId: string, size: number|null}}
+   * @private
+   */
+  getSettings() {
+    const saved = this.profileService.getPreference('palette', {}) || {};
+    return {
+      paletteId: typeof saved.paletteId === 'string' ? saved.paletteId : PALETTE_PRESETS[0].id,
+      size: PALETTE_SIZES.includes(saved.size) ? saved.size : null
+    };
+  }
+
+  /**
+   * Grava campos da configuração da paleta
+   * @param {Object} changes - Campos alterados
+   * @returns {boolean} True se foi gravado (há perfil ativo)
+   * @private
+   */
+  saveSettings(changes) {
+    return this.profileService.setPreference('palette', { ...this.getSettings(), ...changes });
+  }
+
+  /**
+   * Gera ID para uma paleta personalizada
+   * @returns {string}
+   * @private
+   */
+  generateId() {
+    return `palette_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+/**
+ * @typedef {Object} SavePaletteResult
+ * @property {boolean} success - Se a paleta foi salva
+ * @property {string} message - Mensagem para o usuário
+ * @property {import('../models/Palette.js').Palette} [palette] - Paleta salva
+ */
+
+// Instância singleton
+const paletteService = new PaletteService();
+
+export default paletteService;
+export { PaletteService };
@@ -0,0 +1,317 @@
+import svgManipulator from './SVGManipulator.js';
+import imageExportService from './ImageExportService.js';
+import { svgCache } from '../utils/performanceUtils.js';
+
+/**
+ * Serviço de impressão
+ * Monta uma folha pronta para imprimir (A4 ou Carta) com campos de nome e data,
+ * a partir de um desenho do catálogo em branco ou do desenho colorido atual.
+ * A folha é exibida apenas na impressão, conforme css/print.css
+ */
+
+/**
+ * Tamanhos de papel suportados
+ * cssSize é usado na regra @page; a área útil é definida em css/print.css
+ */
+export const PAPER_SIZES = {
+  a4: {
+    id: 'a4',
+    label: 'A4',
+    cssSize: 'A4'
+  },
+  letter: {
+    id: 'letter',
+    label: 'Carta (Letter)',
+    cssSize: 'letter'
+  }
+};
+
+class PrintService {
+  constructor() {
+    this.storageKey = 'colorir-print-paper';
+    this.defaultPaper = 'a4';
+    this.svgManipulator = svgManipulator;
+
+    // Elementos temporários da impressão em andamento
+    this.pageElement = null;
+    this.pageStyle = null;
+    this.afterPrintHandler = null;
+  }
+
+  /**
+   * Retorna o papel escolhido na última impressão
+   * @returns {'a4'|'letter'}
+   */
+  getPreferredPaper() {
+    try {
+      const paper = localStorage.getItem(this.storageKey);
+      return PAPER_SIZES[paper] ? paper : this.defaultPaper;
+    } catch (error) {
+      return this.defaultPaper;
+    }
+  }
+
+  /**
+   * Memoriza o papel escolhido
+   * @param {'a4'|'letter'} paperId - ID do papel
+   */
+  setPreferredPaper(paperId) {
+    if (!PAPER_SIZES[paperId]) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, paperId);
+    } catch (error) {
+      console.error('Erro ao salvar papel preferido:', error);
+    }
+  }
+
+  /**
+   * Imprime um desenho do catálogo sem cores, para colorir no papel
+   * @param {Object} drawing - Desenho do catálogo (usa drawing.svgUrl)
+   * @param {Object} [options] - Opções
+   * @param {'a4'|'letter'} [options.paper] - Papel (padrão: papel preferido)
+   * @returns {Promise<boolean>} True se a impressão foi aberta
+   */
+  async printBlank(drawing, options = {}) {
+    try {
+      const svgContent = await this.loadDrawingSVG(drawing);
+      const page = this.createPrintPage(svgContent, {
+        title: drawing.name,
+        paper: options.paper
+      });
+
+      return this.print(page);
+    } catch (error) {
+      console.error('Erro ao imprimir desenho em branco:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Imprime o desenho no estado colorido atual
+   * @param {string} svgContent - SVG serializado (ver SVGCanvas.getSVGContent)
+   * @param {Object} [options] - Opções
+   * @param {string} [options.title] - Nome do desenho
+   * @param {'a4'|'letter'} [options.paper] - Papel (padrão: papel preferido)
+   * @param {Map<string, string>|Object} [options.coloredAreas] - Áreas coloridas (areaId -> cor)
+   * @param {boolean} [options.includeLegend=false] - Se deve incluir a legenda de cores usadas
+   * @returns {boolean} True se a impressão foi aberta
+   */
+  printColored(svgContent, options = {}) {
+    try {
+      const page = this.createPrintPage(svgContent, {
+        title: options.title,
+        paper: options.paper,
+        legendColors: options.includeLegend ? this.getLegendColors(options.coloredAreas) : []
+      });
+
+      return this.print(page);
+    } catch (error) {
+      console.error('Erro ao imprimir desenho colorido:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Cria a folha de impressão
+   * @param {string} svgContent - SVG serializado
+   * @param {Object} [options] - Opções
+   * @param {string} [options.title] - Título da folha
+   * @param {'a4'|'letter'} [options.paper] - Papel
+   * @param {string[]} [options.legendColors] - Cores da legenda (vazio omite a legenda)
+   * @returns {HTMLElement} Elemento .print-page
+   */
+  createPrintPage(svgContent, options = {}) {
+    const paper = PAPER_SIZES[options.paper] ? options.paper : this.getPreferredPaper();
+    const title = options.title || 'Desenho';
+    const legendColors = options.legendColors || [];
+
+    const standalone = imageExportService.createStandaloneSVG(svgContent, { title });
+    const svgElement = new DOMParser().parseFromString(standalone, 'image/svg+xml').documentElement;
+    const { width, height } = imageExportService.getDimensions(svgElement);
+    const orientation = width > height ? 'landscape' : 'portrait';
+
+    const page = document.createElement('div');
+    page.className = `print-page print-paper-${paper} print-${orientation}`;
+    page.dataset.paper = paper;
+    page.dataset.orientation = orientation;
+
+    // Cabeçalho com título e campos para escrever à mão
+    const header = document.createElement('header');
+    header.className = 'print-header';
+
+    const heading = document.createElement('h1');
+    heading.className = 'print-title';
+    heading.textContent = title;
+    header.appendChild(heading);
+
+    const fields = document.createElement('div');
+    fields.className = 'print-fields';
+    fields.appendChild(this.createWriteInField('Nome', 'print-field-name'));
+    fields.appendChild(this.createWriteInField('Data', 'print-field-date'));
+    header.appendChild(fields);
+
+    page.appendChild(header);
+
+    // Desenho ocupando o espaço restante da folha
+    const figure = document.createElement('div');
+    figure.className = 'print-drawing';
+    figure.appendChild(document.importNode(svgElement, true));
+    page.appendChild(figure);
+
+    if (legendColors.length > 0) {
+      page.appendChild(this.createLegend(legendColors));
+    }
+
+    return page;
+  }
+
+  /**
+   * Exibe a folha e abre o diálogo de impressão do navegador
+   * A folha é removida após a impressão
+   * @param {HTMLElement} page - Folha criada por createPrintPage
+   * @returns {boolean} True se a impressão foi aberta
+   */
+  print(page) {
+    this.cleanup();
+
+    const paper = PAPER_SIZES[page.dataset.paper] || PAPER_SIZES[this.defaultPaper];
+
+    // @page não aceita variáveis CSS; tamanho e orientação vão em um estilo dedicado
+    this.pageStyle = document.createElement('style');
+    this.pageStyle.id = 'print-page-size';
+    this.pageStyle.textContent = `@page { size: ${paper.cssSize} ${page.dataset.orientation}; margin: 12mm; }`;
+    document.head.appendChild(this.pageStyle);
+
+    this.pageElement = page;
+    document.body.appendChild(page);
+    document.body.classList.add('printing');
+
+    this.afterPrintHandler = () => this.cleanup();
+    window.addEventListener('afterprint', this.afterPrintHandler);
+
+    try {
+      window.print();
+      return true;
+    } catch (error) {
+      console.error('Erro ao abrir impressão:', error);
+      this.cleanup();
+      return false;
+    }
+  }
+
+  /**
+   * Remove a folha de impressão e restaura a página
+   */
+  cleanup() {
+    if (this.afterPrintHandler) {
+      window.removeEventListener('afterprint', this.afterPrintHandler);
+      this.afterPrintHandler = null;
+    }
+
+    if (this.pageElement) {
+      this.pageElement.remove();
+      this.pageElement = null;
+    }
+
+    if (this.pageStyle) {
+      this.pageStyle.remove();
+      this.pageStyle = null;
+    }
+
+    document.body.classList.remove('printing');
+  }
+
+  /**
+   * Retorna as cores usadas, da mais usada para a menos usada
+   * @param {Map<string, string>|Object} coloredAreas - Áreas coloridas
+   * @returns {string[]}
+   */
+  getLegendColors(coloredAreas) {
+    const colors = coloredAreas instanceof Map
+      ? Array.from(coloredAreas.values())
+      : Object.values(coloredAreas || {});
+
+    const counts = new Map();
+    colors.forEach(color => counts.set(color, (counts.get(color) || 0) + 1));
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([color]) => color);
+  }
+
+  // Métodos privados
+
+  /**
+   * Obtém o SVG de um desenho do catálogo (cache ou rede)
+   * @private
+   */
+  async loadDrawingSVG(drawing) {
+    if (!drawing || !drawing.svgUrl) {
+      throw new Error('Desenho sem svgUrl');
+    }
+
+    const cached = svgCache.get(drawing.svgUrl);
+    const svgElement = cached || await this.svgManipulator.loadSVG(drawing.svgUrl);
+
+    return new XMLSerializer().serializeToString(svgElement);
+  }
+
+  /**
+   * Cria um campo com linha para escrever à mão
+   * @private
+   */
+  createWriteInField(label, className) {
+    const field = document.createElement('div');
+    field.className = `print-field ${className}`;
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'print-field-label';
+    labelElement.textContent = `${label}:`;
+
+    const line = document.createElement('span');
+    line.className = 'print-field-line';
+
+    field.appendChild(labelElement);
+    field.appendChild(line);
+
+    return field;
+  }
+
+  /**
+   * Cria a legenda com as cores usadas
+   * @private
+   */
+  createLegend(colors) {
+    const legend = document.createElement('footer');
+    legend.className = 'print-legend';
+
+    const title = document.createElement('span');
+    title.className = 'print-legend-title';
+    title.textContent = 'Cores usadas:';
+    legend.appendChild(title);
+
+    const swatches = document.createElement('ul');
+    swatches.className = 'print-legend-swatches';
+
+    colors.forEach(color => {
+      const item = document.createElement('li');
+      item.className = 'print-legend-swatch';
+      item.style.backgroundColor = color;
+      item.setAttribute('aria-label', `Cor ${color}`);
+      swatches.appendChild(item);
+    });
+
+    legend.appendChild(swatches);
+
+    return legend;
+  }
+}
+
+// Instância singleton
+const printService = new PrintService();
+
+export default printService;
+export { PrintService };
@@ -0,0 +1,282 @@
+/**
+ * Serviço de perfis
+ * Perfis leves (avatar + nome, sem senha) para que várias crianças usem o mesmo
+ * dispositivo. Cada perfil tem suas preferências (última categoria, cor da paleta)
+ * e os demais serviços separam salvamentos e progresso pelo perfil ativo.
+ *
+ * Os dados gravados antes da existência de perfis pertencem ao primeiro perfil
+ * criado, que continua usando as chaves originais do localStorage.
+ */
+
+/**
+ * Avatares disponíveis para os perfis
+ */
+export const PROFILE_AVATARS = ['🐶', '🐱', '🦁', '🐸', '🐼', '🦄', '🐢', '🦋', '🐙', '🚀', '🌻', '⚽'];
+
+/**
+ * Tamanho máximo do nome do perfil
+ */
+export const MAX_PROFILE_NAME_LENGTH = 30;
+
+class ProfileService {
+  constructor() {
+    this.storageKey = 'colorir-profiles';
+    this.listeners = [];
+  }
+
+  /**
+   * Lista os perfis, na ordem de criação
+   * @returns {Profile[]}
+   */
+  getProfiles() {
+    return this.readData().profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Verifica se já existe algum perfil
+   * @returns {boolean}
+   */
+  hasProfiles() {
+    return this.readData().profiles.length > 0;
+  }
+
+  /**
+   * Obtém um perfil pelo ID
+   * @param {string} profileId - ID do perfil
+   * @returns {Profile|null}
+   */
+  getProfile(profileId) {
+    const profile = this.readData().profiles.find(saved => saved.id === profileId);
+    return profile ? { ...profile } : null;
+  }
+
+  /**
+   * Retorna o perfil ativo
+   * @returns {Profile|null}
+   */
+  getActiveProfile() {
+    const data = this.readData();
+    return data.activeProfileId ? this.getProfile(data.activeProfileId) : null;
+  }
+
+  /**
+   * Retorna o ID do perfil ativo
+   * @returns {string|null}
+   */
+  getActiveProfileId() {
+    const profile = this.getActiveProfile();
+    return profile ? profile.id : null;
+  }
+
+  /**
+   * Cria um perfil
+   * @param {Object} profileData - Dados do perfil
+   * @param {string} profileData.name - Nome da criança
+   * @param {string} [profileData.avatar] - Avatar (um de PROFILE_AVATARS)
+   * @returns {Profile} Perfil criado
+   * @throws {Error} Se o nome estiver vazio
+   */
+  createProfile({ name, avatar }) {
+    const trimmedName = (name || '').trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+    if (!trimmedName) {
+      throw new Error('O nome do perfil é obrigatório');
+    }
+
+    const data = this.readData();
+    const profile = {
+      id: this.generateId(),
+      name: trimmedName,
+      avatar: PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[0],
+      preferences: {},
+      createdAt: new Date().toISOString()
+    };
+
+    // O primeiro perfil herda os dados gravados antes da existência de perfis
+    if (data.profiles.length === 0) {
+      data.legacyProfileId = profile.id;
+    }
+
+    data.profiles.push(profile);
+    this.writeData(data);
+
+    return { ...profile };
+  }
+
+  /**
+   * Define o perfil ativo
+   * @param {string} profileId - ID do perfil
+   * @returns {Profile} Perfil ativado
+   * @throws {Error} Se o perfil não existir
+   */
+  setActiveProfile(profileId) {
+    const data = this.readData();
+    const profile = data.profiles.find(saved => saved.id === profileId);
+
+    if (!profile) {
+      throw new Error(`Perfil não encontrado: ${profileId}`);
+    }
+
+    data.activeProfileId = profileId;
+    this.writeData(data);
+    this.notifyListeners({ ...profile });
+
+    return { ...profile };
+  }
+
+  /**
+   * Lê uma preferência do perfil ativo
+   * @param {string} key - Nome da preferência (ex.: 'lastSelectedCategory', 'selectedColor')
+   * @param {*} [defaultValue=null] - Valor quando não há perfil ou preferência
+   * @returns {*}
+   */
+  getPreference(key, defaultValue = null) {
+    const profile = this.getActiveProfile();
+    if (!profile || !profile.preferences || profile.preferences[key] === undefined) {
+      return defaultValue;
+    }
+    return profile.preferences[key];
+  }
+
+  /**
+   * Grava uma preferência do perfil ativo
+   * Sem perfil ativo a preferência não é guardada
+   * @param {string} key - Nome da preferência
+   * @param {*} value - Valor (serializável em JSON)
+   * @returns {boolean} True se a preferência foi gravada
+   */
+  setPreference(key, value) {
+    const data = this.readData();
+    const profile = data.profiles.find(saved => saved.id === data.activeProfileId);
+
+    if (!profile) {
+      return false;
+    }
+
+    profile.preferences = { ...(profile.preferences || {}), [key]: value };
+    return this.writeData(data);
+  }
+
+  /**
+   * Retorna a chave do localStorage separada por perfil
+   * O perfil que herdou os dados antigos (e o uso sem perfil) mantém a chave original
+   * @param {string} baseKey - Chave original
+   * @param {string|null} [profileId] - Perfil (padrão: perfil ativo)
+   * @returns {string}
+   */
+  getScopedKey(baseKey, profileId = this.getActiveProfileId()) {
+    const data = this.readData();
+
+    if (!profileId || profileId === data.legacyProfileId) {
+      return baseKey;
+    }
+    return `${baseKey}:${profileId}`;
+  }
+
+  /**
+   * Verifica se um registro gravado pertence ao perfil ativo
+   * Registros sem perfil pertencem ao perfil que herdou os dados antigos
+   * @param {string|null|undefined} ownerId - profileId gravado no registro
+   * @returns {boolean}
+   */
+  isOwnedByActiveProfile(ownerId) {
+    const data = this.readData();
+    const owner = ownerId || data.legacyProfileId || null;
+    return owner === this.getActiveProfileId();
+  }
+
+  /**
+   * Adiciona um listener chamado quando o perfil ativo muda
+   * @param {Function} listener - Função (profile) => void
+   */
+  addListener(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener deve ser uma função');
+    }
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Remove um listener
+   * @param {Function} listener - Função a remover
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  // Métodos privados
+
+  /**
+   * Notifica os listeners sobre a troca de perfil
+   * @private
+   */
+  notifyListeners(profile) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(profile);
+      } catch (error) {
+        console.error('Erro ao notificar listener de perfil:', error);
+      }
+    });
+  }
+
+  /**
+   * Lê os perfis do localStorage
+   * @private
+   */
+  readData() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey));
+      if (data && Array.isArray(data.profiles)) {
+        return {
+          profiles: data.profiles,
+          activeProfileId: data.activeProfileId || null,
+          legacyProfileId: data.legacyProfileId || null
+        };
+      }
+    } catch (error) {
+      console.error('Erro ao ler perfis:', error);
+    }
+
+    return { profiles: [], activeProfileId: null, legacyProfileId: null };
+  }
+
+  /**
+   * Grava os perfis no localStorage
+   * @private
+   */
+  writeData(data) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.error('Erro ao salvar perfis:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Gera ID único para o perfil
+   * @private
+   */
+  generateId() {
+    return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Identificador do perfil
+ * @property {string} name - Nome da criança
+ * @property {string} avatar - Avatar (emoji)
+ * @property {Object} preferences - Preferências (lastSelectedCategory, selectedColor, touchAssistRadius, switchScanning, guided, audio, palette, customPalettes, recentColors)
+ * @property {string} createdAt - Data de criação (ISO)
+ */
+
+// Instância singleton
+const profileService = new ProfileService();
+
+export default profileService;
+export { ProfileService };
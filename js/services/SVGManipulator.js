@@ -1,4 +1,4 @@
-import { createColorableArea } from '../models/ColorableArea.js';
+import { createColorableArea, isSVGElement } from '../models/ColorableArea.js';
 import { DrawingLoadError, SVGParseError, errorLogger } from '../utils/errorHandling.js';
 
 /**
@@ -131,7 +131,7 @@ export class SVGManipulator {
    * @returns {Array<import('../models/ColorableArea.js').ColorableArea>} Array de áreas coloríveis
    */
   identifyColorableAreas(svg) {
-    if (!svg || !(svg instanceof SVGElement)) {
+    if (!isSVGElement(svg)) {
       console.warn('SVG inválido fornecido para identificação de áreas');
       return [];
     }
@@ -290,7 +290,7 @@ export class SVGManipulator {
       decorativeElements: []
     };
 
-    if (!svg || !(svg instanceof SVGElement)) {
+    if (!isSVGElement(svg)) {
       result.valid = false;
       result.errors.push('SVG inválido ou não fornecido');
       return result;
@@ -1,12 +1,50 @@
+import {
+  createSavedDrawingStorage,
+  isQuotaExceededError,
+  LocalStorageSavedDrawingStorage,
+  LOCAL_STORAGE_KEY,
+  SAVE_FORMAT_VERSION,
+  toDiffRecord
+} from './SavedDrawingStorage.js';
+import defaultProfileService from './ProfileService.js';
+import { errorLogger } from '../utils/errorHandling.js';
+
 /**
  * Serviço de salvamento e carregamento de desenhos
- * Gerencia persistência de desenhos coloridos no localStorage
+ * Gerencia persistência de desenhos coloridos no IndexedDB (ou no localStorage,
+ * quando o IndexedDB não está disponível). Cada salvamento guarda apenas as áreas
+ * coloridas; o SVG é reconstruído a partir do desenho original.
+ * Cada perfil vê apenas os próprios salvamentos
  */
 
+/**
+ * Fração da cota a partir da qual o armazenamento é considerado quase cheio
+ */
+const NEAR_QUOTA_RATIO = 0.8;
+
 class SaveLoadService {
-  constructor() {
-    this.storageKey = 'colorir-saved-drawings';
-    this.maxSavedDrawings = 50; // Limite de desenhos salvos
+  /**
+   * @param {Object} [storage] - Adaptador de armazenamento (ver SavedDrawingStorage.js)
+   * @param {import('./ProfileService.js').ProfileService} [profileService] - Perfil ativo
+   */
+  constructor(storage = createSavedDrawingStorage(), profileService = defaultProfileService) {
+    this.storageKey = LOCAL_STORAGE_KEY;
+    this.storage = storage;
+    this.profileService = profileService;
+    this.maxSavedDrawings = storage.maxRecords; // Limite de desenhos salvos por perfil
+    this.readyPromise = null;
+  }
+
+  /**
+   * Prepara o armazenamento: migra os salvamentos antigos do localStorage
+   * e, se o IndexedDB falhar ao abrir, passa a usar o localStorage
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initializeStorage();
+    }
+    return this.readyPromise;
   }
 
   /**
@@ -15,71 +53,59 @@ class SaveLoadService {
    * @param {string} drawingData.drawingId - ID do desenho original
    * @param {string} drawingData.drawingName - Nome do desenho
    * @param {Object} drawingData.coloredAreas - Áreas coloridas {areaId: color}
-   * @param {string} drawingData.svgContent - Conteúdo SVG colorido
+   * @param {string} [drawingData.svgContent] - Ignorado: apenas as áreas coloridas são guardadas
    * @param {string} [customName] - Nome personalizado para o salvamento
-   * @returns {Object} Resultado da operação
+   * @returns {Promise<Object>} Resultado da operação
    */
-  saveDrawing(drawingData, customName = null) {
+  async saveDrawing(drawingData, customName = null) {
     try {
-      const savedDrawings = this.getSavedDrawings();
-      
+      await this.ready();
+      const savedDrawings = await this.getProfileSaves();
+      const name = customName || `${drawingData.drawingName} - ${new Date().toLocaleDateString()}`;
+
+      // Verificar se já existe um salvamento com o mesmo nome
+      const existing = savedDrawings.find(saved => saved.customName === name);
+
       const saveData = {
-        id: this.generateSaveId(),
+        id: existing ? existing.id : this.generateSaveId(),
         drawingId: drawingData.drawingId,
         drawingName: drawingData.drawingName,
-        customName: customName || `${drawingData.drawingName} - ${new Date().toLocaleDateString()}`,
+        customName: name,
+        profileId: this.profileService.getActiveProfileId(),
         coloredAreas: { ...drawingData.coloredAreas },
-        svgContent: drawingData.svgContent,
         savedAt: new Date().toISOString(),
-        version: '1.0'
+        version: SAVE_FORMAT_VERSION
       };
 
-      // Verificar se já existe um salvamento com o mesmo nome
-      const existingIndex = savedDrawings.findIndex(saved => 
-        saved.customName === saveData.customName
-      );
-
-      if (existingIndex !== -1) {
-        // Atualizar salvamento existente
-        savedDrawings[existingIndex] = saveData;
-      } else {
-        // Adicionar novo salvamento
-        savedDrawings.unshift(saveData);
-        
-        // Manter limite de salvamentos
-        if (savedDrawings.length > this.maxSavedDrawings) {
-          savedDrawings.splice(this.maxSavedDrawings);
-        }
-      }
+      await this.storage.put(saveData);
 
-      this.setSavedDrawings(savedDrawings);
+      // Manter limite de salvamentos
+      if (!existing) {
+        await this.removeOldestSaves();
+      }
 
       return {
         success: true,
         saveId: saveData.id,
-        message: existingIndex !== -1 ? 'Desenho atualizado com sucesso!' : 'Desenho salvo com sucesso!'
+        message: existing ? 'Desenho atualizado com sucesso!' : 'Desenho salvo com sucesso!'
       };
     } catch (error) {
-      console.error('Erro ao salvar desenho:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Erro ao salvar desenho. Tente novamente.'
-      };
+      return this.createWriteErrorResult(error, 'Erro ao salvar desenho. Tente novamente.');
     }
   }
 
   /**
    * Carrega um desenho salvo
    * @param {string} saveId - ID do salvamento
-   * @returns {Object|null} Dados do desenho ou null se não encontrado
+   * @returns {Promise<Object>} Resultado com os dados do desenho em data
    */
-  loadDrawing(saveId) {
+  async loadDrawing(saveId) {
     try {
-      const savedDrawings = this.getSavedDrawings();
-      const drawing = savedDrawings.find(saved => saved.id === saveId);
-      
-      if (!drawing) {
+      await this.ready();
+      const drawing = await this.storage.get(saveId);
+
+      // Salvamentos de outra criança ficam invisíveis, como na lista
+      if (!drawing || !this.profileService.isOwnedByActiveProfile(drawing.profileId)) {
         return {
           success: false,
           error: 'Desenho não encontrado'
@@ -102,12 +128,13 @@ class SaveLoadService {
   /**
    * Obtém lista de desenhos salvos
    * @param {string} [drawingId] - Filtrar por ID do desenho original
-   * @returns {Array} Lista de desenhos salvos
+   * @returns {Promise<Array>} Lista de desenhos salvos, do mais recente para o mais antigo
    */
-  getSavedDrawingsList(drawingId = null) {
+  async getSavedDrawingsList(drawingId = null) {
     try {
-      const savedDrawings = this.getSavedDrawings();
-      
+      await this.ready();
+      const savedDrawings = await this.getProfileSaves();
+
       let filtered = savedDrawings;
       if (drawingId) {
         filtered = savedDrawings.filter(saved => saved.drawingId === drawingId);
@@ -130,23 +157,23 @@ class SaveLoadService {
   /**
    * Remove um desenho salvo
    * @param {string} saveId - ID do salvamento
-   * @returns {Object} Resultado da operação
+   * @returns {Promise<Object>} Resultado da operação
    */
-  deleteDrawing(saveId) {
+  async deleteDrawing(saveId) {
     try {
-      const savedDrawings = this.getSavedDrawings();
-      const index = savedDrawings.findIndex(saved => saved.id === saveId);
-      
-      if (index === -1) {
+      await this.ready();
+      const saved = await this.storage.get(saveId);
+      const deleted = saved && this.profileService.isOwnedByActiveProfile(saved.profileId)
+        ? await this.storage.delete(saveId)
+        : false;
+
+      if (!deleted) {
         return {
           success: false,
           message: 'Desenho não encontrado'
         };
       }
 
-      savedDrawings.splice(index, 1);
-      this.setSavedDrawings(savedDrawings);
-
       return {
         success: true,
         message: 'Desenho removido com sucesso!'
@@ -164,11 +191,11 @@ class SaveLoadService {
   /**
    * Exporta desenho como arquivo JSON
    * @param {string} saveId - ID do salvamento
-   * @returns {Object} Resultado da operação
+   * @returns {Promise<Object>} Resultado da operação
    */
-  exportDrawing(saveId) {
+  async exportDrawing(saveId) {
     try {
-      const result = this.loadDrawing(saveId);
+      const result = await this.loadDrawing(saveId);
       if (!result.success) {
         return result;
       }
@@ -228,23 +255,22 @@ class SaveLoadService {
         };
       }
 
-      // Gerar novo ID para evitar conflitos
-      const saveData = {
+      // Gerar novo ID para evitar conflitos (arquivos antigos trazem svgContent, que é descartado)
+      const saveData = toDiffRecord({
         ...importData,
         id: this.generateSaveId(),
-        customName: `${importData.customName} (Importado)`,
+        customName: `${importData.customName || importData.drawingName} (Importado)`,
+        profileId: this.profileService.getActiveProfileId(),
         savedAt: new Date().toISOString()
-      };
+      });
+      delete saveData.exportedAt;
+      delete saveData.appVersion;
 
-      const savedDrawings = this.getSavedDrawings();
-      savedDrawings.unshift(saveData);
-      
-      // Manter limite
-      if (savedDrawings.length > this.maxSavedDrawings) {
-        savedDrawings.splice(this.maxSavedDrawings);
-      }
+      await this.ready();
+      await this.storage.put(saveData);
 
-      this.setSavedDrawings(savedDrawings);
+      // Manter limite
+      await this.removeOldestSaves();
 
       return {
         success: true,
@@ -252,22 +278,21 @@ class SaveLoadService {
         message: 'Desenho importado com sucesso!'
       };
     } catch (error) {
-      console.error('Erro ao importar desenho:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Erro ao importar desenho. Verifique o arquivo.'
-      };
+      return this.createWriteErrorResult(error, 'Erro ao importar desenho. Verifique o arquivo.');
     }
   }
 
   /**
-   * Limpa todos os desenhos salvos
-   * @returns {Object} Resultado da operação
+   * Limpa todos os desenhos salvos do perfil ativo
+   * @returns {Promise<Object>} Resultado da operação
    */
-  clearAllSavedDrawings() {
+  async clearAllSavedDrawings() {
     try {
-      localStorage.removeItem(this.storageKey);
+      await this.ready();
+      const savedDrawings = await this.getProfileSaves();
+      for (const saved of savedDrawings) {
+        await this.storage.delete(saved.id);
+      }
       return {
         success: true,
         message: 'Todos os desenhos foram removidos'
@@ -284,16 +309,22 @@ class SaveLoadService {
 
   /**
    * Obtém estatísticas de uso
-   * @returns {Object} Estatísticas
+   * @returns {Promise<StorageStats>} Estatísticas
    */
-  getStorageStats() {
+  async getStorageStats() {
     try {
-      const savedDrawings = this.getSavedDrawings();
-      const storageData = localStorage.getItem(this.storageKey) || '';
-      
+      await this.ready();
+      const savedDrawings = await this.getProfileSaves();
+      const { used, quota } = await this.storage.estimate();
+      const usageRatio = quota ? used / quota : null;
+
       return {
         totalDrawings: savedDrawings.length,
-        storageUsed: new Blob([storageData]).size,
+        storageUsed: used,
+        storageQuota: quota,
+        usageRatio,
+        nearQuota: usageRatio !== null && usageRatio >= NEAR_QUOTA_RATIO,
+        backend: this.storage.type,
         maxDrawings: this.maxSavedDrawings,
         oldestSave: savedDrawings.length > 0 ? savedDrawings[savedDrawings.length - 1].savedAt : null,
         newestSave: savedDrawings.length > 0 ? savedDrawings[0].savedAt : null
@@ -303,6 +334,10 @@ class SaveLoadService {
       return {
         totalDrawings: 0,
         storageUsed: 0,
+        storageQuota: null,
+        usageRatio: null,
+        nearQuota: false,
+        backend: this.storage.type,
         maxDrawings: this.maxSavedDrawings,
         oldestSave: null,
         newestSave: null
@@ -313,32 +348,71 @@ class SaveLoadService {
   // Métodos privados
 
   /**
-   * Obtém desenhos salvos do localStorage
+   * Obtém os salvamentos do perfil ativo, do mais recente para o mais antigo
+   * @private
+   */
+  async getProfileSaves() {
+    const savedDrawings = await this.storage.getAll();
+    return savedDrawings.filter(saved => this.profileService.isOwnedByActiveProfile(saved.profileId));
+  }
+
+  /**
+   * Migra salvamentos antigos e verifica se o armazenamento abre
    * @private
    */
-  getSavedDrawings() {
+  async initializeStorage() {
     try {
-      const data = localStorage.getItem(this.storageKey);
-      return data ? JSON.parse(data) : [];
+      if (typeof this.storage.migrateFromLocalStorage === 'function') {
+        const migrated = await this.storage.migrateFromLocalStorage(this.storageKey);
+        if (migrated > 0) {
+          console.log(`[SaveLoadService] ${migrated} desenho(s) migrado(s) para o IndexedDB`);
+        }
+      }
+
+      await this.storage.getAll();
     } catch (error) {
-      console.error('Erro ao ler localStorage:', error);
-      return [];
+      // IndexedDB bloqueado (ex.: navegação privada) - usar localStorage
+      errorLogger.log(error, { component: 'SaveLoadService', phase: 'storage-initialization' });
+      this.storage = new LocalStorageSavedDrawingStorage(this.storageKey);
+      this.maxSavedDrawings = this.storage.maxRecords;
     }
   }
 
   /**
-   * Salva desenhos no localStorage
+   * Remove os salvamentos mais antigos do perfil ativo além do limite
+   * O limite vale por perfil: os desenhos de outras crianças nunca são apagados aqui
    * @private
    */
-  setSavedDrawings(drawings) {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(drawings));
-    } catch (error) {
-      console.error('Erro ao salvar no localStorage:', error);
-      throw new Error('Erro ao salvar dados. Verifique o espaço disponível.');
+  async removeOldestSaves() {
+    const savedDrawings = await this.getProfileSaves();
+    for (const saved of savedDrawings.slice(this.maxSavedDrawings)) {
+      await this.storage.delete(saved.id);
     }
   }
 
+  /**
+   * Monta o resultado de uma escrita que falhou, tratando falta de espaço
+   * @private
+   */
+  createWriteErrorResult(error, defaultMessage) {
+    console.error('Erro ao gravar desenho:', error);
+
+    if (isQuotaExceededError(error)) {
+      errorLogger.log(error, { component: 'SaveLoadService', reason: 'quota-exceeded' });
+      return {
+        success: false,
+        error: 'QUOTA_EXCEEDED',
+        message: 'Não há mais espaço para salvar. Apague desenhos antigos e tente novamente.'
+      };
+    }
+
+    return {
+      success: false,
+      error: error.message,
+      message: defaultMessage
+    };
+  }
+
   /**
    * Gera ID único para salvamento
    * @private
@@ -367,11 +441,27 @@ class SaveLoadService {
    * @private
    */
   validateImportData(data) {
-    const requiredFields = ['drawingId', 'drawingName', 'coloredAreas', 'svgContent'];
-    return requiredFields.every(field => data.hasOwnProperty(field));
+    // svgContent não é mais obrigatório: arquivos novos guardam apenas as áreas coloridas
+    const requiredFields = ['drawingId', 'drawingName', 'coloredAreas'];
+    return Boolean(data) &&
+      requiredFields.every(field => Object.prototype.hasOwnProperty.call(data, field)) &&
+      typeof data.coloredAreas === 'object' && data.coloredAreas !== null;
   }
 }
 
+/**
+ * @typedef {Object} StorageStats
+ * @property {number} totalDrawings - Quantidade de salvamentos do perfil ativo
+ * @property {number} storageUsed - Espaço usado (bytes)
+ * @property {number|null} storageQuota - Cota disponível (bytes) ou null se desconhecida
+ * @property {number|null} usageRatio - Fração da cota em uso (0-1) ou null
+ * @property {boolean} nearQuota - True quando o uso passa de 80% da cota
+ * @property {'indexeddb'|'localstorage'} backend - Armazenamento em uso
+ * @property {number} maxDrawings - Limite de salvamentos do perfil ativo (cada perfil tem o seu)
+ * @property {string|null} oldestSave - Data do salvamento mais antigo
+ * @property {string|null} newestSave - Data do salvamento mais recente
+ */
+
 // Instância singleton
 const saveLoadService = new SaveLoadService();
 
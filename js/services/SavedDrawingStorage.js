@@ -0,0 +1,276 @@
+import { IndexedDBStore } from '../utils/indexedDB.js';
+
+/**
+ * Adaptadores de armazenamento dos desenhos salvos
+ * O SaveLoadService usa o IndexedDB quando disponível e o localStorage como alternativa.
+ * Ambos os adaptadores têm a mesma interface assíncrona e devolvem os registros
+ * do mais recente para o mais antigo
+ */
+
+/**
+ * Chave do localStorage (também usada pelos salvamentos anteriores ao IndexedDB)
+ */
+export const LOCAL_STORAGE_KEY = 'colorir-saved-drawings';
+
+/**
+ * Cota aproximada do localStorage na maioria dos navegadores (bytes)
+ */
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Versão do formato do registro (2.0 guarda apenas as áreas coloridas, sem o SVG)
+ */
+export const SAVE_FORMAT_VERSION = '2.0';
+
+/**
+ * Verifica se um erro indica falta de espaço de armazenamento
+ * @param {Error|DOMException} error - Erro lançado pelo armazenamento
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  if (!error) {
+    return false;
+  }
+
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * Converte um salvamento para o formato atual, descartando o SVG completo
+ * As cores são reaplicadas sobre o desenho original a partir de coloredAreas
+ * @param {Object} record - Salvamento em qualquer versão
+ * @returns {Object} Salvamento sem svgContent
+ */
+export function toDiffRecord(record) {
+  const { svgContent, ...diff } = record;
+  return {
+    ...diff,
+    coloredAreas: { ...(record.coloredAreas || {}) },
+    version: SAVE_FORMAT_VERSION
+  };
+}
+
+/**
+ * Ordena salvamentos do mais recente para o mais antigo
+ * @private
+ */
+function sortNewestFirst(records) {
+  return [...records].sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Armazenamento no localStorage (alternativa quando não há IndexedDB)
+ */
+export class LocalStorageSavedDrawingStorage {
+  /**
+   * @param {string} [storageKey] - Chave do localStorage
+   */
+  constructor(storageKey = LOCAL_STORAGE_KEY) {
+    this.type = 'localstorage';
+    this.storageKey = storageKey;
+    this.maxRecords = 50; // O localStorage tem pouco espaço
+  }
+
+  /**
+   * Obtém todos os salvamentos
+   * @returns {Promise<Object[]>}
+   */
+  async getAll() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      const records = data ? JSON.parse(data) : [];
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      console.error('Erro ao ler localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Obtém um salvamento pelo ID
+   * @param {string} id - ID do salvamento
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const records = await this.getAll();
+    return records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Insere ou substitui um salvamento (fica no topo da lista)
+   * @param {Object} record - Salvamento
+   * @returns {Promise<void>}
+   * @throws {Error} Erro do navegador, inclusive QuotaExceededError
+   */
+  async put(record) {
+    const records = (await this.getAll()).filter(saved => saved.id !== record.id);
+    records.unshift(record);
+    localStorage.setItem(this.storageKey, JSON.stringify(records));
+  }
+
+  /**
+   * Remove um salvamento
+   * @param {string} id - ID do salvamento
+   * @returns {Promise<boolean>} True se o salvamento existia
+   */
+  async delete(id) {
+    const records = await this.getAll();
+    const remaining = records.filter(record => record.id !== id);
+
+    if (remaining.length === records.length) {
+      return false;
+    }
+
+    localStorage.setItem(this.storageKey, JSON.stringify(remaining));
+    return true;
+  }
+
+  /**
+   * Remove todos os salvamentos
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+
+  /**
+   * Estima o espaço usado
+   * @returns {Promise<{used: number, quota: number}>} Valores em bytes
+   */
+  async estimate() {
+    const data = localStorage.getItem(this.storageKey) || '';
+    return {
+      used: new Blob([data]).size,
+      quota: LOCAL_STORAGE_QUOTA
+    };
+  }
+}
+
+/**
+ * Armazenamento no IndexedDB
+ */
+export class IndexedDBSavedDrawingStorage {
+  /**
+   * @param {IndexedDBStore} [store] - Object store dos salvamentos
+   */
+  constructor(store = new IndexedDBStore('colorir-saved-drawings', 'saves')) {
+    this.type = 'indexeddb';
+    this.store = store;
+    this.maxRecords = 500;
+  }
+
+  /**
+   * Verifica se o IndexedDB pode ser usado
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.store.isAvailable();
+  }
+
+  /**
+   * Obtém todos os salvamentos
+   * @returns {Promise<Object[]>}
+   */
+  async getAll() {
+    return sortNewestFirst(await this.store.getAll());
+  }
+
+  /**
+   * Obtém um salvamento pelo ID
+   * @param {string} id - ID do salvamento
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return (await this.store.get(id)) || null;
+  }
+
+  /**
+   * Insere ou substitui um salvamento
+   * @param {Object} record - Salvamento
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    await this.store.put(record);
+  }
+
+  /**
+   * Remove um salvamento
+   * @param {string} id - ID do salvamento
+   * @returns {Promise<boolean>} True se o salvamento existia
+   */
+  async delete(id) {
+    if (!(await this.store.get(id))) {
+      return false;
+    }
+
+    await this.store.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove todos os salvamentos
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Estima o espaço usado
+   * Usa a Storage API quando disponível (cota real da origem)
+   * @returns {Promise<{used: number, quota: number|null}>} Valores em bytes
+   */
+  async estimate() {
+    if (typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.estimate === 'function') {
+      try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { used: usage || 0, quota: quota || null };
+      } catch (error) {
+        // Cair para a estimativa pelo tamanho dos registros
+      }
+    }
+
+    const records = await this.store.getAll();
+    return {
+      used: new Blob([JSON.stringify(records)]).size,
+      quota: null
+    };
+  }
+
+  /**
+   * Migra os salvamentos do localStorage (uma única vez)
+   * A chave antiga só é removida depois que todos os registros foram copiados
+   * @param {string} [storageKey] - Chave antiga do localStorage
+   * @returns {Promise<number>} Quantidade de salvamentos migrados
+   */
+  async migrateFromLocalStorage(storageKey = LOCAL_STORAGE_KEY) {
+    const legacy = new LocalStorageSavedDrawingStorage(storageKey);
+    if (localStorage.getItem(storageKey) === null) {
+      return 0;
+    }
+
+    const records = await legacy.getAll();
+    for (const record of records) {
+      if (record && record.id) {
+        await this.store.put(toDiffRecord(record));
+      }
+    }
+
+    await legacy.clear();
+    return records.length;
+  }
+}
+
+/**
+ * Cria o armazenamento adequado ao navegador
+ * @returns {IndexedDBSavedDrawingStorage|LocalStorageSavedDrawingStorage}
+ */
+export function createSavedDrawingStorage() {
+  const indexedDBStorage = new IndexedDBSavedDrawingStorage();
+  return indexedDBStorage.isAvailable()
+    ? indexedDBStorage
+    : new LocalStorageSavedDrawingStorage();
+}
@@ -0,0 +1,173 @@
+import { BrowserSVGAdapter } from '../utils/svg-adapter/BrowserSVGAdapter.js';
+import { IndexedDBStore } from '../utils/indexedDB.js';
+import { USER_CATEGORY_ID } from '../models/Category.js';
+import { AppError } from '../utils/errorHandling.js';
+
+/**
+ * Serviço de desenhos do usuário
+ * Importa arquivos SVG enviados pela galeria, adapta-os com o pipeline do svg-adapter
+ * e guarda o resultado no IndexedDB, na categoria "Meus Desenhos"
+ */
+
+/**
+ * Tamanho máximo do arquivo enviado (bytes)
+ */
+export const MAX_UPLOAD_SIZE = 2 * 1024 * 1024;
+
+class UserDrawingService {
+  /**
+   * @param {IndexedDBStore} [store] - Armazenamento dos desenhos (padrão: IndexedDB)
+   */
+  constructor(store = new IndexedDBStore('colorir-meus-desenhos', 'drawings')) {
+    this.store = store;
+    this.adapter = new BrowserSVGAdapter();
+  }
+
+  /**
+   * Verifica se é possível guardar desenhos neste navegador
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.store.isAvailable();
+  }
+
+  /**
+   * Importa um arquivo SVG como novo desenho
+   * SVGs sem áreas identificáveis são pintados por preenchimento livre
+   * @param {File} file - Arquivo enviado
+   * @param {Object} [options] - Opções
+   * @param {string} [options.name] - Nome do desenho (padrão: nome do arquivo)
+   * @returns {Promise<import('../models/Drawing.js').Drawing>} Desenho importado
+   * @throws {AppError} Se o arquivo for inválido ou não puder ser guardado
+   */
+  async importSVGFile(file, options = {}) {
+    if (!file) {
+      throw new AppError('Nenhum arquivo selecionado', 'UPLOAD_NO_FILE');
+    }
+
+    const isSVG = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || '');
+    if (!isSVG) {
+      throw new AppError('O arquivo precisa ser um desenho SVG', 'UPLOAD_INVALID_TYPE');
+    }
+
+    if (file.size > MAX_UPLOAD_SIZE) {
+      throw new AppError('O arquivo é grande demais (máximo 2 MB)', 'UPLOAD_TOO_LARGE');
+    }
+
+    if (!this.isAvailable()) {
+      throw new AppError('Este navegador não permite guardar desenhos', 'UPLOAD_STORAGE_UNAVAILABLE');
+    }
+
+    let adaptation;
+    try {
+      adaptation = this.adapter.adapt(await file.text());
+    } catch (error) {
+      throw new AppError('Não foi possível ler o desenho SVG', 'UPLOAD_INVALID_SVG', error);
+    }
+
+    const record = {
+      id: this.generateId(),
+      name: (options.name || this.getNameFromFile(file)).trim() || 'Meu desenho',
+      svgContent: adaptation.svgContent,
+      width: adaptation.width || 100,
+      height: adaptation.height || 100,
+      areaCount: adaptation.colorableCount,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await this.store.put(record);
+    } catch (error) {
+      throw new AppError('Não foi possível guardar o desenho', 'UPLOAD_STORAGE_ERROR', error);
+    }
+
+    return this.toDrawing(record);
+  }
+
+  /**
+   * Lista os desenhos importados, do mais antigo para o mais recente
+   * @returns {Promise<import('../models/Drawing.js').Drawing[]>}
+   */
+  async getDrawings() {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    const records = await this.store.getAll();
+    return records
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(record => this.toDrawing(record));
+  }
+
+  /**
+   * Remove um desenho importado
+   * @param {string} drawingId - ID do desenho
+   * @returns {Promise<void>}
+   */
+  async deleteDrawing(drawingId) {
+    await this.store.delete(drawingId);
+  }
+
+  /**
+   * Verifica se um desenho foi importado pelo usuário
+   * @param {import('../models/Drawing.js').Drawing} drawing - Desenho
+   * @returns {boolean}
+   */
+  isUserDrawing(drawing) {
+    return Boolean(drawing) && drawing.category === USER_CATEGORY_ID;
+  }
+
+  // Métodos privados
+
+  /**
+   * Converte o registro guardado em um Drawing do catálogo
+   * O SVG é servido como data URL, então funciona também sem rede
+   * @private
+   */
+  toDrawing(record) {
+    const svgUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(record.svgContent)}`;
+    const drawing = {
+      id: record.id,
+      name: record.name,
+      category: USER_CATEGORY_ID,
+      thumbnailUrl: svgUrl,
+      svgUrl,
+      metadata: {
+        width: record.width,
+        height: record.height,
+        areaCount: record.areaCount
+      }
+    };
+
+    if (record.areaCount === 0) {
+      drawing.coloringMode = 'floodfill';
+    }
+
+    return drawing;
+  }
+
+  /**
+   * Gera um ID único para o desenho
+   * @private
+   */
+  generateId() {
+    return `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Obtém o nome do desenho a partir do nome do arquivo
+   * @private
+   */
+  getNameFromFile(file) {
+    return (file.name || '')
+      .replace(/\.svg$/i, '')
+      .replace(/[-_]+/g, ' ')
+      .trim();
+  }
+}
+
+// Instância singleton
+const userDrawingService = new UserDrawingService();
+
+export default userDrawingService;
+export { UserDrawingService };
@@ -0,0 +1,184 @@
+/**
+ * Testes para ActivityService
+ */
+
+import { jest } from '@jest/globals';
+import { ActivityService, MAX_SESSIONS_PER_PROFILE } from '../ActivityService.js';
+import { ProfileService } from '../ProfileService.js';
+
+const DRAWING = { id: 'gato', name: 'Gato; o "bichano"' };
+
+function createLogs() {
+  return [
+    { timestamp: 1000, expectedAreaId: 'area-1', success: true, appliedColor: '#FF0000', misclick: false },
+    { timestamp: 2000, expectedAreaId: null, success: false, appliedColor: null, misclick: true },
+    { timestamp: 4000, expectedAreaId: 'area-2', success: true, appliedColor: '#FF0000', misclick: false },
+    { timestamp: 6000, expectedAreaId: 'area-3', success: true, appliedColor: '#00FF00', misclick: false }
+  ];
+}
+
+describe('ActivityService', () => {
+  let profiles;
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    service = new ActivityService(profiles);
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('createRecord()', () => {
+    test('deve calcular tempo, áreas, toques fora e cores usadas', () => {
+      const record = service.createRecord({
+        drawing: DRAWING,
+        startedAt: new Date('2024-03-04T10:00:00Z'),
+        endedAt: new Date('2024-03-04T10:05:00Z'),
+        clickLogs: createLogs(),
+        coloredAreas: new Map([['area-1', '#FF0000'], ['area-2', '#FF0000'], ['area-3', '#00FF00']]),
+        totalAreas: 4
+      });
+
+      expect(record).toMatchObject({
+        drawingId: 'gato',
+        coloringMode: 'areas',
+        durationMs: 5 * 60 * 1000,
+        activeDurationMs: 5000,
+        totalAreas: 4,
+        areasColored: 3,
+        completion: 0.75,
+        clicks: 4,
+        successfulClicks: 3,
+        misclicks: 1,
+        colorsUsed: { '#FF0000': 2, '#00FF00': 1 }
+      });
+    });
+
+    test('não deve calcular conclusão sem total de áreas (preenchimento livre)', () => {
+      const record = service.createRecord({
+        drawing: { ...DRAWING, coloringMode: 'floodfill' },
+        startedAt: Date.now(),
+        clickLogs: createLogs(),
+        coloredAreas: { 'region-0': '#FF0000' }
+      });
+
+      expect(record.coloringMode).toBe('floodfill');
+      expect(record.totalAreas).toBeNull();
+      expect(record.completion).toBeNull();
+      expect(record.areasColored).toBe(1);
+    });
+
+    test('deve registrar quando o desenho foi concluído', () => {
+      const base = { drawing: DRAWING, startedAt: Date.now(), clickLogs: createLogs(), totalAreas: 4 };
+
+      expect(service.createRecord(base).completedAt).toBeNull();
+      expect(service.createRecord({ ...base, completedAt: new Date('2024-03-04T10:04:00Z') }).completedAt)
+        .toBe('2024-03-04T10:04:00.000Z');
+    });
+  });
+
+  describe('recordSession()', () => {
+    test('não deve guardar sessões sem toques', () => {
+      expect(service.recordSession({ drawing: DRAWING, startedAt: Date.now(), clickLogs: [] })).toBeNull();
+      expect(service.getSessions()).toHaveLength(0);
+    });
+
+    test('deve separar as sessões por perfil', () => {
+      const ana = profiles.createProfile({ name: 'Ana' });
+      const beto = profiles.createProfile({ name: 'Beto' });
+
+      profiles.setActiveProfile(ana.id);
+      service.recordSession({ drawing: DRAWING, startedAt: Date.now(), clickLogs: createLogs() });
+      profiles.setActiveProfile(beto.id);
+      service.recordSession({ drawing: DRAWING, startedAt: Date.now(), clickLogs: createLogs() });
+      service.recordSession({ drawing: DRAWING, startedAt: Date.now(), clickLogs: createLogs() });
+
+      expect(service.getSessions(ana.id)).toHaveLength(1);
+      expect(service.getSessions()).toHaveLength(2);
+      expect(service.getSessions()[0].profileId).toBe(beto.id);
+
+      service.clearSessions();
+      expect(service.getSessions()).toHaveLength(0);
+      expect(service.getSessions(ana.id)).toHaveLength(1);
+    });
+
+    test('deve descartar as sessões mais antigas acima do limite', () => {
+      const old = Array.from({ length: MAX_SESSIONS_PER_PROFILE }, (_, index) => ({ id: `old_${index}` }));
+      localStorage.setItem('colorir-activity', JSON.stringify(old));
+
+      service.recordSession({ drawing: DRAWING, startedAt: Date.now(), clickLogs: createLogs() });
+      const sessions = service.getSessions();
+
+      expect(sessions).toHaveLength(MAX_SESSIONS_PER_PROFILE);
+      expect(sessions[0].id).toBe('old_1');
+      expect(sessions[sessions.length - 1].drawingId).toBe('gato');
+    });
+  });
+
+  describe('getWeeklySummary()', () => {
+    test('deve agrupar por semana começando na segunda-feira', () => {
+      const sessions = [
+        // Domingo 03/03 pertence à semana de 26/02
+        { startedAt: new Date(2024, 2, 3, 10).toISOString(), durationMs: 60000, areasColored: 2, completion: 0.5, clicks: 4, misclicks: 2 },
+        { startedAt: new Date(2024, 2, 4, 10).toISOString(), durationMs: 60000, areasColored: 3, completion: 1, completedAt: new Date(2024, 2, 4, 10, 1).toISOString(), clicks: 5, misclicks: 0 },
+        { startedAt: new Date(2024, 2, 8, 10).toISOString(), durationMs: 30000, areasColored: 1, completion: null, clicks: 5, misclicks: 1 }
+      ];
+
+      const weeks = service.getWeeklySummary(sessions);
+
+      expect(weeks).toEqual([
+        { weekStart: '2024-02-26', sessions: 1, totalDurationMs: 60000, areasColored: 2, averageCompletion: 0.5, drawingsCompleted: 0, misclickRate: 0.5 },
+        { weekStart: '2024-03-04', sessions: 2, totalDurationMs: 90000, areasColored: 4, averageCompletion: 1, drawingsCompleted: 1, misclickRate: 0.1 }
+      ]);
+    });
+  });
+
+  describe('exportação', () => {
+    test('deve gerar CSV com cabeçalho e valores escapados', () => {
+      const record = service.createRecord({
+        drawing: DRAWING,
+        startedAt: '2024-03-04T10:00:00.000Z',
+        endedAt: '2024-03-04T10:01:00.000Z',
+        clickLogs: createLogs(),
+        coloredAreas: { 'area-1': '#FF0000' },
+        totalAreas: 2
+      });
+
+      const [header, row] = service.toCSV([record]).split('\r\n');
+
+      expect(header.split(';')[0]).toBe('inicio');
+      expect(header.split(';')).toContain('toques_fora');
+      expect(row).toContain('"Gato; o ""bichano"""');
+      expect(row).toContain(';60;5;1;2;50;4;3;1;');
+      expect(row.endsWith('#FF0000 (2) #00FF00 (1)')).toBe(true);
+    });
+
+    test('deve exportar CSV com o nome do perfil no arquivo', () => {
+      URL.createObjectURL = jest.fn(() => 'blob:relatorio');
+      const ana = profiles.createProfile({ name: 'Ana Clara' });
+      profiles.setActiveProfile(ana.id);
+      service.recordSession({ drawing: DRAWING, startedAt: Date.now(), clickLogs: createLogs() });
+
+      const result = service.exportReport('csv');
+
+      expect(result.success).toBe(true);
+      expect(result.url).toBe('blob:relatorio');
+      expect(result.filename).toMatch(/^relatorio-Ana_Clara-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(result.blob.type).toContain('text/csv');
+      delete URL.createObjectURL;
+    });
+
+    test('deve retornar erro para formato desconhecido', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = service.exportReport('xml');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Erro ao exportar relatório');
+      console.error.mockRestore();
+    });
+  });
+});
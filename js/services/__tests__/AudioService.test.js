@@ -0,0 +1,293 @@
+/**
+ * Testes para AudioService
+ */
+
+import { jest } from '@jest/globals';
+import { AudioService, AUDIO_CLIPS, DEFAULT_AUDIO_SETTINGS, MIN_REPEAT_INTERVAL } from '../AudioService.js';
+import { ProfileService } from '../ProfileService.js';
+import { ColorPalette } from '../../components/ColorPalette.js';
+import { SVGCanvas } from '../../components/SVGCanvas.js';
+import { ColoringScreen } from '../../components/ColoringScreen.js';
+
+/**
+ * AudioContext falso que registra os clipes tocados
+ */
+function createFakeAudioContext() {
+  const played = [];
+
+  class FakeAudioContext {
+    constructor() {
+      this.state = 'suspended';
+      this.destination = {};
+      this.resume = jest.fn(async () => {
+        this.state = 'running';
+      });
+    }
+
+    decodeAudioData(data) {
+      return Promise.resolve({ decoded: data.url });
+    }
+
+    createGain() {
+      return { gain: { value: 1 }, connect: jest.fn() };
+    }
+
+    createBufferSource() {
+      const source = {
+        buffer: null,
+        gain: null,
+        connect: (node) => {
+          source.gain = node.gain;
+        },
+        start: () => played.push({ url: source.buffer.decoded, volume: source.gain.value })
+      };
+      return source;
+    }
+  }
+
+  return { FakeAudioContext, played };
+}
+
+function createFakeSpeech() {
+  return { spoken: [], speak: jest.fn(function (utterance) { this.spoken.push(utterance); }), cancel: jest.fn() };
+}
+
+describe('AudioService', () => {
+  let profiles;
+  let fake;
+  let speech;
+  let service;
+  let originalFetch;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+
+    fake = createFakeAudioContext();
+    speech = createFakeSpeech();
+    service = new AudioService({ profileService: profiles, AudioContext: fake.FakeAudioContext, speechSynthesis: speech });
+
+    global.SpeechSynthesisUtterance = class {
+      constructor(text) {
+        this.text = text;
+      }
+    };
+
+    originalFetch = global.fetch;
+    global.fetch = jest.fn(async (url) => ({ ok: true, arrayBuffer: async () => ({ url }) }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete global.SpeechSynthesisUtterance;
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('configuração por perfil', () => {
+    test('deve usar o padrão quando o perfil não configurou o som', () => {
+      expect(service.getSettings()).toEqual(DEFAULT_AUDIO_SETTINGS);
+    });
+
+    test('volume e mudo devem ficar guardados no perfil ativo', () => {
+      const other = profiles.createProfile({ name: 'Bruno' });
+
+      service.setSettings({ volume: 0.3 });
+      expect(service.toggleMuted()).toBe(true);
+      expect(service.getSettings()).toEqual({ volume: 0.3, muted: true });
+
+      profiles.setActiveProfile(other.id);
+      expect(service.getSettings()).toEqual(DEFAULT_AUDIO_SETTINGS);
+    });
+
+    test('volume fora do intervalo deve ser limitado', () => {
+      service.setSettings({ volume: 4 });
+      expect(service.getSettings().volume).toBe(1);
+    });
+
+    test('silenciar deve interromper a fala em andamento', () => {
+      service.setSettings({ muted: true });
+      expect(speech.cancel).toHaveBeenCalled();
+    });
+  });
+
+  describe('play()', () => {
+    test('deve tocar o clipe no volume do perfil, retomando o contexto suspenso', async () => {
+      service.setSettings({ volume: 0.5 });
+
+      await expect(service.play('success')).resolves.toBe(true);
+
+      expect(fake.played).toEqual([{ url: AUDIO_CLIPS.success, volume: 0.5 }]);
+      expect(service.context.resume).toHaveBeenCalled();
+    });
+
+    test('deve carregar cada clipe uma única vez', async () => {
+      jest.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValueOnce(MIN_REPEAT_INTERVAL * 2);
+
+      await service.play('miss');
+      await service.play('miss');
+
+      expect(fake.played).toHaveLength(2);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('deve ignorar o mesmo som repetido no mesmo toque', async () => {
+      await service.play('miss');
+      await expect(service.play('miss')).resolves.toBe(false);
+
+      expect(fake.played).toHaveLength(1);
+    });
+
+    test('não deve tocar com o som mudo ou volume zero', async () => {
+      service.setSettings({ muted: true });
+      await expect(service.play('success')).resolves.toBe(false);
+
+      service.setSettings({ muted: false, volume: 0 });
+      await expect(service.play('success')).resolves.toBe(false);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('sem Web Audio não deve tocar nem falhar', async () => {
+      const silent = new AudioService({ profileService: profiles, AudioContext: null, speechSynthesis: null });
+      await expect(silent.play('success')).resolves.toBe(false);
+    });
+
+    test('clipe indisponível deve ser registrado sem interromper a pintura', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch = jest.fn(async () => ({ ok: false }));
+
+      await expect(service.play('success')).resolves.toBe(false);
+      expect(fake.played).toHaveLength(0);
+    });
+  });
+
+  describe('announceColor()', () => {
+    test('deve falar o nome da cor em português', async () => {
+      await expect(service.announceColor('#FF0000')).resolves.toBe(true);
+
+      expect(speech.spoken).toHaveLength(1);
+      expect(speech.spoken[0].text).toBe('Vermelho');
+      expect(speech.spoken[0].lang).toBe('pt-BR');
+      expect(fake.played).toHaveLength(0);
+    });
+
+    test('sem voz deve tocar o clipe de seleção', async () => {
+      const noSpeech = new AudioService({ profileService: profiles, AudioContext: fake.FakeAudioContext, speechSynthesis: null });
+
+      await noSpeech.announceColor('#FF0000');
+
+      expect(fake.played).toEqual([{ url: AUDIO_CLIPS.select, volume: DEFAULT_AUDIO_SETTINGS.volume }]);
+    });
+  });
+});
+
+describe('Retorno sonoro nos componentes', () => {
+  let container;
+  let audio;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    audio = {
+      play: jest.fn(async () => true),
+      announceColor: jest.fn(async () => true)
+    };
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('ColorPalette.selectColor() deve falar a cor escolhida', () => {
+    const palette = new ColorPalette(container, { audioService: audio });
+
+    palette.selectColor('#0000FF');
+
+    expect(audio.announceColor).toHaveBeenCalledWith('#0000FF');
+  });
+
+  test('SVGCanvas deve tocar o som de acerto e o de erro', () => {
+    const canvas = new SVGCanvas(container, { selectedColor: '#FF0000', audioService: audio });
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.innerHTML = '<rect id="area-1" fill="none" />';
+    canvas.svgElement = svg;
+    canvas.colorableAreas = [{ id: 'area-1', element: svg.querySelector('#area-1') }];
+
+    canvas.applyColorToArea('area-1', '#FF0000');
+    expect(audio.play).toHaveBeenCalledWith('success');
+
+    canvas.logError('Clique em elemento decorativo', { misclick: true });
+    expect(audio.play).toHaveBeenLastCalledWith('miss');
+
+    canvas.destroy();
+  });
+});
+
+describe('ColoringScreen - Controles de som', () => {
+  let container;
+  let screen;
+  let profiles;
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+
+    profiles = new ProfileService();
+    profiles.setActiveProfile(profiles.createProfile({ name: 'Ana' }).id);
+    service = new AudioService({ profileService: profiles, AudioContext: null, speechSynthesis: null });
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+
+    screen = new ColoringScreen(container, {
+      drawing: { id: 'gato', name: 'Gato', svgUrl: '/test.svg' },
+      profileService: profiles,
+      audioService: service,
+      onBack: () => {}
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
+
+  afterEach(() => {
+    screen.destroy();
+    document.body.removeChild(container);
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('o botão de som deve silenciar e desativar o volume', () => {
+    const button = container.querySelector('.sound-button');
+    const slider = container.querySelector('.sound-volume input');
+
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(slider.value).toBe('80');
+    expect(button.style.minHeight).toBe('44px');
+
+    button.click();
+
+    expect(service.getSettings().muted).toBe(true);
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+    expect(button.querySelector('.sound-text').textContent).toBe('Sem som');
+    expect(slider.disabled).toBe(true);
+  });
+
+  test('o volume deve ser guardado no perfil', () => {
+    const slider = container.querySelector('.sound-volume input');
+
+    slider.value = '30';
+    slider.dispatchEvent(new Event('input'));
+
+    expect(profiles.getPreference('audio')).toEqual({ volume: 0.3, muted: false });
+    expect(slider.getAttribute('aria-valuetext')).toBe('30%');
+  });
+});
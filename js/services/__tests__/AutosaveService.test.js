@@ -0,0 +1,139 @@
+/**
+ * Testes para AutosaveService
+ */
+
+import { jest } from '@jest/globals';
+import { AutosaveService } from '../AutosaveService.js';
+import { ApplicationState } from '../../state/ApplicationState.js';
+
+describe('AutosaveService', () => {
+  let service;
+
+  beforeEach(() => {
+    // Limpar localStorage antes de cada teste
+    localStorage.clear();
+
+    service = new AutosaveService();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('saveProgress', () => {
+    test('deve salvar progresso a partir de um Map', () => {
+      const areas = new Map([['area-1', '#FF0000'], ['area-2', '#00FF00']]);
+
+      expect(service.saveProgress('gato', areas)).toBe(true);
+
+      const progress = service.getProgress('gato');
+      expect(progress.coloredAreas).toEqual({ 'area-1': '#FF0000', 'area-2': '#00FF00' });
+      expect(progress.updatedAt).toBeDefined();
+    });
+
+    test('deve manter progresso separado por desenho', () => {
+      service.saveProgress('gato', { 'area-1': '#FF0000' });
+      service.saveProgress('peixe', { 'area-3': '#0000FF' });
+
+      expect(service.getProgress('gato').coloredAreas).toEqual({ 'area-1': '#FF0000' });
+      expect(service.getProgress('peixe').coloredAreas).toEqual({ 'area-3': '#0000FF' });
+      expect(service.getDrawingIdsWithProgress().sort()).toEqual(['gato', 'peixe']);
+    });
+
+    test('progresso vazio deve remover o registro do desenho', () => {
+      service.saveProgress('gato', { 'area-1': '#FF0000' });
+      service.saveProgress('gato', new Map());
+
+      expect(service.hasProgress('gato')).toBe(false);
+      expect(service.getProgress('gato')).toBeNull();
+    });
+
+    test('deve ignorar desenho sem ID', () => {
+      expect(service.saveProgress('', { 'area-1': '#FF0000' })).toBe(false);
+    });
+
+    test('deve retornar false quando o armazenamento falha', () => {
+      const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(service.saveProgress('gato', { 'area-1': '#FF0000' })).toBe(false);
+
+      setItem.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('getProgress', () => {
+    test('deve retornar null para dados corrompidos', () => {
+      localStorage.setItem(service.storageKey, '{corrompido');
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(service.getProgress('gato')).toBeNull();
+
+      consoleError.mockRestore();
+    });
+
+    test('deve retornar cópia que não altera o armazenamento', () => {
+      service.saveProgress('gato', { 'area-1': '#FF0000' });
+
+      service.getProgress('gato').coloredAreas['area-1'] = '#000000';
+
+      expect(service.getProgress('gato').coloredAreas['area-1']).toBe('#FF0000');
+    });
+  });
+
+  describe('clearProgress', () => {
+    test('deve remover apenas o desenho informado', () => {
+      service.saveProgress('gato', { 'area-1': '#FF0000' });
+      service.saveProgress('peixe', { 'area-3': '#0000FF' });
+
+      service.clearProgress('gato');
+
+      expect(service.hasProgress('gato')).toBe(false);
+      expect(service.hasProgress('peixe')).toBe(true);
+    });
+  });
+
+  describe('integração com ApplicationState', () => {
+    let appState;
+    const drawing = { id: 'gato', name: 'Gato' };
+
+    beforeEach(() => {
+      appState = new ApplicationState({
+        galleryContainer: document.createElement('div'),
+        coloringContainer: document.createElement('div'),
+        autosaveService: service
+      });
+    });
+
+    test('deve salvar automaticamente a cada área colorida', () => {
+      appState.transitionToColoring(drawing);
+      appState.setAreaColor('area-1', '#FF0000');
+
+      expect(service.getProgress('gato').coloredAreas).toEqual({ 'area-1': '#FF0000' });
+    });
+
+    test('deve restaurar o progresso ao voltar para o desenho', () => {
+      appState.transitionToColoring(drawing);
+      appState.setColoredAreas(new Map([['area-1', '#FF0000'], ['area-2', '#00FF00']]));
+      appState.transitionToGallery();
+
+      appState.transitionToColoring({ id: 'peixe', name: 'Peixe' });
+      expect(appState.getColoredAreas().size).toBe(0);
+
+      appState.transitionToColoring(drawing);
+      expect(appState.getAreaColor('area-2')).toBe('#00FF00');
+      expect(appState.getColoredAreas().size).toBe(2);
+    });
+
+    test('limpar o desenho deve descartar o progresso salvo', () => {
+      appState.transitionToColoring(drawing);
+      appState.setAreaColor('area-1', '#FF0000');
+      appState.clearAllColors();
+
+      expect(service.hasProgress('gato')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Testes para ImageExportService
+ */
+
+import { jest } from '@jest/globals';
+import { ImageExportService, EXPORT_RESOLUTIONS } from '../ImageExportService.js';
+
+const coloredSVG = `
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">
+    <rect id="area-1" fill="#FF0000" tabindex="0" role="button" aria-label="Área colorível area-1"
+          class="highlighted" style="cursor: crosshair; opacity: 0.7; stroke-width: 2px;" />
+    <circle id="area-2" fill="none" class="contorno" />
+    <path id="area-3" fill="#00FF00" class="sombra assist-target guided-target" style="opacity: 0.4" />
+    <script>alert('x')</script>
+  </svg>
+`;
+
+function parse(svgString) {
+  return new DOMParser().parseFromString(svgString, 'image/svg+xml').documentElement;
+}
+
+describe('ImageExportService', () => {
+  let service;
+  let originalCreateObjectURL;
+
+  beforeEach(() => {
+    service = new ImageExportService();
+    originalCreateObjectURL = URL.createObjectURL;
+    URL.createObjectURL = jest.fn(() => 'blob:desenho');
+  });
+
+  afterEach(() => {
+    URL.createObjectURL = originalCreateObjectURL;
+  });
+
+  describe('createStandaloneSVG', () => {
+    test('deve manter as cores aplicadas e remover marcações de interação', () => {
+      const svg = parse(service.createStandaloneSVG(coloredSVG));
+      const area = svg.querySelector('#area-1');
+
+      expect(area.getAttribute('fill')).toBe('#FF0000');
+      expect(area.hasAttribute('tabindex')).toBe(false);
+      expect(area.hasAttribute('role')).toBe(false);
+      expect(area.hasAttribute('aria-label')).toBe(false);
+      expect(area.hasAttribute('class')).toBe(false);
+      expect(area.getAttribute('style')).not.toMatch(/cursor|opacity/);
+      expect(area.getAttribute('style')).toContain('stroke-width');
+      expect(svg.querySelector('script')).toBeNull();
+    });
+
+    test('deve preservar classes próprias do desenho', () => {
+      const svg = parse(service.createStandaloneSVG(coloredSVG));
+
+      expect(svg.querySelector('#area-2').getAttribute('class')).toBe('contorno');
+      expect(svg.querySelector('#area-3').getAttribute('class')).toBe('sombra');
+    });
+
+    test('deve preservar a opacidade da arte fora do destaque', () => {
+      const svg = parse(service.createStandaloneSVG(coloredSVG));
+
+      expect(svg.querySelector('#area-3').getAttribute('style')).toBe('opacity: 0.4');
+    });
+
+    test('deve definir dimensões explícitas e título', () => {
+      const svg = parse(service.createStandaloneSVG(coloredSVG, { title: 'Gato' }));
+
+      expect(svg.getAttribute('width')).toBe('200');
+      expect(svg.getAttribute('height')).toBe('100');
+      expect(svg.querySelector('title').textContent).toBe('Gato');
+    });
+
+    test('deve lançar erro para conteúdo inválido', () => {
+      expect(() => service.createStandaloneSVG('')).toThrow('Erro ao processar SVG');
+      expect(() => service.createStandaloneSVG('<div></div>')).toThrow('Erro ao processar SVG');
+    });
+  });
+
+  describe('exportSVG', () => {
+    test('deve gerar arquivo SVG com nome seguro', () => {
+      const result = service.exportSVG(coloredSVG, { name: 'Gato Feliz' });
+
+      expect(result.success).toBe(true);
+      expect(result.blob.type).toBe('image/svg+xml');
+      expect(result.filename).toBe('Gato_Feliz.svg');
+      expect(result.url).toBe('blob:desenho');
+    });
+
+    test('deve retornar erro para SVG inválido', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = service.exportSVG('', { name: 'Gato' });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Erro');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('computeRasterLayout', () => {
+    test('resolução de tela deve limitar o maior lado mantendo a proporção', () => {
+      const layout = service.computeRasterLayout({ width: 200, height: 100 }, EXPORT_RESOLUTIONS.screen);
+
+      expect(layout.canvasWidth).toBe(1024);
+      expect(layout.canvasHeight).toBe(512);
+      expect(layout.drawX).toBe(0);
+    });
+
+    test('A4 deve usar folha retrato centralizando o desenho dentro da margem', () => {
+      const a4 = EXPORT_RESOLUTIONS.a4;
+      const layout = service.computeRasterLayout({ width: 100, height: 100 }, a4);
+
+      expect(layout.canvasWidth).toBe(2480);
+      expect(layout.canvasHeight).toBe(3508);
+      expect(layout.drawWidth).toBe(2480 - a4.margin * 2);
+      expect(layout.drawX).toBe(a4.margin);
+      expect(layout.drawY).toBe((3508 - layout.drawHeight) / 2);
+    });
+
+    test('A4 deve girar para paisagem quando o desenho é largo', () => {
+      const layout = service.computeRasterLayout({ width: 300, height: 100 }, EXPORT_RESOLUTIONS.a4);
+
+      expect(layout.canvasWidth).toBe(3508);
+      expect(layout.canvasHeight).toBe(2480);
+    });
+  });
+
+  describe('exportPNG', () => {
+    let drawImage;
+    let getContext;
+    let toBlob;
+
+    beforeEach(() => {
+      drawImage = jest.fn();
+      getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext')
+        .mockReturnValue({ fillRect: jest.fn(), drawImage });
+      toBlob = jest.spyOn(HTMLCanvasElement.prototype, 'toBlob')
+        .mockImplementation((callback) => callback(new Blob(['png'], { type: 'image/png' })));
+      service.loadImage = jest.fn(async () => ({}));
+    });
+
+    afterEach(() => {
+      getContext.mockRestore();
+      toBlob.mockRestore();
+    });
+
+    test('deve rasterizar em A4 a 300 dpi', async () => {
+      const result = await service.exportPNG(coloredSVG, { name: 'Gato', resolution: 'a4' });
+
+      expect(result.success).toBe(true);
+      expect(result.filename).toBe('Gato_a4.png');
+      expect(result.blob.type).toBe('image/png');
+
+      const [, x, y, width] = drawImage.mock.calls[0];
+      expect(x).toBe(EXPORT_RESOLUTIONS.a4.margin);
+      expect(y).toBeGreaterThan(0);
+      expect(width).toBe(3508 - EXPORT_RESOLUTIONS.a4.margin * 2);
+    });
+
+    test('deve retornar erro para resolução desconhecida', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await service.exportPNG(coloredSVG, { resolution: 'cartaz' });
+
+      expect(result.success).toBe(false);
+      consoleError.mockRestore();
+    });
+  });
+});
@@ -264,4 +264,41 @@ describe('LoaderService', () => {
       expect(global.fetch).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe('loadDrawingsGroupedByCategory', () => {
+    const catalogDrawing = {
+      id: 'gato',
+      name: 'Gato',
+      category: 'animais',
+      thumbnailUrl: '/assets/thumbnails/animais/gato.png',
+      svgUrl: '/assets/drawings/animais/gato.svg',
+      metadata: { width: 800, height: 600, areaCount: 10 }
+    };
+
+    beforeEach(() => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ categories: [{ id: 'animais', drawings: [catalogDrawing] }] })
+      });
+    });
+
+    test('deve incluir os desenhos do usuário em Meus Desenhos', async () => {
+      const userDrawing = { ...catalogDrawing, id: 'user-1', name: 'Meu gato', category: 'meus-desenhos' };
+      loaderService.userDrawingService = { getDrawings: jest.fn(async () => [userDrawing]) };
+
+      const categories = await loaderService.loadDrawingsGroupedByCategory();
+
+      expect(categories.map(category => category.name)).toEqual(['Animais', 'Meus Desenhos']);
+      expect(categories[1].drawings).toEqual([userDrawing]);
+    });
+
+    test('deve manter o catálogo quando os desenhos do usuário falham', async () => {
+      loaderService.userDrawingService = { getDrawings: jest.fn(async () => { throw new Error('bloqueado'); }) };
+
+      const categories = await loaderService.loadDrawingsGroupedByCategory();
+
+      expect(categories).toHaveLength(1);
+      expect(categories[0].id).toBe('animais');
+    });
+  });
 });
@@ -0,0 +1,160 @@
+/**
+ * Testes para o serviço de uso sem internet
+ */
+
+import { jest } from '@jest/globals';
+import { OfflineService } from '../OfflineService.js';
+
+const CATEGORY = {
+  id: 'animais',
+  name: 'Animais',
+  drawings: [
+    { id: 'gato', svgUrl: '/assets/drawings/animais/gato.svg', thumbnailUrl: '/assets/thumbnails/animais/gato.svg' },
+    { id: 'peixe', svgUrl: '/assets/drawings/animais/peixe.svg', thumbnailUrl: '/assets/thumbnails/animais/peixe.svg' },
+    { id: 'meu', svgUrl: 'data:image/svg+xml,%3Csvg%2F%3E', thumbnailUrl: 'data:image/svg+xml,%3Csvg%2F%3E' }
+  ]
+};
+
+/**
+ * MessageChannel mínimo (jsdom não tem): o que chega em port2 sai em port1.onmessage
+ */
+class FakeMessageChannel {
+  constructor() {
+    this.port1 = { onmessage: null, close: () => {} };
+    this.port2 = { postMessage: (data) => this.port1.onmessage({ data }) };
+  }
+}
+
+describe('OfflineService', () => {
+  let cached;
+  let worker;
+  let fakeNavigator;
+  let fakeWindow;
+  let fakeCaches;
+
+  function createService(options = {}) {
+    return new OfflineService({
+      navigator: fakeNavigator,
+      window: fakeWindow,
+      caches: fakeCaches,
+      MessageChannel: FakeMessageChannel,
+      ...options
+    });
+  }
+
+  beforeEach(() => {
+    cached = new Set(['/assets/thumbnails/animais/gato.svg']);
+
+    // O service worker "guarda" as URLs recebidas e responde pela porta
+    worker = {
+      postMessage: jest.fn((message, [port]) => {
+        message.urls.forEach(url => cached.add(url));
+        port.postMessage({ cached: message.urls });
+      })
+    };
+
+    fakeNavigator = {
+      onLine: true,
+      serviceWorker: {
+        register: jest.fn(async () => ({ scope: '/' })),
+        ready: Promise.resolve({ active: worker })
+      }
+    };
+
+    fakeWindow = new EventTarget();
+    fakeWindow.location = { origin: 'http://localhost', href: 'http://localhost/' };
+    fakeWindow.performance = {
+      getEntriesByType: () => [
+        { name: 'http://localhost/js/main.js' },
+        { name: 'https://fonts.example.com/fonte.woff2' }
+      ]
+    };
+
+    fakeCaches = { match: jest.fn(async url => (cached.has(url) ? {} : undefined)) };
+  });
+
+  test('sem service worker não deve registrar nada', async () => {
+    const service = createService({ navigator: { onLine: true } });
+
+    expect(service.isSupported()).toBe(false);
+    expect(await service.register()).toBeNull();
+    expect(service.isAvailable()).toBe(false);
+    expect(await service.precache(['/js/main.js'])).toEqual([]);
+  });
+
+  test('deve registrar o service worker e guardar o que a página já carregou', async () => {
+    const service = createService();
+
+    await service.register();
+
+    expect(fakeNavigator.serviceWorker.register).toHaveBeenCalledWith('/sw.js');
+    expect(service.isAvailable()).toBe(true);
+    expect(worker.postMessage).toHaveBeenCalledWith(
+      { type: 'precache', urls: ['http://localhost/', 'http://localhost/js/main.js'] },
+      [expect.anything()]
+    );
+  });
+
+  test('falha no registro deve ir para o log e deixar o serviço indisponível', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fakeNavigator.serviceWorker.register = jest.fn(async () => {
+      throw new Error('Sem HTTPS');
+    });
+    const service = createService();
+
+    expect(await service.register()).toBeNull();
+    expect(service.isAvailable()).toBe(false);
+    jest.restoreAllMocks();
+  });
+
+  test('a situação da categoria deve contar só desenhos com SVG e miniatura guardados', async () => {
+    const service = createService();
+    cached.add('/assets/drawings/animais/gato.svg');
+    cached.add('/assets/drawings/animais/peixe.svg');
+
+    // "Meus Desenhos" já ficam no navegador e não entram na conta
+    expect(service.getDownloadableDrawings(CATEGORY).map(drawing => drawing.id)).toEqual(['gato', 'peixe']);
+    expect(await service.getCategoryStatus(CATEGORY)).toEqual({ cached: 1, total: 2 });
+  });
+
+  test('baixar a categoria deve pedir cada desenho ao service worker e avisar o progresso', async () => {
+    const service = createService();
+    await service.register();
+    worker.postMessage.mockClear();
+    const onProgress = jest.fn();
+
+    const status = await service.downloadCategory(CATEGORY, onProgress);
+
+    expect(worker.postMessage).toHaveBeenCalledTimes(2);
+    expect(worker.postMessage.mock.calls[0][0].urls).toEqual([
+      '/assets/drawings/animais/gato.svg',
+      '/assets/thumbnails/animais/gato.svg'
+    ]);
+    expect(onProgress).toHaveBeenNthCalledWith(1, { done: 1, total: 2 });
+    expect(onProgress).toHaveBeenNthCalledWith(2, { done: 2, total: 2 });
+    expect(status).toEqual({ cached: 2, total: 2 });
+  });
+
+  test('deve acompanhar a conexão pelos eventos online/offline', () => {
+    const service = createService();
+    const listener = jest.fn();
+    const unsubscribe = service.subscribe(listener);
+
+    expect(service.isOnline()).toBe(true);
+
+    fakeWindow.dispatchEvent(new Event('offline'));
+    fakeWindow.dispatchEvent(new Event('offline'));
+    expect(service.isOnline()).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(false);
+
+    unsubscribe();
+    fakeWindow.dispatchEvent(new Event('online'));
+    expect(service.isOnline()).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('deve começar offline quando o navegador já está sem internet', () => {
+    expect(createService({ navigator: { ...fakeNavigator, onLine: false } }).isOnline()).toBe(false);
+  });
+});
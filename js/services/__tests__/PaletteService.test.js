@@ -0,0 +1,157 @@
+/**
+ * Testes para PaletteService e o modelo de paletas
+ */
+
+import { PaletteService, MAX_RECENT_COLORS, MAX_CUSTOM_PALETTES } from '../PaletteService.js';
+import { ProfileService } from '../ProfileService.js';
+import { PALETTE_PRESETS, MAX_CUSTOM_COLORS, normalizeColor, isValidPalette } from '../../models/Palette.js';
+
+describe('Palette (modelo)', () => {
+  test('as paletas predefinidas devem ser válidas e a padrão ter 16 cores', () => {
+    PALETTE_PRESETS.forEach(preset => {
+      expect(isValidPalette(preset)).toBe(true);
+    });
+    expect(PALETTE_PRESETS[0].id).toBe('padrao');
+    expect(PALETTE_PRESETS[0].colors).toHaveLength(16);
+    expect(PALETTE_PRESETS.find(preset => preset.id === 'iniciante').colors).toHaveLength(4);
+  });
+
+  test('normalizeColor() deve aceitar #RGB e #RRGGBB', () => {
+    expect(normalizeColor('#f00')).toBe('#FF0000');
+    expect(normalizeColor('00ff7f')).toBe('#00FF7F');
+    expect(normalizeColor('vermelho')).toBeNull();
+    expect(normalizeColor(null)).toBeNull();
+  });
+
+  test('isValidPalette() deve rejeitar paletas sem cores ou com cores inválidas', () => {
+    expect(isValidPalette({ id: 'a', name: 'A', colors: [] })).toBe(false);
+    expect(isValidPalette({ id: 'a', name: 'A', colors: ['azul'] })).toBe(false);
+    expect(isValidPalette({ id: 'a', name: '', colors: ['#000000'] })).toBe(false);
+  });
+});
+
+describe('PaletteService', () => {
+  let profiles;
+  let service;
+  let ana;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    service = new PaletteService(profiles);
+    ana = profiles.createProfile({ name: 'Ana' });
+    profiles.setActiveProfile(ana.id);
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('paleta ativa e quantidade de cores', () => {
+    test('deve usar a paleta padrão completa quando nada foi configurado', () => {
+      expect(service.getActivePalette().id).toBe('padrao');
+      expect(service.getSize()).toBeNull();
+      expect(service.getVisibleColors()).toEqual(PALETTE_PRESETS[0].colors);
+    });
+
+    test('deve guardar a paleta e a quantidade no perfil ativo', () => {
+      const beto = profiles.createProfile({ name: 'Beto' });
+
+      expect(service.setActivePalette('pastel')).toBe(true);
+      expect(service.setSize(6)).toBe(true);
+      expect(service.getVisibleColors()).toHaveLength(6);
+      expect(service.getVisibleColors()[0]).toBe('#FFB3BA');
+
+      profiles.setActiveProfile(beto.id);
+      expect(service.getActivePalette().id).toBe('padrao');
+      expect(service.getVisibleColors()).toHaveLength(16);
+    });
+
+    test('deve recusar paleta inexistente ou quantidade fora das opções', () => {
+      expect(service.setActivePalette('nao-existe')).toBe(false);
+      expect(service.setSize(5)).toBe(false);
+      expect(service.getActivePalette().id).toBe('padrao');
+    });
+
+    test('sem perfil ativo não deve gravar', () => {
+      localStorage.clear();
+      expect(service.setActivePalette('pastel')).toBe(false);
+      expect(service.getActivePalette().id).toBe('padrao');
+    });
+  });
+
+  describe('paletas personalizadas', () => {
+    test('deve salvar a paleta descartando cores repetidas e inválidas', () => {
+      const result = service.saveCustomPalette({ name: ' Favoritas ', colors: ['#f00', '#FF0000', 'xx', '#00ff00'] });
+
+      expect(result.success).toBe(true);
+      expect(result.palette.name).toBe('Favoritas');
+      expect(result.palette.colors).toEqual(['#FF0000', '#00FF00']);
+      expect(service.getPalettes().map(palette => palette.id)).toContain(result.palette.id);
+      expect(service.getPalette(result.palette.id).custom).toBe(true);
+    });
+
+    test('deve atualizar uma paleta existente pelo ID', () => {
+      const { palette } = service.saveCustomPalette({ name: 'Mar', colors: ['#0000FF'] });
+
+      service.saveCustomPalette({ id: palette.id, name: 'Oceano', colors: ['#0000FF', '#87CEEB'] });
+
+      expect(service.getCustomPalettes()).toEqual([
+        { id: palette.id, name: 'Oceano', colors: ['#0000FF', '#87CEEB'], custom: true }
+      ]);
+    });
+
+    test('deve validar nome, cores e limites', () => {
+      expect(service.saveCustomPalette({ name: '', colors: ['#000000'] }).message).toBe('Dê um nome para a paleta');
+      expect(service.saveCustomPalette({ name: 'Vazia', colors: [] }).message).toBe('Adicione pelo menos uma cor');
+
+      const tooMany = Array.from({ length: MAX_CUSTOM_COLORS + 1 }, (_, i) => `#0000${i.toString(16).padStart(2, '0')}`);
+      expect(service.saveCustomPalette({ name: 'Muitas', colors: tooMany }).success).toBe(false);
+
+      for (let i = 0; i < MAX_CUSTOM_PALETTES; i++) {
+        service.saveCustomPalette({ name: `Paleta ${i}`, colors: ['#000000'] });
+      }
+      expect(service.saveCustomPalette({ name: 'Extra', colors: ['#000000'] }).message)
+        .toBe(`Limite de ${MAX_CUSTOM_PALETTES} paletas personalizadas`);
+    });
+
+    test('sem perfil ativo deve pedir para criar um perfil', () => {
+      localStorage.clear();
+      const result = service.saveCustomPalette({ name: 'Mar', colors: ['#0000FF'] });
+
+      expect(result).toEqual({ success: false, message: 'Crie um perfil para guardar paletas' });
+    });
+
+    test('excluir a paleta ativa deve voltar para a padrão', () => {
+      const { palette } = service.saveCustomPalette({ name: 'Mar', colors: ['#0000FF'] });
+      service.setActivePalette(palette.id);
+
+      expect(service.deleteCustomPalette(palette.id)).toBe(true);
+      expect(service.getActivePalette().id).toBe('padrao');
+      expect(service.getCustomPalettes()).toEqual([]);
+      expect(service.deleteCustomPalette(palette.id)).toBe(false);
+    });
+  });
+
+  describe('cores recentes', () => {
+    test('deve manter a mais recente primeiro, sem repetições', () => {
+      service.addRecentColor('#FF0000');
+      service.addRecentColor('#0000FF');
+
+      expect(service.addRecentColor('#ff0000')).toEqual(['#FF0000', '#0000FF']);
+      expect(profiles.getPreference('recentColors')).toEqual(['#FF0000', '#0000FF']);
+    });
+
+    test(`deve guardar no máximo ${MAX_RECENT_COLORS} cores`, () => {
+      PALETTE_PRESETS[0].colors.forEach(color => service.addRecentColor(color));
+
+      const recent = service.getRecentColors();
+      expect(recent).toHaveLength(MAX_RECENT_COLORS);
+      expect(recent[0]).toBe('#FFD700');
+    });
+
+    test('cores inválidas devem ser ignoradas', () => {
+      expect(service.addRecentColor('none')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Testes para PrintService
+ */
+
+import { jest } from '@jest/globals';
+import { PrintService, PAPER_SIZES } from '../PrintService.js';
+
+const blankSVG = `
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 300">
+    <rect id="area-1" fill="none" stroke="black" />
+    <rect id="area-2" fill="none" stroke="black" />
+  </svg>
+`;
+
+const wideSVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 100"><rect id="area-1" fill="#FF0000" /></svg>';
+
+describe('PrintService', () => {
+  let service;
+  let originalPrint;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new PrintService();
+    originalPrint = window.print;
+    window.print = jest.fn();
+  });
+
+  afterEach(() => {
+    service.cleanup();
+    window.print = originalPrint;
+    localStorage.clear();
+  });
+
+  describe('papel preferido', () => {
+    test('deve usar A4 por padrão e memorizar a escolha', () => {
+      expect(service.getPreferredPaper()).toBe('a4');
+
+      service.setPreferredPaper('letter');
+      expect(new PrintService().getPreferredPaper()).toBe('letter');
+    });
+
+    test('deve ignorar papel desconhecido', () => {
+      service.setPreferredPaper('ofício');
+      expect(service.getPreferredPaper()).toBe('a4');
+    });
+  });
+
+  describe('createPrintPage', () => {
+    test('deve montar folha com título, campos de nome e data e desenho', () => {
+      const page = service.createPrintPage(blankSVG, { title: 'Gato', paper: 'letter' });
+
+      expect(page.classList.contains('print-page')).toBe(true);
+      expect(page.classList.contains('print-paper-letter')).toBe(true);
+      expect(page.dataset.orientation).toBe('portrait');
+      expect(page.querySelector('.print-title').textContent).toBe('Gato');
+      expect(page.querySelector('.print-field-name')).not.toBeNull();
+      expect(page.querySelector('.print-field-date')).not.toBeNull();
+      expect(page.querySelectorAll('.print-drawing svg #area-1')).toHaveLength(1);
+      expect(page.querySelector('.print-legend')).toBeNull();
+    });
+
+    test('deve usar orientação paisagem para desenhos largos', () => {
+      const page = service.createPrintPage(wideSVG, { paper: 'a4' });
+
+      expect(page.classList.contains('print-landscape')).toBe(true);
+    });
+
+    test('deve incluir legenda quando há cores', () => {
+      const page = service.createPrintPage(wideSVG, { legendColors: ['#FF0000', '#00FF00'] });
+
+      const swatches = page.querySelectorAll('.print-legend-swatch');
+      expect(swatches).toHaveLength(2);
+      expect(swatches[0].style.backgroundColor).toBe('rgb(255, 0, 0)');
+    });
+  });
+
+  describe('getLegendColors', () => {
+    test('deve ordenar cores da mais usada para a menos usada, sem repetir', () => {
+      const areas = new Map([
+        ['area-1', '#0000FF'],
+        ['area-2', '#FF0000'],
+        ['area-3', '#FF0000']
+      ]);
+
+      expect(service.getLegendColors(areas)).toEqual(['#FF0000', '#0000FF']);
+      expect(service.getLegendColors({})).toEqual([]);
+    });
+  });
+
+  describe('print', () => {
+    test('deve exibir a folha com tamanho de página e limpar após imprimir', () => {
+      const page = service.createPrintPage(wideSVG, { paper: 'letter' });
+
+      expect(service.print(page)).toBe(true);
+      expect(window.print).toHaveBeenCalled();
+      expect(document.body.classList.contains('printing')).toBe(true);
+      expect(document.body.contains(page)).toBe(true);
+      expect(document.getElementById('print-page-size').textContent)
+        .toContain(`size: ${PAPER_SIZES.letter.cssSize} landscape`);
+
+      window.dispatchEvent(new Event('afterprint'));
+
+      expect(document.body.classList.contains('printing')).toBe(false);
+      expect(document.body.contains(page)).toBe(false);
+      expect(document.getElementById('print-page-size')).toBeNull();
+    });
+
+    test('printColored deve incluir legenda somente quando solicitado', () => {
+      const areas = { 'area-1': '#FF0000' };
+
+      service.printColored(wideSVG, { coloredAreas: areas, includeLegend: false });
+      expect(document.querySelector('.print-page .print-legend')).toBeNull();
+
+      service.printColored(wideSVG, { coloredAreas: areas, includeLegend: true });
+      expect(document.querySelectorAll('.print-page')).toHaveLength(1);
+      expect(document.querySelector('.print-page .print-legend')).not.toBeNull();
+    });
+  });
+
+  describe('printBlank', () => {
+    test('deve carregar o desenho do catálogo pelo svgUrl', async () => {
+      const svgElement = new DOMParser().parseFromString(blankSVG, 'image/svg+xml').documentElement;
+      service.svgManipulator = { loadSVG: jest.fn(async () => svgElement) };
+
+      const printed = await service.printBlank({ id: 'gato', name: 'Gato', svgUrl: '/print-test/gato.svg' }, { paper: 'a4' });
+
+      expect(printed).toBe(true);
+      expect(service.svgManipulator.loadSVG).toHaveBeenCalledWith('/print-test/gato.svg');
+      expect(document.querySelector('.print-page .print-title').textContent).toBe('Gato');
+    });
+
+    test('deve retornar false quando o desenho não pode ser carregado', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const printed = await service.printBlank({ id: 'gato', name: 'Gato' });
+
+      expect(printed).toBe(false);
+      expect(window.print).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Testes para ProfileService e a separação de dados por perfil
+ */
+
+import { ProfileService, PROFILE_AVATARS } from '../ProfileService.js';
+import { AutosaveService } from '../AutosaveService.js';
+import { SaveLoadService } from '../SaveLoadService.js';
+import { LocalStorageSavedDrawingStorage } from '../SavedDrawingStorage.js';
+import { ApplicationState } from '../../state/ApplicationState.js';
+
+describe('ProfileService', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new ProfileService();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('perfis', () => {
+    test('deve começar sem perfis nem perfil ativo', () => {
+      expect(service.hasProfiles()).toBe(false);
+      expect(service.getActiveProfile()).toBeNull();
+    });
+
+    test('deve criar perfil com nome e avatar', () => {
+      const profile = service.createProfile({ name: '  Ana  ', avatar: PROFILE_AVATARS[2] });
+
+      expect(profile.name).toBe('Ana');
+      expect(profile.avatar).toBe(PROFILE_AVATARS[2]);
+      expect(service.getProfiles()).toHaveLength(1);
+    });
+
+    test('deve usar o primeiro avatar quando o avatar é desconhecido', () => {
+      const profile = service.createProfile({ name: 'Ana', avatar: 'x' });
+      expect(profile.avatar).toBe(PROFILE_AVATARS[0]);
+    });
+
+    test('deve rejeitar nome vazio', () => {
+      expect(() => service.createProfile({ name: '   ' })).toThrow('nome');
+    });
+
+    test('deve ativar perfil e notificar listeners', () => {
+      const profile = service.createProfile({ name: 'Ana' });
+      const notified = [];
+      service.addListener(active => notified.push(active.id));
+
+      service.setActiveProfile(profile.id);
+
+      expect(service.getActiveProfileId()).toBe(profile.id);
+      expect(notified).toEqual([profile.id]);
+    });
+
+    test('deve rejeitar perfil inexistente', () => {
+      expect(() => service.setActiveProfile('nao-existe')).toThrow('Perfil não encontrado');
+    });
+
+    test('deve persistir entre instâncias', () => {
+      const profile = service.createProfile({ name: 'Ana' });
+      service.setActiveProfile(profile.id);
+
+      expect(new ProfileService().getActiveProfile().name).toBe('Ana');
+    });
+  });
+
+  describe('preferências', () => {
+    test('deve guardar preferências separadas por perfil', () => {
+      const ana = service.createProfile({ name: 'Ana' });
+      const beto = service.createProfile({ name: 'Beto' });
+
+      service.setActiveProfile(ana.id);
+      service.setPreference('lastSelectedCategory', 'animais');
+      service.setActiveProfile(beto.id);
+
+      expect(service.getPreference('lastSelectedCategory')).toBeNull();
+      service.setPreference('lastSelectedCategory', 'carros');
+
+      service.setActiveProfile(ana.id);
+      expect(service.getPreference('lastSelectedCategory')).toBe('animais');
+    });
+
+    test('não deve guardar preferência sem perfil ativo', () => {
+      expect(service.setPreference('selectedColor', '#FF0000')).toBe(false);
+      expect(service.getPreference('selectedColor', '#000000')).toBe('#000000');
+    });
+  });
+
+  describe('chaves e registros por perfil', () => {
+    test('o primeiro perfil herda as chaves originais', () => {
+      const ana = service.createProfile({ name: 'Ana' });
+      const beto = service.createProfile({ name: 'Beto' });
+
+      service.setActiveProfile(ana.id);
+      expect(service.getScopedKey('colorir-autosave')).toBe('colorir-autosave');
+
+      service.setActiveProfile(beto.id);
+      expect(service.getScopedKey('colorir-autosave')).toBe(`colorir-autosave:${beto.id}`);
+    });
+
+    test('registros sem perfil pertencem ao primeiro perfil', () => {
+      const ana = service.createProfile({ name: 'Ana' });
+      const beto = service.createProfile({ name: 'Beto' });
+
+      service.setActiveProfile(ana.id);
+      expect(service.isOwnedByActiveProfile(undefined)).toBe(true);
+      expect(service.isOwnedByActiveProfile(beto.id)).toBe(false);
+
+      service.setActiveProfile(beto.id);
+      expect(service.isOwnedByActiveProfile(undefined)).toBe(false);
+      expect(service.isOwnedByActiveProfile(beto.id)).toBe(true);
+    });
+  });
+});
+
+describe('Dados separados por perfil', () => {
+  let profiles;
+  let ana;
+  let beto;
+
+  beforeEach(() => {
+    localStorage.clear();
+    profiles = new ProfileService();
+    ana = profiles.createProfile({ name: 'Ana' });
+    beto = profiles.createProfile({ name: 'Beto' });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('AutosaveService deve separar o progresso por perfil', () => {
+    const autosave = new AutosaveService(profiles);
+
+    profiles.setActiveProfile(ana.id);
+    autosave.saveProgress('gato', { 'area-1': '#FF0000' });
+
+    profiles.setActiveProfile(beto.id);
+    expect(autosave.hasProgress('gato')).toBe(false);
+    autosave.saveProgress('gato', { 'area-1': '#0000FF' });
+
+    profiles.setActiveProfile(ana.id);
+    expect(autosave.getProgress('gato').coloredAreas).toEqual({ 'area-1': '#FF0000' });
+  });
+
+  test('SaveLoadService deve listar apenas os salvamentos do perfil ativo', async () => {
+    const saveLoad = new SaveLoadService(new LocalStorageSavedDrawingStorage(), profiles);
+    const drawingData = { drawingId: 'gato', drawingName: 'Gato', coloredAreas: { 'area-1': '#FF0000' } };
+
+    profiles.setActiveProfile(ana.id);
+    await saveLoad.saveDrawing(drawingData, 'Desenho');
+
+    profiles.setActiveProfile(beto.id);
+    expect(await saveLoad.getSavedDrawingsList('gato')).toHaveLength(0);
+    await saveLoad.saveDrawing(drawingData, 'Desenho');
+    await saveLoad.clearAllSavedDrawings();
+
+    profiles.setActiveProfile(ana.id);
+    const list = await saveLoad.getSavedDrawingsList('gato');
+    expect(list).toHaveLength(1);
+    expect(list[0].customName).toBe('Desenho');
+  });
+
+  test('ApplicationState deve trocar de perfil e restaurar a última categoria', () => {
+    const appState = new ApplicationState({
+      galleryContainer: document.createElement('div'),
+      coloringContainer: document.createElement('div'),
+      profileService: profiles
+    });
+    const events = [];
+    appState.addListener(event => events.push(event));
+
+    appState.switchProfile(ana.id);
+    appState.setLastSelectedCategory('carros');
+    appState.getHistory('gato');
+
+    appState.switchProfile(beto.id);
+    expect(appState.getLastSelectedCategory()).toBeNull();
+    expect(appState.histories.size).toBe(0);
+
+    appState.switchProfile(ana.id);
+    expect(appState.getActiveProfile().name).toBe('Ana');
+    expect(appState.getLastSelectedCategory()).toBe('carros');
+    expect(events).toContain('profileChanged');
+  });
+});
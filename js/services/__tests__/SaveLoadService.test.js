@@ -2,7 +2,48 @@
  * Testes para SaveLoadService
  */
 
+import { jest } from '@jest/globals';
 import { SaveLoadService } from '../SaveLoadService.js';
+import { ProfileService } from '../ProfileService.js';
+import {
+  IndexedDBSavedDrawingStorage,
+  LocalStorageSavedDrawingStorage,
+  LOCAL_STORAGE_KEY
+} from '../SavedDrawingStorage.js';
+
+/**
+ * Object store em memória com a mesma interface do IndexedDBStore
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async get(key) {
+    return this.records.get(key);
+  }
+
+  async getAll() {
+    return Array.from(this.records.values());
+  }
+
+  async put(value) {
+    this.records.set(value.id, value);
+    return value.id;
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
 
 describe('SaveLoadService', () => {
   let service;
@@ -31,113 +72,183 @@ describe('SaveLoadService', () => {
   });
 
   describe('saveDrawing', () => {
-    test('deve salvar um desenho com sucesso', () => {
-      const result = service.saveDrawing(mockDrawingData, 'Meu Desenho');
+    test('deve salvar um desenho com sucesso', async () => {
+      const result = await service.saveDrawing(mockDrawingData, 'Meu Desenho');
 
       expect(result.success).toBe(true);
       expect(result.saveId).toBeDefined();
       expect(result.message).toContain('salvo');
     });
 
-    test('deve usar nome padrão se customName não for fornecido', () => {
-      const result = service.saveDrawing(mockDrawingData);
+    test('deve usar nome padrão se customName não for fornecido', async () => {
+      const result = await service.saveDrawing(mockDrawingData);
 
       expect(result.success).toBe(true);
       
-      const savedDrawings = service.getSavedDrawingsList();
+      const savedDrawings = await service.getSavedDrawingsList();
       expect(savedDrawings[0].customName).toContain(mockDrawingData.drawingName);
     });
 
-    test('deve atualizar salvamento existente com mesmo nome', () => {
+    test('deve atualizar salvamento existente com mesmo nome', async () => {
       const customName = 'Desenho Único';
       
       // Primeiro salvamento
-      const result1 = service.saveDrawing(mockDrawingData, customName);
+      const result1 = await service.saveDrawing(mockDrawingData, customName);
       expect(result1.success).toBe(true);
       
       // Segundo salvamento com mesmo nome
       const updatedData = { ...mockDrawingData, coloredAreas: { 'area1': '#FFFFFF' } };
-      const result2 = service.saveDrawing(updatedData, customName);
+      const result2 = await service.saveDrawing(updatedData, customName);
       
       expect(result2.success).toBe(true);
       expect(result2.message).toContain('atualizado');
       
       // Deve ter apenas um salvamento
-      const savedDrawings = service.getSavedDrawingsList();
+      const savedDrawings = await service.getSavedDrawingsList();
       expect(savedDrawings.length).toBe(1);
     });
 
-    test('deve respeitar limite máximo de salvamentos', () => {
+    test('deve respeitar limite máximo de salvamentos', async () => {
       // Salvar mais desenhos que o limite
       for (let i = 0; i < service.maxSavedDrawings + 5; i++) {
-        service.saveDrawing(mockDrawingData, `Desenho ${i}`);
+        await service.saveDrawing(mockDrawingData, `Desenho ${i}`);
       }
 
-      const savedDrawings = service.getSavedDrawingsList();
+      const savedDrawings = await service.getSavedDrawingsList();
       expect(savedDrawings.length).toBe(service.maxSavedDrawings);
     });
 
-    test('deve incluir timestamp e versão no salvamento', () => {
-      service.saveDrawing(mockDrawingData, 'Teste');
+    test('o limite deve valer por perfil, sem apagar desenhos de outro perfil', async () => {
+      const profiles = new ProfileService();
+      const ana = profiles.createProfile({ name: 'Ana' });
+      const beto = profiles.createProfile({ name: 'Beto' });
+      const indexedService = new SaveLoadService(new IndexedDBSavedDrawingStorage(new MemoryStore()), profiles);
+      indexedService.maxSavedDrawings = 3;
+      let minute = 0;
+      const saveAs = async (profile, name) => {
+        profiles.setActiveProfile(profile.id);
+        jest.setSystemTime(new Date(Date.UTC(2024, 0, 1, 10, minute++)));
+        await indexedService.saveDrawing(mockDrawingData, name);
+      };
+
+      jest.useFakeTimers();
+      await saveAs(beto, 'Beto 1');
+      await saveAs(beto, 'Beto 2');
+      for (let i = 1; i <= 5; i++) {
+        await saveAs(ana, `Ana ${i}`);
+      }
+      jest.useRealTimers();
+
+      expect((await indexedService.getSavedDrawingsList()).map(saved => saved.customName))
+        .toEqual(['Ana 5', 'Ana 4', 'Ana 3']);
+      profiles.setActiveProfile(beto.id);
+      expect((await indexedService.getSavedDrawingsList()).map(saved => saved.customName))
+        .toEqual(['Beto 2', 'Beto 1']);
+    });
+
+    test('deve incluir timestamp e versão no salvamento', async () => {
+      await service.saveDrawing(mockDrawingData, 'Teste');
       
-      const savedDrawings = service.getSavedDrawingsList();
+      const savedDrawings = await service.getSavedDrawingsList();
       const saved = savedDrawings[0];
       
       expect(saved.savedAt).toBeDefined();
       expect(new Date(saved.savedAt)).toBeInstanceOf(Date);
     });
+
+    test('deve guardar apenas as áreas coloridas, sem o SVG', async () => {
+      await service.saveDrawing(mockDrawingData, 'Teste');
+
+      const stored = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY));
+      expect(stored[0].svgContent).toBeUndefined();
+      expect(stored[0].coloredAreas).toEqual(mockDrawingData.coloredAreas);
+      expect(stored[0].version).toBe('2.0');
+    });
+
+    test('deve retornar erro de espaço quando a cota acaba', async () => {
+      const storage = new LocalStorageSavedDrawingStorage();
+      storage.put = async () => {
+        const error = new Error('cheio');
+        error.name = 'QuotaExceededError';
+        throw error;
+      };
+      const fullService = new SaveLoadService(storage);
+
+      const result = await fullService.saveDrawing(mockDrawingData, 'Teste');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('QUOTA_EXCEEDED');
+      expect(result.message).toContain('espaço');
+    });
   });
 
   describe('loadDrawing', () => {
-    test('deve carregar um desenho salvo', () => {
-      const saveResult = service.saveDrawing(mockDrawingData, 'Teste');
-      const loadResult = service.loadDrawing(saveResult.saveId);
+    test('deve carregar um desenho salvo', async () => {
+      const saveResult = await service.saveDrawing(mockDrawingData, 'Teste');
+      const loadResult = await service.loadDrawing(saveResult.saveId);
 
       expect(loadResult.success).toBe(true);
       expect(loadResult.data.drawingId).toBe(mockDrawingData.drawingId);
       expect(loadResult.data.coloredAreas).toEqual(mockDrawingData.coloredAreas);
     });
 
-    test('deve retornar null para ID inexistente', () => {
-      const result = service.loadDrawing('id-inexistente');
+    test('deve retornar null para ID inexistente', async () => {
+      const result = await service.loadDrawing('id-inexistente');
 
       expect(result.success).toBe(false);
     });
+
+    test('não deve carregar nem remover o salvamento de outro perfil', async () => {
+      const profiles = new ProfileService();
+      const ana = profiles.createProfile({ name: 'Ana' });
+      const beto = profiles.createProfile({ name: 'Beto' });
+      const indexedService = new SaveLoadService(new IndexedDBSavedDrawingStorage(new MemoryStore()), profiles);
+
+      profiles.setActiveProfile(beto.id);
+      const { saveId } = await indexedService.saveDrawing(mockDrawingData, 'Beto 1');
+
+      profiles.setActiveProfile(ana.id);
+      expect(await indexedService.loadDrawing(saveId)).toEqual({ success: false, error: 'Desenho não encontrado' });
+      expect((await indexedService.deleteDrawing(saveId)).success).toBe(false);
+
+      profiles.setActiveProfile(beto.id);
+      expect((await indexedService.loadDrawing(saveId)).success).toBe(true);
+    });
   });
 
   describe('getSavedDrawingsList', () => {
-    test('deve retornar lista vazia quando não há salvamentos', () => {
-      const list = service.getSavedDrawingsList();
+    test('deve retornar lista vazia quando não há salvamentos', async () => {
+      const list = await service.getSavedDrawingsList();
       expect(list).toEqual([]);
     });
 
-    test('deve retornar lista de desenhos salvos', () => {
-      service.saveDrawing(mockDrawingData, 'Desenho 1');
-      service.saveDrawing(mockDrawingData, 'Desenho 2');
+    test('deve retornar lista de desenhos salvos', async () => {
+      await service.saveDrawing(mockDrawingData, 'Desenho 1');
+      await service.saveDrawing(mockDrawingData, 'Desenho 2');
 
-      const list = service.getSavedDrawingsList();
+      const list = await service.getSavedDrawingsList();
       
       expect(list.length).toBe(2);
       expect(list[0].customName).toBe('Desenho 2'); // Mais recente primeiro
       expect(list[1].customName).toBe('Desenho 1');
     });
 
-    test('deve filtrar por drawingId quando fornecido', () => {
-      service.saveDrawing(mockDrawingData, 'Desenho A');
+    test('deve filtrar por drawingId quando fornecido', async () => {
+      await service.saveDrawing(mockDrawingData, 'Desenho A');
       
       const otherDrawing = { ...mockDrawingData, drawingId: 'other-drawing' };
-      service.saveDrawing(otherDrawing, 'Desenho B');
+      await service.saveDrawing(otherDrawing, 'Desenho B');
 
-      const filtered = service.getSavedDrawingsList('test-drawing-1');
+      const filtered = await service.getSavedDrawingsList('test-drawing-1');
       
       expect(filtered.length).toBe(1);
       expect(filtered[0].drawingId).toBe('test-drawing-1');
     });
 
-    test('deve incluir preview com informações do desenho', () => {
-      service.saveDrawing(mockDrawingData, 'Teste');
+    test('deve incluir preview com informações do desenho', async () => {
+      await service.saveDrawing(mockDrawingData, 'Teste');
       
-      const list = service.getSavedDrawingsList();
+      const list = await service.getSavedDrawingsList();
       const preview = list[0].preview;
       
       expect(preview.coloredAreas).toBe(3);
@@ -147,18 +258,18 @@ describe('SaveLoadService', () => {
   });
 
   describe('deleteDrawing', () => {
-    test('deve remover um desenho salvo', () => {
-      const saveResult = service.saveDrawing(mockDrawingData, 'Teste');
-      const deleteResult = service.deleteDrawing(saveResult.saveId);
+    test('deve remover um desenho salvo', async () => {
+      const saveResult = await service.saveDrawing(mockDrawingData, 'Teste');
+      const deleteResult = await service.deleteDrawing(saveResult.saveId);
 
       expect(deleteResult.success).toBe(true);
       
-      const list = service.getSavedDrawingsList();
+      const list = await service.getSavedDrawingsList();
       expect(list.length).toBe(0);
     });
 
-    test('deve retornar erro para ID inexistente', () => {
-      const result = service.deleteDrawing('id-inexistente');
+    test('deve retornar erro para ID inexistente', async () => {
+      const result = await service.deleteDrawing('id-inexistente');
 
       expect(result.success).toBe(false);
       expect(result.message).toContain('não encontrado');
@@ -166,9 +277,9 @@ describe('SaveLoadService', () => {
   });
 
   describe('exportDrawing', () => {
-    test('deve retornar erro quando URL.createObjectURL não está disponível', () => {
-      const saveResult = service.saveDrawing(mockDrawingData, 'Teste');
-      const exportResult = service.exportDrawing(saveResult.saveId);
+    test('deve retornar erro quando URL.createObjectURL não está disponível', async () => {
+      const saveResult = await service.saveDrawing(mockDrawingData, 'Teste');
+      const exportResult = await service.exportDrawing(saveResult.saveId);
 
       // Em ambiente de teste sem URL.createObjectURL, deve retornar erro
       expect(exportResult.success).toBe(false);
@@ -185,6 +296,27 @@ describe('SaveLoadService', () => {
       expect(result.message).toContain('JSON');
     });
 
+    test('deve importar arquivo antigo descartando o SVG', async () => {
+      const legacyData = JSON.stringify({
+        ...mockDrawingData,
+        customName: 'Antigo',
+        version: '1.0',
+        exportedAt: new Date().toISOString()
+      });
+      const file = {
+        type: 'application/json',
+        text: async () => legacyData
+      };
+
+      const result = await service.importDrawing(file);
+      const loaded = await service.loadDrawing(result.saveId);
+
+      expect(result.success).toBe(true);
+      expect(loaded.data.svgContent).toBeUndefined();
+      expect(loaded.data.exportedAt).toBeUndefined();
+      expect(loaded.data.version).toBe('2.0');
+    });
+
     test('deve validar estrutura do arquivo importado', async () => {
       // Simular arquivo com dados inválidos
       const invalidData = JSON.stringify({ invalid: 'data' });
@@ -201,26 +333,26 @@ describe('SaveLoadService', () => {
   });
 
   describe('clearAllSavedDrawings', () => {
-    test('deve remover todos os desenhos salvos', () => {
-      service.saveDrawing(mockDrawingData, 'Desenho 1');
-      service.saveDrawing(mockDrawingData, 'Desenho 2');
-      service.saveDrawing(mockDrawingData, 'Desenho 3');
+    test('deve remover todos os desenhos salvos', async () => {
+      await service.saveDrawing(mockDrawingData, 'Desenho 1');
+      await service.saveDrawing(mockDrawingData, 'Desenho 2');
+      await service.saveDrawing(mockDrawingData, 'Desenho 3');
 
-      const result = service.clearAllSavedDrawings();
+      const result = await service.clearAllSavedDrawings();
 
       expect(result.success).toBe(true);
       
-      const list = service.getSavedDrawingsList();
+      const list = await service.getSavedDrawingsList();
       expect(list.length).toBe(0);
     });
   });
 
   describe('getStorageStats', () => {
-    test('deve retornar estatísticas corretas', () => {
-      service.saveDrawing(mockDrawingData, 'Desenho 1');
-      service.saveDrawing(mockDrawingData, 'Desenho 2');
+    test('deve retornar estatísticas corretas', async () => {
+      await service.saveDrawing(mockDrawingData, 'Desenho 1');
+      await service.saveDrawing(mockDrawingData, 'Desenho 2');
 
-      const stats = service.getStorageStats();
+      const stats = await service.getStorageStats();
 
       expect(stats.totalDrawings).toBe(2);
       expect(stats.maxDrawings).toBe(service.maxSavedDrawings);
@@ -229,34 +361,93 @@ describe('SaveLoadService', () => {
       expect(stats.newestSave).toBeDefined();
     });
 
-    test('deve retornar estatísticas vazias quando não há salvamentos', () => {
-      const stats = service.getStorageStats();
+    test('deve retornar estatísticas vazias quando não há salvamentos', async () => {
+      const stats = await service.getStorageStats();
 
       expect(stats.totalDrawings).toBe(0);
       expect(stats.oldestSave).toBeNull();
       expect(stats.newestSave).toBeNull();
     });
+
+    test('deve informar cota, armazenamento e uso quase cheio', async () => {
+      await service.saveDrawing(mockDrawingData, 'Desenho 1');
+      service.storage.estimate = async () => ({ used: 4.5 * 1024 * 1024, quota: 5 * 1024 * 1024 });
+
+      const stats = await service.getStorageStats();
+
+      expect(stats.backend).toBe('localstorage');
+      expect(stats.storageQuota).toBe(5 * 1024 * 1024);
+      expect(stats.usageRatio).toBeCloseTo(0.9);
+      expect(stats.nearQuota).toBe(true);
+    });
   });
 
   describe('Persistência', () => {
-    test('deve persistir dados entre instâncias', () => {
+    test('deve persistir dados entre instâncias', async () => {
       const service1 = new SaveLoadService();
-      service1.saveDrawing(mockDrawingData, 'Teste Persistência');
+      await service1.saveDrawing(mockDrawingData, 'Teste Persistência');
 
       const service2 = new SaveLoadService();
-      const list = service2.getSavedDrawingsList();
+      const list = await service2.getSavedDrawingsList();
 
       expect(list.length).toBe(1);
       expect(list[0].customName).toBe('Teste Persistência');
     });
   });
 
+  describe('IndexedDB', () => {
+    test('deve migrar salvamentos do localStorage uma única vez', async () => {
+      localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify([
+        { ...mockDrawingData, id: 'save_antigo', customName: 'Antigo', savedAt: '2024-01-01T00:00:00.000Z', version: '1.0' }
+      ]));
+      const store = new MemoryStore();
+      const indexedService = new SaveLoadService(new IndexedDBSavedDrawingStorage(store));
+
+      const list = await indexedService.getSavedDrawingsList();
+
+      expect(list).toHaveLength(1);
+      expect(list[0].customName).toBe('Antigo');
+      expect(store.records.get('save_antigo').svgContent).toBeUndefined();
+      expect(localStorage.getItem(LOCAL_STORAGE_KEY)).toBeNull();
+    });
+
+    test('deve salvar e listar no IndexedDB do mais recente para o mais antigo', async () => {
+      const indexedService = new SaveLoadService(new IndexedDBSavedDrawingStorage(new MemoryStore()));
+      jest.useFakeTimers().setSystemTime(new Date('2024-01-01T10:00:00Z'));
+      await indexedService.saveDrawing(mockDrawingData, 'Primeiro');
+      jest.setSystemTime(new Date('2024-01-01T11:00:00Z'));
+      await indexedService.saveDrawing(mockDrawingData, 'Segundo');
+      jest.useRealTimers();
+
+      const list = await indexedService.getSavedDrawingsList();
+      const stats = await indexedService.getStorageStats();
+
+      expect(list.map(saved => saved.customName)).toEqual(['Segundo', 'Primeiro']);
+      expect(stats.backend).toBe('indexeddb');
+      expect(stats.maxDrawings).toBe(500);
+    });
+
+    test('deve usar o localStorage quando o IndexedDB falha ao abrir', async () => {
+      const store = new MemoryStore();
+      store.getAll = async () => {
+        throw new Error('IndexedDB bloqueado');
+      };
+      const indexedService = new SaveLoadService(new IndexedDBSavedDrawingStorage(store));
+
+      const result = await indexedService.saveDrawing(mockDrawingData, 'Teste');
+
+      expect(result.success).toBe(true);
+      expect(indexedService.storage.type).toBe('localstorage');
+      expect(JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY))).toHaveLength(1);
+    });
+  });
+
   describe('Tratamento de erros', () => {
-    test('deve lidar com dados corrompidos no localStorage', () => {
+    test('deve lidar com dados corrompidos no localStorage', async () => {
       // Inserir dados inválidos
       localStorage.setItem(service.storageKey, 'dados-invalidos');
 
-      const list = service.getSavedDrawingsList();
+      const list = await service.getSavedDrawingsList();
       
       // Deve retornar lista vazia em vez de quebrar
       expect(list).toEqual([]);
@@ -0,0 +1,193 @@
+/**
+ * Testes para UserDrawingService
+ * O IndexedDB não existe no jsdom: usa-se um armazenamento em memória com a mesma interface
+ */
+
+import { jest } from '@jest/globals';
+import { UserDrawingService, MAX_UPLOAD_SIZE } from '../UserDrawingService.js';
+import { Gallery } from '../../components/Gallery.js';
+import { USER_CATEGORY_ID, groupDrawingsByCategory } from '../../models/Category.js';
+
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getAll() {
+    return Array.from(this.records.values());
+  }
+
+  async put(record) {
+    this.records.set(record.id, record);
+    return record.id;
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+function createFile(content, name = 'meu-gato.svg', type = 'image/svg+xml') {
+  return {
+    name,
+    type,
+    size: content.length,
+    text: async () => content
+  };
+}
+
+const lineArtSVG = `
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 200">
+    <rect x="10" y="10" width="100" height="100" fill="none" stroke="black" />
+    <circle cx="200" cy="60" r="50" fill="none" stroke="black" onclick="alert(1)" />
+    <circle cx="20" cy="20" r="2" fill="black" />
+    <script>alert(1)</script>
+  </svg>
+`;
+
+describe('UserDrawingService', () => {
+  let store;
+  let service;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    service = new UserDrawingService(store);
+  });
+
+  describe('importSVGFile', () => {
+    test('deve adaptar o SVG com area-N e guardar em Meus Desenhos', async () => {
+      const drawing = await service.importSVGFile(createFile(lineArtSVG));
+
+      expect(drawing.id).toMatch(/^user-/);
+      expect(drawing.name).toBe('meu gato');
+      expect(drawing.category).toBe(USER_CATEGORY_ID);
+      expect(drawing.metadata).toEqual({ width: 300, height: 200, areaCount: 2 });
+      expect(drawing.coloringMode).toBeUndefined();
+      expect(drawing.svgUrl).toMatch(/^data:image\/svg\+xml/);
+
+      const [record] = await store.getAll();
+      expect(record.svgContent).toContain('id="area-1"');
+      expect(record.svgContent).toContain('id="area-2"');
+      expect(record.svgContent).toContain('pointer-events="none"');
+    });
+
+    test('deve remover scripts e atributos de evento', async () => {
+      await service.importSVGFile(createFile(lineArtSVG));
+
+      const [record] = await store.getAll();
+      expect(record.svgContent).not.toContain('<script');
+      expect(record.svgContent).not.toContain('onclick');
+    });
+
+    test('deve usar preenchimento livre quando não há áreas coloríveis', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><circle cx="5" cy="5" r="1" fill="black" /></svg>';
+
+      const drawing = await service.importSVGFile(createFile(svg), { name: 'Rabisco' });
+
+      expect(drawing.name).toBe('Rabisco');
+      expect(drawing.metadata.areaCount).toBe(0);
+      expect(drawing.coloringMode).toBe('floodfill');
+    });
+
+    test('deve rejeitar arquivos que não são SVG', async () => {
+      await expect(service.importSVGFile(createFile('abc', 'foto.png', 'image/png')))
+        .rejects.toMatchObject({ code: 'UPLOAD_INVALID_TYPE' });
+    });
+
+    test('deve rejeitar arquivos grandes demais', async () => {
+      const file = { ...createFile(lineArtSVG), size: MAX_UPLOAD_SIZE + 1 };
+
+      await expect(service.importSVGFile(file)).rejects.toMatchObject({ code: 'UPLOAD_TOO_LARGE' });
+    });
+
+    test('deve rejeitar SVG inválido sem guardar nada', async () => {
+      await expect(service.importSVGFile(createFile('<svg><rect></svg>')))
+        .rejects.toMatchObject({ code: 'UPLOAD_INVALID_SVG' });
+      expect(store.records.size).toBe(0);
+    });
+  });
+
+  describe('getDrawings e deleteDrawing', () => {
+    test('deve listar do mais antigo para o mais recente e remover', async () => {
+      await store.put({ id: 'b', name: 'B', svgContent: '<svg/>', width: 1, height: 1, areaCount: 1, createdAt: '2024-02-01T00:00:00.000Z' });
+      await store.put({ id: 'a', name: 'A', svgContent: '<svg/>', width: 1, height: 1, areaCount: 1, createdAt: '2024-01-01T00:00:00.000Z' });
+
+      expect((await service.getDrawings()).map(d => d.id)).toEqual(['a', 'b']);
+
+      await service.deleteDrawing('a');
+      expect((await service.getDrawings()).map(d => d.id)).toEqual(['b']);
+    });
+
+    test('deve retornar lista vazia quando o armazenamento não está disponível', async () => {
+      store.isAvailable = () => false;
+
+      expect(await service.getDrawings()).toEqual([]);
+      await expect(service.importSVGFile(createFile(lineArtSVG)))
+        .rejects.toMatchObject({ code: 'UPLOAD_STORAGE_UNAVAILABLE' });
+    });
+  });
+});
+
+describe('Gallery - importação de desenhos', () => {
+  let container;
+  let service;
+  let gallery;
+
+  beforeEach(async () => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    service = new UserDrawingService(new MemoryStore());
+
+    gallery = new Gallery({ container, onDrawingSelect: jest.fn() });
+    gallery.userDrawingService = service;
+    gallery.loaderService = {
+      loadDrawingsGroupedByCategory: async () => groupDrawingsByCategory(await service.getDrawings()),
+      setupLazyLoading: () => null
+    };
+
+    await gallery.init();
+  });
+
+  afterEach(() => {
+    gallery.destroy();
+    document.body.removeChild(container);
+    jest.restoreAllMocks();
+  });
+
+  test('deve exibir o botão de importar quando há armazenamento', () => {
+    expect(container.querySelector('.gallery-import-button')).not.toBeNull();
+    expect(container.querySelector('.gallery-import-input').accept).toContain('.svg');
+  });
+
+  test('deve adicionar o desenho importado na categoria Meus Desenhos', async () => {
+    const drawing = await gallery.handleImportFile(createFile(lineArtSVG));
+
+    const category = container.querySelector(`[data-category-id="${USER_CATEGORY_ID}"]`);
+    expect(category.querySelector('.gallery-category-header').textContent).toBe('Meus Desenhos');
+    expect(category.querySelector(`[data-drawing-id="${drawing.id}"] .gallery-item-delete`)).not.toBeNull();
+    expect(container.querySelector('.gallery-import-status').textContent).toContain('meu gato');
+  });
+
+  test('deve exibir erro quando o arquivo é inválido', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await gallery.handleImportFile(createFile('abc', 'foto.png', 'image/png'));
+
+    expect(result).toBeNull();
+    const status = container.querySelector('.gallery-import-status');
+    expect(status.classList.contains('gallery-import-status-error')).toBe(true);
+    consoleError.mockRestore();
+  });
+
+  test('deve remover o desenho após confirmação', async () => {
+    const drawing = await gallery.handleImportFile(createFile(lineArtSVG));
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    expect(await gallery.handleDeleteDrawing(drawing)).toBe(true);
+    expect(container.querySelector(`[data-drawing-id="${drawing.id}"]`)).toBeNull();
+  });
+});
@@ -1,3 +1,10 @@
+import { CommandHistory } from './CommandHistory.js';
+
+/**
+ * Conclusão de um desenho ainda sem áreas contadas
+ */
+const EMPTY_COMPLETION = { colored: 0, total: 0, percent: 0 };
+
 /**
  * Gerenciador de Estado da Aplicação
  * Gerencia o estado global e transições entre views
@@ -7,14 +14,18 @@ export class ApplicationState {
    * @param {Object} options - Opções de configuração
    * @param {HTMLElement} options.galleryContainer - Container da galeria
    * @param {HTMLElement} options.coloringContainer - Container da tela de colorir
+   * @param {import('../services/AutosaveService.js').AutosaveService} [options.autosaveService] - Persistência do progresso por desenho
+   * @param {import('../services/ProfileService.js').ProfileService} [options.profileService] - Perfis e suas preferências
    */
-  constructor({ galleryContainer, coloringContainer }) {
+  constructor({ galleryContainer, coloringContainer, autosaveService = null, profileService = null }) {
     if (!galleryContainer || !coloringContainer) {
       throw new Error('Containers são obrigatórios');
     }
 
     this.galleryContainer = galleryContainer;
     this.coloringContainer = coloringContainer;
+    this.autosaveService = autosaveService;
+    this.profileService = profileService;
 
     // Estado atual
     this.state = {
@@ -23,14 +34,18 @@ export class ApplicationState {
       coloringState: {
         selectedColor: null,
         coloredAreas: new Map(),
-        isModified: false
+        isModified: false,
+        completion: { ...EMPTY_COMPLETION }
       },
       galleryState: {
         scrollPosition: 0,
-        lastSelectedCategory: null
+        lastSelectedCategory: this.getProfilePreference('lastSelectedCategory')
       }
     };
 
+    // Histórico de desfazer/refazer por desenho (drawingId -> CommandHistory)
+    this.histories = new Map();
+
     // Listeners para mudanças de estado
     this.listeners = [];
   }
@@ -112,11 +127,13 @@ export class ApplicationState {
     this.state.currentView = 'coloring';
     this.state.selectedDrawing = drawing;
 
-    // Resetar estado de colorir para novo desenho
+    // Resetar estado de colorir para novo desenho, recuperando o progresso salvo
+    const progress = this.autosaveService ? this.autosaveService.getProgress(drawing.id) : null;
     this.state.coloringState = {
       selectedColor: null,
-      coloredAreas: new Map(),
-      isModified: false
+      coloredAreas: new Map(Object.entries(progress ? progress.coloredAreas : {})),
+      isModified: false,
+      completion: { ...EMPTY_COMPLETION }
     };
 
     // Notificar listeners
@@ -148,9 +165,21 @@ export class ApplicationState {
   setAreaColor(areaId, color) {
     this.state.coloringState.coloredAreas.set(areaId, color);
     this.state.coloringState.isModified = true;
+    this.persistProgress();
     this.notifyListeners('areaColored', { areaId, color });
   }
 
+  /**
+   * Substitui todas as áreas coloridas (após desfazer, refazer ou carregar)
+   * @param {Map<string, string>} coloredAreas - Mapa de áreas coloridas
+   */
+  setColoredAreas(coloredAreas) {
+    this.state.coloringState.coloredAreas = new Map(coloredAreas);
+    this.state.coloringState.isModified = true;
+    this.persistProgress();
+    this.notifyListeners('areasChanged', { coloredAreas: this.getColoredAreas() });
+  }
+
   /**
    * Retorna a cor de uma área
    * @param {string} areaId - ID da área
@@ -174,9 +203,55 @@ export class ApplicationState {
   clearAllColors() {
     this.state.coloringState.coloredAreas.clear();
     this.state.coloringState.isModified = false;
+    this.persistProgress();
     this.notifyListeners('colorsCleared');
   }
 
+  /**
+   * Atualiza a conclusão do desenho selecionado
+   * O percentual é arredondado para baixo: 100% só com todas as áreas pintadas
+   * @param {{colored: number, total: number}} completion - Áreas pintadas e total de áreas coloríveis
+   */
+  setCompletion({ colored, total }) {
+    const safeTotal = Number.isFinite(total) && total > 0 ? total : 0;
+    const safeColored = safeTotal > 0 ? Math.min(Math.max(colored || 0, 0), safeTotal) : 0;
+    const completion = {
+      colored: safeColored,
+      total: safeTotal,
+      percent: safeTotal > 0 ? Math.floor((safeColored / safeTotal) * 100) : 0
+    };
+
+    const previous = this.state.coloringState.completion;
+    this.state.coloringState.completion = completion;
+
+    if (previous.colored !== completion.colored || previous.total !== completion.total) {
+      this.notifyListeners('completionChanged', { ...completion });
+    }
+  }
+
+  /**
+   * Retorna a conclusão do desenho selecionado
+   * @returns {{colored: number, total: number, percent: number}} Áreas pintadas, total e percentual (0-100)
+   */
+  getCompletion() {
+    return { ...this.state.coloringState.completion };
+  }
+
+  /**
+   * Persiste as áreas coloridas do desenho selecionado
+   * @private
+   */
+  persistProgress() {
+    if (!this.autosaveService || !this.state.selectedDrawing) {
+      return;
+    }
+
+    this.autosaveService.saveProgress(
+      this.state.selectedDrawing.id,
+      this.state.coloringState.coloredAreas
+    );
+  }
+
   /**
    * Verifica se o desenho foi modificado
    * @returns {boolean} True se foi modificado
@@ -185,12 +260,33 @@ export class ApplicationState {
     return this.state.coloringState.isModified;
   }
 
+  /**
+   * Retorna o histórico de desfazer/refazer de um desenho
+   * O histórico é criado na primeira chamada e mantido entre as transições de view
+   * @param {string} drawingId - ID do desenho
+   * @returns {CommandHistory} Histórico do desenho
+   */
+  getHistory(drawingId) {
+    if (!drawingId) {
+      throw new Error('ID do desenho é obrigatório para obter histórico');
+    }
+
+    if (!this.histories.has(drawingId)) {
+      this.histories.set(drawingId, new CommandHistory());
+    }
+    return this.histories.get(drawingId);
+  }
+
   /**
    * Salva a categoria selecionada na galeria
    * @param {string} categoryId - ID da categoria
    */
   setLastSelectedCategory(categoryId) {
     this.state.galleryState.lastSelectedCategory = categoryId;
+
+    if (this.profileService) {
+      this.profileService.setPreference('lastSelectedCategory', categoryId);
+    }
   }
 
   /**
@@ -201,6 +297,55 @@ export class ApplicationState {
     return this.state.galleryState.lastSelectedCategory;
   }
 
+  /**
+   * Retorna o perfil ativo
+   * @returns {import('../services/ProfileService.js').Profile|null} Perfil ativo
+   */
+  getActiveProfile() {
+    return this.profileService ? this.profileService.getActiveProfile() : null;
+  }
+
+  /**
+   * Troca o perfil ativo
+   * O histórico de desfazer/refazer e o estado da galeria pertencem ao perfil anterior
+   * e são descartados; a galeria volta para a última categoria do novo perfil
+   * @param {string} profileId - ID do perfil
+   * @returns {import('../services/ProfileService.js').Profile} Perfil ativado
+   */
+  switchProfile(profileId) {
+    if (!this.profileService) {
+      throw new Error('ProfileService é obrigatório para trocar de perfil');
+    }
+
+    const profile = this.profileService.setActiveProfile(profileId);
+
+    this.histories.clear();
+    this.state.selectedDrawing = null;
+    this.state.coloringState = {
+      selectedColor: null,
+      coloredAreas: new Map(),
+      isModified: false,
+      completion: { ...EMPTY_COMPLETION }
+    };
+    this.state.galleryState = {
+      scrollPosition: 0,
+      lastSelectedCategory: this.getProfilePreference('lastSelectedCategory')
+    };
+
+    this.notifyListeners('profileChanged', { profile });
+    return profile;
+  }
+
+  /**
+   * Lê uma preferência do perfil ativo
+   * @param {string} key - Nome da preferência
+   * @returns {*} Valor ou null
+   * @private
+   */
+  getProfilePreference(key) {
+    return this.profileService ? this.profileService.getPreference(key) : null;
+  }
+
   /**
    * Adiciona um listener para mudanças de estado
    * @param {Function} listener - Função callback (event, data) => void
@@ -249,13 +394,15 @@ export class ApplicationState {
       coloringState: {
         selectedColor: null,
         coloredAreas: new Map(),
-        isModified: false
+        isModified: false,
+        completion: { ...EMPTY_COMPLETION }
       },
       galleryState: {
         scrollPosition: 0,
         lastSelectedCategory: null
       }
     };
+    this.histories.clear();
 
     this.transitionToGallery(false);
     this.notifyListeners('stateReset');
@@ -0,0 +1,157 @@
+/**
+ * Histórico de Comandos (desfazer/refazer)
+ * Armazena ações reversíveis de pintura como dados serializáveis,
+ * para que o histórico sobreviva à recriação dos componentes de tela
+ */
+
+/**
+ * @typedef {Object} AreaState
+ * @property {string|null} fill - Valor do atributo fill no SVG (null se ausente)
+ * @property {string|null} color - Cor aplicada pelo usuário (null se não colorida)
+ */
+
+/**
+ * @typedef {Object} AreaChange
+ * @property {string} areaId - ID da área alterada
+ * @property {AreaState} before - Estado da área antes da ação
+ * @property {AreaState} after - Estado da área depois da ação
+ */
+
+/**
+ * @typedef {Object} HistoryAction
+ * @property {'color'|'clear'|'load'} type - Tipo da ação
+ * @property {AreaChange[]} changes - Alterações de áreas causadas pela ação
+ * @property {number} timestamp - Momento da ação (Date.now())
+ */
+
+export class CommandHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Listeners para mudanças no histórico
+    this.listeners = [];
+  }
+
+  /**
+   * Registra uma nova ação já executada
+   * Descarta as ações que poderiam ser refeitas
+   * @param {HistoryAction} action - Ação a registrar
+   */
+  record(action) {
+    if (!action || !Array.isArray(action.changes) || action.changes.length === 0) {
+      return;
+    }
+
+    this.undoStack.push(action);
+    this.redoStack = [];
+    this.notifyListeners('actionRecorded', { action });
+  }
+
+  /**
+   * Move a última ação para a pilha de refazer
+   * O chamador é responsável por reverter as alterações da ação retornada
+   * @returns {HistoryAction|null} Ação desfeita ou null se não houver
+   */
+  undo() {
+    const action = this.undoStack.pop();
+    if (!action) {
+      return null;
+    }
+
+    this.redoStack.push(action);
+    this.notifyListeners('actionUndone', { action });
+    return action;
+  }
+
+  /**
+   * Move a última ação desfeita de volta para a pilha de desfazer
+   * O chamador é responsável por reaplicar as alterações da ação retornada
+   * @returns {HistoryAction|null} Ação refeita ou null se não houver
+   */
+  redo() {
+    const action = this.redoStack.pop();
+    if (!action) {
+      return null;
+    }
+
+    this.undoStack.push(action);
+    this.notifyListeners('actionRedone', { action });
+    return action;
+  }
+
+  /**
+   * Verifica se há ações para desfazer
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Verifica se há ações para refazer
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Retorna as ações aplicadas, da mais antiga para a mais recente
+   * @returns {HistoryAction[]}
+   */
+  getActions() {
+    return [...this.undoStack];
+  }
+
+  /**
+   * Limpa todo o histórico
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyListeners('historyCleared');
+  }
+
+  /**
+   * Adiciona um listener para mudanças no histórico
+   * @param {Function} listener - Função callback (event, data) => void
+   */
+  addListener(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener deve ser uma função');
+    }
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Remove um listener
+   * @param {Function} listener - Função callback a remover
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notifica todos os listeners sobre uma mudança
+   * @param {string} event - Nome do evento
+   * @param {Object} data - Dados do evento
+   * @private
+   */
+  notifyListeners(event, data = {}) {
+    const payload = { ...data, canUndo: this.canUndo(), canRedo: this.canRedo() };
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, payload);
+      } catch (error) {
+        console.error('Erro ao notificar listener do histórico:', error);
+      }
+    });
+  }
+}
+
+export default CommandHistory;
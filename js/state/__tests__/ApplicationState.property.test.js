@@ -274,4 +274,48 @@ describe('ApplicationState - Property-Based Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  test('Conclusão deve ficar entre 0 e 100% e só chegar a 100% com todas as áreas', async () => {
+    await fc.assert(
+      fc.property(
+        arbitraryDrawing(),
+        fc.integer({ min: 1, max: 300 }),
+        fc.integer({ min: -5, max: 400 }),
+        (drawing, total, colored) => {
+          const galleryContainer = document.createElement('div');
+          const coloringContainer = document.createElement('div');
+
+          const appState = new ApplicationState({ galleryContainer, coloringContainer });
+          appState.transitionToColoring(drawing);
+          appState.setCompletion({ colored, total });
+
+          const completion = appState.getCompletion();
+
+          return completion.percent >= 0 &&
+            completion.percent <= 100 &&
+            (completion.percent === 100) === (colored >= total);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('Mudança na conclusão deve notificar listeners e ser zerada ao abrir outro desenho', () => {
+    const galleryContainer = document.createElement('div');
+    const coloringContainer = document.createElement('div');
+    const appState = new ApplicationState({ galleryContainer, coloringContainer });
+    const events = [];
+    appState.addListener((event, data) => events.push([event, data]));
+
+    appState.transitionToColoring({ id: 'carro', name: 'Carro' });
+    appState.setCompletion({ colored: 2, total: 3 });
+    appState.setCompletion({ colored: 2, total: 3 });
+
+    expect(events.filter(([event]) => event === 'completionChanged')).toEqual([
+      ['completionChanged', { colored: 2, total: 3, percent: 66 }]
+    ]);
+
+    appState.transitionToColoring({ id: 'gato', name: 'Gato' });
+    expect(appState.getCompletion()).toEqual({ colored: 0, total: 0, percent: 0 });
+  });
 });
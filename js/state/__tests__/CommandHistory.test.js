@@ -0,0 +1,114 @@
+/**
+ * Testes unitários para CommandHistory e histórico por desenho
+ */
+
+import { CommandHistory } from '../CommandHistory.js';
+import { ApplicationState } from '../ApplicationState.js';
+
+function createAction(areaId, beforeColor, afterColor) {
+  return {
+    type: 'color',
+    changes: [{
+      areaId,
+      before: { fill: beforeColor || 'none', color: beforeColor },
+      after: { fill: afterColor, color: afterColor }
+    }],
+    timestamp: Date.now()
+  };
+}
+
+describe('CommandHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new CommandHistory();
+  });
+
+  test('deve iniciar sem ações para desfazer ou refazer', () => {
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toBeNull();
+  });
+
+  test('deve desfazer e refazer na ordem inversa', () => {
+    const first = createAction('area-1', null, '#FF0000');
+    const second = createAction('area-2', null, '#00FF00');
+    history.record(first);
+    history.record(second);
+
+    expect(history.undo()).toBe(second);
+    expect(history.undo()).toBe(first);
+    expect(history.canUndo()).toBe(false);
+
+    expect(history.redo()).toBe(first);
+    expect(history.getActions()).toEqual([first]);
+  });
+
+  test('nova ação deve descartar pilha de refazer', () => {
+    history.record(createAction('area-1', null, '#FF0000'));
+    history.undo();
+    expect(history.canRedo()).toBe(true);
+
+    history.record(createAction('area-2', null, '#00FF00'));
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('deve ignorar ações sem alterações', () => {
+    history.record({ type: 'color', changes: [], timestamp: Date.now() });
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('não deve limitar o número de ações', () => {
+    for (let i = 0; i < 500; i++) {
+      history.record(createAction(`area-${i}`, null, '#FF0000'));
+    }
+    expect(history.getActions()).toHaveLength(500);
+  });
+
+  test('deve notificar listeners com estado de desfazer/refazer', () => {
+    const events = [];
+    history.addListener((event, data) => events.push({ event, ...data }));
+
+    history.record(createAction('area-1', null, '#FF0000'));
+    history.undo();
+
+    expect(events[0]).toMatchObject({ event: 'actionRecorded', canUndo: true, canRedo: false });
+    expect(events[1]).toMatchObject({ event: 'actionUndone', canUndo: false, canRedo: true });
+  });
+});
+
+describe('ApplicationState - histórico por desenho', () => {
+  let appState;
+
+  beforeEach(() => {
+    appState = new ApplicationState({
+      galleryContainer: document.createElement('div'),
+      coloringContainer: document.createElement('div')
+    });
+  });
+
+  test('deve manter o mesmo histórico entre transições de view', () => {
+    const drawing = { id: 'gato', name: 'Gato' };
+
+    appState.transitionToColoring(drawing);
+    const history = appState.getHistory('gato');
+    history.record(createAction('area-1', null, '#FF0000'));
+
+    appState.transitionToGallery(true);
+    appState.transitionToColoring(drawing);
+
+    expect(appState.getHistory('gato')).toBe(history);
+    expect(appState.getHistory('gato').canUndo()).toBe(true);
+  });
+
+  test('deve manter históricos separados por desenho', () => {
+    expect(appState.getHistory('gato')).not.toBe(appState.getHistory('peixe'));
+  });
+
+  test('reset deve descartar os históricos', () => {
+    const history = appState.getHistory('gato');
+    appState.reset();
+    expect(appState.getHistory('gato')).not.toBe(history);
+  });
+});
@@ -1,28 +1,68 @@
+/**
+ * Distância máxima (pixels de tela) que o dedo pode andar para o toque ainda contar
+ * como toque simples; acima dela é um arrasto
+ */
+export const TAP_TOLERANCE = 10;
+
+/**
+ * Intervalo máximo entre dois toques para formar um toque duplo (ms)
+ */
+export const DOUBLE_TAP_DELAY = 300;
+
 /**
  * Gerenciador de Eventos Touch e Mouse
- * Fornece interface unificada para eventos touch e mouse
+ * Fornece interface unificada para eventos touch e mouse e separa os gestos:
+ * só um toque simples (um dedo, sem arrastar) chega em onClick/onTap; pinça,
+ * arrasto com dois dedos e arrasto com a ferramenta "mover" viram onPinch/onPan
  */
 export class TouchEventHandler {
   /**
    * @param {HTMLElement} element - Elemento para adicionar listeners
    * @param {Object} handlers - Handlers para eventos
    * @param {Function} handlers.onClick - Handler para clique/toque
+   * @param {Function} [handlers.onTap] - Handler para toque simples (apenas touch; substitui onClick no toque)
+   * @param {Function} [handlers.onDoubleTap] - Handler para toque duplo; com ele, o toque simples
+   *   só é entregue depois de DOUBLE_TAP_DELAY
+   * @param {Function} [handlers.onPan] - Handler para arrasto ({dx, dy} em pixels de tela)
+   * @param {Function} [handlers.onPinch] - Handler para pinça ({scale, clientX, clientY}, escala relativa ao último movimento)
    * @param {Function} handlers.onHover - Handler para hover (apenas mouse)
    * @param {Function} handlers.onHoverEnd - Handler para fim de hover (apenas mouse)
+   * @param {Object} [options] - Opções dos gestos
+   * @param {Function} [options.dragToPan] - Retorna true quando um dedo ou o mouse arrastando deve mover (ferramenta "mover")
+   * @param {number} [options.tapTolerance=TAP_TOLERANCE] - Distância máxima de um toque simples
+   * @param {number} [options.doubleTapDelay=DOUBLE_TAP_DELAY] - Intervalo máximo do toque duplo
    */
-  constructor(element, handlers = {}) {
+  constructor(element, handlers = {}, options = {}) {
     if (!element) {
       throw new Error('Elemento é obrigatório');
     }
 
     this.element = element;
     this.handlers = handlers;
+    this.dragToPan = options.dragToPan || (() => false);
+    this.tapTolerance = options.tapTolerance ?? TAP_TOLERANCE;
+    this.doubleTapDelay = options.doubleTapDelay ?? DOUBLE_TAP_DELAY;
     this.isTouch = false;
     this.listeners = [];
 
+    // Gesto em andamento: {type: 'tap'|'drag'|'pan'|'pinch', target, startX, startY, lastX, lastY, lastDistance}
+    this.gesture = null;
+    this.mouseDrag = null; // {lastX, lastY} enquanto o mouse arrasta com a ferramenta "mover"
+    this.lastTap = null; // {time, clientX, clientY} para reconhecer o toque duplo
+    this.pendingTap = null; // Timeout do toque simples aguardando um possível segundo toque
+
     this.setupEventListeners();
   }
 
+  /**
+   * Adiciona um listener e guarda para o destroy
+   * @private
+   */
+  listen(type, listener, options) {
+    this.element.addEventListener(type, listener, options);
+    this.listeners.push({ type, listener, options });
+  }
+
   /**
    * Configura todos os event listeners
    * @private
@@ -31,45 +71,55 @@ export class TouchEventHandler {
     // Detectar se é dispositivo touch
     this.isTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
-    // Click/Touch handlers
-    if (this.handlers.onClick) {
-      // Mouse click
-      const clickListener = (e) => {
+    const { onClick, onTap, onDoubleTap, onPan, onPinch } = this.handlers;
+
+    // Mouse click
+    if (onClick) {
+      this.listen('click', (e) => {
         // Prevenir execução dupla em dispositivos touch
         if (!this.isTouch) {
           this.handleClick(e);
         }
-      };
-      this.element.addEventListener('click', clickListener);
-      this.listeners.push({ type: 'click', listener: clickListener });
+      });
+    }
 
-      // Touch
-      const touchEndListener = (e) => {
-        this.handleTouch(e);
-      };
-      this.element.addEventListener('touchend', touchEndListener);
-      this.listeners.push({ type: 'touchend', listener: touchEndListener });
+    // Touch: reconhecer o gesto antes de entregar o toque
+    if (onClick || onTap || onDoubleTap || onPan || onPinch) {
+      this.listen('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+      this.listen('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+      this.listen('touchend', (e) => this.handleTouch(e));
+      this.listen('touchcancel', () => {
+        this.gesture = null;
+      });
+    }
+
+    // Mouse arrastando com a ferramenta "mover"
+    if (onPan) {
+      this.listen('mousedown', (e) => this.handleMouseDown(e));
+      this.listen('mousemove', (e) => this.handleMouseMove(e));
+      this.listen('mouseup', () => {
+        this.mouseDrag = null;
+      });
+      this.listen('mouseleave', () => {
+        this.mouseDrag = null;
+      });
     }
 
     // Hover handlers (apenas para mouse)
     if (this.handlers.onHover) {
-      const mouseEnterListener = (e) => {
+      this.listen('mouseenter', (e) => {
         if (!this.isTouch) {
           this.handlers.onHover(e);
         }
-      };
-      this.element.addEventListener('mouseenter', mouseEnterListener);
-      this.listeners.push({ type: 'mouseenter', listener: mouseEnterListener });
+      });
     }
 
     if (this.handlers.onHoverEnd) {
-      const mouseLeaveListener = (e) => {
+      this.listen('mouseleave', (e) => {
         if (!this.isTouch) {
           this.handlers.onHoverEnd(e);
         }
-      };
-      this.element.addEventListener('mouseleave', mouseLeaveListener);
-      this.listeners.push({ type: 'mouseleave', listener: mouseLeaveListener });
+      });
     }
   }
 
@@ -91,7 +141,88 @@ export class TouchEventHandler {
   }
 
   /**
-   * Manipula evento de touch
+   * Início do toque: um dedo pode virar toque simples ou arrasto; dois dedos são pinça
+   * @param {TouchEvent} event - Evento de touch
+   * @private
+   */
+  handleTouchStart(event) {
+    const touches = event.touches || [];
+    const gestures = Boolean(this.handlers.onPan || this.handlers.onPinch);
+
+    if (touches.length >= 2 && gestures) {
+      // O segundo dedo cancela o toque simples do primeiro
+      event.preventDefault();
+      const center = getCenter(touches[0], touches[1]);
+      this.gesture = {
+        type: 'pinch',
+        lastDistance: getDistance(touches[0], touches[1]),
+        lastX: center.x,
+        lastY: center.y
+      };
+      return;
+    }
+
+    if (touches.length === 1 && !this.gesture) {
+      const { clientX, clientY } = touches[0];
+      this.gesture = { type: 'tap', target: event.target, startX: clientX, startY: clientY, lastX: clientX, lastY: clientY };
+
+      if (gestures && this.dragToPan()) {
+        event.preventDefault();
+      }
+    }
+  }
+
+  /**
+   * Movimento do toque: pinça, arrasto da visão ou toque que deixou de ser simples
+   * @param {TouchEvent} event - Evento de touch
+   * @private
+   */
+  handleTouchMove(event) {
+    const gesture = this.gesture;
+    const touches = event.touches || [];
+    if (!gesture || touches.length === 0) {
+      return;
+    }
+
+    if (gesture.type === 'pinch') {
+      event.preventDefault();
+      if (touches.length < 2) {
+        return;
+      }
+
+      const distance = getDistance(touches[0], touches[1]);
+      const center = getCenter(touches[0], touches[1]);
+
+      if (this.handlers.onPinch && gesture.lastDistance > 0) {
+        this.handlers.onPinch({ scale: distance / gesture.lastDistance, clientX: center.x, clientY: center.y, originalEvent: event });
+      }
+      this.emitPan(center.x - gesture.lastX, center.y - gesture.lastY, event);
+
+      gesture.lastDistance = distance;
+      gesture.lastX = center.x;
+      gesture.lastY = center.y;
+      return;
+    }
+
+    const { clientX, clientY } = touches[0];
+
+    if (gesture.type === 'tap' &&
+        Math.hypot(clientX - gesture.startX, clientY - gesture.startY) > this.tapTolerance) {
+      // Arrastou: não é mais um toque simples
+      gesture.type = this.handlers.onPan && this.dragToPan() ? 'pan' : 'drag';
+    }
+
+    if (gesture.type === 'pan') {
+      event.preventDefault();
+      this.emitPan(clientX - gesture.lastX, clientY - gesture.lastY, event);
+    }
+
+    gesture.lastX = clientX;
+    gesture.lastY = clientY;
+  }
+
+  /**
+   * Fim do toque: só um toque simples chega em onTap/onClick
    * @param {TouchEvent} event - Evento de touch
    * @private
    */
@@ -99,17 +230,115 @@ export class TouchEventHandler {
     // Prevenir comportamento padrão e evento de mouse subsequente
     event.preventDefault();
 
-    if (this.handlers.onClick) {
-      // Usar o primeiro touch point
-      const touch = event.changedTouches[0];
-      
-      this.handlers.onClick({
-        type: 'touch',
-        target: event.target,
-        clientX: touch.clientX,
-        clientY: touch.clientY,
-        originalEvent: event
-      });
+    // Ainda há dedos na tela (ex.: fim de uma pinça): o gesto continua
+    if (event.touches && event.touches.length > 0) {
+      return;
+    }
+
+    const gesture = this.gesture;
+    this.gesture = null;
+
+    // Sem touchstart registrado (ex.: toque iniciado fora do elemento), vale como toque simples
+    if (gesture && gesture.type !== 'tap') {
+      return;
+    }
+
+    // Usar o primeiro touch point
+    const touch = (event.changedTouches && event.changedTouches[0]) ||
+      (gesture ? { clientX: gesture.lastX, clientY: gesture.lastY } : {});
+
+    this.handleTap({
+      type: 'touch',
+      target: gesture ? gesture.target : event.target,
+      clientX: touch.clientX,
+      clientY: touch.clientY,
+      originalEvent: event
+    });
+  }
+
+  /**
+   * Entrega um toque simples ou, com onDoubleTap, espera o possível segundo toque
+   * @param {Object} detail - Dados do toque
+   * @private
+   */
+  handleTap(detail) {
+    const tapHandler = this.handlers.onTap || this.handlers.onClick;
+
+    if (!this.handlers.onDoubleTap) {
+      if (tapHandler) {
+        tapHandler(detail);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    const previous = this.lastTap;
+
+    if (previous && now - previous.time <= this.doubleTapDelay &&
+        Math.hypot(detail.clientX - previous.clientX, detail.clientY - previous.clientY) <= this.tapTolerance * 2) {
+      // Segundo toque: o primeiro não é entregue
+      this.cancelPendingTap();
+      this.lastTap = null;
+      this.handlers.onDoubleTap(detail);
+      return;
+    }
+
+    this.cancelPendingTap();
+    this.lastTap = { time: now, clientX: detail.clientX, clientY: detail.clientY };
+    this.pendingTap = setTimeout(() => {
+      this.pendingTap = null;
+      if (tapHandler) {
+        tapHandler(detail);
+      }
+    }, this.doubleTapDelay);
+  }
+
+  /**
+   * Descarta o toque simples que aguardava o segundo toque
+   * @private
+   */
+  cancelPendingTap() {
+    if (this.pendingTap) {
+      clearTimeout(this.pendingTap);
+      this.pendingTap = null;
+    }
+  }
+
+  /**
+   * Início do arrasto com o mouse (apenas com a ferramenta "mover")
+   * @param {MouseEvent} event - Evento de mouse
+   * @private
+   */
+  handleMouseDown(event) {
+    if (event.button !== 0 || !this.dragToPan()) {
+      return;
+    }
+
+    event.preventDefault();
+    this.mouseDrag = { lastX: event.clientX, lastY: event.clientY };
+  }
+
+  /**
+   * Arrasto com o mouse
+   * @param {MouseEvent} event - Evento de mouse
+   * @private
+   */
+  handleMouseMove(event) {
+    if (!this.mouseDrag) {
+      return;
+    }
+
+    this.emitPan(event.clientX - this.mouseDrag.lastX, event.clientY - this.mouseDrag.lastY, event);
+    this.mouseDrag = { lastX: event.clientX, lastY: event.clientY };
+  }
+
+  /**
+   * Repassa um deslocamento para onPan
+   * @private
+   */
+  emitPan(dx, dy, originalEvent) {
+    if (this.handlers.onPan && (dx !== 0 || dy !== 0)) {
+      this.handlers.onPan({ dx, dy, originalEvent });
     }
   }
 
@@ -117,10 +346,13 @@ export class TouchEventHandler {
    * Remove todos os event listeners
    */
   destroy() {
-    this.listeners.forEach(({ type, listener }) => {
-      this.element.removeEventListener(type, listener);
+    this.listeners.forEach(({ type, listener, options }) => {
+      this.element.removeEventListener(type, listener, options);
     });
     this.listeners = [];
+    this.cancelPendingTap();
+    this.gesture = null;
+    this.mouseDrag = null;
   }
 
   /**
@@ -158,4 +390,20 @@ export class TouchEventHandler {
   }
 }
 
+/**
+ * Distância entre dois pontos de toque
+ * @private
+ */
+function getDistance(a, b) {
+  return Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+}
+
+/**
+ * Ponto médio entre dois pontos de toque
+ * @private
+ */
+function getCenter(a, b) {
+  return { x: (a.clientX + b.clientX) / 2, y: (a.clientY + b.clientY) / 2 };
+}
+
 export default TouchEventHandler;
@@ -0,0 +1,152 @@
+/**
+ * Testes para o reconhecimento de gestos do TouchEventHandler
+ */
+
+import { jest } from '@jest/globals';
+import { TouchEventHandler, DOUBLE_TAP_DELAY, TAP_TOLERANCE } from '../TouchEventHandler.js';
+
+function touch(element, type, touches, changedTouches = touches) {
+  const event = new TouchEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    touches: touches.map(([clientX, clientY]) => ({ clientX, clientY })),
+    changedTouches: changedTouches.map(([clientX, clientY]) => ({ clientX, clientY }))
+  });
+  element.dispatchEvent(event);
+  return event;
+}
+
+function tap(element, x = 10, y = 10) {
+  touch(element, 'touchstart', [[x, y]]);
+  touch(element, 'touchend', [], [[x, y]]);
+}
+
+describe('TouchEventHandler - Gestos', () => {
+  let element;
+  let handler;
+  let handlers;
+
+  function createHandler(options = {}) {
+    handler = new TouchEventHandler(element, handlers, options);
+    return handler;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    element = document.createElement('div');
+    document.body.appendChild(element);
+    handlers = { onTap: jest.fn(), onPan: jest.fn(), onPinch: jest.fn() };
+  });
+
+  afterEach(() => {
+    handler.destroy();
+    element.remove();
+    jest.useRealTimers();
+  });
+
+  test('um toque simples deve chegar em onTap com o alvo e o ponto', () => {
+    createHandler();
+
+    tap(element, 30, 40);
+
+    expect(handlers.onTap).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'touch', target: element, clientX: 30, clientY: 40
+    }));
+  });
+
+  test('sem onTap o toque simples deve chegar em onClick', () => {
+    handlers = { onClick: jest.fn() };
+    createHandler();
+
+    tap(element);
+
+    expect(handlers.onClick).toHaveBeenCalledTimes(1);
+  });
+
+  test('arrastar o dedo não deve ser um toque', () => {
+    createHandler();
+
+    touch(element, 'touchstart', [[10, 10]]);
+    touch(element, 'touchmove', [[10 + TAP_TOLERANCE + 5, 10]]);
+    touch(element, 'touchend', [], [[10 + TAP_TOLERANCE + 5, 10]]);
+
+    expect(handlers.onTap).not.toHaveBeenCalled();
+    expect(handlers.onPan).not.toHaveBeenCalled();
+  });
+
+  test('com a ferramenta "mover", arrastar um dedo deve mover', () => {
+    createHandler({ dragToPan: () => true });
+
+    touch(element, 'touchstart', [[10, 10]]);
+    touch(element, 'touchmove', [[30, 10]]);
+    touch(element, 'touchmove', [[30, 25]]);
+    touch(element, 'touchend', [], [[30, 25]]);
+
+    expect(handlers.onPan).toHaveBeenNthCalledWith(1, expect.objectContaining({ dx: 20, dy: 0 }));
+    expect(handlers.onPan).toHaveBeenNthCalledWith(2, expect.objectContaining({ dx: 0, dy: 15 }));
+    expect(handlers.onTap).not.toHaveBeenCalled();
+  });
+
+  test('dois dedos devem fazer pinça e arrasto, nunca um toque', () => {
+    createHandler();
+
+    touch(element, 'touchstart', [[100, 100]]);
+    const second = touch(element, 'touchstart', [[100, 100], [200, 100]]);
+    touch(element, 'touchmove', [[60, 110], [260, 110]]);
+    touch(element, 'touchend', [[60, 110]], [[260, 110]]);
+    touch(element, 'touchend', [], [[60, 110]]);
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    expect(second.defaultPrevented).toBe(true);
+    expect(handlers.onPinch).toHaveBeenCalledWith(expect.objectContaining({ scale: 2, clientX: 160, clientY: 110 }));
+    expect(handlers.onPan).toHaveBeenCalledWith(expect.objectContaining({ dx: 10, dy: 10 }));
+    expect(handlers.onTap).not.toHaveBeenCalled();
+  });
+
+  test('com onDoubleTap, o primeiro toque espera o segundo', () => {
+    handlers.onDoubleTap = jest.fn();
+    createHandler();
+
+    tap(element);
+    expect(handlers.onTap).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+    expect(handlers.onTap).toHaveBeenCalledTimes(1);
+  });
+
+  test('dois toques rápidos no mesmo lugar devem ser um toque duplo', () => {
+    handlers.onDoubleTap = jest.fn();
+    createHandler();
+
+    tap(element, 50, 50);
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY / 2);
+    tap(element, 52, 50);
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    expect(handlers.onDoubleTap).toHaveBeenCalledWith(expect.objectContaining({ clientX: 52, clientY: 50 }));
+    expect(handlers.onTap).not.toHaveBeenCalled();
+  });
+
+  test('com a ferramenta "mover", o mouse arrastando deve mover', () => {
+    createHandler({ dragToPan: () => true });
+
+    element.dispatchEvent(new MouseEvent('mousedown', { button: 0, clientX: 0, clientY: 0 }));
+    element.dispatchEvent(new MouseEvent('mousemove', { clientX: -15, clientY: 5 }));
+    element.dispatchEvent(new MouseEvent('mouseup'));
+    element.dispatchEvent(new MouseEvent('mousemove', { clientX: 50, clientY: 50 }));
+
+    expect(handlers.onPan).toHaveBeenCalledTimes(1);
+    expect(handlers.onPan).toHaveBeenCalledWith(expect.objectContaining({ dx: -15, dy: 5 }));
+  });
+
+  test('destroy deve descartar o toque pendente', () => {
+    handlers.onDoubleTap = jest.fn();
+    createHandler();
+
+    tap(element);
+    handler.destroy();
+    jest.advanceTimersByTime(DOUBLE_TAP_DELAY);
+
+    expect(handlers.onTap).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Testes para a legenda e a posição dos números da pintura por números
+ */
+
+import { buildColorLegend, getNumberPosition, MIN_NUMBER_SIZE, MAX_NUMBER_SIZE } from '../colorByNumber.js';
+
+describe('buildColorLegend()', () => {
+  test('cada cor diferente deve receber um número, na ordem das áreas', () => {
+    const legend = buildColorLegend({
+      'area-10': '#0000ff',
+      'area-2': '#FF0000',
+      'area-1': '#0000FF',
+      'area-3': '#f00'
+    });
+
+    expect(legend.colors).toEqual(['#0000FF', '#FF0000']);
+    expect(legend.numbers).toEqual({ '#0000FF': 1, '#FF0000': 2 });
+    expect(legend.areaNumbers).toEqual({ 'area-1': 1, 'area-2': 2, 'area-3': 2, 'area-10': 1 });
+    expect(legend.areaColors['area-3']).toBe('#FF0000');
+  });
+
+  test('deve ignorar áreas e cores inválidas', () => {
+    const legend = buildColorLegend({ 'area-1': '#00FF00', roda: '#FF0000', 'area-2': 'verde' });
+
+    expect(legend.colors).toEqual(['#00FF00']);
+    expect(Object.keys(legend.areaNumbers)).toEqual(['area-1']);
+  });
+
+  test('sem cores esperadas não deve haver legenda', () => {
+    expect(buildColorLegend(undefined)).toBeNull();
+    expect(buildColorLegend({})).toBeNull();
+    expect(buildColorLegend({ 'area-1': 'nenhuma' })).toBeNull();
+  });
+});
+
+describe('getNumberPosition()', () => {
+  const bounds = (x, y, width, height) => ({ x, y, width, height, area: width * height });
+
+  test('deve centralizar o número na caixa da área', () => {
+    const position = getNumberPosition(bounds(10, 20, 30, 40));
+
+    expect(position.x).toBe(25);
+    expect(position.y).toBe(40);
+    expect(position.fontSize).toBe(15);
+  });
+
+  test('o tamanho da fonte deve ficar entre o mínimo e o máximo', () => {
+    expect(getNumberPosition(bounds(0, 0, 4, 4)).fontSize).toBe(MIN_NUMBER_SIZE);
+    expect(getNumberPosition(bounds(0, 0, 400, 400)).fontSize).toBe(MAX_NUMBER_SIZE);
+  });
+
+  test('com uma área menor por cima do centro, o número deve descer para a faixa visível', () => {
+    const tire = bounds(100, 150, 60, 60);
+    const hubcap = bounds(115, 165, 30, 30);
+
+    const position = getNumberPosition(tire, [tire, hubcap]);
+
+    expect(position.x).toBe(130);
+    expect(position.y).toBe(202.5); // entre 195 (calota) e 210 (pneu)
+    expect(position.fontSize).toBe(12);
+
+    // A calota não é afetada pelo pneu, que é maior
+    expect(getNumberPosition(hubcap, [tire, hubcap]).y).toBe(180);
+  });
+});
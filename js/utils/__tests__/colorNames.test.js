@@ -0,0 +1,32 @@
+/**
+ * Testes unitários para os nomes das cores
+ */
+
+import { getColorName, capitalize } from '../colorNames.js';
+
+describe('colorNames', () => {
+  test('deve nomear as cores da paleta', () => {
+    expect(getColorName('#FF0000')).toBe('vermelho');
+    expect(getColorName('#87CEEB')).toBe('azul céu');
+    expect(getColorName('#ffd700')).toBe('dourado');
+  });
+
+  test('deve aceitar a forma curta #RGB', () => {
+    expect(getColorName('#fff')).toBe('branco');
+    expect(getColorName('#00f')).toBe('azul');
+  });
+
+  test('cores fora da paleta devem receber o nome da mais próxima', () => {
+    expect(getColorName('#EE1111')).toBe('vermelho');
+    expect(getColorName('#7F7F80')).toBe('cinza');
+  });
+
+  test('valores que não são hexadecimais devem ser devolvidos como estão', () => {
+    expect(getColorName('red')).toBe('red');
+  });
+
+  test('capitalize deve colocar a primeira letra em maiúscula', () => {
+    expect(capitalize('roda dianteira')).toBe('Roda dianteira');
+    expect(capitalize('')).toBe('');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Testes para floodFill
+ */
+
+import { hexToRgb, getLuminance, floodFillRegion, createInkLayer, paintRegion } from '../floodFill.js';
+
+/**
+ * Cria pixels brancos com uma linha vertical preta na coluna informada
+ */
+function createLineArt(width, height, lineColumn) {
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+
+    for (let y = 0; y < height; y++) {
+        const offset = (y * width + lineColumn) * 4;
+        data[offset] = 0;
+        data[offset + 1] = 0;
+        data[offset + 2] = 0;
+    }
+
+    return { data, width, height };
+}
+
+describe('floodFill', () => {
+    describe('hexToRgb', () => {
+        test('deve converter cores de 6 e 3 dígitos', () => {
+            expect(hexToRgb('#FF8000')).toEqual({ r: 255, g: 128, b: 0 });
+            expect(hexToRgb('#0f0')).toEqual({ r: 0, g: 255, b: 0 });
+        });
+
+        test('deve retornar null para cores inválidas', () => {
+            expect(hexToRgb('vermelho')).toBeNull();
+            expect(hexToRgb(null)).toBeNull();
+        });
+    });
+
+    describe('getLuminance', () => {
+        test('deve tratar pixels transparentes como papel branco', () => {
+            const data = new Uint8ClampedArray([0, 0, 0, 0, 0, 0, 0, 255]);
+
+            expect(getLuminance(data, 0)).toBe(255);
+            expect(getLuminance(data, 1)).toBe(0);
+        });
+    });
+
+    describe('floodFillRegion', () => {
+        test('deve parar nas linhas escuras', () => {
+            const pixels = createLineArt(10, 4, 5);
+
+            const left = floodFillRegion(pixels, 1, 1);
+            const right = floodFillRegion(pixels, 8, 2);
+
+            expect(left).toHaveLength(5 * 4);
+            expect(right).toHaveLength(4 * 4);
+            expect(left[0]).toBe(0);
+            expect(right[0]).toBe(6);
+            expect(Array.from(left).every(index => index % 10 < 5)).toBe(true);
+        });
+
+        test('deve retornar índices em ordem crescente', () => {
+            const region = floodFillRegion(createLineArt(8, 8, 3), 6, 6);
+            const sorted = Array.from(region).sort((a, b) => a - b);
+
+            expect(Array.from(region)).toEqual(sorted);
+        });
+
+        test('deve retornar região vazia para ponto fora da imagem', () => {
+            expect(floodFillRegion(createLineArt(4, 4, 2), 10, 1)).toHaveLength(0);
+        });
+
+        test('deve respeitar a tolerância', () => {
+            const pixels = createLineArt(6, 1, 3);
+            // Cinza claro na coluna 1 (luminância 200)
+            pixels.data.set([200, 200, 200], 4);
+
+            expect(floodFillRegion(pixels, 0, 0, 48)).toHaveLength(1);
+            expect(floodFillRegion(pixels, 0, 0, 60)).toHaveLength(3);
+        });
+    });
+
+    describe('createInkLayer', () => {
+        test('deve deixar o papel transparente e o traço opaco', () => {
+            const ink = createInkLayer(createLineArt(3, 1, 1));
+
+            expect(ink[3]).toBe(0);
+            expect(ink[7]).toBe(255);
+        });
+    });
+
+    describe('paintRegion', () => {
+        test('deve pintar somente os pixels da região', () => {
+            const layer = new Uint8ClampedArray(3 * 4).fill(255);
+
+            paintRegion(layer, Uint32Array.from([0, 2]), { r: 10, g: 20, b: 30 });
+
+            expect(Array.from(layer)).toEqual([10, 20, 30, 255, 255, 255, 255, 255, 10, 20, 30, 255]);
+        });
+    });
+});
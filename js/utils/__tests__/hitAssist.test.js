@@ -0,0 +1,115 @@
+/**
+ * Testes para a geometria da assistência de toque
+ */
+
+import { distanceToRect, findNearestArea, isPointInArea } from '../hitAssist.js';
+
+function createArea(id, rect, pointInFill) {
+  const element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  element.setAttribute('id', id);
+  element.getBoundingClientRect = () => ({
+    ...rect,
+    right: rect.left + rect.width,
+    bottom: rect.top + rect.height
+  });
+
+  if (pointInFill) {
+    element.getScreenCTM = () => ({ inverse: () => ({}) });
+    element.isPointInFill = pointInFill;
+  }
+
+  return { id, element };
+}
+
+describe('hitAssist', () => {
+  let originalDOMPoint;
+
+  beforeEach(() => {
+    // DOMPoint não existe no jsdom: usar identidade
+    originalDOMPoint = global.DOMPoint;
+    global.DOMPoint = class {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+
+      matrixTransform() {
+        return this;
+      }
+    };
+  });
+
+  afterEach(() => {
+    global.DOMPoint = originalDOMPoint;
+  });
+
+  describe('distanceToRect()', () => {
+    const rect = { left: 10, top: 10, right: 20, bottom: 20 };
+
+    test('deve ser zero dentro do retângulo', () => {
+      expect(distanceToRect({ x: 15, y: 12 }, rect)).toBe(0);
+    });
+
+    test('deve medir até a borda ou o canto mais próximo', () => {
+      expect(distanceToRect({ x: 25, y: 15 }, rect)).toBe(5);
+      expect(distanceToRect({ x: 23, y: 24 }, rect)).toBe(5);
+    });
+  });
+
+  describe('isPointInArea()', () => {
+    test('deve retornar null quando o navegador não suporta o teste', () => {
+      const { element } = createArea('area-1', { left: 0, top: 0, width: 10, height: 10 });
+      expect(isPointInArea(element, { x: 5, y: 5 })).toBeNull();
+    });
+
+    test('deve testar os elementos geométricos de um grupo', () => {
+      const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const { element } = createArea('inner', { left: 0, top: 0, width: 10, height: 10 }, point => point.x < 5);
+      group.appendChild(element);
+
+      expect(isPointInArea(group, { x: 2, y: 2 })).toBe(true);
+      expect(isPointInArea(group, { x: 8, y: 2 })).toBe(false);
+    });
+  });
+
+  describe('findNearestArea()', () => {
+    test('deve escolher a área mais próxima dentro do raio', () => {
+      const areas = [
+        createArea('area-1', { left: 0, top: 0, width: 50, height: 50 }),
+        createArea('area-2', { left: 60, top: 0, width: 50, height: 50 })
+      ];
+
+      expect(findNearestArea(areas, { x: 57, y: 20 }, 32)).toEqual({ areaId: 'area-2', distance: 3, inside: false });
+    });
+
+    test('deve retornar null quando nenhuma área está no raio', () => {
+      const areas = [createArea('area-1', { left: 0, top: 0, width: 50, height: 50 })];
+      expect(findNearestArea(areas, { x: 100, y: 100 }, 16)).toBeNull();
+    });
+
+    test('deve preferir a área cujo preenchimento contém o toque', () => {
+      const areas = [
+        createArea('area-1', { left: 0, top: 0, width: 20, height: 20 }, () => false),
+        createArea('area-2', { left: 0, top: 0, width: 100, height: 100 }, () => true)
+      ];
+
+      expect(findNearestArea(areas, { x: 10, y: 10 }).areaId).toBe('area-2');
+    });
+
+    test('deve preferir a área menor no empate', () => {
+      const areas = [
+        createArea('area-1', { left: 0, top: 0, width: 100, height: 100 }),
+        createArea('area-2', { left: 0, top: 0, width: 20, height: 20 })
+      ];
+
+      expect(findNearestArea(areas, { x: 10, y: 10 }).areaId).toBe('area-2');
+    });
+
+    test('deve ignorar áreas com pointer-events="none"', () => {
+      const area = createArea('area-1', { left: 0, top: 0, width: 50, height: 50 });
+      area.element.setAttribute('pointer-events', 'none');
+
+      expect(findNearestArea([area], { x: 10, y: 10 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Testes para a navegação espacial entre áreas
+ */
+
+import { findNeighbor } from '../spatialNavigation.js';
+
+// Grade 3x2:
+// [0] [1] [2]
+// [3] [4] [5]
+const GRID = [
+  { left: 0, top: 0, width: 10, height: 10 },
+  { left: 20, top: 0, width: 10, height: 10 },
+  { left: 40, top: 0, width: 10, height: 10 },
+  { left: 0, top: 20, width: 10, height: 10 },
+  { left: 20, top: 20, width: 10, height: 10 },
+  { left: 40, top: 20, width: 10, height: 10 }
+];
+
+describe('findNeighbor()', () => {
+  test('deve encontrar o vizinho em cada direção', () => {
+    expect(findNeighbor(GRID, 4, 'left')).toBe(3);
+    expect(findNeighbor(GRID, 4, 'right')).toBe(5);
+    expect(findNeighbor(GRID, 4, 'up')).toBe(1);
+    expect(findNeighbor(GRID, 1, 'down')).toBe(4);
+  });
+
+  test('deve retornar -1 na borda', () => {
+    expect(findNeighbor(GRID, 0, 'left')).toBe(-1);
+    expect(findNeighbor(GRID, 0, 'up')).toBe(-1);
+  });
+
+  test('deve preferir o vizinho alinhado ao mais próximo fora do eixo', () => {
+    const rects = [
+      { left: 0, top: 0, width: 10, height: 10 },
+      { left: 15, top: 25, width: 10, height: 10 }, // Perto, mas abaixo
+      { left: 40, top: 2, width: 10, height: 10 } // Mais longe, alinhado
+    ];
+
+    expect(findNeighbor(rects, 0, 'right')).toBe(2);
+  });
+
+  test('deve aceitar retângulos de tamanhos diferentes', () => {
+    const rects = [
+      { left: 0, top: 0, width: 100, height: 20 },
+      { left: 0, top: 30, width: 30, height: 30 },
+      { left: 60, top: 30, width: 30, height: 30 }
+    ];
+
+    expect(findNeighbor(rects, 2, 'up')).toBe(0);
+    expect(findNeighbor(rects, 1, 'right')).toBe(2);
+  });
+
+  test('deve retornar -1 para direção ou índice inválido', () => {
+    expect(findNeighbor(GRID, 0, 'diagonal')).toBe(-1);
+    expect(findNeighbor(GRID, 10, 'right')).toBe(-1);
+  });
+});
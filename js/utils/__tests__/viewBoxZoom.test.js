@@ -0,0 +1,96 @@
+/**
+ * Testes para a geometria do zoom pelo viewBox
+ */
+
+import {
+  parseViewBox, formatViewBox, getZoomScale, clampViewBox, zoomViewBox, panViewBox,
+  centerViewBox, containsBounds, clientToViewBox, MAX_ZOOM
+} from '../viewBoxZoom.js';
+
+const BASE = { x: 0, y: 0, width: 400, height: 300 };
+
+function createSVG(attributes) {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  Object.entries(attributes).forEach(([name, value]) => svg.setAttribute(name, value));
+  return svg;
+}
+
+describe('parseViewBox()', () => {
+  test('deve ler o viewBox ou, sem ele, width/height', () => {
+    expect(parseViewBox(createSVG({ viewBox: '10 20 400 300' }))).toEqual({ x: 10, y: 20, width: 400, height: 300 });
+    expect(parseViewBox(createSVG({ viewBox: '0,0,500,500' }))).toEqual({ x: 0, y: 0, width: 500, height: 500 });
+    expect(parseViewBox(createSVG({ width: '200px', height: '100' }))).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+  });
+
+  test('deve retornar null quando o SVG não informa o tamanho', () => {
+    expect(parseViewBox(createSVG({}))).toBeNull();
+    expect(parseViewBox(createSVG({ viewBox: '0 0 0 100' }))).toBeNull();
+  });
+});
+
+describe('zoomViewBox()', () => {
+  test('deve aproximar mantendo o centro da visão', () => {
+    const view = zoomViewBox(BASE, BASE, 2);
+
+    expect(view).toEqual({ x: 100, y: 75, width: 200, height: 150 });
+    expect(getZoomScale(view, BASE)).toBe(2);
+  });
+
+  test('deve manter o ponto da pinça parado', () => {
+    const view = zoomViewBox(BASE, BASE, 2, { x: 100, y: 100 });
+
+    // O ponto estava a 1/4 da largura e a 1/3 da altura e continua no mesmo lugar
+    expect((100 - view.x) / view.width).toBeCloseTo(0.25);
+    expect((100 - view.y) / view.height).toBeCloseTo(1 / 3);
+  });
+
+  test('deve respeitar os limites de zoom e do desenho', () => {
+    expect(zoomViewBox(BASE, BASE, 0.5)).toEqual(BASE);
+    expect(getZoomScale(zoomViewBox(BASE, BASE, 100), BASE)).toBe(MAX_ZOOM);
+
+    const corner = zoomViewBox(BASE, BASE, 2, { x: 0, y: 0 });
+    expect(corner.x).toBe(0);
+    expect(corner.y).toBe(0);
+  });
+});
+
+describe('panViewBox() e clampViewBox()', () => {
+  test('deve mover a visão sem sair do desenho', () => {
+    const view = { x: 100, y: 75, width: 200, height: 150 };
+
+    expect(panViewBox(view, BASE, 50, -25)).toEqual({ x: 150, y: 50, width: 200, height: 150 });
+    expect(panViewBox(view, BASE, 500, 500)).toEqual({ x: 200, y: 150, width: 200, height: 150 });
+    expect(clampViewBox({ x: -10, y: -10, width: 800, height: 600 }, BASE)).toEqual(BASE);
+  });
+});
+
+describe('centerViewBox() e containsBounds()', () => {
+  test('deve centralizar uma área fora da visão', () => {
+    const view = { x: 0, y: 0, width: 100, height: 75 };
+    const bounds = { x: 290, y: 200, width: 20, height: 20 };
+
+    expect(containsBounds(view, bounds)).toBe(false);
+
+    const centered = centerViewBox(view, BASE, bounds);
+    expect(centered).toEqual({ x: 250, y: 172.5, width: 100, height: 75 });
+    expect(containsBounds(centered, bounds)).toBe(true);
+  });
+});
+
+describe('clientToViewBox()', () => {
+  test('deve converter pontos de tela para o SVG', () => {
+    const rect = { left: 10, top: 20, width: 200, height: 150 };
+
+    expect(clientToViewBox({ x: 110, y: 95 }, rect, BASE)).toEqual({ x: 200, y: 150 });
+  });
+
+  test('sem tamanho na tela deve usar o centro da visão', () => {
+    expect(clientToViewBox({ x: 5, y: 5 }, { left: 0, top: 0, width: 0, height: 0 }, BASE)).toEqual({ x: 200, y: 150 });
+  });
+});
+
+describe('formatViewBox()', () => {
+  test('deve arredondar os valores', () => {
+    expect(formatViewBox({ x: 1 / 3, y: 0, width: 200, height: 150.123456 })).toBe('0.333 0 200 150.123');
+  });
+});
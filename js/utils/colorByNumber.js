@@ -0,0 +1,104 @@
+import { normalizeColor } from '../models/Palette.js';
+
+/**
+ * Color By Number Utilities
+ * Pintura por números: o catálogo pode indicar a cor esperada de cada área (metadata.targetColors).
+ * Cada cor diferente recebe um número, na ordem das áreas; o número é desenhado no
+ * centro da área e aparece também no botão da cor na paleta
+ */
+
+/**
+ * Tamanho da fonte dos números, em unidades do SVG
+ */
+export const MIN_NUMBER_SIZE = 8;
+export const MAX_NUMBER_SIZE = 24;
+
+/**
+ * Monta a legenda numerada a partir das cores esperadas por área
+ * @param {Object<string, string>} [targetColors] - Mapa areaId -> cor esperada
+ * @returns {ColorLegend|null} Legenda ou null se o desenho não tem cores esperadas válidas
+ */
+export function buildColorLegend(targetColors) {
+  if (!targetColors || typeof targetColors !== 'object') {
+    return null;
+  }
+
+  // area-2 antes de area-10: a numeração segue a ordem das áreas no desenho
+  const entries = Object.entries(targetColors)
+    .map(([areaId, color]) => [areaId, normalizeColor(color)])
+    .filter(([areaId, color]) => /^area-\d+$/.test(areaId) && color)
+    .sort(([a], [b]) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10));
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const colors = [];
+  const numbers = {};
+  const areaNumbers = {};
+  const areaColors = {};
+
+  entries.forEach(([areaId, color]) => {
+    if (!(color in numbers)) {
+      colors.push(color);
+      numbers[color] = colors.length;
+    }
+    areaNumbers[areaId] = numbers[color];
+    areaColors[areaId] = color;
+  });
+
+  return { colors, numbers, areaNumbers, areaColors };
+}
+
+/**
+ * Posição e tamanho do número de uma área
+ * O número fica no centro da caixa da área. Quando esse centro cai dentro de uma área
+ * menor desenhada por cima (ex.: a calota dentro do pneu), o número desce para a faixa
+ * visível entre a borda de baixo da área menor e a da área
+ * @param {import('./svg-adapter/SVGElementExtractor.js').Bounds} bounds - Caixa da área
+ * @param {import('./svg-adapter/SVGElementExtractor.js').Bounds[]} [others] - Caixas das outras áreas
+ * @returns {{x: number, y: number, fontSize: number}}
+ */
+export function getNumberPosition(bounds, others = []) {
+  const x = bounds.x + bounds.width / 2;
+  let y = bounds.y + bounds.height / 2;
+  let fontSize = clamp(Math.min(bounds.width, bounds.height) * 0.5, MIN_NUMBER_SIZE, MAX_NUMBER_SIZE);
+
+  const inner = others
+    .filter(other => other !== bounds && other.area < bounds.area && containsPoint(other, x, y))
+    .sort((a, b) => b.area - a.area)[0];
+
+  if (inner) {
+    const innerBottom = inner.y + inner.height;
+    const outerBottom = bounds.y + bounds.height;
+    y = (innerBottom + outerBottom) / 2;
+    fontSize = clamp(Math.min(fontSize, (outerBottom - innerBottom) * 0.8), MIN_NUMBER_SIZE, MAX_NUMBER_SIZE);
+  }
+
+  return { x, y, fontSize };
+}
+
+/**
+ * Verifica se um ponto está dentro de uma caixa
+ * @private
+ */
+function containsPoint(bounds, x, y) {
+  return x >= bounds.x && x <= bounds.x + bounds.width &&
+    y >= bounds.y && y <= bounds.y + bounds.height;
+}
+
+/**
+ * Limita um valor a um intervalo
+ * @private
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * @typedef {Object} ColorLegend
+ * @property {Array<string>} colors - Cores da legenda, na ordem dos números (a cor 1 primeiro)
+ * @property {Object<string, number>} numbers - Cor -> número
+ * @property {Object<string, number>} areaNumbers - areaId -> número
+ * @property {Object<string, string>} areaColors - areaId -> cor esperada (normalizada)
+ */
@@ -0,0 +1,85 @@
+/**
+ * Color Names Utilities
+ * Nomes em português das cores, para leitores de tela e anúncios ("pintada de vermelho").
+ * Cores fora da paleta recebem o nome da cor nomeada mais próxima
+ */
+
+/**
+ * Cores nomeadas (as da paleta padrão), em minúsculas para uso no meio da frase
+ */
+const NAMED_COLORS = {
+  '#FF0000': 'vermelho',
+  '#FF7F00': 'laranja',
+  '#FFFF00': 'amarelo',
+  '#00FF00': 'verde',
+  '#0000FF': 'azul',
+  '#4B0082': 'índigo',
+  '#9400D3': 'violeta',
+  '#FF1493': 'rosa',
+  '#8B4513': 'marrom',
+  '#000000': 'preto',
+  '#808080': 'cinza',
+  '#FFFFFF': 'branco',
+  '#FFB6C1': 'rosa claro',
+  '#87CEEB': 'azul céu',
+  '#90EE90': 'verde claro',
+  '#FFD700': 'dourado'
+};
+
+/**
+ * Converte uma cor hexadecimal (#RGB ou #RRGGBB) em componentes RGB
+ * @param {string} hex - Cor hexadecimal
+ * @returns {{r: number, g: number, b: number}|null} Componentes ou null se inválida
+ */
+function parseHex(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) {
+    return null;
+  }
+
+  let digits = match[1];
+  if (digits.length === 3) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+}
+
+/**
+ * Retorna o nome de uma cor
+ * @param {string} color - Cor hexadecimal
+ * @returns {string} Nome em minúsculas (ex.: "vermelho") ou a própria cor se não for hexadecimal
+ */
+export function getColorName(color) {
+  const rgb = parseHex(color);
+  if (!rgb) {
+    return String(color);
+  }
+
+  let bestName = null;
+  let bestDistance = Infinity;
+
+  Object.entries(NAMED_COLORS).forEach(([hex, name]) => {
+    const named = parseHex(hex);
+    const distance = (rgb.r - named.r) ** 2 + (rgb.g - named.g) ** 2 + (rgb.b - named.b) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestName = name;
+    }
+  });
+
+  return bestName;
+}
+
+/**
+ * Primeira letra maiúscula, para nomes no início da frase
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+export function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
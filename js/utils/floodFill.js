@@ -0,0 +1,167 @@
+/**
+ * Flood Fill Utilities
+ * Algoritmos de preenchimento por tolerância sobre pixels RGBA, usados pelo
+ * FloodFillCanvas para colorir desenhos sem áreas identificadas (area-N)
+ */
+
+/**
+ * @typedef {Object} PixelData
+ * @property {Uint8ClampedArray} data - Pixels RGBA (4 bytes por pixel)
+ * @property {number} width - Largura em pixels
+ * @property {number} height - Altura em pixels
+ */
+
+/**
+ * Converte cor hexadecimal em componentes RGB
+ * @param {string} hex - Cor no formato #RRGGBB ou #RGB
+ * @returns {{r: number, g: number, b: number}|null} Componentes ou null se inválida
+ */
+export function hexToRgb(hex) {
+    if (typeof hex !== 'string') {
+        return null;
+    }
+
+    let value = hex.trim().replace(/^#/, '');
+    if (value.length === 3) {
+        value = value.split('').map(char => char + char).join('');
+    }
+
+    if (!/^[0-9a-f]{6}$/i.test(value)) {
+        return null;
+    }
+
+    return {
+        r: parseInt(value.slice(0, 2), 16),
+        g: parseInt(value.slice(2, 4), 16),
+        b: parseInt(value.slice(4, 6), 16)
+    };
+}
+
+/**
+ * Luminância aproximada de um pixel (0 = preto, 255 = branco)
+ * Pixels transparentes são tratados como papel branco
+ * @param {Uint8ClampedArray} data - Pixels RGBA
+ * @param {number} pixelIndex - Índice do pixel (não do byte)
+ * @returns {number}
+ */
+export function getLuminance(data, pixelIndex) {
+    const offset = pixelIndex * 4;
+    const alpha = data[offset + 3] / 255;
+    const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+
+    // Compor sobre branco
+    return luminance * alpha + 255 * (1 - alpha);
+}
+
+/**
+ * Preenche a região contígua a partir de um ponto inicial
+ * Um pixel pertence à região se sua luminância difere da do ponto inicial
+ * em no máximo `tolerance` (linhas escuras funcionam como borda)
+ * @param {PixelData} pixels - Pixels do traço original
+ * @param {number} startX - Coordenada X inicial
+ * @param {number} startY - Coordenada Y inicial
+ * @param {number} [tolerance=48] - Diferença máxima de luminância (0-255)
+ * @returns {Uint32Array} Índices dos pixels da região, em ordem crescente
+ */
+export function floodFillRegion(pixels, startX, startY, tolerance = 48) {
+    const { data, width, height } = pixels;
+    const x0 = Math.floor(startX);
+    const y0 = Math.floor(startY);
+
+    if (x0 < 0 || y0 < 0 || x0 >= width || y0 >= height) {
+        return new Uint32Array(0);
+    }
+
+    const seedLuminance = getLuminance(data, y0 * width + x0);
+    const matches = (index) => Math.abs(getLuminance(data, index) - seedLuminance) <= tolerance;
+
+    const visited = new Uint8Array(width * height);
+    const region = [];
+    const stack = [[x0, y0]];
+
+    // Preenchimento por linhas de varredura (evita recursão e pilhas enormes)
+    while (stack.length > 0) {
+        const [x, y] = stack.pop();
+        const rowStart = y * width;
+
+        if (visited[rowStart + x] || !matches(rowStart + x)) {
+            continue;
+        }
+
+        // Expandir para a esquerda e para a direita na linha
+        let left = x;
+        while (left > 0 && !visited[rowStart + left - 1] && matches(rowStart + left - 1)) {
+            left--;
+        }
+        let right = x;
+        while (right < width - 1 && !visited[rowStart + right + 1] && matches(rowStart + right + 1)) {
+            right++;
+        }
+
+        // Empilhar apenas o início de cada trecho compatível nas linhas vizinhas
+        let spanAbove = false;
+        let spanBelow = false;
+
+        for (let column = left; column <= right; column++) {
+            visited[rowStart + column] = 1;
+            region.push(rowStart + column);
+
+            if (y > 0) {
+                const above = rowStart - width + column;
+                const open = !visited[above] && matches(above);
+                if (open && !spanAbove) {
+                    stack.push([column, y - 1]);
+                }
+                spanAbove = open;
+            }
+
+            if (y < height - 1) {
+                const below = rowStart + width + column;
+                const open = !visited[below] && matches(below);
+                if (open && !spanBelow) {
+                    stack.push([column, y + 1]);
+                }
+                spanBelow = open;
+            }
+        }
+    }
+
+    return Uint32Array.from(region).sort();
+}
+
+/**
+ * Cria a camada de traço: pixels escuros ficam opacos e o papel fica transparente
+ * Preserva a suavização das bordas usando a escuridão como opacidade
+ * @param {PixelData} pixels - Pixels do traço original
+ * @returns {Uint8ClampedArray} Pixels RGBA da camada de traço
+ */
+export function createInkLayer(pixels) {
+    const { data, width, height } = pixels;
+    const ink = new Uint8ClampedArray(width * height * 4);
+
+    for (let index = 0; index < width * height; index++) {
+        const offset = index * 4;
+        ink[offset] = data[offset];
+        ink[offset + 1] = data[offset + 1];
+        ink[offset + 2] = data[offset + 2];
+        ink[offset + 3] = 255 - getLuminance(data, index);
+    }
+
+    return ink;
+}
+
+/**
+ * Pinta os pixels de uma região em uma camada RGBA
+ * @param {Uint8ClampedArray} layer - Pixels RGBA da camada de cor
+ * @param {Uint32Array} region - Índices dos pixels da região
+ * @param {{r: number, g: number, b: number}} rgb - Cor a aplicar
+ */
+export function paintRegion(layer, region, rgb) {
+    for (let i = 0; i < region.length; i++) {
+        const offset = region[i] * 4;
+        layer[offset] = rgb.r;
+        layer[offset + 1] = rgb.g;
+        layer[offset + 2] = rgb.b;
+        layer[offset + 3] = 255;
+    }
+}
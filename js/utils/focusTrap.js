@@ -0,0 +1,54 @@
+/**
+ * Focus trap dos diálogos modais
+ * Mantém a navegação por Tab dentro do diálogo aberto
+ */
+
+/**
+ * Seletor de elementos focáveis dentro de um diálogo
+ */
+export const FOCUSABLE_SELECTOR = [
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Retorna os elementos focáveis de um container
+ * @param {HTMLElement|null} container - Diálogo
+ * @returns {HTMLElement[]}
+ */
+export function getFocusableElements(container) {
+  if (!container) {
+    return [];
+  }
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR));
+}
+
+/**
+ * Mantém o foco dentro do container quando Tab passa do primeiro ou do último elemento
+ * @param {KeyboardEvent} event - Evento de teclado (ignorado se não for Tab)
+ * @param {HTMLElement} container - Diálogo
+ */
+export function trapTabKey(event, container) {
+  if (event.key !== 'Tab') {
+    return;
+  }
+
+  const focusable = getFocusableElements(container);
+  if (focusable.length === 0) {
+    event.preventDefault();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Hit Assist Utilities
+ * Geometria da "assistência de toque": encontra a área colorível mais próxima de um
+ * toque que caiu sobre o traço, um elemento decorativo ou o espaço entre áreas.
+ * Usada pelo SVGCanvas para crianças com dificuldade de coordenação motora fina
+ */
+
+/**
+ * Raio padrão de busca, em pixels de tela
+ */
+export const DEFAULT_ASSIST_RADIUS = 32;
+
+/**
+ * Raios oferecidos na configuração da assistência (pixels de tela)
+ */
+export const ASSIST_RADII = [16, 32, 48];
+
+/**
+ * Tempo em que a área escolhida fica destacada antes de receber a cor (ms)
+ */
+export const ASSIST_CONFIRM_DELAY = 350;
+
+/**
+ * Elementos com geometria própria (suportam isPointInFill)
+ */
+const GEOMETRY_SELECTOR = 'path, rect, circle, ellipse, polygon, polyline, line';
+
+/**
+ * @typedef {Object} AssistCandidate
+ * @property {string} areaId - ID da área
+ * @property {number} distance - Distância do toque até os limites da área (pixels de tela)
+ * @property {boolean} inside - Se o toque está dentro do preenchimento da área
+ */
+
+/**
+ * Distância de um ponto até um retângulo (0 se o ponto está dentro)
+ * @param {{x: number, y: number}} point - Ponto em coordenadas de tela
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - Retângulo
+ * @returns {number}
+ */
+export function distanceToRect(point, rect) {
+  const dx = Math.max(rect.left - point.x, 0, point.x - rect.right);
+  const dy = Math.max(rect.top - point.y, 0, point.y - rect.bottom);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Verifica se um ponto de tela está dentro do preenchimento de uma área
+ * Grupos (<g>) são testados pelos elementos geométricos que contêm
+ * @param {SVGElement} element - Elemento da área
+ * @param {{x: number, y: number}} point - Ponto em coordenadas de tela
+ * @returns {boolean|null} Resultado ou null quando o navegador não suporta o teste
+ */
+export function isPointInArea(element, point) {
+  const shapes = typeof element.isPointInFill === 'function'
+    ? [element]
+    : Array.from(element.querySelectorAll(GEOMETRY_SELECTOR));
+
+  let supported = false;
+
+  for (const shape of shapes) {
+    if (typeof shape.isPointInFill !== 'function' || typeof shape.getScreenCTM !== 'function') {
+      continue;
+    }
+
+    const matrix = shape.getScreenCTM();
+    if (!matrix) {
+      continue;
+    }
+
+    // Converter para o sistema de coordenadas do próprio elemento (inclui transforms)
+    const local = new DOMPoint(point.x, point.y).matrixTransform(matrix.inverse());
+    supported = true;
+
+    if (shape.isPointInFill(local)) {
+      return true;
+    }
+  }
+
+  return supported ? false : null;
+}
+
+/**
+ * Encontra a área colorível mais próxima de um toque
+ * Áreas cujo preenchimento contém o toque têm prioridade; em seguida vale a menor
+ * distância até os limites e, no empate, a menor área (a mais específica)
+ * @param {Array<import('../models/ColorableArea.js').ColorableArea>} areas - Áreas coloríveis
+ * @param {{x: number, y: number}} point - Ponto do toque em coordenadas de tela
+ * @param {number} [radius=DEFAULT_ASSIST_RADIUS] - Distância máxima (pixels de tela)
+ * @returns {AssistCandidate|null} Área escolhida ou null se nenhuma está no raio
+ */
+export function findNearestArea(areas, point, radius = DEFAULT_ASSIST_RADIUS) {
+  let best = null;
+
+  areas.forEach(area => {
+    if (!area.element || area.element.getAttribute('pointer-events') === 'none') {
+      return;
+    }
+
+    const rect = area.element.getBoundingClientRect();
+    const distance = distanceToRect(point, rect);
+    if (distance > radius) {
+      return;
+    }
+
+    const candidate = {
+      areaId: area.id,
+      distance,
+      inside: distance === 0 && isPointInArea(area.element, point) === true,
+      size: rect.width * rect.height
+    };
+
+    if (!best || compareCandidates(candidate, best) < 0) {
+      best = candidate;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  return { areaId: best.areaId, distance: best.distance, inside: best.inside };
+}
+
+/**
+ * Ordena candidatos: dentro do preenchimento, mais próximo, menor
+ * @private
+ */
+function compareCandidates(a, b) {
+  if (a.inside !== b.inside) {
+    return a.inside ? -1 : 1;
+  }
+  if (a.distance !== b.distance) {
+    return a.distance - b.distance;
+  }
+  return a.size - b.size;
+}
@@ -0,0 +1,146 @@
+/**
+ * IndexedDB Utilities
+ * Wrapper mínimo com Promises sobre um object store do IndexedDB
+ */
+
+/**
+ * Verifica se o IndexedDB está disponível no navegador
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (error) {
+    // Alguns navegadores lançam exceção ao acessar indexedDB em modo privado
+    return false;
+  }
+}
+
+/**
+ * Object store do IndexedDB com operações básicas
+ * O banco é aberto sob demanda na primeira operação
+ */
+export class IndexedDBStore {
+  /**
+   * @param {string} databaseName - Nome do banco
+   * @param {string} storeName - Nome do object store
+   * @param {Object} [options] - Opções
+   * @param {string} [options.keyPath='id'] - Campo usado como chave
+   * @param {number} [options.version=1] - Versão do banco
+   */
+  constructor(databaseName, storeName, options = {}) {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.keyPath = options.keyPath || 'id';
+    this.version = options.version || 1;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Verifica se o armazenamento pode ser usado
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return isIndexedDBAvailable();
+  }
+
+  /**
+   * Abre (e cria, se preciso) o banco
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB não disponível'));
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Executa uma operação no object store
+   * @param {'readonly'|'readwrite'} mode - Modo da transação
+   * @param {Function} operation - Recebe o IDBObjectStore e retorna um IDBRequest
+   * @returns {Promise<any>} Resultado da requisição, após a transação concluir
+   * @private
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      let result;
+
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transação abortada'));
+    });
+  }
+
+  /**
+   * Obtém um registro pela chave
+   * @param {string} key - Chave
+   * @returns {Promise<Object|undefined>}
+   */
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  /**
+   * Obtém todos os registros
+   * @returns {Promise<Object[]>}
+   */
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  /**
+   * Insere ou substitui um registro
+   * @param {Object} value - Registro (deve conter o campo keyPath)
+   * @returns {Promise<string>} Chave do registro
+   */
+  put(value) {
+    return this.run('readwrite', store => store.put(value));
+  }
+
+  /**
+   * Remove um registro
+   * @param {string} key - Chave
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Remove todos os registros
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
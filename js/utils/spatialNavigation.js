@@ -0,0 +1,84 @@
+/**
+ * Spatial Navigation Utilities
+ * Escolhe o vizinho geométrico de um elemento em uma direção, a partir das caixas
+ * delimitadoras. Usada pelo SVGCanvas para mover o foco entre as áreas com as setas
+ */
+
+/**
+ * Direções aceitas e seus vetores (eixo Y cresce para baixo, como na tela)
+ */
+const DIRECTIONS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 }
+};
+
+/**
+ * Teclas de seta -> direção
+ */
+export const ARROW_DIRECTIONS = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  ArrowDown: 'down'
+};
+
+/**
+ * Peso do desvio lateral: vizinhos alinhados com a direção são preferidos
+ * aos que estão mais perto mas fora do eixo
+ */
+const ORTHOGONAL_WEIGHT = 2;
+
+/**
+ * Centro de um retângulo
+ * @param {{left: number, top: number, width: number, height: number}} rect - Retângulo
+ * @returns {{x: number, y: number}}
+ */
+function getCenter(rect) {
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+/**
+ * Encontra o vizinho mais próximo de um retângulo em uma direção
+ * @param {Array<{left: number, top: number, width: number, height: number}>} rects - Caixas delimitadoras
+ * @param {number} fromIndex - Índice do retângulo de origem
+ * @param {'left'|'right'|'up'|'down'} direction - Direção
+ * @returns {number} Índice do vizinho ou -1 se não há nenhum naquela direção
+ */
+export function findNeighbor(rects, fromIndex, direction) {
+  const vector = DIRECTIONS[direction];
+  if (!vector || !rects[fromIndex]) {
+    return -1;
+  }
+
+  const origin = getCenter(rects[fromIndex]);
+  let bestIndex = -1;
+  let bestScore = Infinity;
+
+  rects.forEach((rect, index) => {
+    if (index === fromIndex) {
+      return;
+    }
+
+    const center = getCenter(rect);
+    const dx = center.x - origin.x;
+    const dy = center.y - origin.y;
+
+    // Distância ao longo da direção (precisa ser positiva) e desvio lateral
+    const along = dx * vector.x + dy * vector.y;
+    const across = Math.abs(dx * vector.y - dy * vector.x);
+
+    if (along <= 0) {
+      return;
+    }
+
+    const score = along + across * ORTHOGONAL_WEIGHT;
+    if (score < bestScore) {
+      bestScore = score;
+      bestIndex = index;
+    }
+  });
+
+  return bestIndex;
+}
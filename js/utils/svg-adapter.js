@@ -11,12 +11,28 @@
  * - Limpeza de fill em áreas coloríveis
  * 
  * Uso:
- *   node js/utils/svg-adapter.js <input.svg> [output.svg] [--validate] [--interactive]
- *   npm run svg-adapter <input.svg> [output.svg] [--validate] [--interactive]
+ *   node js/utils/svg-adapter.js <input.svg> [output.svg] [--validate] [--interactive] [--labels]
+ *   npm run svg-adapter <input.svg> [output.svg] [--validate] [--interactive] [--labels]
+ *   npm run svg-adapter <pasta|glob> <pasta-de-saída> [--concurrency=N]
+ *   npm run svg-adapter add <input.svg> --category <categoria> --name <nome>
+ *   npm run svg-adapter check [--fix]
+ *
+ * Termina com código 1 se a adaptação falhar, se no modo em lote algum arquivo não
+ * passar na validação ou se o check encontrar problemas (útil para barrar arte nova)
  */
 
 import { SVGAdapterCLI } from './svg-adapter/SVGAdapterCLI.js';
 
 // Ponto de entrada principal
 const cli = new SVGAdapterCLI();
-cli.run(process.argv.slice(2));
+cli.run(process.argv.slice(2)).then(
+  (result) => {
+    if (result && result.success === false) {
+      process.exitCode = 1;
+    }
+  },
+  () => {
+    // A mensagem já foi exibida pela CLI
+    process.exitCode = 1;
+  }
+);
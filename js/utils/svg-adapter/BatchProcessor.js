@@ -0,0 +1,191 @@
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Número padrão de arquivos adaptados ao mesmo tempo
+ */
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Caracteres que indicam um padrão glob (ex.: "arte/*.svg")
+ */
+const GLOB_CHARS = /[*?[]/;
+
+/**
+ * Processador em lote do SVG Adapter
+ * Expande pastas e padrões glob em arquivos SVG e processa os arquivos
+ * com um limite de tarefas simultâneas
+ */
+export class BatchProcessor {
+  /**
+   * @param {Object} [options] - Opções
+   * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Máximo de arquivos processados ao mesmo tempo
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  }
+
+  /**
+   * Verifica se uma entrada é um padrão glob
+   * @param {string} input - Caminho ou padrão
+   * @returns {boolean}
+   */
+  static isGlob(input) {
+    return GLOB_CHARS.test(input);
+  }
+
+  /**
+   * Converte um padrão glob em expressão regular
+   * Suporta "**" (qualquer subpasta), "*", "?" e classes como "[abc]"
+   * @param {string} pattern - Padrão com "/" como separador
+   * @returns {RegExp}
+   */
+  static globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*' && pattern[i + 1] === '*') {
+        // "**/" também casa com nenhuma pasta
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+        const end = pattern.indexOf(']', i + 1);
+        const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      } else {
+        source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Expande arquivos, pastas (recursivamente) e padrões glob em arquivos SVG
+   * @param {string[]} inputs - Entradas da linha de comando
+   * @param {Object} [options] - Opções
+   * @param {string|null} [options.exclude] - Pasta ignorada (a de saída, para não readaptar arquivos gerados)
+   * @returns {Promise<BatchFile[]>} Arquivos sem repetição, na ordem das entradas
+   */
+  async resolveInputs(inputs, options = {}) {
+    const exclude = options.exclude ? path.resolve(options.exclude) : null;
+    const files = new Map();
+
+    const add = (inputPath, relativePath) => {
+      const resolved = path.resolve(inputPath);
+      const excluded = exclude && (resolved === exclude || resolved.startsWith(exclude + path.sep));
+      if (!excluded && !files.has(resolved)) {
+        files.set(resolved, { inputPath, relativePath });
+      }
+    };
+
+    for (const input of inputs) {
+      if (BatchProcessor.isGlob(input)) {
+        const { base, regexp } = this.splitGlob(input);
+        const found = await this.walk(base);
+        found
+          .filter(file => regexp.test(path.relative(base, file).split(path.sep).join('/')))
+          .forEach(file => add(file, path.relative(base, file)));
+        continue;
+      }
+
+      const stats = await stat(input).catch(() => null);
+      if (stats && stats.isDirectory()) {
+        const found = await this.walk(input);
+        found
+          .filter(file => path.extname(file).toLowerCase() === '.svg')
+          .forEach(file => add(file, path.relative(input, file)));
+      } else {
+        // Arquivos inexistentes seguem adiante e aparecem como falha no resumo
+        add(input, path.basename(input));
+      }
+    }
+
+    return Array.from(files.values());
+  }
+
+  /**
+   * Separa a pasta fixa do começo de um padrão glob do restante do padrão
+   * @param {string} pattern - Padrão glob
+   * @returns {{base: string, regexp: RegExp}}
+   * @private
+   */
+  splitGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex(segment => BatchProcessor.isGlob(segment));
+    const baseSegments = segments.slice(0, firstGlob);
+
+    let base = baseSegments.join('/');
+    if (base === '' && baseSegments.length > 0) {
+      base = '/';
+    }
+
+    return {
+      base: base || '.',
+      regexp: BatchProcessor.globToRegExp(segments.slice(firstGlob).join('/'))
+    };
+  }
+
+  /**
+   * Lista todos os arquivos de uma pasta e subpastas
+   * @param {string} dir - Pasta
+   * @returns {Promise<string[]>} Caminhos em ordem alfabética
+   * @private
+   */
+  async walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.walk(entryPath));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Processa itens com no máximo `concurrency` tarefas ao mesmo tempo
+   * @param {Array} items - Itens
+   * @param {Function} worker - Tarefa assíncrona (item, index) => resultado
+   * @returns {Promise<Array>} Resultados na ordem dos itens
+   */
+  async run(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runNext = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, runNext);
+    await Promise.all(workers);
+
+    return results;
+  }
+}
+
+/**
+ * @typedef {Object} BatchFile
+ * @property {string} inputPath - Caminho do arquivo de entrada
+ * @property {string} relativePath - Caminho relativo à pasta (ou ao início fixo do glob) de entrada
+ */
@@ -0,0 +1,239 @@
+import { SVGElementExtractor, SVGParseError } from './SVGElementExtractor.js';
+import { ElementClassifier } from './ElementClassifier.js';
+import { TransformEngine } from './TransformEngine.js';
+import { ValidationEngine } from './ValidationEngine.js';
+import imageExportService from '../../services/ImageExportService.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Elementos mantidos no arquivo enviado: formas, grupos, textos e pintura
+ * (sem animação, imagens, estilos, scripts ou conteúdo externo)
+ */
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask'
+]);
+
+/**
+ * Atributos de geometria e apresentação mantidos (também aceitos dentro de style)
+ */
+const ALLOWED_ATTRIBUTES = new Set([
+  'xmlns', 'xmlns:xlink', 'version', 'id', 'class', 'data-label',
+  'viewBox', 'preserveAspectRatio', 'width', 'height', 'x', 'y',
+  'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'd', 'points', 'transform',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset',
+  'opacity', 'color', 'display', 'visibility', 'clip-path', 'clip-rule', 'mask',
+  'vector-effect', 'paint-order', 'shape-rendering', 'pointer-events',
+  'offset', 'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+  'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline', 'letter-spacing'
+]);
+
+/**
+ * Referências permitidas: só elementos do próprio SVG ("#id", "url(#id)")
+ */
+const LOCAL_REFERENCE = /^\s*#[\w.:-]+\s*$/;
+const LOCAL_URL = /^url\s*\(\s*['"]?#[\w.:-]+['"]?\s*\)$/i;
+
+/**
+ * Adaptador de SVG para o navegador
+ * Executa o mesmo pipeline do CLI (classificação, transformação e validação)
+ * sobre o texto de um arquivo enviado pelo usuário, sem acesso ao sistema de arquivos
+ */
+export class BrowserSVGAdapter {
+  constructor() {
+    this.extractor = new SVGElementExtractor();
+    this.classifier = new ElementClassifier();
+    this.transformer = new TransformEngine();
+    this.validator = new ValidationEngine();
+  }
+
+  /**
+   * Adapta o conteúdo de um arquivo SVG
+   * @param {string} content - Texto do arquivo SVG
+   * @returns {BrowserAdaptationResult} Resultado da adaptação
+   * @throws {SVGParseError} Se o conteúdo não for um SVG válido
+   */
+  adapt(content) {
+    const svg = this.parse(content);
+    this.sanitize(svg);
+
+    // Anexar fora da tela para que getBBox() meça os elementos de verdade
+    const measureContainer = this.createMeasureContainer();
+    const attachedSVG = document.importNode(svg, true);
+    measureContainer.appendChild(attachedSVG);
+    document.body.appendChild(measureContainer);
+
+    try {
+      const elements = this.extractor.extractElements(attachedSVG);
+      const classification = this.classifier.classify(elements);
+      const transformResult = this.transformer.transform(attachedSVG, classification);
+      const validation = this.validator.validate(transformResult.svg);
+      const { width, height } = imageExportService.getDimensions(transformResult.svg);
+
+      return {
+        svgContent: new XMLSerializer().serializeToString(transformResult.svg),
+        colorableCount: transformResult.colorableCount,
+        decorativeCount: transformResult.decorativeCount,
+        stats: transformResult.stats,
+        validation,
+        width,
+        height
+      };
+    } finally {
+      measureContainer.remove();
+    }
+  }
+
+  /**
+   * Faz parsing do texto SVG
+   * @param {string} content - Texto do arquivo SVG
+   * @returns {SVGSVGElement} Elemento SVG raiz
+   * @throws {SVGParseError} Se o parsing falhar
+   */
+  parse(content) {
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw new SVGParseError('Arquivo SVG vazio');
+    }
+
+    const doc = new DOMParser().parseFromString(content, 'image/svg+xml');
+
+    const parserError = doc.querySelector('parsererror');
+    if (parserError) {
+      throw new SVGParseError(`Erro de parsing XML: ${parserError.textContent}`);
+    }
+
+    const svg = doc.documentElement;
+    if (!svg || svg.tagName.toLowerCase() !== 'svg') {
+      throw new SVGParseError(
+        `Documento não contém elemento SVG válido (encontrado: ${svg?.tagName || 'nenhum'})`
+      );
+    }
+
+    return svg;
+  }
+
+  /**
+   * Deixa no arquivo enviado apenas formas, grupos e pintura (lista de permitidos)
+   * Elementos fora da lista são removidos com tudo o que contêm (script, style,
+   * foreignObject, iframe, image, animate, set...); atributos fora da lista, inclusive
+   * on*, também. Referências (href, url()) só podem apontar para um #id do próprio SVG
+   * @param {SVGSVGElement} svg - Elemento SVG raiz
+   */
+  sanitize(svg) {
+    Array.from(svg.querySelectorAll('*'))
+      .filter(element => !this.isAllowedElement(element))
+      .forEach(element => element.remove());
+
+    [svg, ...svg.querySelectorAll('*')].forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        if (!this.isAllowedAttribute(attribute)) {
+          element.removeAttribute(attribute.name);
+        }
+      });
+
+      if (element.hasAttribute('style')) {
+        const style = this.sanitizeStyle(element.getAttribute('style'));
+        if (style) {
+          element.setAttribute('style', style);
+        } else {
+          element.removeAttribute('style');
+        }
+      }
+    });
+  }
+
+  /**
+   * Verifica se o elemento é um elemento SVG permitido
+   * @param {Element} element - Elemento
+   * @returns {boolean}
+   * @private
+   */
+  isAllowedElement(element) {
+    return element.namespaceURI === SVG_NAMESPACE && ALLOWED_ELEMENTS.has(element.localName);
+  }
+
+  /**
+   * Verifica se o atributo é permitido e, se tiver uma referência, se ela é interna
+   * @param {Attr} attribute - Atributo
+   * @returns {boolean}
+   * @private
+   */
+  isAllowedAttribute(attribute) {
+    const name = attribute.name;
+    if (name === 'href' || name === 'xlink:href') {
+      return LOCAL_REFERENCE.test(attribute.value);
+    }
+    if (name === 'style') {
+      return true; // Filtrado por sanitizeStyle
+    }
+
+    return ALLOWED_ATTRIBUTES.has(name) && this.isSafeValue(attribute.value);
+  }
+
+  /**
+   * Mantém só as propriedades de apresentação permitidas de um estilo inline
+   * @param {string} style - Valor do atributo style
+   * @returns {string} Estilo filtrado (vazio se nada sobrar)
+   * @private
+   */
+  sanitizeStyle(style) {
+    return style
+      .split(';')
+      .map(declaration => declaration.split(':'))
+      .filter(([name, ...value]) => {
+        const property = name && name.trim();
+        return property && value.length > 0 &&
+          ALLOWED_ATTRIBUTES.has(property) && this.isSafeValue(value.join(':'));
+      })
+      .map(([name, ...value]) => `${name.trim()}:${value.join(':').trim()}`)
+      .join(';');
+  }
+
+  /**
+   * Verifica se um valor só usa url() para um #id do próprio SVG
+   * @param {string} value - Valor do atributo ou da propriedade
+   * @returns {boolean}
+   * @private
+   */
+  isSafeValue(value) {
+    if (/javascript:|expression\s*\(|@import|\\/i.test(value)) {
+      return false;
+    }
+
+    const urls = value.match(/url\s*\(([^)]*)\)/gi) || [];
+    const unclosed = (value.match(/url\s*\(/gi) || []).length !== urls.length;
+    return !unclosed && urls.every(url => LOCAL_URL.test(url));
+  }
+
+  /**
+   * Cria o container invisível usado para medir os elementos
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  createMeasureContainer() {
+    const container = document.createElement('div');
+    container.setAttribute('aria-hidden', 'true');
+    container.style.position = 'absolute';
+    container.style.width = '0';
+    container.style.height = '0';
+    container.style.overflow = 'hidden';
+    container.style.visibility = 'hidden';
+    return container;
+  }
+}
+
+/**
+ * @typedef {Object} BrowserAdaptationResult
+ * @property {string} svgContent - SVG adaptado, serializado
+ * @property {number} colorableCount - Total de áreas coloríveis (area-N)
+ * @property {number} decorativeCount - Total de elementos decorativos
+ * @property {Object} stats - Estatísticas do TransformEngine
+ * @property {Object} validation - Resultado do ValidationEngine
+ * @property {number} width - Largura do desenho
+ * @property {number} height - Altura do desenho
+ */
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import { readdir } from 'fs/promises';
+import path from 'path';
+import svgManipulator from '../../services/SVGManipulator.js';
+import { isValidDrawing } from '../../models/Drawing.js';
+import { CatalogRegistry } from './CatalogRegistry.js';
+import { SVGParser } from './SVGParser.js';
+
+/**
+ * Pastas de desenhos e miniaturas, relativas à raiz do projeto
+ */
+export const DRAWINGS_DIR = 'assets/drawings';
+export const THUMBNAILS_DIR = 'assets/thumbnails';
+
+/**
+ * Extensões consideradas ao procurar arquivos fora do catálogo
+ */
+const IMAGE_EXTENSIONS = ['.svg', '.png', '.jpg', '.jpeg', '.webp'];
+
+/**
+ * Tipos de problema, na ordem em que aparecem no relatório
+ * Os de gravidade "warning" (arquivos fora do catálogo) não fazem a verificação falhar
+ */
+export const ISSUE_TYPES = {
+  'invalid-entry': { severity: 'error', title: 'Entradas inválidas' },
+  'duplicate-id': { severity: 'error', title: 'IDs repetidos' },
+  'category-mismatch': { severity: 'error', title: 'Categoria diferente da categoria onde o desenho está' },
+  'missing-drawing': { severity: 'error', title: 'Desenhos não encontrados' },
+  'unreadable-drawing': { severity: 'error', title: 'Desenhos que não puderam ser lidos' },
+  'missing-thumbnail': { severity: 'error', title: 'Miniaturas não encontradas' },
+  'area-count': { severity: 'error', title: 'Contagem de áreas diferente do SVG' },
+  'orphan-drawing': { severity: 'warning', title: 'Desenhos fora do catálogo' },
+  'orphan-thumbnail': { severity: 'warning', title: 'Miniaturas fora do catálogo' }
+};
+
+/**
+ * Verificador de consistência do catálogo
+ * Confere cada entrada de data/drawings-catalog.json com isValidDrawing e com os
+ * arquivos em disco, reconta as áreas como o site conta e aponta arquivos de
+ * desenhos e miniaturas que não estão no catálogo. Com fix, corrige areaCount
+ */
+export class CatalogChecker {
+  /**
+   * @param {Object} [options] - Opções
+   * @param {string} [options.root] - Raiz do projeto (padrão: pasta atual)
+   */
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+    this.registry = new CatalogRegistry({ root: this.root });
+    this.parser = new SVGParser();
+  }
+
+  /**
+   * Verifica o catálogo
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.fix=false] - Corrigir metadata.areaCount e gravar o catálogo
+   * @returns {Promise<CheckReport>} Relatório
+   */
+  async check(options = {}) {
+    const catalog = await this.registry.load();
+    const issues = [];
+    const referenced = new Set();
+    const categoriesById = new Map();
+
+    for (const category of catalog.categories) {
+      for (const drawing of category.drawings || []) {
+        const label = `${category.id}/${drawing && drawing.id}`;
+        const categories = categoriesById.get(drawing && drawing.id) || [];
+        categoriesById.set(drawing && drawing.id, [...categories, category.id]);
+
+        if (!isValidDrawing(drawing)) {
+          issues.push(this.createIssue('invalid-entry', label, 'não passa em isValidDrawing (campos obrigatórios ou metadados)'));
+        }
+        if (drawing && drawing.category !== category.id) {
+          issues.push(this.createIssue('category-mismatch', label, `category é "${drawing.category}"`));
+        }
+
+        const svgPath = this.resolveUrl(drawing && drawing.svgUrl);
+        const thumbnailPath = this.resolveUrl(drawing && drawing.thumbnailUrl);
+        [svgPath, thumbnailPath].filter(Boolean).forEach(file => referenced.add(file));
+
+        if (thumbnailPath && !fs.existsSync(thumbnailPath)) {
+          issues.push(this.createIssue('missing-thumbnail', label, drawing.thumbnailUrl));
+        }
+
+        if (!svgPath) {
+          continue;
+        }
+        if (!fs.existsSync(svgPath)) {
+          issues.push(this.createIssue('missing-drawing', label, drawing.svgUrl));
+          continue;
+        }
+
+        const issue = await this.checkAreaCount(drawing, svgPath, label, options.fix);
+        if (issue) {
+          issues.push(issue);
+        }
+      }
+    }
+
+    categoriesById.forEach((categories, id) => {
+      if (categories.length > 1) {
+        issues.push(this.createIssue('duplicate-id', id, `aparece em ${categories.join(', ')}`));
+      }
+    });
+
+    for (const [dir, type] of [[DRAWINGS_DIR, 'orphan-drawing'], [THUMBNAILS_DIR, 'orphan-thumbnail']]) {
+      const files = await this.listImages(path.join(this.root, dir));
+      files
+        .filter(file => !referenced.has(file))
+        .forEach(file => issues.push(this.createIssue(type, path.relative(this.root, file), 'não é usado por nenhuma entrada')));
+    }
+
+    const fixed = issues.filter(issue => issue.fixed).length;
+    if (fixed > 0) {
+      await this.registry.save(catalog);
+    }
+
+    const types = Object.keys(ISSUE_TYPES);
+    issues.sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type));
+
+    const drawingCount = catalog.categories.reduce((total, category) => total + (category.drawings || []).length, 0);
+    const errors = issues.filter(issue => issue.severity === 'error' && !issue.fixed).length;
+
+    return { success: errors === 0, drawingCount, issues, errors, fixed };
+  }
+
+  /**
+   * Reconta as áreas do SVG e compara com metadata.areaCount
+   * @param {Object} drawing - Entrada do catálogo (alterada se fix)
+   * @param {string} svgPath - Arquivo do desenho
+   * @param {string} label - Identificação no relatório
+   * @param {boolean} fix - Corrigir a contagem
+   * @returns {Promise<CheckIssue|null>}
+   * @private
+   */
+  async checkAreaCount(drawing, svgPath, label, fix) {
+    let count;
+    try {
+      const { element } = await this.parser.parse(svgPath);
+      count = svgManipulator.identifyColorableAreas(element).length;
+    } catch (error) {
+      return this.createIssue('unreadable-drawing', label, error.message);
+    }
+
+    const metadata = drawing.metadata;
+    if (!metadata || typeof metadata !== 'object' || metadata.areaCount === count) {
+      return null;
+    }
+
+    const issue = this.createIssue('area-count', label, `catálogo diz ${metadata.areaCount}, o SVG tem ${count}`);
+    if (fix) {
+      metadata.areaCount = count;
+      issue.fixed = true;
+    }
+    return issue;
+  }
+
+  /**
+   * Caminho no disco de uma URL do catálogo ("/assets/..."); null para outras URLs
+   * @param {string} url - URL
+   * @returns {string|null}
+   * @private
+   */
+  resolveUrl(url) {
+    return typeof url === 'string' && url.startsWith('/') ? path.join(this.root, url) : null;
+  }
+
+  /**
+   * Lista as imagens de uma pasta e subpastas
+   * @param {string} dir - Pasta
+   * @returns {Promise<string[]>} Caminhos absolutos em ordem alfabética
+   * @private
+   */
+  async listImages(dir) {
+    const entries = await readdir(dir, { recursive: true }).catch(() => []);
+    return entries
+      .filter(entry => IMAGE_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+      .map(entry => path.join(dir, entry))
+      .sort();
+  }
+
+  /**
+   * Cria um problema do relatório
+   * @param {string} type - Tipo (chave de ISSUE_TYPES)
+   * @param {string} subject - Desenho ("categoria/id"), ID ou arquivo
+   * @param {string} detail - Detalhe
+   * @returns {CheckIssue}
+   * @private
+   */
+  createIssue(type, subject, detail) {
+    return { type, severity: ISSUE_TYPES[type].severity, subject, detail, fixed: false };
+  }
+}
+
+/**
+ * @typedef {Object} CheckIssue
+ * @property {string} type - Tipo do problema (chave de ISSUE_TYPES)
+ * @property {'error'|'warning'} severity - Gravidade
+ * @property {string} subject - Desenho ("categoria/id"), ID ou arquivo
+ * @property {string} detail - Detalhe
+ * @property {boolean} fixed - Corrigido com --fix
+ */
+
+/**
+ * @typedef {Object} CheckReport
+ * @property {boolean} success - Sem erros pendentes (avisos não contam)
+ * @property {number} drawingCount - Entradas no catálogo
+ * @property {CheckIssue[]} issues - Problemas encontrados, agrupados por tipo
+ * @property {number} errors - Erros que continuam pendentes
+ * @property {number} fixed - Problemas corrigidos
+ */
@@ -0,0 +1,212 @@
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import svgManipulator from '../../services/SVGManipulator.js';
+import { isValidDrawing } from '../../models/Drawing.js';
+import { parseViewBox } from '../viewBoxZoom.js';
+
+/**
+ * Caminho do catálogo, relativo à raiz do projeto
+ */
+export const CATALOG_PATH = 'data/drawings-catalog.json';
+
+/**
+ * Erro customizado para problemas no catálogo de desenhos
+ */
+export class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+  }
+}
+
+/**
+ * Registro de desenhos no catálogo
+ * Lê e grava data/drawings-catalog.json, calcula os metadados de um SVG adaptado
+ * e monta entradas válidas com os caminhos padrão de desenho e miniatura
+ */
+export class CatalogRegistry {
+  /**
+   * @param {Object} [options] - Opções
+   * @param {string} [options.root] - Raiz do projeto (padrão: pasta atual)
+   */
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+    this.catalogPath = path.join(this.root, CATALOG_PATH);
+  }
+
+  /**
+   * Lê o catálogo
+   * @returns {Promise<Object>} Catálogo ({categories: [...]})
+   * @throws {CatalogError} Se o arquivo não existir ou não for um catálogo
+   */
+  async load() {
+    let catalog;
+    try {
+      catalog = JSON.parse(await readFile(this.catalogPath, 'utf-8'));
+    } catch (error) {
+      throw new CatalogError(`Não foi possível ler o catálogo ${this.catalogPath}: ${error.message}`);
+    }
+
+    if (!catalog || !Array.isArray(catalog.categories)) {
+      throw new CatalogError(`Catálogo sem a lista "categories": ${this.catalogPath}`);
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Grava o catálogo com a mesma formatação do arquivo versionado
+   * @param {Object} catalog - Catálogo
+   * @returns {Promise<void>}
+   */
+  async save(catalog) {
+    await writeFile(this.catalogPath, JSON.stringify(catalog, null, 2) + '\n', 'utf-8');
+  }
+
+  /**
+   * Gera um ID a partir do nome ("Caminhão de Bombeiro" → "caminhao-de-bombeiro")
+   * @param {string} name - Nome do desenho
+   * @returns {string}
+   */
+  static slugify(name) {
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Caminhos do desenho e da miniatura (no disco e as URLs do catálogo)
+   * @param {string} category - ID da categoria
+   * @param {string} id - ID do desenho
+   * @returns {{svgPath: string, thumbnailPath: string, svgUrl: string, thumbnailUrl: string}}
+   */
+  getDrawingPaths(category, id) {
+    const svgUrl = `/assets/drawings/${category}/${id}.svg`;
+    const thumbnailUrl = `/assets/thumbnails/${category}/${id}.svg`;
+
+    return {
+      svgUrl,
+      thumbnailUrl,
+      svgPath: path.join(this.root, svgUrl),
+      thumbnailPath: path.join(this.root, thumbnailUrl)
+    };
+  }
+
+  /**
+   * Busca uma categoria do catálogo
+   * @param {Object} catalog - Catálogo
+   * @param {string} categoryId - ID da categoria
+   * @returns {Object|null}
+   */
+  findCategory(catalog, categoryId) {
+    return catalog.categories.find(category => category.id === categoryId) || null;
+  }
+
+  /**
+   * Busca um desenho em qualquer categoria do catálogo
+   * @param {Object} catalog - Catálogo
+   * @param {string} drawingId - ID do desenho
+   * @returns {Object|null}
+   */
+  findDrawing(catalog, drawingId) {
+    for (const category of catalog.categories) {
+      const drawing = (category.drawings || []).find(item => item.id === drawingId);
+      if (drawing) {
+        return drawing;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Confere se um desenho pode entrar no catálogo (categoria existente e ID livre)
+   * @param {Object} catalog - Catálogo
+   * @param {string} categoryId - ID da categoria
+   * @param {string} drawingId - ID do desenho
+   * @throws {CatalogError}
+   */
+  assertCanAdd(catalog, categoryId, drawingId) {
+    if (!this.findCategory(catalog, categoryId)) {
+      const available = catalog.categories.map(category => category.id).join(', ');
+      throw new CatalogError(`Categoria não encontrada: ${categoryId} (disponíveis: ${available})`);
+    }
+
+    if (!drawingId) {
+      throw new CatalogError('ID do desenho vazio: informe um nome com letras ou números, ou use --id');
+    }
+
+    const existing = this.findDrawing(catalog, drawingId);
+    if (existing) {
+      throw new CatalogError(`Já existe um desenho com o ID "${drawingId}" (categoria ${existing.category}); use --id para escolher outro`);
+    }
+  }
+
+  /**
+   * Conta as áreas coloríveis como o site conta (area-N sem pointer-events="none")
+   * @param {SVGElement} svg - SVG adaptado
+   * @returns {number}
+   */
+  countColorableAreas(svg) {
+    return svgManipulator.identifyColorableAreas(svg).length;
+  }
+
+  /**
+   * Largura e altura do desenho (viewBox, ou width/height na falta dele)
+   * @param {SVGElement} svg - SVG adaptado
+   * @returns {{width: number, height: number}}
+   * @throws {CatalogError} Se o SVG não tiver tamanho
+   */
+  getDimensions(svg) {
+    const view = parseViewBox(svg);
+    if (!view) {
+      throw new CatalogError('O SVG não tem viewBox nem width/height: não dá para calcular o tamanho');
+    }
+
+    return { width: Math.round(view.width), height: Math.round(view.height) };
+  }
+
+  /**
+   * Monta a entrada do catálogo para um SVG adaptado
+   * @param {Object} options - Dados do desenho
+   * @param {string} options.id - ID do desenho
+   * @param {string} options.name - Nome exibido
+   * @param {string} options.category - ID da categoria
+   * @param {SVGElement} options.svg - SVG adaptado
+   * @param {Object<string, string>|null} [options.areaLabels] - Nomes das áreas
+   * @returns {import('../../models/Drawing.js').Drawing}
+   */
+  buildEntry({ id, name, category, svg, areaLabels = null }) {
+    const { svgUrl, thumbnailUrl } = this.getDrawingPaths(category, id);
+    const metadata = {
+      ...this.getDimensions(svg),
+      areaCount: this.countColorableAreas(svg)
+    };
+
+    if (areaLabels && Object.keys(areaLabels).length > 0) {
+      metadata.areaLabels = areaLabels;
+    }
+
+    return { id, name, category, svgUrl, thumbnailUrl, metadata };
+  }
+
+  /**
+   * Valida e insere uma entrada no fim da sua categoria
+   * @param {Object} catalog - Catálogo (alterado no lugar)
+   * @param {import('../../models/Drawing.js').Drawing} entry - Entrada
+   * @throws {CatalogError} Se a entrada for inválida ou não puder entrar
+   */
+  addEntry(catalog, entry) {
+    this.assertCanAdd(catalog, entry.category, entry.id);
+
+    if (!isValidDrawing(entry)) {
+      throw new CatalogError(`Entrada inválida para o catálogo: ${JSON.stringify(entry)}`);
+    }
+
+    const category = this.findCategory(catalog, entry.category);
+    category.drawings = category.drawings || [];
+    category.drawings.push(entry);
+  }
+}
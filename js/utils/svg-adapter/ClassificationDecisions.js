@@ -0,0 +1,294 @@
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Versão do formato do arquivo de decisões
+ */
+export const DECISIONS_VERSION = 1;
+
+/**
+ * Sufixo do arquivo de decisões, gravado ao lado do SVG de entrada
+ * ("gato.svg" → "gato.adapter.json")
+ */
+export const DECISIONS_SUFFIX = '.adapter.json';
+
+/**
+ * Erro customizado para arquivos de decisões inválidos
+ */
+export class DecisionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DecisionsError';
+  }
+}
+
+/**
+ * Decisões da revisão interativa de um SVG
+ * Guarda as reclassificações (colorível/decorativo) e as junções de elementos em
+ * uma só área, identificando os elementos pela posição (1, 2, 3...) na ordem em
+ * que o SVGElementExtractor os encontra. Gravadas ao lado do SVG de entrada,
+ * fazem a próxima adaptação do mesmo arquivo chegar ao mesmo resultado
+ */
+export class ClassificationDecisions {
+  /**
+   * @param {Object} [data] - Conteúdo do arquivo de decisões
+   * @param {number|null} [data.elementCount] - Elementos do SVG quando as decisões foram tomadas
+   * @param {Object<string, ElementDecision>} [data.elements] - Reclassificações por posição
+   * @param {number[][]} [data.merges] - Grupos de posições juntados em uma área
+   */
+  constructor(data = {}) {
+    this.elementCount = data.elementCount ?? null;
+    this.elements = { ...(data.elements || {}) };
+    this.merges = (data.merges || []).map(group => [...group]);
+  }
+
+  /**
+   * Caminho do arquivo de decisões de um SVG
+   * @param {string} inputPath - SVG de entrada
+   * @returns {string}
+   */
+  static getPath(inputPath) {
+    const parsed = path.parse(inputPath);
+    return path.join(parsed.dir, `${parsed.name}${DECISIONS_SUFFIX}`);
+  }
+
+  /**
+   * Lê as decisões de um SVG
+   * @param {string} inputPath - SVG de entrada
+   * @returns {Promise<ClassificationDecisions|null>} null se o SVG não tiver arquivo de decisões
+   * @throws {DecisionsError} Se o arquivo existir mas não for válido
+   */
+  static async load(inputPath) {
+    const decisionsPath = ClassificationDecisions.getPath(inputPath);
+
+    let content;
+    try {
+      content = await readFile(decisionsPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new DecisionsError(`Não foi possível ler ${decisionsPath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new DecisionsError(`Arquivo de decisões inválido ${decisionsPath}: ${error.message}`);
+    }
+
+    if (!data || data.version !== DECISIONS_VERSION ||
+        typeof data.elements !== 'object' || !Array.isArray(data.merges)) {
+      throw new DecisionsError(`Arquivo de decisões inválido ${decisionsPath}: formato desconhecido`);
+    }
+
+    return new ClassificationDecisions(data);
+  }
+
+  /**
+   * Grava as decisões ao lado do SVG
+   * @param {string} inputPath - SVG de entrada
+   * @param {SVGElementInfo[]} elements - Elementos do SVG
+   * @returns {Promise<string>} Caminho do arquivo gravado
+   */
+  async save(inputPath, elements) {
+    const decisionsPath = ClassificationDecisions.getPath(inputPath);
+    this.elementCount = elements.length;
+
+    await writeFile(decisionsPath, JSON.stringify(this.toJSON(), null, 2) + '\n', 'utf-8');
+    return decisionsPath;
+  }
+
+  /**
+   * Conteúdo do arquivo de decisões
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: DECISIONS_VERSION,
+      elementCount: this.elementCount,
+      elements: this.elements,
+      merges: this.merges
+    };
+  }
+
+  /**
+   * Verifica se não há nenhuma decisão
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return Object.keys(this.elements).length === 0 && this.merges.length === 0;
+  }
+
+  /**
+   * Verifica se as decisões foram tomadas para um SVG com esses elementos
+   * @param {SVGElementInfo[]} elements - Elementos do SVG
+   * @returns {boolean}
+   */
+  matches(elements) {
+    return this.elementCount === null || this.elementCount === elements.length;
+  }
+
+  /**
+   * Classificação atual de um elemento: a decisão tomada ou a da heurística
+   * Elementos juntados em uma área são sempre coloríveis
+   * @param {number} position - Posição do elemento (começando em 1)
+   * @param {'colorable'|'decorative'} heuristic - Classificação da heurística
+   * @returns {'colorable'|'decorative'}
+   */
+  getClassification(position, heuristic) {
+    if (this.findMerge(position)) {
+      return 'colorable';
+    }
+    const decision = this.elements[position];
+    return decision ? decision.classification : heuristic;
+  }
+
+  /**
+   * Grupo de junção de um elemento
+   * @param {number} position - Posição do elemento (começando em 1)
+   * @returns {number[]|null}
+   */
+  findMerge(position) {
+    return this.merges.find(group => group.includes(position)) || null;
+  }
+
+  /**
+   * Alterna um elemento entre colorível e decorativo
+   * Um elemento juntado que vira decorativo sai da junção
+   * @param {number} position - Posição do elemento (começando em 1)
+   * @param {SVGElementInfo} info - Elemento
+   * @param {'colorable'|'decorative'} heuristic - Classificação da heurística
+   * @returns {'colorable'|'decorative'} Nova classificação
+   */
+  toggle(position, info, heuristic) {
+    const next = this.getClassification(position, heuristic) === 'colorable' ? 'decorative' : 'colorable';
+    this.removeFromMerges(position);
+
+    if (next === heuristic) {
+      delete this.elements[position];
+    } else {
+      this.elements[position] = { tagName: info.tagName, classification: next };
+    }
+
+    return next;
+  }
+
+  /**
+   * Junta elementos em uma só área colorível
+   * Grupos que já contenham algum dos elementos são unidos ao novo
+   * @param {number[]} positions - Posições dos elementos (começando em 1)
+   * @param {SVGElementInfo[]} elements - Elementos do SVG
+   * @returns {number[]} Posições do grupo resultante, em ordem
+   * @throws {DecisionsError} Se houver menos de dois elementos, posições inexistentes
+   *   ou elementos em grupos (<g>) diferentes
+   */
+  merge(positions, elements) {
+    const joined = new Set(positions);
+    this.merges
+      .filter(group => group.some(position => joined.has(position)))
+      .forEach(group => group.forEach(position => joined.add(position)));
+
+    const group = Array.from(joined).sort((a, b) => a - b);
+    const invalid = group.filter(position => !Number.isInteger(position) || !elements[position - 1]);
+    if (invalid.length > 0) {
+      throw new DecisionsError(`Elementos inexistentes: ${invalid.join(', ')} (o SVG tem ${elements.length})`);
+    }
+    if (group.length < 2) {
+      throw new DecisionsError('Informe pelo menos dois elementos para juntar');
+    }
+    if (!this.haveSameParent(group.map(position => elements[position - 1]))) {
+      throw new DecisionsError('Só é possível juntar elementos que estão no mesmo grupo (<g>) do SVG');
+    }
+
+    this.merges = this.merges.filter(item => !item.some(position => joined.has(position)));
+    this.merges.push(group);
+    group.forEach(position => delete this.elements[position]);
+
+    return group;
+  }
+
+  /**
+   * Aplica as decisões à classificação da heurística
+   * Decisões que não correspondem mais ao SVG (outro número de elementos ou outra
+   * tag na mesma posição) são ignoradas
+   * @param {SVGElementInfo[]} elements - Elementos do SVG, na ordem da extração
+   * @param {ClassificationResult} classification - Classificação da heurística
+   * @returns {{classification: ClassificationResult, applied: number, ignored: number}}
+   *   Classificação final (com `merged`), decisões aplicadas e ignoradas
+   */
+  apply(elements, classification) {
+    const total = Object.keys(this.elements).length + this.merges.length;
+    if (!this.matches(elements)) {
+      return { classification: { ...classification, merged: [] }, applied: 0, ignored: total };
+    }
+
+    const result = new Map();
+    classification.colorable.forEach(info => result.set(info, 'colorable'));
+    classification.decorative.forEach(info => result.set(info, 'decorative'));
+
+    let ignored = 0;
+    Object.entries(this.elements).forEach(([position, decision]) => {
+      const info = elements[Number(position) - 1];
+      if (!info || info.tagName !== decision.tagName) {
+        ignored++;
+        return;
+      }
+      result.set(info, decision.classification);
+    });
+
+    const merged = [];
+    this.merges.forEach(group => {
+      const infos = [...group].sort((a, b) => a - b).map(position => elements[position - 1]);
+      if (infos.length < 2 || infos.some(info => !info) || !this.haveSameParent(infos)) {
+        ignored++;
+        return;
+      }
+      infos.forEach(info => result.set(info, 'colorable'));
+      merged.push(infos);
+    });
+
+    return {
+      classification: {
+        colorable: elements.filter(info => result.get(info) === 'colorable'),
+        decorative: elements.filter(info => result.get(info) === 'decorative'),
+        merged
+      },
+      applied: total - ignored,
+      ignored
+    };
+  }
+
+  /**
+   * Tira um elemento das junções, desfazendo grupos que fiquem com um só elemento
+   * @param {number} position - Posição do elemento
+   * @private
+   */
+  removeFromMerges(position) {
+    this.merges = this.merges
+      .map(group => group.filter(item => item !== position))
+      .filter(group => group.length > 1);
+  }
+
+  /**
+   * Verifica se os elementos têm o mesmo pai (juntá-los em um <g> não muda transformações herdadas)
+   * @param {SVGElementInfo[]} infos - Elementos
+   * @returns {boolean}
+   * @private
+   */
+  haveSameParent(infos) {
+    return infos.every(info => info.element.parentNode === infos[0].element.parentNode);
+  }
+}
+
+/**
+ * @typedef {Object} ElementDecision
+ * @property {string} tagName - Tag do elemento (confere se a posição ainda é o mesmo elemento)
+ * @property {'colorable'|'decorative'} classification - Classificação escolhida
+ */
+
+/**
+ * @typedef {import('./SVGElementExtractor.js').SVGElementInfo} SVGElementInfo
+ * @typedef {import('./TransformEngine.js').ClassificationResult} ClassificationResult
+ */
@@ -32,14 +32,23 @@ export class ElementClassifier {
    * @returns {'colorable'|'decorative'} Classificação
    */
   classifyElement(elementInfo) {
+    return this.explain(elementInfo).classification;
+  }
+
+  /**
+   * Classifica um elemento e informa qual heurística decidiu (exibida na revisão interativa)
+   * @param {SVGElementInfo} elementInfo - Informações do elemento
+   * @returns {{classification: 'colorable'|'decorative', reason: string}} Classificação e motivo
+   */
+  explain(elementInfo) {
     // Heurística 1: fill="none" e stroke definido → colorível
     if (elementInfo.fill === 'none' && elementInfo.stroke) {
-      return 'colorable';
+      return { classification: 'colorable', reason: 'fill="none" com stroke' };
     }
     
     // Heurística 2: Área pequena (< 100px²) → decorativo
     if (elementInfo.bounds.area < 100) {
-      return 'decorative';
+      return { classification: 'decorative', reason: 'área pequena (< 100px²)' };
     }
     
     // Heurística 3: Cores decorativas → decorativo
@@ -55,7 +64,7 @@ export class ElementClassifier {
       );
       
       if (isDecorativeColor) {
-        return 'decorative';
+        return { classification: 'decorative', reason: `cor decorativa (${elementInfo.fill})` };
       }
     }
     
@@ -63,11 +72,11 @@ export class ElementClassifier {
     if (elementInfo.fill && 
         elementInfo.fill !== 'none' && 
         elementInfo.stroke) {
-      return 'decorative';
+      return { classification: 'decorative', reason: 'fill com cor e stroke' };
     }
     
     // Padrão: colorível
-    return 'colorable';
+    return { classification: 'colorable', reason: 'padrão (nenhuma heurística decorativa)' };
   }
 
   /**
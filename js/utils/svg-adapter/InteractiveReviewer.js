@@ -0,0 +1,144 @@
+import { ElementClassifier } from './ElementClassifier.js';
+import { DecisionsError } from './ClassificationDecisions.js';
+
+/**
+ * Nomes das classificações exibidos na revisão
+ */
+const CLASSIFICATION_NAMES = {
+  colorable: 'colorível',
+  decorative: 'decorativo'
+};
+
+/**
+ * Comandos aceitos em cada elemento
+ */
+const HELP = `Comandos:
+  Enter      mantém a classificação e passa para o próximo
+  t          alterna entre colorível e decorativo
+  j 4 7      junta este elemento com os elementos 4 e 7 em uma só área
+  f          termina a revisão (os demais ficam como estão)
+  ?          mostra esta ajuda`;
+
+/**
+ * Revisão interativa das classificações
+ * Mostra cada elemento com tag, limites, fill, stroke e o motivo da heurística
+ * e registra em ClassificationDecisions o que o usuário alterna ou junta
+ */
+export class InteractiveReviewer {
+  /**
+   * @param {Object} options - Opções
+   * @param {Function} options.ask - Pergunta ao usuário (pergunta => Promise<resposta>)
+   * @param {ElementClassifier} [options.classifier] - Classificador (explica as heurísticas)
+   * @param {Function} [options.log] - Saída das mensagens (padrão: console.log)
+   */
+  constructor(options) {
+    this.ask = options.ask;
+    this.classifier = options.classifier || new ElementClassifier();
+    this.log = options.log || console.log;
+  }
+
+  /**
+   * Revisa os elementos um a um
+   * @param {SVGElementInfo[]} elements - Elementos do SVG, na ordem da extração
+   * @param {import('./ClassificationDecisions.js').ClassificationDecisions} decisions - Decisões (alteradas no lugar)
+   * @returns {Promise<ReviewSummary>} Resumo da revisão
+   */
+  async review(elements, decisions) {
+    const explanations = elements.map(info => this.classifier.explain(info));
+    const summary = { reviewed: 0, toggled: 0, merged: 0 };
+
+    this.log(`\nRevisão das classificações (${elements.length} elementos)\n${HELP}\n`);
+
+    for (let index = 0; index < elements.length; index++) {
+      const position = index + 1;
+      const info = elements[index];
+      const { classification: heuristic } = explanations[index];
+
+      this.log(this.describe(position, elements.length, info, explanations[index], decisions));
+      const answer = (await this.ask('  > ')).trim().toLowerCase();
+
+      if (answer === '') {
+        summary.reviewed++;
+      } else if (answer === 'f') {
+        break;
+      } else if (answer === 't') {
+        const next = decisions.toggle(position, info, heuristic);
+        this.log(`    → ${CLASSIFICATION_NAMES[next]}`);
+        summary.reviewed++;
+        summary.toggled++;
+      } else if (answer.startsWith('j')) {
+        const others = (answer.match(/\d+/g) || []).map(Number);
+        try {
+          const group = decisions.merge([position, ...others], elements);
+          this.log(`    → área única com os elementos ${group.join(', ')}`);
+          summary.reviewed++;
+          summary.merged++;
+        } catch (error) {
+          if (!(error instanceof DecisionsError)) {
+            throw error;
+          }
+          this.log(`    ❌ ${error.message}`);
+          index--;
+        }
+      } else {
+        if (answer !== '?') {
+          this.log(`    Comando desconhecido: ${answer}`);
+        }
+        this.log(HELP);
+        index--;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Linha de um elemento na revisão
+   * Ex.: "[3/12] <path id="olho"> 40×20 em (10, 5) · fill #000000 · stroke —",
+   * seguida da classificação atual e do motivo
+   * @param {number} position - Posição do elemento (começando em 1)
+   * @param {number} total - Total de elementos
+   * @param {SVGElementInfo} info - Elemento
+   * @param {{classification: string, reason: string}} explanation - Classificação e motivo da heurística
+   * @param {import('./ClassificationDecisions.js').ClassificationDecisions} decisions - Decisões
+   * @returns {string}
+   */
+  describe(position, total, info, explanation, decisions) {
+    const { x, y, width, height } = info.bounds;
+    const id = info.id ? ` id="${info.id}"` : '';
+    const bounds = `${this.round(width)}×${this.round(height)} em (${this.round(x)}, ${this.round(y)})`;
+    const current = decisions.getClassification(position, explanation.classification);
+    const merge = decisions.findMerge(position);
+
+    let reason = explanation.reason;
+    if (merge) {
+      reason = `junto com ${merge.filter(item => item !== position).join(', ')}`;
+    } else if (current !== explanation.classification) {
+      reason = `escolhido na revisão; heurística: ${CLASSIFICATION_NAMES[explanation.classification]}`;
+    }
+
+    return `\n[${position}/${total}] <${info.tagName}${id}> ${bounds} · fill ${info.fill || '—'} · stroke ${info.stroke || '—'}` +
+      `\n    ${CLASSIFICATION_NAMES[current]} (${reason})`;
+  }
+
+  /**
+   * Arredonda para uma casa decimal
+   * @param {number} value - Valor
+   * @returns {number}
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+/**
+ * @typedef {Object} ReviewSummary
+ * @property {number} reviewed - Elementos revisados
+ * @property {number} toggled - Elementos alternados
+ * @property {number} merged - Junções feitas
+ */
+
+/**
+ * @typedef {import('./SVGElementExtractor.js').SVGElementInfo} SVGElementInfo
+ */
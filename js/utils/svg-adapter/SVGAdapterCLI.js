@@ -6,12 +6,25 @@
  */
 
 import fs from 'fs';
+import { mkdir, rm, writeFile } from 'fs/promises';
 import path from 'path';
+import readline from 'readline/promises';
 import { SVGParser } from './SVGParser.js';
 import { ElementClassifier } from './ElementClassifier.js';
 import { TransformEngine } from './TransformEngine.js';
 import { ValidationEngine } from './ValidationEngine.js';
 import { SVGGenerator } from './SVGGenerator.js';
+import { BatchProcessor, DEFAULT_CONCURRENCY } from './BatchProcessor.js';
+import { CatalogRegistry } from './CatalogRegistry.js';
+import { CatalogChecker, ISSUE_TYPES } from './CatalogChecker.js';
+import { ThumbnailGenerator } from './ThumbnailGenerator.js';
+import { ClassificationDecisions } from './ClassificationDecisions.js';
+import { InteractiveReviewer } from './InteractiveReviewer.js';
+
+/**
+ * Flags that take a value, accepted as "--flag=value" or "--flag value"
+ */
+const VALUE_FLAGS = ['--out-dir', '--concurrency', '--category', '--name', '--id'];
 
 /**
  * Custom error for CLI-related issues
@@ -27,18 +40,44 @@ export class CLIError extends Error {
  * CLI Interface for SVG Adapter
  */
 export class SVGAdapterCLI {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.root] - Project root for the "add" command (defaults to the current directory)
+   */
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+  }
+
   /**
    * Main entry point for CLI
    * @param {string[]} args - Command line arguments
-   * @returns {Promise<void>}
+   * @returns {Promise<AdaptationResult|BatchResult|AddResult|CheckReport|null>} Result (null when only usage was shown)
    */
   async run(args) {
     try {
+      if (args && args[0] === 'add') {
+        const addResult = await this.addDrawing(this.parseAddArguments(args.slice(1)));
+        this.displayAddResult(addResult);
+        return addResult;
+      }
+
+      if (args && args[0] === 'check') {
+        const report = await this.checkCatalog({ fix: args.includes('--fix') });
+        this.displayCheckReport(report);
+        return report;
+      }
+
       const options = this.parseArguments(args);
       
       if (!options.inputPath) {
         this.showUsage();
-        return;
+        return null;
+      }
+
+      if (this.isBatch(options)) {
+        const batchResult = await this.adaptBatch(options);
+        this.displayBatchSummary(batchResult);
+        return batchResult;
       }
       
       // Execute adaptation flow
@@ -46,10 +85,12 @@ export class SVGAdapterCLI {
         options.inputPath,
         options.outputPath,
         options.validate,
-        options.interactive
+        options.interactive,
+        options.labels
       );
       
       this.displayResults(result);
+      return result;
     } catch (error) {
       this.displayError(error);
       throw error; // Re-throw for testing purposes
@@ -62,9 +103,10 @@ export class SVGAdapterCLI {
    * @param {string} outputPath - Output SVG file path
    * @param {boolean} validate - Whether to run validation
    * @param {boolean} interactive - Whether to run in interactive mode
+   * @param {boolean} labels - Whether to prompt for area labels
    * @returns {Promise<AdaptationResult>} Adaptation result
    */
-  async adaptSVG(inputPath, outputPath, validate = false, interactive = false) {
+  async adaptSVG(inputPath, outputPath, validate = false, interactive = false, labels = false) {
     try {
       // Step 1: Validate input file exists
       if (!fs.existsSync(inputPath)) {
@@ -77,18 +119,42 @@ export class SVGAdapterCLI {
 
       // Step 3: Classify elements
       const classifier = new ElementClassifier();
-      const classification = classifier.classify(svgDoc.elements);
+      let classification = classifier.classify(svgDoc.elements);
+
+      // Step 4: Review decisions - interactive mode, or the ones saved next to the input
+      let decisions = await ClassificationDecisions.load(inputPath);
+      if (decisions && !decisions.matches(svgDoc.elements)) {
+        console.log(`\n⚠ ${ClassificationDecisions.getPath(inputPath)} foi feito para outra versão do SVG e será ignorado\n`);
+        decisions = null;
+      }
 
-      // Step 4: Interactive mode (if enabled)
       if (interactive) {
-        // TODO: Implement interactive reclassification in Task 10
-        console.log('\n⚠ Modo interativo ainda não implementado\n');
+        decisions = decisions || new ClassificationDecisions();
+        await this.reviewClassification(svgDoc.elements, decisions);
+        await decisions.save(inputPath, svgDoc.elements);
+      }
+
+      let review = null;
+      if (decisions) {
+        const applied = decisions.apply(svgDoc.elements, classification);
+        classification = applied.classification;
+        review = {
+          path: ClassificationDecisions.getPath(inputPath),
+          applied: applied.applied,
+          ignored: applied.ignored
+        };
       }
 
       // Step 5: Transform elements
       const transformer = new TransformEngine();
       const transformResult = transformer.transform(svgDoc.element, classification);
 
+      // Step 5b: Prompt for area labels (after IDs are assigned)
+      let areaLabels = null;
+      if (labels) {
+        areaLabels = await this.promptAreaLabels(transformResult.areas);
+      }
+
       // Step 6: Validate (if requested)
       let validationResult = null;
       if (validate) {
@@ -111,6 +177,8 @@ export class SVGAdapterCLI {
         colorableCount: generationResult.stats.colorableAreas,
         decorativeCount: generationResult.stats.decorativeElements,
         idsAssigned: generationResult.stats.idsAssigned,
+        areaLabels,
+        review,
         validation: validationResult
       };
 
@@ -133,17 +201,25 @@ export class SVGAdapterCLI {
       return { inputPath: null };
     }
 
+    args = this.joinFlagValues(args);
+
     const options = {
       inputPath: null,
       outputPath: null,
+      inputPaths: [],
+      outDir: null,
+      concurrency: DEFAULT_CONCURRENCY,
       interactive: false,
-      validate: false
+      validate: false,
+      labels: false
     };
 
     // Filter out flags to find positional arguments
     const positionalArgs = args.filter(arg => !arg.startsWith('--'));
     const flags = args.filter(arg => arg.startsWith('--'));
 
+    options.inputPaths = positionalArgs;
+
     // First positional argument is input path
     if (positionalArgs.length > 0) {
       options.inputPath = positionalArgs[0];
@@ -160,10 +236,332 @@ export class SVGAdapterCLI {
     // Parse flags
     options.interactive = flags.includes('--interactive');
     options.validate = flags.includes('--validate');
+    options.labels = flags.includes('--labels');
+
+    // Flags with values (batch mode)
+    const outDir = this.getFlagValue(flags, '--out-dir');
+    if (outDir) {
+      options.outDir = outDir;
+    }
+
+    const concurrency = this.getFlagValue(flags, '--concurrency');
+    if (concurrency !== null) {
+      options.concurrency = Number(concurrency);
+      if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new CLIError(`Valor inválido para --concurrency: ${concurrency} (use um número inteiro a partir de 1)`);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Parse arguments of the "add" command
+   * @param {string[]} args - Arguments after "add"
+   * @returns {AddOptions} Parsed options
+   * @throws {CLIError} If the file, --category or --name is missing
+   */
+  parseAddArguments(args) {
+    args = this.joinFlagValues(args || []);
+    const flags = args.filter(arg => arg.startsWith('--'));
+    const inputPath = args.find(arg => !arg.startsWith('--')) || null;
+
+    const options = {
+      inputPath,
+      category: this.getFlagValue(flags, '--category'),
+      name: this.getFlagValue(flags, '--name'),
+      id: this.getFlagValue(flags, '--id'),
+      interactive: flags.includes('--interactive'),
+      labels: flags.includes('--labels')
+    };
+
+    if (!options.inputPath || !options.category || !options.name) {
+      throw new CLIError('Uso: svg-adapter add <arquivo.svg> --category <categoria> --name <nome> [--id <id>] [--labels]');
+    }
 
     return options;
   }
 
+  /**
+   * Turn "--flag value" into "--flag=value" for flags that take a value
+   * @param {string[]} args - Arguments
+   * @returns {string[]} Arguments with values attached to their flags
+   */
+  joinFlagValues(args) {
+    const joined = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const next = args[i + 1];
+      if (VALUE_FLAGS.includes(args[i]) && next !== undefined && !next.startsWith('--')) {
+        joined.push(`${args[i]}=${next}`);
+        i++;
+      } else {
+        joined.push(args[i]);
+      }
+    }
+
+    return joined;
+  }
+
+  /**
+   * Value of a --name=value flag
+   * @param {string[]} flags - Flag arguments
+   * @param {string} name - Flag name (with the leading --)
+   * @returns {string|null} Value, or null when the flag is absent
+   */
+  getFlagValue(flags, name) {
+    const flag = flags.find(arg => arg.startsWith(`${name}=`));
+    return flag ? flag.slice(name.length + 1) : null;
+  }
+
+  /**
+   * Whether the arguments ask for batch mode: an output directory, a directory
+   * or glob input, or more inputs than "input.svg output.svg" (shell-expanded globs)
+   * @param {CLIOptions} options - Parsed options
+   * @returns {boolean}
+   */
+  isBatch(options) {
+    if (options.outDir || options.inputPaths.length > 2) {
+      return true;
+    }
+
+    const input = options.inputPaths[0];
+    return BatchProcessor.isGlob(input) || this.isDirectory(input);
+  }
+
+  /**
+   * Whether a path is an existing directory
+   * @param {string} target - Path
+   * @returns {boolean}
+   */
+  isDirectory(target) {
+    try {
+      return fs.statSync(target).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Adapts every SVG matched by the inputs into an output directory, always validating
+   * The directory structure below each input directory (or glob base) is preserved
+   * @param {CLIOptions} options - Parsed options
+   * @param {BatchProcessor} [processor] - Batch processor (defaults to one using options.concurrency)
+   * @returns {Promise<BatchResult>} Per-file results
+   */
+  async adaptBatch(options, processor = new BatchProcessor({ concurrency: options.concurrency })) {
+    if (options.interactive || options.labels) {
+      throw new CLIError('--interactive e --labels não podem ser usados no modo em lote');
+    }
+
+    // Without --out-dir, the last positional argument is the output directory
+    let inputs = options.inputPaths;
+    let outDir = options.outDir;
+    if (!outDir && inputs.length > 1) {
+      outDir = inputs[inputs.length - 1];
+      inputs = inputs.slice(0, -1);
+    }
+
+    if (!outDir) {
+      throw new CLIError('Informe a pasta de saída (ex.: svg-adapter arte/ adaptados/ ou --out-dir=adaptados)');
+    }
+
+    const batchFiles = await processor.resolveInputs(inputs, { exclude: outDir });
+    if (batchFiles.length === 0) {
+      throw new CLIError(`Nenhum arquivo SVG encontrado em: ${inputs.join(', ')}`);
+    }
+
+    const files = await processor.run(batchFiles, async ({ inputPath, relativePath }) => {
+      let outputPath = path.join(outDir, relativePath);
+      if (path.resolve(outputPath) === path.resolve(inputPath)) {
+        outputPath = this.generateOutputPath(outputPath);
+      }
+
+      try {
+        await mkdir(path.dirname(outputPath), { recursive: true });
+        const result = await this.adaptSVG(inputPath, outputPath, true);
+        return { inputPath, ...result, success: result.validation.valid, error: null };
+      } catch (error) {
+        return {
+          inputPath,
+          outputPath,
+          success: false,
+          colorableCount: 0,
+          decorativeCount: 0,
+          idsAssigned: 0,
+          validation: null,
+          error: error.message
+        };
+      }
+    });
+
+    const failed = files.filter(file => !file.success).length;
+    return { success: failed === 0, outDir, files, failed };
+  }
+
+  /**
+   * Adapts an SVG into assets/drawings/<category>/, generates its thumbnail in
+   * assets/thumbnails/<category>/ and registers a validated entry in the catalog
+   * Nothing is left behind if the drawing fails validation
+   * @param {AddOptions} options - Parsed options
+   * @returns {Promise<AddResult>} Catalog entry and written files
+   */
+  async addDrawing(options) {
+    const registry = new CatalogRegistry({ root: this.root });
+    const catalog = await registry.load();
+    const id = options.id || CatalogRegistry.slugify(options.name);
+
+    registry.assertCanAdd(catalog, options.category, id);
+
+    const { svgPath, thumbnailPath } = registry.getDrawingPaths(options.category, id);
+    if (fs.existsSync(svgPath) || fs.existsSync(thumbnailPath)) {
+      throw new CLIError(`Já existe um arquivo para "${id}" em ${options.category}; use --id para escolher outro`);
+    }
+
+    await mkdir(path.dirname(svgPath), { recursive: true });
+    await mkdir(path.dirname(thumbnailPath), { recursive: true });
+
+    try {
+      const result = await this.adaptSVG(options.inputPath, svgPath, true, options.interactive, options.labels);
+      if (!result.validation.valid) {
+        throw new CLIError(`O desenho não passou na validação:\n  ${result.validation.errors.join('\n  ')}`);
+      }
+
+      const { element: svg } = await new SVGParser().parse(svgPath);
+      const entry = registry.buildEntry({
+        id,
+        name: options.name,
+        category: options.category,
+        svg,
+        areaLabels: result.areaLabels
+      });
+      if (entry.metadata.areaCount === 0) {
+        throw new CLIError('Nenhuma área colorível encontrada - o desenho não entrou no catálogo');
+      }
+
+      registry.addEntry(catalog, entry);
+      await writeFile(thumbnailPath, new ThumbnailGenerator().generate(svg), 'utf-8');
+      await registry.save(catalog);
+
+      return { success: true, entry, svgPath, thumbnailPath, validation: result.validation };
+    } catch (error) {
+      await rm(svgPath, { force: true });
+      await rm(thumbnailPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Cross-checks the catalog against isValidDrawing and the files on disk
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.fix=false] - Rewrite metadata.areaCount from the SVGs
+   * @returns {Promise<CheckReport>} Report
+   */
+  async checkCatalog(options = {}) {
+    return new CatalogChecker({ root: this.root }).check(options);
+  }
+
+  /**
+   * Review the classification element by element and record the decisions
+   * @param {SVGElementInfo[]} elements - Extracted elements
+   * @param {ClassificationDecisions} decisions - Decisions, updated in place
+   * @param {Function} [ask] - Question function (question => Promise<answer>); defaults to stdin
+   * @returns {Promise<import('./InteractiveReviewer.js').ReviewSummary>} Review summary
+   */
+  async reviewClassification(elements, decisions, ask = null) {
+    let prompt = null;
+    if (!ask) {
+      prompt = this.createStdinPrompt();
+      ask = prompt.ask;
+    }
+
+    try {
+      return await new InteractiveReviewer({ ask }).review(elements, decisions);
+    } finally {
+      if (prompt) {
+        prompt.close();
+      }
+    }
+  }
+
+  /**
+   * Question function reading answers from stdin, one line each
+   * Lines are queued, so answers piped in ahead of time are not lost; once
+   * stdin ends, every question gets an empty answer
+   * @returns {{ask: Function, close: Function}}
+   */
+  createStdinPrompt() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = rl[Symbol.asyncIterator]();
+
+    return {
+      ask: async (question) => {
+        process.stdout.write(question);
+        const { value, done } = await lines.next();
+        return done ? '' : value;
+      },
+      close: () => rl.close()
+    };
+  }
+
+  /**
+   * Prompt for a label for each colorable area and write it as data-label
+   * An empty answer keeps the current label (data-label or <title>), if any
+   * @param {SVGElementInfo[]} colorable - Colorable areas, already with area-N IDs (TransformResult.areas)
+   * @param {Function} [ask] - Question function (question => Promise<answer>); defaults to stdin
+   * @returns {Promise<Object<string, string>>} Labels by area ID
+   */
+  async promptAreaLabels(colorable, ask = null) {
+    let prompt = null;
+    if (!ask) {
+      prompt = this.createStdinPrompt();
+      ask = prompt.ask;
+    }
+
+    const labels = {};
+
+    try {
+      console.log('\nNomes das áreas (Enter mantém o nome atual ou deixa sem nome):\n');
+
+      for (const info of colorable) {
+        const element = info.element;
+        const areaId = element.getAttribute('id');
+        const current = this.getCurrentLabel(element);
+
+        const hint = info.id && info.id !== areaId ? `, id original "${info.id}"` : '';
+        const suffix = current ? ` [${current}]` : '';
+        const answer = (await ask(`  ${areaId} (${info.tagName}${hint})${suffix}: `)).trim();
+
+        const label = answer || current;
+        if (label) {
+          element.setAttribute('data-label', label);
+          labels[areaId] = label;
+        }
+      }
+    } finally {
+      if (prompt) {
+        prompt.close();
+      }
+    }
+
+    return labels;
+  }
+
+  /**
+   * Current label of an element: data-label or its <title> child
+   * @param {Element} element - SVG element
+   * @returns {string|null}
+   */
+  getCurrentLabel(element) {
+    const dataLabel = element.getAttribute('data-label');
+    if (dataLabel && dataLabel.trim()) {
+      return dataLabel.trim();
+    }
+
+    const title = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'title');
+    return title && title.textContent.trim() ? title.textContent.trim() : null;
+  }
+
   /**
    * Generate default output path from input path
    * @param {string} inputPath - Input file path
@@ -180,16 +578,48 @@ export class SVGAdapterCLI {
   showUsage() {
     console.log(`
 Uso: svg-adapter <input.svg> [output.svg] [opções]
+     svg-adapter <pasta|glob|arquivos...> <pasta-de-saída> [opções]
+     svg-adapter add <input.svg> --category <categoria> --name <nome> [--id <id>] [--interactive] [--labels]
+     svg-adapter check [--fix]
 
 Opções:
-  --interactive    Modo interativo para revisão manual
+  --interactive    Revisar a classificação elemento por elemento (alternar, juntar, pular)
   --validate       Executar validação automática
+  --labels         Perguntar o nome de cada área (lido por leitores de tela)
+  --out-dir=DIR    Pasta de saída do modo em lote
+  --concurrency=N  Arquivos adaptados ao mesmo tempo no modo em lote (padrão: ${DEFAULT_CONCURRENCY})
   --help           Exibir esta mensagem
 
+Comando add:
+  Adapta e valida o desenho, grava em assets/drawings/<categoria>/<id>.svg, gera a
+  miniatura em assets/thumbnails/<categoria>/ e inclui a entrada no catálogo
+  (data/drawings-catalog.json). O id padrão vem do nome ("Gato Feliz" → gato-feliz).
+
+Comando check:
+  Confere o catálogo com os arquivos: entradas inválidas, IDs repetidos, desenhos e
+  miniaturas não encontrados, areaCount diferente do SVG e arquivos fora do catálogo.
+  Com --fix, corrige o areaCount. Termina com erro se sobrar algum problema
+  (arquivos fora do catálogo são só avisos).
+
+Modo interativo:
+  Mostra cada elemento (tag, limites, fill, stroke e o motivo da heurística) e
+  permite alternar entre colorível e decorativo ou juntar elementos em uma só área.
+  As decisões ficam em <input>.adapter.json, ao lado do SVG, e são aplicadas de
+  novo sempre que o mesmo arquivo for adaptado (também no modo em lote).
+
+Modo em lote:
+  Com uma pasta, um glob ou vários arquivos, adapta e valida todos, exibe um
+  resumo por arquivo e termina com erro se algum falhar na validação.
+
 Exemplos:
   svg-adapter drawing.svg
   svg-adapter drawing.svg adapted.svg --validate
   svg-adapter drawing.svg --interactive --validate
+  svg-adapter drawing.svg --labels
+  svg-adapter arte/ adaptados/
+  svg-adapter "arte/**/*.svg" --out-dir=adaptados --concurrency=8
+  svg-adapter add gato.svg --category animais --name "Gato"
+  svg-adapter check --fix
     `);
   }
 
@@ -213,6 +643,20 @@ Estatísticas:
   - Arquivo salvo em: ${result.outputPath}
     `);
 
+    if (result.review) {
+      const ignored = result.review.ignored > 0 ? ` (${result.review.ignored} ignorada(s): o SVG mudou)` : '';
+      console.log(`Decisões da revisão aplicadas: ${result.review.applied}${ignored}`);
+      console.log(`  - Arquivo de decisões: ${result.review.path}\n`);
+    }
+
+    // Labels can also be copied into the catalog metadata
+    if (result.areaLabels && Object.keys(result.areaLabels).length > 0) {
+      console.log(`Nomes de áreas gravados em data-label: ${Object.keys(result.areaLabels).length}`);
+      console.log('Para o catálogo (metadata.areaLabels):');
+      console.log(JSON.stringify(result.areaLabels, null, 2));
+      console.log();
+    }
+
     // Display validation results if available
     if (result.validation) {
       if (result.validation.valid) {
@@ -237,6 +681,120 @@ Estatísticas:
     }
   }
 
+  /**
+   * Display the result of the "add" command
+   * @param {AddResult} addResult - Add result
+   */
+  displayAddResult(addResult) {
+    const { entry } = addResult;
+
+    console.log(`
+✓ Desenho "${entry.name}" incluído no catálogo!
+
+  - ID: ${entry.id}
+  - Categoria: ${entry.category}
+  - Áreas coloríveis: ${entry.metadata.areaCount}
+  - Tamanho: ${entry.metadata.width}x${entry.metadata.height}
+  - Desenho: ${addResult.svgPath}
+  - Miniatura: ${addResult.thumbnailPath}
+    `);
+
+    if (addResult.validation.warnings.length > 0) {
+      console.log('⚠ Avisos da validação:');
+      addResult.validation.warnings.forEach(warn => console.log(`  ⚠ ${warn}`));
+      console.log();
+    }
+  }
+
+  /**
+   * Display the catalog check report, grouped by issue type
+   * @param {CheckReport} report - Check report
+   */
+  displayCheckReport(report) {
+    console.log(`\nVerificação do catálogo (${report.drawingCount} desenhos)\n`);
+
+    Object.entries(ISSUE_TYPES).forEach(([type, { severity, title }]) => {
+      const issues = report.issues.filter(issue => issue.type === type);
+      if (issues.length === 0) {
+        return;
+      }
+
+      console.log(`${severity === 'error' ? '❌' : '⚠'} ${title} (${issues.length}):`);
+      issues.forEach(issue => {
+        console.log(`  - ${issue.subject}: ${issue.detail}${issue.fixed ? ' [corrigido]' : ''}`);
+      });
+      console.log();
+    });
+
+    if (report.fixed > 0) {
+      console.log(`✓ ${report.fixed} correção(ões) gravada(s) no catálogo`);
+    }
+
+    if (report.success) {
+      console.log('✓ Catálogo consistente com os arquivos\n');
+    } else {
+      const fixable = report.issues.some(issue => issue.type === 'area-count' && !issue.fixed);
+      console.log(`❌ ${report.errors} problema(s) no catálogo${fixable ? ' (use --fix para corrigir as contagens de áreas)' : ''}\n`);
+    }
+  }
+
+  /**
+   * Display the batch summary table: counts and validation outcome per file
+   * @param {BatchResult} batchResult - Batch result
+   */
+  displayBatchSummary(batchResult) {
+    const rows = batchResult.files.map(file => [
+      file.inputPath,
+      file.error ? '-' : String(file.colorableCount),
+      file.error ? '-' : String(file.decorativeCount),
+      this.describeValidation(file)
+    ]);
+    const header = ['Arquivo', 'Coloríveis', 'Decorativos', 'Validação'];
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map(row => row[column].length))
+    );
+    const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    console.log(`\nResumo do lote (${batchResult.files.length} arquivos, saída em ${batchResult.outDir}):\n`);
+    console.log(formatRow(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+
+    // Details of each failure below the table
+    batchResult.files.filter(file => !file.success).forEach(file => {
+      console.log(`\n❌ ${file.inputPath}`);
+      if (file.error) {
+        console.log(`  ${file.error}`);
+      } else {
+        file.validation.errors.forEach(err => console.log(`  ❌ ${err}`));
+      }
+    });
+
+    if (batchResult.success) {
+      console.log(`\n✓ ${batchResult.files.length} arquivos adaptados e validados\n`);
+    } else {
+      console.log(`\n❌ ${batchResult.failed} de ${batchResult.files.length} arquivos falharam\n`);
+    }
+  }
+
+  /**
+   * Short validation outcome for the batch table
+   * @param {BatchFileResult} file - File result
+   * @returns {string}
+   */
+  describeValidation(file) {
+    if (file.error) {
+      return '❌ falhou';
+    }
+    if (!file.validation.valid) {
+      return `❌ ${file.validation.errors.length} erro(s)`;
+    }
+    if (file.validation.warnings.length > 0) {
+      return `⚠ ${file.validation.warnings.length} aviso(s)`;
+    }
+    return '✓ ok';
+  }
+
   /**
    * Display error message
    * @param {Error} error - Error object
@@ -259,8 +817,12 @@ Estatísticas:
  * @typedef {Object} CLIOptions
  * @property {string|null} inputPath - Input SVG file path
  * @property {string|null} outputPath - Output SVG file path
+ * @property {string[]} inputPaths - All positional arguments (batch mode inputs)
+ * @property {string|null} outDir - Batch output directory (--out-dir)
+ * @property {number} concurrency - Files adapted at the same time in batch mode
  * @property {boolean} interactive - Interactive mode flag
  * @property {boolean} validate - Validation flag
+ * @property {boolean} labels - Area label prompt flag
  */
 
 /**
@@ -270,9 +832,54 @@ Estatísticas:
  * @property {number} colorableCount - Number of colorable areas
  * @property {number} decorativeCount - Number of decorative elements
  * @property {number} idsAssigned - Number of IDs assigned
+ * @property {Object<string, string>|null} areaLabels - Labels by area ID (with --labels)
+ * @property {{path: string, applied: number, ignored: number}|null} review - Review decisions file and
+ *   how many of its decisions were applied (null when the input has no decisions file)
  * @property {ValidationResult|null} validation - Validation result if executed
  */
 
+/**
+ * @typedef {Object} AddOptions
+ * @property {string} inputPath - SVG to adapt
+ * @property {string} category - Catalog category ID
+ * @property {string} name - Drawing name shown in the gallery
+ * @property {string|null} id - Drawing ID (defaults to the name as a slug)
+ * @property {boolean} interactive - Interactive mode flag
+ * @property {boolean} labels - Area label prompt flag
+ */
+
+/**
+ * @typedef {Object} AddResult
+ * @property {boolean} success - Whether the drawing was added
+ * @property {import('../../models/Drawing.js').Drawing} entry - Catalog entry
+ * @property {string} svgPath - Adapted drawing file
+ * @property {string} thumbnailPath - Thumbnail file
+ * @property {ValidationResult} validation - Validation result
+ */
+
+/**
+ * @typedef {import('./CatalogChecker.js').CheckReport} CheckReport
+ */
+
+/**
+ * @typedef {Object} BatchFileResult
+ * @property {string} inputPath - Input file path
+ * @property {string} outputPath - Output file path
+ * @property {boolean} success - Adapted and passed validation
+ * @property {number} colorableCount - Number of colorable areas
+ * @property {number} decorativeCount - Number of decorative elements
+ * @property {ValidationResult|null} validation - Validation result (null when adaptation failed)
+ * @property {string|null} error - Adaptation error message
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {boolean} success - Whether every file passed
+ * @property {string} outDir - Output directory
+ * @property {BatchFileResult[]} files - Per-file results, in input order
+ * @property {number} failed - Number of failed files
+ */
+
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether SVG is valid
@@ -280,3 +887,7 @@ Estatísticas:
  * @property {string[]} warnings - Non-critical warnings
  * @property {string[]} suggestions - Correction suggestions
  */
+
+/**
+ * @typedef {import('./SVGElementExtractor.js').SVGElementInfo} SVGElementInfo
+ */
@@ -0,0 +1,154 @@
+import { parseViewBox, formatViewBox } from '../viewBoxZoom.js';
+
+/**
+ * Tamanho das miniaturas da galeria (px)
+ */
+export const THUMBNAIL_SIZE = 100;
+
+/**
+ * Cor de fundo das miniaturas (a mesma das miniaturas feitas à mão)
+ */
+export const THUMBNAIL_BACKGROUND = '#f0f0f0';
+
+/**
+ * Elementos desenhados na miniatura; o resto (title, desc, metadata, script...) é descartado
+ */
+const DRAWABLE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline', 'line', 'g'];
+
+/**
+ * Atributos mantidos na miniatura
+ */
+const KEPT_ATTRIBUTES = [
+  'd', 'points', 'x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry',
+  'x1', 'y1', 'x2', 'y2', 'transform', 'fill', 'stroke', 'stroke-width',
+  'stroke-linecap', 'stroke-linejoin', 'fill-rule', 'opacity'
+];
+
+/**
+ * Atributos com coordenadas, arredondadas para deixar o arquivo pequeno
+ */
+const NUMERIC_ATTRIBUTES = ['d', 'points', 'transform'];
+
+/**
+ * Gerador de miniaturas SVG
+ * Cria uma versão simplificada de um desenho adaptado: só as formas, sem IDs,
+ * com coordenadas arredondadas e as áreas coloríveis em branco sobre fundo cinza claro
+ */
+export class ThumbnailGenerator {
+  /**
+   * Gera o conteúdo da miniatura
+   * @param {SVGElement} svg - SVG adaptado
+   * @returns {string} Miniatura SVG serializada
+   */
+  generate(svg) {
+    const view = parseViewBox(svg) || { x: 0, y: 0, width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE };
+    const lines = [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${formatViewBox(view)}" width="${THUMBNAIL_SIZE}" height="${THUMBNAIL_SIZE}">`,
+      `  <rect fill="${THUMBNAIL_BACKGROUND}" x="${view.x}" y="${view.y}" width="${view.width}" height="${view.height}"/>`
+    ];
+
+    Array.from(svg.children).forEach(child => this.appendElement(child, lines, 1));
+    lines.push('</svg>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serializa um elemento simplificado (e seus filhos, se for um grupo)
+   * @param {Element} element - Elemento do SVG adaptado
+   * @param {string[]} lines - Linhas da miniatura
+   * @param {number} depth - Nível de indentação
+   * @private
+   */
+  appendElement(element, lines, depth) {
+    const tagName = element.tagName.toLowerCase();
+    if (!DRAWABLE_ELEMENTS.includes(tagName) || this.isHidden(element)) {
+      return;
+    }
+
+    const indent = '  '.repeat(depth);
+    const attributes = this.getAttributes(element);
+
+    if (tagName !== 'g') {
+      lines.push(`${indent}<${tagName}${attributes}/>`);
+      return;
+    }
+
+    const children = [];
+    Array.from(element.children).forEach(child => this.appendElement(child, children, depth + 1));
+    if (children.length > 0) {
+      lines.push(`${indent}<g${attributes}>`, ...children, `${indent}</g>`);
+    }
+  }
+
+  /**
+   * Atributos simplificados de um elemento
+   * Áreas coloríveis (fill="none") ficam brancas, como uma página para colorir
+   * @param {Element} element - Elemento
+   * @returns {string} Atributos serializados (com espaço inicial)
+   * @private
+   */
+  getAttributes(element) {
+    const values = {};
+
+    KEPT_ATTRIBUTES.forEach(name => {
+      if (element.hasAttribute(name)) {
+        values[name] = element.getAttribute(name);
+      }
+    });
+
+    // Estilos inline (comuns em SVGs exportados) têm prioridade sobre os atributos
+    (element.getAttribute('style') || '').split(';').forEach(declaration => {
+      const [name, value] = declaration.split(':').map(part => part && part.trim());
+      if (name && value && KEPT_ATTRIBUTES.includes(name)) {
+        values[name] = value;
+      }
+    });
+
+    const isColorableArea = /^area-\d+$/.test(element.getAttribute('id') || '') &&
+      element.getAttribute('pointer-events') !== 'none';
+    if (isColorableArea) {
+      values.fill = '#FFFFFF';
+    }
+
+    return Object.entries(values)
+      .map(([name, value]) => {
+        const simplified = NUMERIC_ATTRIBUTES.includes(name) ? this.roundNumbers(value) : value;
+        return ` ${name}="${this.escapeAttribute(simplified)}"`;
+      })
+      .join('');
+  }
+
+  /**
+   * Arredonda os números de um atributo para uma casa decimal
+   * @param {string} value - Valor do atributo
+   * @returns {string}
+   * @private
+   */
+  roundNumbers(value) {
+    return value.replace(/-?\d*\.\d+(?:e-?\d+)?/gi, number => String(Number(Number(number).toFixed(1))));
+  }
+
+  /**
+   * Verifica se o elemento está escondido
+   * @param {Element} element - Elemento
+   * @returns {boolean}
+   * @private
+   */
+  isHidden(element) {
+    const style = element.getAttribute('style') || '';
+    return element.getAttribute('display') === 'none' ||
+      element.getAttribute('visibility') === 'hidden' ||
+      /display\s*:\s*none/.test(style);
+  }
+
+  /**
+   * Escapa um valor para uso em atributo XML
+   * @param {string} value - Valor
+   * @returns {string}
+   * @private
+   */
+  escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+}
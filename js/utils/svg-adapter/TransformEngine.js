@@ -18,9 +18,22 @@ export class TransformEngine {
       pointerEventsAdded: 0
     };
     
+    // Elementos juntados na revisão interativa viram uma só área, na posição do primeiro
+    const merged = classification.merged || [];
+    const mergedByFirst = new Map(merged.map(group => [group[0], group]));
+    const mergedElements = new Set(merged.flat());
+    
     // Transformar áreas coloríveis
-    classification.colorable.forEach((elementInfo, index) => {
-      this.transformColorableArea(elementInfo.element, index + 1, stats);
+    const areas = [];
+    classification.colorable.forEach(elementInfo => {
+      if (mergedByFirst.has(elementInfo)) {
+        const elements = mergedByFirst.get(elementInfo).map(info => info.element);
+        const group = this.transformMergedArea(elements, areas.length + 1, stats);
+        areas.push({ element: group, tagName: 'g', id: null });
+      } else if (!mergedElements.has(elementInfo)) {
+        this.transformColorableArea(elementInfo.element, areas.length + 1, stats);
+        areas.push(elementInfo);
+      }
     });
     
     // Transformar elementos decorativos
@@ -31,7 +44,8 @@ export class TransformEngine {
     return {
       svg: svgElement,
       stats,
-      colorableCount: classification.colorable.length,
+      areas,
+      colorableCount: areas.length,
       decorativeCount: classification.decorative.length
     };
   }
@@ -67,6 +81,54 @@ export class TransformEngine {
     }
   }
 
+  /**
+   * Junta elementos irmãos em um <g> que vira a área colorível
+   * O grupo recebe o ID e o fill="none"; os elementos perdem o próprio fill para
+   * herdar a cor pintada no grupo
+   * @param {Element[]} elements - Elementos a juntar, na ordem do documento
+   * @param {number} index - Índice para ID (começando em 1)
+   * @param {Object} stats - Estatísticas
+   * @returns {Element} Grupo criado
+   */
+  transformMergedArea(elements, index, stats) {
+    const first = elements[0];
+    const group = first.ownerDocument.createElementNS(first.namespaceURI, 'g');
+    first.parentNode.insertBefore(group, first);
+    
+    elements.forEach(element => {
+      group.appendChild(element);
+      
+      if (element.hasAttribute('fill')) {
+        element.removeAttribute('fill');
+        stats.fillsCleared++;
+      }
+      if (element.style && element.style.fill) {
+        element.style.removeProperty('fill');
+      }
+      
+      // Um ID area-N antigo no elemento seria encontrado antes do grupo
+      if (/^area-\d+$/.test(element.getAttribute('id') || '')) {
+        element.removeAttribute('id');
+      }
+      
+      const strokeWidth = parseFloat(element.getAttribute('stroke-width')) || 0;
+      if (strokeWidth < 2) {
+        element.setAttribute('stroke-width', '2');
+        stats.strokesAdjusted++;
+      }
+      
+      if (element.hasAttribute('pointer-events')) {
+        element.removeAttribute('pointer-events');
+      }
+    });
+    
+    group.setAttribute('id', `area-${index}`);
+    group.setAttribute('fill', 'none');
+    stats.idsAssigned++;
+    
+    return group;
+  }
+
   /**
    * Transforma um elemento decorativo
    * @param {Element} element - Elemento a transformar
@@ -87,6 +149,7 @@ export class TransformEngine {
  * @typedef {Object} ClassificationResult
  * @property {SVGElementInfo[]} colorable - Elementos classificados como coloríveis
  * @property {SVGElementInfo[]} decorative - Elementos classificados como decorativos
+ * @property {SVGElementInfo[][]} [merged] - Grupos de coloríveis juntados em uma só área
  */
 
 /**
@@ -109,6 +172,8 @@ export class TransformEngine {
  * @property {number} stats.strokesAdjusted - Número de strokes ajustados
  * @property {number} stats.fillsCleared - Número de fills limpos
  * @property {number} stats.pointerEventsAdded - Número de pointer-events adicionados
+ * @property {Array<SVGElementInfo|{element: Element, tagName: string, id: null}>} areas - Áreas na ordem dos IDs
+ *   (o grupo criado, no caso de elementos juntados)
  * @property {number} colorableCount - Total de áreas coloríveis
  * @property {number} decorativeCount - Total de elementos decorativos
  */
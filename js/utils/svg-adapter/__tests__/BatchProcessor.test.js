@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for BatchProcessor
+ *
+ * Tests directory/glob expansion and the concurrency limit of batch mode.
+ */
+
+import { BatchProcessor } from '../BatchProcessor.js';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+describe('BatchProcessor', () => {
+  let dir;
+  let processor;
+
+  beforeEach(async () => {
+    processor = new BatchProcessor({ concurrency: 2 });
+    dir = await mkdtemp(path.join(tmpdir(), 'svg-adapter-batch-'));
+
+    await mkdir(path.join(dir, 'arte', 'animais'), { recursive: true });
+    await mkdir(path.join(dir, 'arte', 'saida'), { recursive: true });
+    await writeFile(path.join(dir, 'arte', 'carro.svg'), '<svg/>');
+    await writeFile(path.join(dir, 'arte', 'leia-me.txt'), 'texto');
+    await writeFile(path.join(dir, 'arte', 'animais', 'gato.svg'), '<svg/>');
+    await writeFile(path.join(dir, 'arte', 'saida', 'carro.svg'), '<svg/>');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('isGlob', () => {
+    it('recognizes glob patterns', () => {
+      expect(BatchProcessor.isGlob('arte/*.svg')).toBe(true);
+      expect(BatchProcessor.isGlob('arte/carro?.svg')).toBe(true);
+      expect(BatchProcessor.isGlob('arte/[ab].svg')).toBe(true);
+      expect(BatchProcessor.isGlob('arte/carro.svg')).toBe(false);
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it('matches * within a single directory', () => {
+      const regexp = BatchProcessor.globToRegExp('*.svg');
+
+      expect(regexp.test('carro.svg')).toBe(true);
+      expect(regexp.test('animais/gato.svg')).toBe(false);
+      expect(regexp.test('carro.svgz')).toBe(false);
+    });
+
+    it('matches ** across directories, including none', () => {
+      const regexp = BatchProcessor.globToRegExp('**/*.svg');
+
+      expect(regexp.test('carro.svg')).toBe(true);
+      expect(regexp.test('animais/gatos/gato.svg')).toBe(true);
+    });
+
+    it('matches ? and character classes', () => {
+      expect(BatchProcessor.globToRegExp('carro-?.svg').test('carro-1.svg')).toBe(true);
+      expect(BatchProcessor.globToRegExp('carro-[12].svg').test('carro-3.svg')).toBe(false);
+      expect(BatchProcessor.globToRegExp('carro-[!12].svg').test('carro-3.svg')).toBe(true);
+    });
+  });
+
+  describe('resolveInputs', () => {
+    it('expands a directory recursively into SVG files', async () => {
+      const files = await processor.resolveInputs([path.join(dir, 'arte')]);
+
+      expect(files.map(file => file.relativePath)).toEqual([
+        path.join('animais', 'gato.svg'),
+        'carro.svg',
+        path.join('saida', 'carro.svg')
+      ]);
+    });
+
+    it('expands glob patterns relative to their fixed base directory', async () => {
+      const files = await processor.resolveInputs([path.join(dir, 'arte', '**', '*.svg')]);
+
+      expect(files.map(file => file.relativePath)).toContain(path.join('animais', 'gato.svg'));
+      expect(files.every(file => file.inputPath.endsWith('.svg'))).toBe(true);
+    });
+
+    it('skips the excluded output directory and repeated files', async () => {
+      const carro = path.join(dir, 'arte', 'carro.svg');
+      const files = await processor.resolveInputs([path.join(dir, 'arte'), carro], {
+        exclude: path.join(dir, 'arte', 'saida')
+      });
+
+      expect(files.map(file => file.relativePath)).toEqual([path.join('animais', 'gato.svg'), 'carro.svg']);
+    });
+
+    it('keeps missing files so they show up as failures', async () => {
+      const files = await processor.resolveInputs(['nao-existe.svg']);
+
+      expect(files).toEqual([{ inputPath: 'nao-existe.svg', relativePath: 'nao-existe.svg' }]);
+    });
+  });
+
+  describe('run', () => {
+    it('never runs more tasks than the concurrency limit and keeps the input order', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      const results = await processor.run([30, 10, 20, 5, 15], async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+      });
+
+      expect(maxRunning).toBe(2);
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    it('returns an empty list for no items', async () => {
+      expect(await processor.run([], async () => 1)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for BrowserSVGAdapter.sanitize
+ * Arquivos enviados pela galeria são exibidos inline: tudo o que pode executar
+ * código ou buscar conteúdo externo precisa sair antes da adaptação
+ */
+
+import { BrowserSVGAdapter } from '../BrowserSVGAdapter.js';
+
+const XLINK = 'xmlns:xlink="http://www.w3.org/1999/xlink"';
+
+describe('BrowserSVGAdapter.sanitize', () => {
+  let adapter;
+
+  function sanitize(body) {
+    const svg = adapter.parse(`<svg xmlns="http://www.w3.org/2000/svg" ${XLINK} viewBox="0 0 100 100">${body}</svg>`);
+    adapter.sanitize(svg);
+    return svg;
+  }
+
+  beforeEach(() => {
+    adapter = new BrowserSVGAdapter();
+  });
+
+  test('deve manter formas, grupos, gradientes e atributos de apresentação', () => {
+    const svg = sanitize(`
+      <defs><linearGradient id="ceu"><stop offset="0" stop-color="#00F"/></linearGradient></defs>
+      <g transform="translate(10 10)">
+        <path id="casa" d="M0 0 L10 10" fill="url(#ceu)" stroke="black" stroke-width="2" style="opacity: 0.5"/>
+      </g>`);
+
+    const path = svg.querySelector('path');
+    expect(svg.querySelector('linearGradient stop')).not.toBeNull();
+    expect(svg.querySelector('g').getAttribute('transform')).toBe('translate(10 10)');
+    expect(path.getAttribute('fill')).toBe('url(#ceu)');
+    expect(path.getAttribute('stroke-width')).toBe('2');
+    expect(path.getAttribute('style')).toBe('opacity:0.5');
+  });
+
+  test('deve remover script, foreignObject e atributos de evento', () => {
+    const svg = sanitize(`
+      <script>alert(1)</script>
+      <foreignObject><div xmlns="http://www.w3.org/1999/xhtml">oi</div></foreignObject>
+      <rect width="10" height="10" onclick="alert(1)" onmouseover="alert(1)"/>`);
+
+    expect(svg.querySelector('script, foreignObject')).toBeNull();
+    expect(svg.querySelector('rect').getAttributeNames()).toEqual(['width', 'height']);
+  });
+
+  test('deve remover animate e set que trocam href por javascript:', () => {
+    const svg = sanitize(`
+      <a href="#x"><rect width="10" height="10"/></a>
+      <use href="#casa"><set attributeName="href" to="javascript:alert(1)"/></use>
+      <use href="#casa"><animate attributeName="href" values="javascript:alert(1)"/></use>
+      <rect width="10" height="10"><animateTransform attributeName="transform" type="rotate"/></rect>`);
+
+    expect(svg.querySelector('set, animate, animateTransform, animateMotion, a')).toBeNull();
+    expect(svg.querySelectorAll('use')).toHaveLength(2);
+  });
+
+  test('deve remover iframe, embed, object e style', () => {
+    const svg = sanitize(`
+      <iframe src="javascript:alert(1)"/>
+      <embed src="https://exemplo.com/x.swf"/>
+      <object data="https://exemplo.com/x"/>
+      <style>rect { background: url(https://exemplo.com/rastreio.png) }</style>
+      <rect width="10" height="10"/>`);
+
+    expect(svg.querySelector('iframe, embed, object, style')).toBeNull();
+    expect(svg.querySelector('rect')).not.toBeNull();
+  });
+
+  test('deve aceitar só referências #id em use, image e url()', () => {
+    const svg = sanitize(`
+      <use id="local" href="#casa"/>
+      <use id="externo" href="https://exemplo.com/sprite.svg#casa"/>
+      <use id="dados" xlink:href="data:image/svg+xml;base64,PHN2Zz48L3N2Zz4="/>
+      <use id="js" href="javascript:alert(1)"/>
+      <image href="https://exemplo.com/foto.png" width="10" height="10"/>
+      <rect id="pintura" fill="url(https://exemplo.com/x.svg#g)" stroke="url(#ceu)"
+        style="fill: url(data:image/png;base64,AAAA); stroke: black"/>`);
+
+    const href = id => {
+      const use = svg.querySelector(`#${id}`);
+      return use.getAttribute('href') || use.getAttribute('xlink:href');
+    };
+    expect(href('local')).toBe('#casa');
+    expect(href('externo')).toBeNull();
+    expect(href('dados')).toBeNull();
+    expect(href('js')).toBeNull();
+    expect(svg.querySelector('image')).toBeNull();
+
+    const rect = svg.querySelector('#pintura');
+    expect(rect.hasAttribute('fill')).toBe(false);
+    expect(rect.getAttribute('stroke')).toBe('url(#ceu)');
+    expect(rect.getAttribute('style')).toBe('stroke:black');
+  });
+});
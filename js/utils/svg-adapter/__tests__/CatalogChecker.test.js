@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for CatalogChecker
+ *
+ * Builds a small project (catalog, drawings and thumbnails) in a temporary
+ * directory and checks the report.
+ */
+
+import { CatalogChecker } from '../CatalogChecker.js';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const THREE_AREAS = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+  <path id="area-1" fill="none" stroke="black"/>
+  <path id="area-2" fill="none" stroke="black"/>
+  <path id="area-3" fill="none" stroke="black"/>
+  <path id="area-4" fill="#000000" pointer-events="none"/>
+</svg>`;
+
+function entry(id, category, areaCount, overrides = {}) {
+  return {
+    id,
+    name: id,
+    category,
+    svgUrl: `/assets/drawings/${category}/${id}.svg`,
+    thumbnailUrl: `/assets/thumbnails/${category}/${id}.svg`,
+    metadata: { width: 100, height: 100, areaCount },
+    ...overrides
+  };
+}
+
+describe('CatalogChecker', () => {
+  let root;
+
+  async function write(relativePath, content) {
+    const file = path.join(root, relativePath);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, content, 'utf-8');
+  }
+
+  async function writeCatalog(categories) {
+    await write('data/drawings-catalog.json', JSON.stringify({ categories }, null, 2) + '\n');
+  }
+
+  async function readCatalog() {
+    return JSON.parse(await readFile(path.join(root, 'data/drawings-catalog.json'), 'utf-8'));
+  }
+
+  function subjects(report, type) {
+    return report.issues.filter(issue => issue.type === type).map(issue => issue.subject);
+  }
+
+  beforeEach(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'catalog-checker-'));
+
+    for (const drawing of ['animais/gato', 'animais/peixe', 'carros/onibus']) {
+      await write(`assets/drawings/${drawing}.svg`, THREE_AREAS);
+      await write(`assets/thumbnails/${drawing}.svg`, '<svg xmlns="http://www.w3.org/2000/svg"/>');
+    }
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('passes when catalog and files match', async () => {
+    await writeCatalog([
+      { id: 'animais', name: 'Animais', drawings: [entry('gato', 'animais', 3), entry('peixe', 'animais', 3)] },
+      { id: 'carros', name: 'Carros', drawings: [entry('onibus', 'carros', 3)] }
+    ]);
+
+    const report = await new CatalogChecker({ root }).check();
+
+    expect(report).toEqual({ success: true, drawingCount: 3, issues: [], errors: 0, fixed: 0 });
+  });
+
+  it('reports invalid entries, duplicate ids, missing files and wrong categories', async () => {
+    await writeCatalog([
+      { id: 'animais', name: 'Animais', drawings: [
+        entry('gato', 'animais', 3),
+        entry('peixe', 'animais', 3, { name: '' }),
+        entry('tubarao', 'animais', 3)
+      ] },
+      { id: 'carros', name: 'Carros', drawings: [
+        entry('onibus', 'carros', 3),
+        entry('gato', 'animais', 3),
+        entry('trator', 'carros', 3, { thumbnailUrl: '/assets/thumbnails/carros/onibus.svg' })
+      ] }
+    ]);
+
+    const report = await new CatalogChecker({ root }).check();
+
+    expect(report.success).toBe(false);
+    expect(subjects(report, 'invalid-entry')).toEqual(['animais/peixe']);
+    expect(subjects(report, 'duplicate-id')).toEqual(['gato']);
+    expect(subjects(report, 'category-mismatch')).toEqual(['carros/gato']);
+    expect(subjects(report, 'missing-drawing')).toEqual(['animais/tubarao', 'carros/trator']);
+    expect(subjects(report, 'missing-thumbnail')).toEqual(['animais/tubarao']);
+  });
+
+  it('reports drawings and thumbnails that are not in the catalog as warnings', async () => {
+    await write('assets/drawings/Sereia/sereia--01.svg', THREE_AREAS);
+    await write('assets/thumbnails/carros/antigo.png', 'png');
+    await writeCatalog([
+      { id: 'animais', name: 'Animais', drawings: [entry('gato', 'animais', 3), entry('peixe', 'animais', 3)] },
+      { id: 'carros', name: 'Carros', drawings: [entry('onibus', 'carros', 3)] }
+    ]);
+
+    const report = await new CatalogChecker({ root }).check();
+
+    expect(report.success).toBe(true);
+    expect(subjects(report, 'orphan-drawing')).toEqual([path.join('assets/drawings/Sereia/sereia--01.svg')]);
+    expect(subjects(report, 'orphan-thumbnail')).toEqual([path.join('assets/thumbnails/carros/antigo.png')]);
+    expect(report.issues.every(issue => issue.severity === 'warning')).toBe(true);
+  });
+
+  it('recounts areas like the site and rewrites only the counts with fix', async () => {
+    await write('assets/drawings/carros/quebrado.svg', '<svg><path></svg>');
+    await write('assets/thumbnails/carros/quebrado.svg', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+    await writeCatalog([
+      { id: 'animais', name: 'Animais', drawings: [entry('gato', 'animais', 15), entry('peixe', 'animais', 3)] },
+      { id: 'carros', name: 'Carros', drawings: [entry('onibus', 'carros', 3), entry('quebrado', 'carros', 2)] }
+    ]);
+
+    const checker = new CatalogChecker({ root });
+    const dryRun = await checker.check();
+
+    expect(dryRun.issues.find(issue => issue.type === 'area-count'))
+      .toMatchObject({ subject: 'animais/gato', detail: 'catálogo diz 15, o SVG tem 3', fixed: false });
+    expect(subjects(dryRun, 'unreadable-drawing')).toEqual(['carros/quebrado']);
+    expect((await readCatalog()).categories[0].drawings[0].metadata.areaCount).toBe(15);
+
+    const fixed = await checker.check({ fix: true });
+
+    expect(fixed.fixed).toBe(1);
+    expect(fixed.errors).toBe(1);
+    expect(fixed.success).toBe(false);
+    const catalog = await readCatalog();
+    expect(catalog.categories[0].drawings[0].metadata).toEqual({ width: 100, height: 100, areaCount: 3 });
+    expect(catalog.categories[1].drawings[1].metadata.areaCount).toBe(2);
+  });
+});
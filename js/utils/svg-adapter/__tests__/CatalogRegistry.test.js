@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for CatalogRegistry
+ */
+
+import { CatalogRegistry, CatalogError } from '../CatalogRegistry.js';
+import { JSDOM } from 'jsdom';
+import path from 'path';
+
+function parseSVG(markup) {
+  const dom = new JSDOM(markup, { contentType: 'image/svg+xml' });
+  return dom.window.document.documentElement;
+}
+
+function createCatalog() {
+  return {
+    categories: [
+      { id: 'animais', name: 'Animais', drawings: [
+        { id: 'gato', name: 'Gato', category: 'animais', svgUrl: '/assets/drawings/animais/gato.svg',
+          thumbnailUrl: '/assets/thumbnails/animais/gato.svg', metadata: { width: 400, height: 300, areaCount: 8 } }
+      ] },
+      { id: 'carros', name: 'Carros', drawings: [] }
+    ]
+  };
+}
+
+describe('CatalogRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CatalogRegistry({ root: '/projeto' });
+  });
+
+  describe('slugify', () => {
+    it('creates ids without accents, spaces or symbols', () => {
+      expect(CatalogRegistry.slugify('Caminhão de Bombeiro')).toBe('caminhao-de-bombeiro');
+      expect(CatalogRegistry.slugify('  Ônibus Nº 2!  ')).toBe('onibus-n-2');
+      expect(CatalogRegistry.slugify('!!!')).toBe('');
+    });
+  });
+
+  describe('getDrawingPaths', () => {
+    it('uses the standard drawing and thumbnail locations', () => {
+      expect(registry.getDrawingPaths('carros', 'trator')).toEqual({
+        svgUrl: '/assets/drawings/carros/trator.svg',
+        thumbnailUrl: '/assets/thumbnails/carros/trator.svg',
+        svgPath: path.join('/projeto', 'assets/drawings/carros/trator.svg'),
+        thumbnailPath: path.join('/projeto', 'assets/thumbnails/carros/trator.svg')
+      });
+    });
+  });
+
+  describe('buildEntry', () => {
+    it('computes size and area count like the site does', () => {
+      const svg = parseSVG(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800.4 600">
+        <path id="area-1" fill="none"/>
+        <path id="area-2" fill="none"/>
+        <path id="area-3" pointer-events="none"/>
+        <circle r="2" pointer-events="none"/>
+      </svg>`);
+
+      const entry = registry.buildEntry({
+        id: 'trator', name: 'Trator', category: 'carros', svg, areaLabels: { 'area-1': 'roda' }
+      });
+
+      expect(entry).toEqual({
+        id: 'trator',
+        name: 'Trator',
+        category: 'carros',
+        svgUrl: '/assets/drawings/carros/trator.svg',
+        thumbnailUrl: '/assets/thumbnails/carros/trator.svg',
+        metadata: { width: 800, height: 600, areaCount: 2, areaLabels: { 'area-1': 'roda' } }
+      });
+    });
+
+    it('requires the SVG to have a size', () => {
+      const svg = parseSVG('<svg xmlns="http://www.w3.org/2000/svg"><path id="area-1"/></svg>');
+
+      expect(() => registry.buildEntry({ id: 'x', name: 'X', category: 'carros', svg })).toThrow(CatalogError);
+    });
+  });
+
+  describe('addEntry', () => {
+    const entry = {
+      id: 'trator', name: 'Trator', category: 'carros', svgUrl: '/assets/drawings/carros/trator.svg',
+      thumbnailUrl: '/assets/thumbnails/carros/trator.svg', metadata: { width: 800, height: 600, areaCount: 4 }
+    };
+
+    it('appends a valid entry to its category', () => {
+      const catalog = createCatalog();
+
+      registry.addEntry(catalog, entry);
+
+      expect(catalog.categories[1].drawings).toEqual([entry]);
+    });
+
+    it('rejects unknown categories and ids already in any category', () => {
+      expect(() => registry.addEntry(createCatalog(), { ...entry, category: 'naves' }))
+        .toThrow('Categoria não encontrada: naves');
+      expect(() => registry.addEntry(createCatalog(), { ...entry, id: 'gato' }))
+        .toThrow('Já existe um desenho com o ID "gato"');
+    });
+
+    it('rejects entries the site would not accept', () => {
+      expect(() => registry.addEntry(createCatalog(), { ...entry, metadata: { width: 0, height: 600, areaCount: 4 } }))
+        .toThrow('Entrada inválida');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for ClassificationDecisions
+ */
+
+import { ClassificationDecisions, DecisionsError } from '../ClassificationDecisions.js';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+describe('ClassificationDecisions', () => {
+  let document;
+  let svg;
+
+  /**
+   * Cria elementos na ordem dada; "g>" no começo da tag coloca o elemento dentro de um grupo
+   */
+  function createElements(tags) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    svg.appendChild(group);
+
+    return tags.map(tag => {
+      const inGroup = tag.startsWith('g>');
+      const tagName = inGroup ? tag.slice(2) : tag;
+      const element = document.createElementNS(SVG_NS, tagName);
+      (inGroup ? group : svg).appendChild(element);
+      return { element, tagName };
+    });
+  }
+
+  beforeEach(() => {
+    document = new JSDOM('<!DOCTYPE html><html><body></body></html>').window.document;
+    svg = document.createElementNS(SVG_NS, 'svg');
+  });
+
+  test('alternar duas vezes deve voltar à heurística sem deixar decisão', () => {
+    const elements = createElements(['path']);
+    const decisions = new ClassificationDecisions();
+
+    expect(decisions.toggle(1, elements[0], 'colorable')).toBe('decorative');
+    expect(decisions.elements).toEqual({ 1: { tagName: 'path', classification: 'decorative' } });
+
+    expect(decisions.toggle(1, elements[0], 'colorable')).toBe('colorable');
+    expect(decisions.isEmpty()).toBe(true);
+  });
+
+  test('juntar deve unir grupos existentes e rejeitar elementos de grupos diferentes', () => {
+    const elements = createElements(['path', 'path', 'rect', 'g>path']);
+    const decisions = new ClassificationDecisions();
+
+    expect(decisions.merge([1, 2], elements)).toEqual([1, 2]);
+    expect(decisions.merge([3, 2], elements)).toEqual([1, 2, 3]);
+    expect(decisions.merges).toEqual([[1, 2, 3]]);
+
+    expect(() => decisions.merge([1, 4], elements)).toThrow(DecisionsError);
+    expect(() => decisions.merge([3, 9], elements)).toThrow('Elementos inexistentes: 9');
+    expect(() => new ClassificationDecisions().merge([2], elements)).toThrow('pelo menos dois elementos');
+  });
+
+  test('apply deve reclassificar, juntar e ignorar decisões de outra tag', () => {
+    const elements = createElements(['path', 'path', 'circle', 'rect']);
+    const decisions = new ClassificationDecisions({
+      elements: {
+        1: { tagName: 'path', classification: 'decorative' },
+        4: { tagName: 'path', classification: 'decorative' }
+      },
+      merges: [[3, 2]]
+    });
+
+    const { classification, applied, ignored } = decisions.apply(elements, {
+      colorable: [elements[0], elements[3]],
+      decorative: [elements[1], elements[2]]
+    });
+
+    expect(classification.colorable).toEqual([elements[1], elements[2], elements[3]]);
+    expect(classification.decorative).toEqual([elements[0]]);
+    expect(classification.merged).toEqual([[elements[1], elements[2]]]);
+    expect(applied).toBe(2);
+    expect(ignored).toBe(1);
+  });
+
+  test('apply deve ignorar tudo quando o SVG tem outro número de elementos', () => {
+    const elements = createElements(['path', 'path']);
+    const decisions = new ClassificationDecisions({ elementCount: 3, elements: {}, merges: [[1, 2]] });
+    const classification = { colorable: elements, decorative: [] };
+
+    const result = decisions.apply(elements, classification);
+
+    expect(decisions.matches(elements)).toBe(false);
+    expect(result.classification.merged).toEqual([]);
+    expect(result.ignored).toBe(1);
+  });
+
+  describe('arquivo de decisões', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'svg-adapter-decisions-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('deve gravar ao lado do SVG e ler de volta', async () => {
+      const inputPath = path.join(dir, 'gato.svg');
+      const elements = createElements(['path', 'path', 'circle']);
+      const decisions = new ClassificationDecisions();
+      decisions.toggle(3, elements[2], 'decorative');
+      decisions.merge([1, 2], elements);
+
+      const savedPath = await decisions.save(inputPath, elements);
+      const loaded = await ClassificationDecisions.load(inputPath);
+
+      expect(savedPath).toBe(path.join(dir, 'gato.adapter.json'));
+      expect(JSON.parse(await readFile(savedPath, 'utf-8'))).toEqual({
+        version: 1,
+        elementCount: 3,
+        elements: { 3: { tagName: 'circle', classification: 'colorable' } },
+        merges: [[1, 2]]
+      });
+      expect(loaded.toJSON()).toEqual(decisions.toJSON());
+    });
+
+    test('sem arquivo deve retornar null; arquivo inválido deve lançar DecisionsError', async () => {
+      const inputPath = path.join(dir, 'peixe.svg');
+
+      expect(await ClassificationDecisions.load(inputPath)).toBeNull();
+
+      await writeFile(ClassificationDecisions.getPath(inputPath), '{"version": 99}', 'utf-8');
+      await expect(ClassificationDecisions.load(inputPath)).rejects.toThrow(DecisionsError);
+    });
+  });
+});
@@ -70,6 +70,19 @@ describe('ElementClassifier', () => {
     });
   });
 
+  describe('explain', () => {
+    it('deve informar a heurística que decidiu a classificação', () => {
+      const bounds = { x: 0, y: 0, width: 100, height: 100, area: 10000 };
+
+      expect(classifier.explain({ tagName: 'path', fill: 'none', stroke: '#000000', bounds }))
+        .toEqual({ classification: 'colorable', reason: 'fill="none" com stroke' });
+      expect(classifier.explain({ tagName: 'rect', fill: '#000000', stroke: null, bounds }))
+        .toEqual({ classification: 'decorative', reason: 'cor decorativa (#000000)' });
+      expect(classifier.explain({ tagName: 'circle', fill: '#FF0000', stroke: null, bounds }).reason)
+        .toBe('padrão (nenhuma heurística decorativa)');
+    });
+  });
+
   describe('classify', () => {
     it('deve classificar array de elementos corretamente', () => {
       const elements = [
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for InteractiveReviewer
+ */
+
+import { jest } from '@jest/globals';
+import { InteractiveReviewer } from '../InteractiveReviewer.js';
+import { ClassificationDecisions } from '../ClassificationDecisions.js';
+import { JSDOM } from 'jsdom';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+describe('InteractiveReviewer', () => {
+  let elements;
+  let log;
+
+  /**
+   * Reviewer que responde as perguntas na ordem dada
+   */
+  function createReviewer(answers) {
+    const ask = jest.fn(async () => answers.shift());
+    return { reviewer: new InteractiveReviewer({ ask, log }), ask };
+  }
+
+  beforeEach(() => {
+    const document = new JSDOM('<!DOCTYPE html><html><body></body></html>').window.document;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    const bounds = { x: 10, y: 5, width: 40, height: 20.04, area: 800 };
+
+    elements = [
+      { tagName: 'path', id: 'corpo', fill: 'none', stroke: '#000000', bounds },
+      { tagName: 'path', id: null, fill: '#000000', stroke: null, bounds },
+      { tagName: 'circle', id: null, fill: '#FF0000', stroke: null, bounds }
+    ].map(info => {
+      const element = document.createElementNS(SVG_NS, info.tagName);
+      svg.appendChild(element);
+      return { ...info, element };
+    });
+
+    log = jest.fn();
+  });
+
+  test('deve mostrar tag, limites, fill, stroke e o motivo da heurística', () => {
+    const { reviewer } = createReviewer([]);
+
+    const line = reviewer.describe(2, 3, elements[1], { classification: 'decorative', reason: 'cor decorativa (#000000)' },
+      new ClassificationDecisions());
+
+    expect(line).toContain('[2/3] <path> 40×20 em (10, 5) · fill #000000 · stroke —');
+    expect(line).toContain('decorativo (cor decorativa (#000000))');
+  });
+
+  test('Enter deve manter, t alternar e j juntar', async () => {
+    const decisions = new ClassificationDecisions();
+    const { reviewer, ask } = createReviewer(['', 't', 'j 1']);
+
+    const summary = await reviewer.review(elements, decisions);
+
+    expect(ask).toHaveBeenCalledTimes(3);
+    expect(summary).toEqual({ reviewed: 3, toggled: 1, merged: 1 });
+    expect(decisions.elements).toEqual({ 2: { tagName: 'path', classification: 'colorable' } });
+    expect(decisions.merges).toEqual([[1, 3]]);
+  });
+
+  test('comando inválido ou junção impossível deve perguntar de novo pelo mesmo elemento', async () => {
+    const decisions = new ClassificationDecisions();
+    const { reviewer, ask } = createReviewer(['x', 'j 9', 'f']);
+
+    const summary = await reviewer.review(elements, decisions);
+
+    expect(ask).toHaveBeenCalledTimes(3);
+    expect(summary.reviewed).toBe(0);
+    expect(decisions.isEmpty()).toBe(true);
+    expect(log).toHaveBeenCalledWith('    Comando desconhecido: x');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Elementos inexistentes: 9'));
+  });
+
+  test('deve mostrar decisões anteriores no lugar do motivo da heurística', () => {
+    const decisions = new ClassificationDecisions({
+      elements: { 3: { tagName: 'circle', classification: 'decorative' } },
+      merges: []
+    });
+    const { reviewer } = createReviewer([]);
+
+    const line = reviewer.describe(3, 3, elements[2], { classification: 'colorable', reason: 'padrão' }, decisions);
+
+    expect(line).toContain('decorativo (escolhido na revisão; heurística: colorível)');
+  });
+});
@@ -6,6 +6,7 @@
  */
 
 import { SVGAdapterCLI } from '../SVGAdapterCLI.js';
+import { JSDOM } from 'jsdom';
 import path from 'path';
 
 describe('SVGAdapterCLI - Unit Tests', () => {
@@ -68,6 +69,11 @@ describe('SVGAdapterCLI - Unit Tests', () => {
       expect(options.validate).toBe(true);
     });
 
+    it('recognizes --labels flag', () => {
+      expect(cli.parseArguments(['drawing.svg', '--labels']).labels).toBe(true);
+      expect(cli.parseArguments(['drawing.svg']).labels).toBe(false);
+    });
+
     it('handles flags in any order', () => {
       const options = cli.parseArguments(['--validate', 'drawing.svg', '--interactive']);
       
@@ -93,6 +99,146 @@ describe('SVGAdapterCLI - Unit Tests', () => {
       
       expect(options.inputPath).toBeNull();
     });
+
+    it('parses --out-dir and --concurrency for batch mode', () => {
+      const options = cli.parseArguments(['arte/*.svg', '--out-dir=adaptados', '--concurrency=8']);
+
+      expect(options.inputPaths).toEqual(['arte/*.svg']);
+      expect(options.outDir).toBe('adaptados');
+      expect(options.concurrency).toBe(8);
+    });
+
+    it('rejects an invalid --concurrency', () => {
+      expect(() => cli.parseArguments(['arte/', 'saida/', '--concurrency=0'])).toThrow('--concurrency');
+      expect(() => cli.parseArguments(['arte/', 'saida/', '--concurrency=muitos'])).toThrow('--concurrency');
+    });
+  });
+
+  describe('parseAddArguments', () => {
+    it('accepts values after the flag or with "="', () => {
+      expect(cli.parseAddArguments(['gato.svg', '--category', 'animais', '--name', 'Gato Feliz'])).toEqual({
+        inputPath: 'gato.svg',
+        category: 'animais',
+        name: 'Gato Feliz',
+        id: null,
+        interactive: false,
+        labels: false
+      });
+      expect(cli.parseAddArguments(['--category=animais', '--name=Gato', '--id=gato-2', 'gato.svg', '--labels']))
+        .toMatchObject({ inputPath: 'gato.svg', id: 'gato-2', labels: true });
+    });
+
+    it('requires the file, the category and the name', () => {
+      expect(() => cli.parseAddArguments(['gato.svg', '--name', 'Gato'])).toThrow('svg-adapter add');
+      expect(() => cli.parseAddArguments(['--category', 'animais', '--name', 'Gato'])).toThrow('svg-adapter add');
+    });
+  });
+
+  describe('isBatch', () => {
+    it('keeps single-file mode for "input.svg output.svg"', () => {
+      expect(cli.isBatch(cli.parseArguments(['input.svg', 'output.svg']))).toBe(false);
+    });
+
+    it('detects directories, globs, many inputs and --out-dir', () => {
+      expect(cli.isBatch(cli.parseArguments([process.cwd(), 'saida']))).toBe(true);
+      expect(cli.isBatch(cli.parseArguments(['arte/*.svg', 'saida']))).toBe(true);
+      expect(cli.isBatch(cli.parseArguments(['a.svg', 'b.svg', 'saida']))).toBe(true);
+      expect(cli.isBatch(cli.parseArguments(['a.svg', '--out-dir=saida']))).toBe(true);
+    });
+  });
+
+  describe('adaptBatch', () => {
+    it('requires an output directory', async () => {
+      await expect(cli.adaptBatch(cli.parseArguments(['arte/*.svg']))).rejects.toThrow('pasta de saída');
+    });
+
+    it('does not prompt in batch mode', async () => {
+      await expect(cli.adaptBatch(cli.parseArguments(['arte/*.svg', 'saida', '--labels'])))
+        .rejects.toThrow('modo em lote');
+    });
+
+    it('uses the last positional argument as output directory', async () => {
+      const adapted = [];
+      cli.adaptSVG = async (inputPath, outputPath, validate) => {
+        adapted.push({ inputPath, outputPath, validate });
+        return {
+          success: true,
+          outputPath,
+          colorableCount: 2,
+          decorativeCount: 1,
+          idsAssigned: 2,
+          validation: { valid: true, errors: [], warnings: [], suggestions: [] }
+        };
+      };
+      const processor = {
+        resolveInputs: async () => [{ inputPath: 'a.svg', relativePath: 'a.svg' }],
+        run: async (items, worker) => Promise.all(items.map(worker))
+      };
+
+      const result = await cli.adaptBatch(cli.parseArguments(['a.svg', 'b.svg', 'saida']), processor);
+
+      expect(result.success).toBe(true);
+      expect(result.outDir).toBe('saida');
+      expect(adapted).toEqual([{ inputPath: 'a.svg', outputPath: path.join('saida', 'a.svg'), validate: true }]);
+    });
+  });
+
+  describe('displayCheckReport', () => {
+    it('groups issues by type and marks fixed ones', () => {
+      cli.displayCheckReport({
+        success: false,
+        drawingCount: 11,
+        errors: 1,
+        fixed: 1,
+        issues: [
+          { type: 'area-count', severity: 'error', subject: 'carros/carro-simples', detail: 'catálogo diz 15, o SVG tem 8', fixed: true },
+          { type: 'missing-thumbnail', severity: 'error', subject: 'animais/gato', detail: '/assets/thumbnails/animais/gato.svg', fixed: false },
+          { type: 'orphan-drawing', severity: 'warning', subject: 'assets/drawings/Sereia/sereia--01.svg', detail: 'não é usado por nenhuma entrada', fixed: false }
+        ]
+      });
+
+      const lines = consoleLogSpy.calls.map(call => call[0]).join('\n').split('\n');
+
+      expect(lines).toContain('Verificação do catálogo (11 desenhos)');
+      expect(lines).toContain('❌ Miniaturas não encontradas (1):');
+      expect(lines).toContain('  - carros/carro-simples: catálogo diz 15, o SVG tem 8 [corrigido]');
+      expect(lines).toContain('⚠ Desenhos fora do catálogo (1):');
+      expect(lines.indexOf('❌ Miniaturas não encontradas (1):'))
+        .toBeLessThan(lines.indexOf('⚠ Desenhos fora do catálogo (1):'));
+      expect(lines).toContain('❌ 1 problema(s) no catálogo');
+    });
+  });
+
+  describe('displayBatchSummary', () => {
+    it('displays a table with counts and validation outcome per file', () => {
+      cli.displayBatchSummary({
+        success: false,
+        outDir: 'saida',
+        failed: 2,
+        files: [
+          { inputPath: 'carro.svg', success: true, colorableCount: 12, decorativeCount: 3, error: null,
+            validation: { valid: true, errors: [], warnings: [] } },
+          { inputPath: 'gato.svg', success: true, colorableCount: 0, decorativeCount: 4, error: null,
+            validation: { valid: true, errors: [], warnings: ['Nenhuma área colorível encontrada'] } },
+          { inputPath: 'peixe.svg', success: false, colorableCount: 5, decorativeCount: 0, error: null,
+            validation: { valid: false, errors: ['ID duplicado encontrado: area-1'], warnings: [] } },
+          { inputPath: 'quebrado.svg', success: false, colorableCount: 0, decorativeCount: 0,
+            error: 'Erro de parsing XML', validation: null }
+        ]
+      });
+
+      const lines = consoleLogSpy.calls.map(call => call[0]).join('\n').split('\n');
+      const row = name => lines.find(line => line.startsWith(name)).split(/\s{2,}/);
+
+      expect(lines.some(line => line.startsWith('Arquivo'))).toBe(true);
+      expect(row('carro.svg')).toEqual(['carro.svg', '12', '3', '✓ ok']);
+      expect(row('gato.svg')).toEqual(['gato.svg', '0', '4', '⚠ 1 aviso(s)']);
+      expect(row('peixe.svg')).toEqual(['peixe.svg', '5', '0', '❌ 1 erro(s)']);
+      expect(row('quebrado.svg')).toEqual(['quebrado.svg', '-', '-', '❌ falhou']);
+      expect(lines).toContain('  ❌ ID duplicado encontrado: area-1');
+      expect(lines).toContain('  Erro de parsing XML');
+      expect(lines).toContain('❌ 2 de 4 arquivos falharam');
+    });
   });
 
   describe('generateOutputPath', () => {
@@ -256,6 +402,68 @@ describe('SVGAdapterCLI - Unit Tests', () => {
     });
   });
 
+  describe('promptAreaLabels', () => {
+    function createColorable(markup) {
+      const dom = new JSDOM(`<svg xmlns="http://www.w3.org/2000/svg">${markup}</svg>`, {
+        contentType: 'image/svg+xml'
+      });
+      return Array.from(dom.window.document.querySelectorAll('[id^="area-"]')).map(element => ({
+        element,
+        tagName: element.tagName.toLowerCase(),
+        id: element.getAttribute('data-original-id')
+      }));
+    }
+
+    it('writes each answer as data-label', async () => {
+      const colorable = createColorable('<path id="area-1"/><rect id="area-2"/>');
+      const answers = ['roda dianteira', '  porta  '];
+      const questions = [];
+
+      const labels = await cli.promptAreaLabels(colorable, async (question) => {
+        questions.push(question);
+        return answers.shift();
+      });
+
+      expect(labels).toEqual({ 'area-1': 'roda dianteira', 'area-2': 'porta' });
+      expect(colorable[0].element.getAttribute('data-label')).toBe('roda dianteira');
+      expect(colorable[1].element.getAttribute('data-label')).toBe('porta');
+      expect(questions[0]).toContain('area-1 (path)');
+    });
+
+    it('keeps the current label on empty answer and skips unnamed areas', async () => {
+      const colorable = createColorable(
+        '<path id="area-1"><title>Janela</title></path><rect id="area-2" data-original-id="wheel"/>'
+      );
+      const questions = [];
+
+      const labels = await cli.promptAreaLabels(colorable, async (question) => {
+        questions.push(question);
+        return '';
+      });
+
+      expect(labels).toEqual({ 'area-1': 'Janela' });
+      expect(colorable[1].element.hasAttribute('data-label')).toBe(false);
+      expect(questions[0]).toContain('[Janela]');
+      expect(questions[1]).toContain('id original "wheel"');
+    });
+
+    it('displays labels ready for the catalog', () => {
+      cli.displayResults({
+        success: true,
+        outputPath: 'car-adapted.svg',
+        colorableCount: 1,
+        decorativeCount: 0,
+        idsAssigned: 1,
+        areaLabels: { 'area-1': 'roda dianteira' },
+        validation: null
+      });
+
+      const output = consoleLogSpy.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('metadata.areaLabels');
+      expect(output).toContain('"area-1": "roda dianteira"');
+    });
+  });
+
   describe('displayError', () => {
     it('displays error message', () => {
       const error = new Error('Arquivo não encontrado');
@@ -324,6 +532,47 @@ describe('SVGAdapterCLI - Unit Tests', () => {
       expect(output).toContain('✓ SVG adaptado com sucesso');
     });
 
+    it('runs the add command', async () => {
+      cli.addDrawing = async (options) => ({
+        success: true,
+        entry: { id: 'gato', name: options.name, category: options.category, metadata: { width: 400, height: 300, areaCount: 8 } },
+        svgPath: 'assets/drawings/animais/gato.svg',
+        thumbnailPath: 'assets/thumbnails/animais/gato.svg',
+        validation: { valid: true, errors: [], warnings: [] }
+      });
+
+      const result = await cli.run(['add', 'gato.svg', '--category', 'animais', '--name', 'Gato']);
+
+      expect(result.entry.name).toBe('Gato');
+      const output = consoleLogSpy.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('✓ Desenho "Gato" incluído no catálogo');
+      expect(output).toContain('Áreas coloríveis: 8');
+    });
+
+    it('runs the check command with --fix', async () => {
+      const calls = [];
+      cli.checkCatalog = async (options) => {
+        calls.push(options);
+        return { success: true, drawingCount: 3, issues: [], errors: 0, fixed: 0 };
+      };
+
+      const report = await cli.run(['check', '--fix']);
+
+      expect(calls).toEqual([{ fix: true }]);
+      expect(report.success).toBe(true);
+      expect(consoleLogSpy.calls.map(call => call[0]).join('\n')).toContain('✓ Catálogo consistente');
+    });
+
+    it('returns the batch result so the entry script can exit non-zero', async () => {
+      cli.adaptBatch = async () => ({ success: false, outDir: 'saida', failed: 1, files: [
+        { inputPath: 'a.svg', success: false, error: 'Falhou', validation: null }
+      ] });
+
+      const result = await cli.run(['arte/*.svg', 'saida']);
+
+      expect(result.success).toBe(false);
+    });
+
     it('displays error and re-throws on failure', async () => {
       // Mock parseArguments to throw error
       const originalParse = cli.parseArguments;
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for ThumbnailGenerator
+ */
+
+import { ThumbnailGenerator, THUMBNAIL_SIZE } from '../ThumbnailGenerator.js';
+import { JSDOM } from 'jsdom';
+
+function parseSVG(markup) {
+  const dom = new JSDOM(markup, { contentType: 'image/svg+xml' });
+  return dom.window.document.documentElement;
+}
+
+describe('ThumbnailGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ThumbnailGenerator();
+  });
+
+  it('keeps the viewBox at thumbnail size with a light background', () => {
+    const thumbnail = parseSVG(generator.generate(parseSVG(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"><rect id="area-1" width="10" height="10" fill="none" stroke="black"/></svg>'
+    )));
+
+    expect(thumbnail.getAttribute('viewBox')).toBe('0 0 400 300');
+    expect(thumbnail.getAttribute('width')).toBe(String(THUMBNAIL_SIZE));
+    expect(thumbnail.getAttribute('height')).toBe(String(THUMBNAIL_SIZE));
+    expect(thumbnail.firstElementChild.getAttribute('fill')).toBe('#f0f0f0');
+  });
+
+  it('paints colorable areas white and keeps decorative colors', () => {
+    const output = generator.generate(parseSVG(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+      <path id="area-1" d="M 0 0 L 10 10" fill="none" stroke="black" stroke-width="2"/>
+      <circle cx="5" cy="5" r="2" style="fill:#000000" pointer-events="none"/>
+    </svg>`));
+
+    expect(output).toContain('<path d="M 0 0 L 10 10" fill="#FFFFFF" stroke="black" stroke-width="2"/>');
+    expect(output).toContain('<circle cx="5" cy="5" r="2" fill="#000000"/>');
+  });
+
+  it('drops ids, metadata, hidden and non-graphic elements', () => {
+    const output = generator.generate(parseSVG(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+      <title>Gato</title>
+      <desc>Desenho</desc>
+      <g id="grupo" transform="translate(1.2345 2)">
+        <rect id="area-1" data-label="corpo" x="1" y="1" width="5" height="5" fill="none" stroke="black"/>
+      </g>
+      <g id="vazio"><title>nada</title></g>
+      <rect x="0" y="0" width="1" height="1" display="none"/>
+    </svg>`));
+
+    expect(output).not.toContain('id=');
+    expect(output).not.toContain('data-label');
+    expect(output).not.toContain('Gato');
+    expect(output).not.toContain('display');
+    expect(output).toContain('<g transform="translate(1.2 2)">');
+    expect(output.match(/<g/g)).toHaveLength(1);
+  });
+
+  it('rounds coordinates to one decimal place', () => {
+    expect(generator.roundNumbers('M 10.456 -3.04 L .25 7')).toBe('M 10.5 -3 L 0.3 7');
+  });
+});
@@ -70,6 +70,37 @@ describe('TransformEngine', () => {
     });
   });
 
+  describe('elementos juntados', () => {
+    test('deve juntar os elementos em um <g> que recebe o ID da área', () => {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      const [first, decorative, second, last] = ['path', 'circle', 'path', 'rect'].map(tag => {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        el.setAttribute('fill', '#FF0000');
+        el.setAttribute('stroke', '#000000');
+        svg.appendChild(el);
+        return { element: el, tagName: tag };
+      });
+      second.element.setAttribute('id', 'area-7');
+
+      const result = engine.transform(svg, {
+        colorable: [first, second, last],
+        decorative: [decorative],
+        merged: [[first, second]]
+      });
+
+      const group = svg.firstElementChild;
+      expect(group.tagName).toBe('g');
+      expect(group.getAttribute('id')).toBe('area-1');
+      expect(group.getAttribute('fill')).toBe('none');
+      expect(Array.from(group.children)).toEqual([first.element, second.element]);
+      expect(first.element.hasAttribute('fill')).toBe(false);
+      expect(second.element.hasAttribute('id')).toBe(false);
+      expect(last.element.getAttribute('id')).toBe('area-2');
+      expect(result.colorableCount).toBe(2);
+      expect(result.areas.map(area => area.element)).toEqual([group, last.element]);
+    });
+  });
+
   describe('transformColorableArea()', () => {
     test('deve atribuir ID único no formato area-N', () => {
       const element = document.createElementNS('http://www.w3.org/2000/svg', 'path');
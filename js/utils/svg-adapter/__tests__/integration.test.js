@@ -277,4 +277,176 @@ describe('SVG Adapter Integration Tests', () => {
       expect(output).toContain('height="100"');
     });
   });
+
+  describe('Batch Mode', () => {
+    const simpleSVG = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+  <rect x="10" y="10" width="80" height="80" fill="none" stroke="black"/>
+  <circle cx="150" cy="150" r="5" fill="#000000"/>
+</svg>`;
+
+    it('should adapt a whole directory into the output directory, keeping subfolders', async () => {
+      // Arrange
+      const artDir = path.join(testDir, 'arte');
+      const outDir = path.join(testDir, 'adaptados');
+      await mkdir(path.join(artDir, 'animais'), { recursive: true });
+      await writeFile(path.join(artDir, 'carro.svg'), simpleSVG, 'utf-8');
+      await writeFile(path.join(artDir, 'animais', 'gato.svg'), simpleSVG, 'utf-8');
+
+      // Act
+      const result = await cli.adaptBatch(cli.parseArguments([artDir, outDir]));
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.failed).toBe(0);
+      expect(result.files).toHaveLength(2);
+      expect(result.files.every(file => file.validation.valid)).toBe(true);
+      expect(result.files.every(file => file.colorableCount === 1 && file.decorativeCount === 1)).toBe(true);
+      expect(existsSync(path.join(outDir, 'carro.svg'))).toBe(true);
+      expect(existsSync(path.join(outDir, 'animais', 'gato.svg'))).toBe(true);
+    });
+
+    it('should report failed files without stopping the others', async () => {
+      // Arrange
+      await writeFile(path.join(testDir, 'bom.svg'), simpleSVG, 'utf-8');
+      await writeFile(path.join(testDir, 'quebrado.svg'), '<svg><rect></svg>', 'utf-8');
+      const options = cli.parseArguments([
+        path.join(testDir, '*.svg'),
+        `--out-dir=${path.join(testDir, 'saida')}`,
+        '--concurrency=1'
+      ]);
+
+      // Act
+      const result = await cli.adaptBatch(options);
+
+      // Assert
+      expect(cli.isBatch(options)).toBe(true);
+      expect(result.success).toBe(false);
+      expect(result.failed).toBe(1);
+      expect(result.files.find(file => file.inputPath.endsWith('bom.svg')).success).toBe(true);
+      expect(result.files.find(file => file.inputPath.endsWith('quebrado.svg')).error).toBeTruthy();
+    });
+  });
+
+  describe('Interactive Review', () => {
+    const eyesSVG = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">
+  <rect x="10" y="10" width="180" height="180" fill="none" stroke="black"/>
+  <circle cx="60" cy="80" r="20" fill="none" stroke="black"/>
+  <circle cx="140" cy="80" r="20" fill="none" stroke="black"/>
+  <rect x="60" y="140" width="80" height="20" fill="#000000"/>
+</svg>`;
+
+    it('should save the review decisions and reproduce them on the next run', async () => {
+      // Arrange: keep the face, merge both eyes, turn the mouth colorable
+      const inputPath = path.join(testDir, 'rosto.svg');
+      await writeFile(inputPath, eyesSVG, 'utf-8');
+      const answers = ['', 'j 3', '', 't'];
+      const ask = async () => answers.shift();
+      cli.reviewClassification = (elements, decisions) =>
+        SVGAdapterCLI.prototype.reviewClassification.call(cli, elements, decisions, ask);
+
+      // Act
+      const first = await cli.adaptSVG(inputPath, path.join(testDir, 'primeira.svg'), true, true);
+      const second = await new SVGAdapterCLI().adaptSVG(inputPath, path.join(testDir, 'segunda.svg'), true);
+
+      // Assert
+      const decisions = JSON.parse(await readFile(path.join(testDir, 'rosto.adapter.json'), 'utf-8'));
+      expect(decisions.merges).toEqual([[2, 3]]);
+      expect(decisions.elements).toEqual({ 4: { tagName: 'rect', classification: 'colorable' } });
+
+      expect(first.colorableCount).toBe(3);
+      expect(first.validation.valid).toBe(true);
+      expect(second.review).toEqual({ path: path.join(testDir, 'rosto.adapter.json'), applied: 2, ignored: 0 });
+      expect(await readFile(path.join(testDir, 'segunda.svg'), 'utf-8'))
+        .toBe(await readFile(path.join(testDir, 'primeira.svg'), 'utf-8'));
+      expect(await readFile(path.join(testDir, 'segunda.svg'), 'utf-8')).toMatch(/<g id="area-2" fill="none">\s*<circle/);
+    });
+
+    it('should ignore decisions made for another version of the SVG', async () => {
+      // Arrange
+      const inputPath = path.join(testDir, 'rosto.svg');
+      await writeFile(inputPath, eyesSVG, 'utf-8');
+      await writeFile(path.join(testDir, 'rosto.adapter.json'), JSON.stringify({
+        version: 1, elementCount: 7, elements: {}, merges: [[2, 3]]
+      }), 'utf-8');
+
+      // Act
+      const result = await cli.adaptSVG(inputPath, path.join(testDir, 'saida.svg'));
+
+      // Assert
+      expect(result.review).toBeNull();
+      expect(result.colorableCount).toBe(3);
+    });
+  });
+
+  describe('Add Command', () => {
+    const starSVG = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 200">
+  <polygon points="150,20 180,90 260,90 195,135 220,190 150,155 80,190 105,135 40,90 120,90" fill="none" stroke="black"/>
+  <circle cx="150" cy="110" r="20" fill="none" stroke="black"/>
+  <circle cx="10" cy="10" r="3" fill="#000000"/>
+</svg>`;
+
+    beforeEach(async () => {
+      cli = new SVGAdapterCLI({ root: testDir });
+      await mkdir(path.join(testDir, 'data'), { recursive: true });
+      await writeFile(path.join(testDir, 'data', 'drawings-catalog.json'), JSON.stringify({
+        categories: [{ id: 'paisagens', name: 'Paisagens', drawings: [] }]
+      }, null, 2) + '\n', 'utf-8');
+      await writeFile(path.join(testDir, 'estrela.svg'), starSVG, 'utf-8');
+    });
+
+    async function readCatalog() {
+      return JSON.parse(await readFile(path.join(testDir, 'data', 'drawings-catalog.json'), 'utf-8'));
+    }
+
+    it('should adapt the drawing, generate the thumbnail and register it in the catalog', async () => {
+      // Act
+      const result = await cli.addDrawing(cli.parseAddArguments([
+        path.join(testDir, 'estrela.svg'), '--category', 'paisagens', '--name', 'Estrela Cadente'
+      ]));
+
+      // Assert
+      expect(result.success).toBe(true);
+      const catalog = await readCatalog();
+      expect(catalog.categories[0].drawings).toEqual([{
+        id: 'estrela-cadente',
+        name: 'Estrela Cadente',
+        category: 'paisagens',
+        svgUrl: '/assets/drawings/paisagens/estrela-cadente.svg',
+        thumbnailUrl: '/assets/thumbnails/paisagens/estrela-cadente.svg',
+        metadata: { width: 300, height: 200, areaCount: 2 }
+      }]);
+
+      const drawing = await readFile(path.join(testDir, 'assets/drawings/paisagens/estrela-cadente.svg'), 'utf-8');
+      expect(drawing).toContain('id="area-2"');
+      const thumbnail = await readFile(path.join(testDir, 'assets/thumbnails/paisagens/estrela-cadente.svg'), 'utf-8');
+      expect(thumbnail).toContain('width="100"');
+      expect(thumbnail).not.toContain('area-');
+    });
+
+    it('should refuse a repeated id without touching the catalog or the existing files', async () => {
+      const args = [path.join(testDir, 'estrela.svg'), '--category=paisagens', '--name=Estrela'];
+      await cli.addDrawing(cli.parseAddArguments(args));
+
+      await expect(cli.addDrawing(cli.parseAddArguments(args))).rejects.toThrow('Já existe um desenho com o ID "estrela"');
+
+      expect((await readCatalog()).categories[0].drawings).toHaveLength(1);
+      expect(existsSync(path.join(testDir, 'assets/drawings/paisagens/estrela.svg'))).toBe(true);
+    });
+
+    it('should leave nothing behind when the drawing has no colorable areas', async () => {
+      await writeFile(path.join(testDir, 'logo.svg'),
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><circle r="1" fill="#000000"/></svg>', 'utf-8');
+
+      await expect(cli.addDrawing(cli.parseAddArguments([
+        path.join(testDir, 'logo.svg'), '--category', 'paisagens', '--name', 'Logo'
+      ]))).rejects.toThrow('Nenhuma área colorível');
+
+      expect((await readCatalog()).categories[0].drawings).toHaveLength(0);
+      expect(existsSync(path.join(testDir, 'assets/drawings/paisagens/logo.svg'))).toBe(false);
+      expect(existsSync(path.join(testDir, 'assets/thumbnails/paisagens/logo.svg'))).toBe(false);
+    });
+  });
 });
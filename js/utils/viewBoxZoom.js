@@ -0,0 +1,165 @@
+/**
+ * ViewBox Zoom Utilities
+ * Geometria do zoom e do arrasto do desenho: cada visão é um retângulo do viewBox
+ * original, nunca maior que ele e nunca fora dele. Usada pelo SVGCanvas para
+ * aproximar áreas pequenas sem redimensionar o elemento <svg>
+ */
+
+/**
+ * Zoom mínimo (desenho inteiro) e máximo
+ */
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+
+/**
+ * Fator de cada clique nos botões +/- e do toque duplo
+ */
+export const ZOOM_STEP = 1.5;
+
+/**
+ * @typedef {Object} ViewBox
+ * @property {number} x - Coordenada X do canto superior esquerdo
+ * @property {number} y - Coordenada Y do canto superior esquerdo
+ * @property {number} width - Largura
+ * @property {number} height - Altura
+ */
+
+/**
+ * Lê o viewBox de um SVG (ou width/height quando ele não tem viewBox)
+ * @param {SVGSVGElement} svg - Elemento SVG
+ * @returns {ViewBox|null} ViewBox ou null quando o SVG não informa o tamanho
+ */
+export function parseViewBox(svg) {
+  const values = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+    const [x, y, width, height] = values;
+    return { x, y, width, height };
+  }
+
+  const width = parseFloat(svg.getAttribute('width'));
+  const height = parseFloat(svg.getAttribute('height'));
+  if (width > 0 && height > 0) {
+    return { x: 0, y: 0, width, height };
+  }
+
+  return null;
+}
+
+/**
+ * Formata um viewBox para o atributo
+ * @param {ViewBox} view - ViewBox
+ * @returns {string}
+ */
+export function formatViewBox(view) {
+  return [view.x, view.y, view.width, view.height].map(value => Number(value.toFixed(3))).join(' ');
+}
+
+/**
+ * Zoom atual de uma visão em relação ao viewBox original
+ * @param {ViewBox} view - Visão atual
+ * @param {ViewBox} base - ViewBox original
+ * @returns {number}
+ */
+export function getZoomScale(view, base) {
+  return base.width / view.width;
+}
+
+/**
+ * Mantém a visão dentro do viewBox original
+ * @param {ViewBox} view - Visão
+ * @param {ViewBox} base - ViewBox original
+ * @returns {ViewBox}
+ */
+export function clampViewBox(view, base) {
+  const width = Math.min(view.width, base.width);
+  const height = Math.min(view.height, base.height);
+
+  return {
+    x: Math.min(Math.max(view.x, base.x), base.x + base.width - width),
+    y: Math.min(Math.max(view.y, base.y), base.y + base.height - height),
+    width,
+    height
+  };
+}
+
+/**
+ * Aplica um zoom mantendo um ponto do desenho parado na tela
+ * (o centro da pinça, o ponto do toque duplo ou o centro da visão)
+ * @param {ViewBox} view - Visão atual
+ * @param {ViewBox} base - ViewBox original
+ * @param {number} factor - Fator (>1 aproxima, <1 afasta)
+ * @param {{x: number, y: number}} [point] - Ponto fixo em coordenadas do SVG (padrão: centro da visão)
+ * @returns {ViewBox}
+ */
+export function zoomViewBox(view, base, factor, point) {
+  const scale = Math.min(Math.max(getZoomScale(view, base) * factor, MIN_ZOOM), MAX_ZOOM);
+  const width = base.width / scale;
+  const height = base.height / scale;
+  const ratio = width / view.width;
+  const anchor = point || { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+
+  return clampViewBox({
+    x: anchor.x - (anchor.x - view.x) * ratio,
+    y: anchor.y - (anchor.y - view.y) * ratio,
+    width,
+    height
+  }, base);
+}
+
+/**
+ * Desloca a visão
+ * @param {ViewBox} view - Visão atual
+ * @param {ViewBox} base - ViewBox original
+ * @param {number} dx - Deslocamento em X (coordenadas do SVG)
+ * @param {number} dy - Deslocamento em Y (coordenadas do SVG)
+ * @returns {ViewBox}
+ */
+export function panViewBox(view, base, dx, dy) {
+  return clampViewBox({ ...view, x: view.x + dx, y: view.y + dy }, base);
+}
+
+/**
+ * Centraliza a visão num retângulo do desenho, sem mudar o zoom
+ * @param {ViewBox} view - Visão atual
+ * @param {ViewBox} base - ViewBox original
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Retângulo (coordenadas do SVG)
+ * @returns {ViewBox}
+ */
+export function centerViewBox(view, base, bounds) {
+  return clampViewBox({
+    ...view,
+    x: bounds.x + bounds.width / 2 - view.width / 2,
+    y: bounds.y + bounds.height / 2 - view.height / 2
+  }, base);
+}
+
+/**
+ * Verifica se um retângulo do desenho está inteiro dentro da visão
+ * @param {ViewBox} view - Visão atual
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Retângulo (coordenadas do SVG)
+ * @returns {boolean}
+ */
+export function containsBounds(view, bounds) {
+  return bounds.x >= view.x && bounds.y >= view.y &&
+    bounds.x + bounds.width <= view.x + view.width &&
+    bounds.y + bounds.height <= view.y + view.height;
+}
+
+/**
+ * Converte um ponto de tela para coordenadas do SVG
+ * Sem tamanho na tela (elemento oculto), usa o centro da visão
+ * @param {{x: number, y: number}} point - Ponto de tela (clientX/clientY)
+ * @param {{left: number, top: number, width: number, height: number}} rect - Caixa do <svg> na tela
+ * @param {ViewBox} view - Visão atual
+ * @returns {{x: number, y: number}}
+ */
+export function clientToViewBox(point, rect, view) {
+  if (!rect || !(rect.width > 0) || !(rect.height > 0)) {
+    return { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+  }
+
+  return {
+    x: view.x + ((point.x - rect.left) / rect.width) * view.width,
+    y: view.y + ((point.y - rect.top) / rect.height) * view.height
+  };
+}
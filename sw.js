@@ -0,0 +1,237 @@
+/**
+ * Service Worker do Site de Colorir
+ * Deixa o site funcionando sem internet (clínicas e escolas com Wi-Fi instável):
+ * - Na instalação guarda o app (HTML, CSS, ícones, sons), o catálogo e as miniaturas
+ * - Os desenhos ficam guardados ao serem abertos ou ao baixar uma categoria na galeria
+ * - Cada versão usa caches próprios; ao ativar, os caches de versões anteriores são apagados
+ *
+ * Ao publicar mudanças no app, aumente CACHE_VERSION para invalidar os caches antigos
+ */
+
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'colorir-';
+
+/**
+ * App (HTML, CSS, JS, ícones e catálogo) e conteúdo (desenhos, miniaturas e sons)
+ */
+const APP_CACHE = `${CACHE_PREFIX}app-${CACHE_VERSION}`;
+const CONTENT_CACHE = `${CACHE_PREFIX}content-${CACHE_VERSION}`;
+
+const CATALOG_URL = '/data/drawings-catalog.json';
+
+/**
+ * Arquivos do app guardados na instalação
+ * Os módulos JS entram pela mensagem "precache" da página (recursos já carregados)
+ * e pelo cache em tempo de execução, então funcionam também com o build do Vite
+ */
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/css/main.css',
+  '/css/gallery.css',
+  '/css/coloring-screen.css',
+  '/css/color-palette.css',
+  '/css/svg-canvas.css',
+  '/css/error-handling.css',
+  '/css/save-load-modal.css',
+  '/css/profile-picker.css',
+  '/css/activity-report.css',
+  '/css/palette-settings.css',
+  '/css/completion-celebration.css',
+  '/css/offline.css',
+  '/css/print.css',
+  '/js/main.js',
+  '/assets/icons/icon-192.png',
+  '/assets/icons/icon-512.png',
+  CATALOG_URL
+];
+
+/**
+ * Sons do retorno sonoro (ver AUDIO_CLIPS em AudioService.js)
+ */
+const AUDIO_CLIPS = [
+  '/assets/audio/success.wav',
+  '/assets/audio/miss.wav',
+  '/assets/audio/select.wav',
+  '/assets/audio/celebration.wav'
+];
+
+/**
+ * Guarda uma lista de URLs; uma URL que falha não impede as outras
+ * @param {string} cacheName - Nome do cache
+ * @param {Array<string>} urls - URLs
+ * @returns {Promise<Array<string>>} URLs guardadas
+ */
+async function precache(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+  return urls.filter((url, index) => results[index].status === 'fulfilled');
+}
+
+/**
+ * Miniaturas de todos os desenhos do catálogo
+ * @returns {Promise<Array<string>>}
+ */
+async function getThumbnailUrls() {
+  const response = await caches.match(CATALOG_URL);
+  if (!response) {
+    return [];
+  }
+
+  const catalog = await response.json();
+  return (catalog.categories || [])
+    .flatMap(category => category.drawings || [])
+    .map(drawing => drawing.thumbnailUrl)
+    .filter(Boolean);
+}
+
+/**
+ * Desenhos, miniaturas e sons ficam no cache de conteúdo; o resto no cache do app
+ * @param {URL} url - URL da requisição
+ * @returns {string}
+ */
+function getCacheName(url) {
+  return url.pathname.startsWith('/assets/') && !url.pathname.startsWith('/assets/icons/')
+    ? CONTENT_CACHE
+    : APP_CACHE;
+}
+
+/**
+ * Rede primeiro (página e catálogo): sempre a versão mais nova quando há internet
+ * @param {Request} request - Requisição
+ * @param {string} [fallbackUrl] - URL guardada usada quando a própria requisição não está no cache
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(APP_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cache primeiro (desenhos, miniaturas e sons): não mudam entre versões
+ * @param {Request} request - Requisição
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CONTENT_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Cache e atualização em segundo plano (JS e CSS): abre rápido e fica atualizado na próxima visita
+ * @param {FetchEvent} event - Evento de fetch
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+
+  const update = fetch(request).then(async response => {
+    if (response.ok) {
+      const cache = await caches.open(APP_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+
+  return update;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await precache(APP_CACHE, APP_SHELL);
+    await precache(CONTENT_CACHE, [...AUDIO_CLIPS, ...await getThumbnailUrls()]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [APP_CACHE, CONTENT_CACHE];
+    const names = await caches.keys();
+
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Mensagem "precache" da página: guarda URLs do próprio site (recursos já carregados
+ * ou os desenhos de uma categoria) e responde, pela porta recebida, quais foram guardadas
+ */
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'precache' || !Array.isArray(data.urls)) {
+    return;
+  }
+
+  const urls = data.urls
+    .map(url => new URL(url, self.location.origin))
+    .filter(url => url.origin === self.location.origin);
+
+  event.waitUntil((async () => {
+    const groups = new Map();
+    urls.forEach(url => {
+      const cacheName = getCacheName(url);
+      groups.set(cacheName, [...(groups.get(cacheName) || []), url.href]);
+    });
+
+    const cached = (await Promise.all(
+      [...groups].map(([cacheName, group]) => precache(cacheName, group))
+    )).flat();
+
+    if (event.ports && event.ports[0]) {
+      event.ports[0].postMessage({ cached });
+    }
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Apenas GETs do próprio site (IndexedDB, blobs e outros domínios seguem normalmente)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'));
+  } else if (url.pathname === CATALOG_URL) {
+    event.respondWith(networkFirst(request));
+  } else if (getCacheName(url) === CONTENT_CACHE) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});